@@ -0,0 +1,223 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Cast = require('../models/cast_model.js');
+const User = require('../models/user_model.js');
+const Article = require('../models/article_model.js');
+const Topic = require('../models/topic_model.js');
+const VirtualLab = require('../models/virtual_lab_model.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const createUser = (username, role = 'Professor', platformRole = 'reader') => User.create({
+  email: `${username}@example.com`,
+  password: 'hashed-password',
+  username,
+  role,
+  platformRole,
+  profilePictureUrl: 'http://example.com/profile.png'
+});
+
+const createContent = async (author) => {
+  const cast = await Cast.create({
+    title: 'Author cast',
+    department: 'Physics',
+    brightmindid: String(author._id),
+    casturl: 'http://example.com/no-video',
+    university: 'Test University',
+    category: 'Test Category',
+    visibility: 'public',
+    topic: 'Optics'
+  });
+  const article = await Article.create({
+    title: 'Author article',
+    department: 'Physics',
+    brightmindid: String(author._id),
+    description: 'Test description',
+    articleimageurl: 'http://example.com/no-image',
+    university: 'Test University',
+    category: 'Test Category',
+    visibility: 'public',
+    duration: 120,
+    topic: 'Optics'
+  });
+  await User.updateOne({ _id: author._id }, { castPublications: [cast._id], articlePublications: [article._id] });
+  await Topic.create({
+    name: 'Optics',
+    departmentName: 'Physics',
+    castCount: 1,
+    castIDs: [cast._id],
+    articleCount: 2,
+    articleIDs: [article._id, new mongoose.Types.ObjectId()]
+  });
+  return { cast, article };
+};
+
+const deleteUser = (user, query = '', caller = user) => request(app)
+  .delete(`/user/${user._id}${query}`)
+  .set('Authorization', `Bearer ${signToken(caller._id)}`);
+
+test('deleting a user removes their content, topic links and lab memberships', async () => {
+  const author = await createUser('author');
+  const { cast, article } = await createContent(author);
+  const userID = String(author._id);
+  const lab = await VirtualLab.create({
+    name: 'Optics Lab',
+    iconurl: 'http://example.com/icon.png',
+    colorcode: '#000000',
+    followers: [{ userID }],
+    members: [{ userID }, { userID: 'someone-else' }],
+    topics: [{ name: 'Lasers', followers: [{ userID }], members: [{ userID }] }]
+  });
+
+  const response = await deleteUser(author).expect(200);
+
+  expect(response.body.cleanup).toMatchObject({
+    content: 'remove',
+    casts: { removed: 1, topicsUpdated: 1 },
+    articles: { removed: 1, topicsUpdated: 1 },
+    virtualLabs: { left: 1 }
+  });
+  expect(await Cast.findById(cast._id)).toBeNull();
+  expect(await Article.findById(article._id)).toBeNull();
+
+  const topic = await Topic.findOne({ name: 'Optics' }).lean();
+  expect(topic.castCount).toBe(0);
+  expect(topic.articleCount).toBe(1);
+
+  const updatedLab = await VirtualLab.findById(lab._id).lean();
+  expect(updatedLab.followers).toHaveLength(0);
+  expect(updatedLab.members.map((member) => member.userID)).toEqual(['someone-else']);
+  expect(updatedLab.topics[0].followers).toHaveLength(0);
+  expect(updatedLab.topics[0].members).toHaveLength(0);
+});
+
+test('restoring a deleted user brings back their content, topic links and lab memberships', async () => {
+  const admin = await createUser('admin', 'Professor', 'admin');
+  const author = await createUser('author');
+  const { cast, article } = await createContent(author);
+  const userID = String(author._id);
+  const lab = await VirtualLab.create({
+    name: 'Optics Lab',
+    iconurl: 'http://example.com/icon.png',
+    colorcode: '#000000',
+    members: [{ userID }, { userID: 'someone-else' }],
+    topics: [{ name: 'Lasers', followers: [{ userID }] }]
+  });
+  await deleteUser(author).expect(200);
+
+  const response = await request(app)
+    .post(`/user/${author._id}/restore`)
+    .set('Authorization', `Bearer ${signToken(admin._id)}`)
+    .expect(200);
+
+  expect(response.body.restored).toMatchObject({
+    casts: { restored: 1, topicsUpdated: 1 },
+    articles: { restored: 1, topicsUpdated: 1 },
+    virtualLabs: { rejoined: 1 }
+  });
+  expect(await Cast.findById(cast._id)).not.toBeNull();
+  expect(await Article.findById(article._id)).not.toBeNull();
+
+  const restoredAuthor = await User.findById(author._id).lean();
+  expect(restoredAuthor.castPublications.map(String)).toEqual([String(cast._id)]);
+  expect(restoredAuthor.articlePublications.map(String)).toEqual([String(article._id)]);
+
+  const topic = await Topic.findOne({ name: 'Optics' }).lean();
+  expect(topic.castCount).toBe(1);
+  expect(topic.articleCount).toBe(2);
+
+  const updatedLab = await VirtualLab.findById(lab._id).lean();
+  expect(updatedLab.followers).toHaveLength(0);
+  expect(updatedLab.members.map((member) => member.userID).sort()).toEqual([userID, 'someone-else'].sort());
+  expect(updatedLab.topics[0].followers.map((follower) => follower.userID)).toEqual([userID]);
+  expect(updatedLab.topics[0].members).toHaveLength(0);
+});
+
+test('admins deleting a user can transfer their content to a publisher', async () => {
+  const admin = await createUser('admin', 'Professor', 'admin');
+  const author = await createUser('author');
+  const recipient = await createUser('recipient', 'Researcher');
+  const { cast, article } = await createContent(author);
+
+  const response = await deleteUser(author, `?content=transfer&transferTo=${recipient._id}`, admin).expect(200);
+
+  expect(response.body.cleanup.casts).toMatchObject({ transferred: 1, to: String(recipient._id) });
+  expect((await Cast.findById(cast._id).lean()).brightmindid).toBe(String(recipient._id));
+  expect((await Article.findById(article._id).lean()).brightmindid).toBe(String(recipient._id));
+
+  const updatedRecipient = await User.findById(recipient._id).lean();
+  expect(updatedRecipient.castPublications.map(String)).toEqual([String(cast._id)]);
+  expect(updatedRecipient.articlePublications.map(String)).toEqual([String(article._id)]);
+  expect((await Topic.findOne({ name: 'Optics' }).lean()).castCount).toBe(1);
+});
+
+test('users deleting their own account cannot transfer its content', async () => {
+  const author = await createUser('author');
+  const recipient = await createUser('recipient', 'Researcher');
+  const other = await createUser('other');
+  const { cast } = await createContent(author);
+
+  await deleteUser(author, `?content=transfer&transferTo=${recipient._id}`).expect(403);
+  await deleteUser(author, '', other).expect(403);
+
+  expect(await User.findById(author._id)).not.toBeNull();
+  expect((await Cast.findById(cast._id).lean()).brightmindid).toBe(String(author._id));
+  expect((await User.findById(recipient._id).lean()).castPublications).toHaveLength(0);
+});
+
+test('content cannot be transferred to a user who cannot publish', async () => {
+  const admin = await createUser('admin', 'Professor', 'admin');
+  const author = await createUser('author');
+  const student = await createUser('student', 'College Student');
+  const { cast } = await createContent(author);
+
+  await deleteUser(author, `?content=transfer&transferTo=${student._id}`, admin).expect(400);
+  await deleteUser(author, '?content=archive').expect(400);
+
+  expect(await User.findById(author._id)).not.toBeNull();
+  expect((await Cast.findById(cast._id).lean()).brightmindid).toBe(String(author._id));
+});
@@ -1,5 +1,6 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
 const User = require('../models/user_model.js');
@@ -10,6 +11,8 @@ jest.setTimeout(300000);
 let mongoServer;
 let app;
 
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
 const waitForMongooseConnection = () => {
   if (mongoose.connection.readyState === 1) {
     return Promise.resolve();
@@ -23,6 +26,7 @@ const waitForMongooseConnection = () => {
 
 beforeAll(async () => {
   process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
   if (!process.env.MONGODB_URI) {
     mongoServer = await MongoMemoryServer.create();
     process.env.MONGODB_URI = mongoServer.getUri();
@@ -79,6 +83,7 @@ test('deleting an article removes all user references', async () => {
 
   await request(app)
     .delete(`/article/${article._id.toString()}`)
+    .set('Authorization', `Bearer ${signToken(user._id)}`)
     .expect(200);
 
   const updatedUser = await User.findById(user._id).lean();
@@ -1,5 +1,6 @@
 const request = require('supertest');
 const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
 const User = require('../models/user_model.js');
@@ -10,6 +11,8 @@ jest.setTimeout(30000);
 let mongoServer;
 let app;
 
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
 const waitForMongooseConnection = () => {
   if (mongoose.connection.readyState === 1) {
     return Promise.resolve();
@@ -23,6 +26,7 @@ const waitForMongooseConnection = () => {
 
 beforeAll(async () => {
   process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
   if (!process.env.MONGODB_URI) {
     mongoServer = await MongoMemoryServer.create();
     process.env.MONGODB_URI = mongoServer.getUri();
@@ -80,6 +84,7 @@ test('deleting a cast removes all user references', async () => {
 
   await request(app)
     .delete(`/cast/${cast._id.toString()}`)
+    .set('Authorization', `Bearer ${signToken(user._id)}`)
     .expect(200);
 
   const updatedUser = await User.findById(user._id).lean();
@@ -93,3 +98,42 @@ test('deleting a cast removes all user references', async () => {
   const deletedCast = await Cast.findById(cast._id);
   expect(deletedCast).toBeNull();
 });
+
+test('deleting a cast requires authentication', async () => {
+  const cast = await Cast.create({
+    title: 'Unauthenticated Cast',
+    department: 'Physics',
+    brightmindid: new mongoose.Types.ObjectId().toString(),
+    casturl: 'http://example.com/no-video',
+    university: 'Test University',
+    category: 'Test Category',
+    visibility: 'public',
+    topic: 'Test Topic'
+  });
+
+  await request(app)
+    .delete(`/cast/${cast._id.toString()}`)
+    .expect(401);
+
+  expect(await Cast.findById(cast._id)).not.toBeNull();
+});
+
+test('deleting a cast owned by another user is forbidden', async () => {
+  const cast = await Cast.create({
+    title: 'Someone Else Cast',
+    department: 'Physics',
+    brightmindid: new mongoose.Types.ObjectId().toString(),
+    casturl: 'http://example.com/no-video',
+    university: 'Test University',
+    category: 'Test Category',
+    visibility: 'public',
+    topic: 'Test Topic'
+  });
+
+  await request(app)
+    .delete(`/cast/${cast._id.toString()}`)
+    .set('Authorization', `Bearer ${signToken(new mongoose.Types.ObjectId())}`)
+    .expect(403);
+
+  expect(await Cast.findById(cast._id)).not.toBeNull();
+});
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const sharp = require('sharp');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Read when app.js loads the configuration.
+process.env.MEDIA_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'brightminds-cast-image-test-'));
+
+const User = require('../models/user_model.js');
+const Cast = require('../models/cast_model.js');
+const { setCastImage } = require('../backend/cast_images.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+  fs.rmSync(process.env.MEDIA_ROOT, { recursive: true, force: true });
+});
+
+const createUser = (username) => User.create({
+  email: `${username}@example.com`,
+  password: 'hashed-password',
+  username,
+  role: 'Professor',
+  profilePictureUrl: 'http://example.com/profile.png',
+});
+
+const createCast = (user) => Cast.create({
+  title: 'Imaged cast',
+  department: 'Physics',
+  brightmindid: user._id.toString(),
+  casturl: '/backend/media/cast_videos/lecture.mp4',
+  castimageurl: '',
+  university: 'Test University',
+  category: 'Test Category',
+  visibility: 'public',
+  duration: 2,
+  topic: 'Test Topic',
+});
+
+const FRAME = '/backend/media/cast_thumbnails/frame.jpg';
+const AI = '/backend/media/cast_images/cast_1.jpg';
+
+const chooseSource = (user, castId, source) => request(app)
+  .put(`/cast/${castId}/image`)
+  .set('Authorization', `Bearer ${signToken(user._id)}`)
+  .send({ source });
+
+const storedImage = async (cast) => (await Cast.findById(cast._id).lean()).castimageurl;
+
+test('castimageurl is the chosen image, else the uploaded, AI then frame image', async () => {
+  const user = await createUser('author');
+  const cast = await createCast(user);
+
+  await setCastImage(cast._id, 'frame', FRAME);
+  expect(await storedImage(cast)).toBe(FRAME);
+  await setCastImage(cast._id, 'ai', AI);
+  expect(await storedImage(cast)).toBe(AI);
+
+  const missing = await chooseSource(user, cast._id, 'upload').expect(409);
+  expect(missing.body.error.code).toBe('IMAGE_NOT_AVAILABLE');
+  const chosen = await chooseSource(user, cast._id, 'frame').expect(200);
+  expect(chosen.body).toMatchObject({ imageSource: 'frame', castimageurl: expect.stringContaining(FRAME) });
+
+  // A new AI image does not override the choice; a new frame replaces the chosen one.
+  await setCastImage(cast._id, 'ai', '/backend/media/cast_images/cast_2.jpg');
+  expect(await storedImage(cast)).toBe(FRAME);
+  await setCastImage(cast._id, 'frame', '/backend/media/cast_thumbnails/frame_2.jpg');
+  expect(await storedImage(cast)).toBe('/backend/media/cast_thumbnails/frame_2.jpg');
+});
+
+test('authors can upload their own image', async () => {
+  const user = await createUser('author');
+  const other = await createUser('other');
+  const cast = await createCast(user);
+  await setCastImage(cast._id, 'ai', AI);
+  const image = await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#336699' } }).png().toBuffer();
+
+  await request(app)
+    .put(`/cast/${cast._id}/image`)
+    .set('Authorization', `Bearer ${signToken(other._id)}`)
+    .attach('image', image, 'cover.png')
+    .expect(403);
+  expect(fs.readdirSync(path.join(process.env.MEDIA_ROOT, 'cast_images'))).toHaveLength(0);
+
+  const uploaded = await request(app)
+    .put(`/cast/${cast._id}/image`)
+    .set('Authorization', `Bearer ${signToken(user._id)}`)
+    .attach('image', image, 'cover.png')
+    .expect(200);
+  expect(uploaded.body.imageSource).toBe('upload');
+  const stored = await Cast.findById(cast._id).lean();
+  expect(stored.castimageurl).toMatch(/^\/backend\/media\/cast_images\/cover_\d+_[0-9a-f]{8}\.png$/);
+  expect(stored.images).toMatchObject({ aiurl: AI, uploadurl: stored.castimageurl });
+  const metadata = await sharp(path.join(process.env.MEDIA_ROOT, 'cast_images', path.basename(stored.castimageurl))).metadata();
+  expect(metadata).toMatchObject({ width: 1280, height: 720 });
+
+  await chooseSource(user, cast._id, 'ai').expect(200);
+  expect(await storedImage(cast)).toBe(AI);
+});
@@ -0,0 +1,103 @@
+process.env.NODE_ENV = 'test';
+
+const { config, loadConfig, ConfigError } = require('../backend/config.js');
+const { mediaUrl, mediaKey, resolveMediaUrl, mediaUrlReplacer } = require('../controllers/fileHelper.js');
+
+const initialEnv = { ...process.env };
+
+afterEach(() => {
+  loadConfig({ env: initialEnv });
+});
+
+test('the profile of NODE_ENV gives the defaults, overridden by the environment', () => {
+  loadConfig({ strict: true, env: { NODE_ENV: 'development', MONGODB_URI: 'mongodb://localhost/dev', JWT_SECRET: 's' } });
+  expect(config).toMatchObject({
+    env: 'development',
+    baseUrl: 'http://localhost:3000',
+    logLevel: 'debug',
+    mail: { transport: 'file', from: 'no-reply@brightmindsresearch.com' },
+    cron: { enabled: true, schedules: { trending: '15 * * * *' } },
+    openapi: { validateResponses: false },
+  });
+  loadConfig({ strict: true, env: { NODE_ENV: 'test', MONGODB_URI: 'mongodb://localhost/test' } });
+  expect(config.openapi.validateResponses).toBe(true);
+
+  loadConfig({
+    strict: true,
+    env: {
+      NODE_ENV: 'production',
+      MONGODB_URI: 'mongodb://localhost/prod',
+      JWT_SECRET: 's',
+      BASE_URL: 'https://api.example.com/',
+      SMTP_USER: 'team@example.com',
+      EMAIL_PWD: 'app-password',
+      MAIL_FROM: 'team@example.com',
+      CRON_TRENDING: '0 * * * *',
+      OPENAI_CHAT_MODEL: 'gpt-4o',
+    },
+  });
+  expect(config.baseUrl).toBe('https://api.example.com');
+  expect(config.mail.from).toBe('team@example.com');
+  expect(config.mail.smtp).toMatchObject({ service: 'Gmail', user: 'team@example.com', pass: 'app-password' });
+  expect(config.cron.schedules.trending).toBe('0 * * * *');
+  expect(config.openai.chatModel).toBe('gpt-4o');
+});
+
+test('strict loading lists every invalid or missing variable', () => {
+  const env = { NODE_ENV: 'staging', PORT: 'eighty', CRON_TRASH_PURGE: 'every night', MAIL_TRANSPORT: 'pigeon' };
+
+  expect(() => loadConfig({ strict: true, env })).toThrow(ConfigError);
+  try {
+    loadConfig({ strict: true, env });
+  } catch (error) {
+    expect(error.problems).toEqual(expect.arrayContaining([
+      'BASE_URL is not set.',
+      'MONGODB_URI is not set.',
+      'JWT_SECRET is not set.',
+      'PORT must be a number >= 1, got "eighty".',
+      'CRON_TRASH_PURGE is not a valid cron expression: "every night".',
+      'MAIL_TRANSPORT must be one of smtp, json, file, got "pigeon".',
+    ]));
+  }
+});
+
+test('the smtp transport needs credentials unless it has its own host', () => {
+  const base = { NODE_ENV: 'production', BASE_URL: 'https://api.example.com', MONGODB_URI: 'mongodb://localhost/prod', JWT_SECRET: 's' };
+
+  try {
+    loadConfig({ strict: true, env: { ...base, EMAIL_PWD: 'app-password' } });
+    throw new Error('expected a ConfigError');
+  } catch (error) {
+    expect(error.problems).toEqual(['SMTP_USER is not set.']);
+  }
+  loadConfig({ strict: true, env: { ...base, SMTP_HOST: 'relay.internal' } });
+  expect(config.mail.smtp).toMatchObject({ host: 'relay.internal', user: undefined });
+});
+
+test('TRUST_PROXY accepts a boolean, a number of proxies or proxy addresses', () => {
+  const base = { NODE_ENV: 'test', MONGODB_URI: 'mongodb://localhost/test' };
+
+  loadConfig({ strict: true, env: base });
+  expect(config.trustProxy).toBe(false);
+  loadConfig({ strict: true, env: { ...base, TRUST_PROXY: '2' } });
+  expect(config.trustProxy).toBe(2);
+  loadConfig({ strict: true, env: { ...base, TRUST_PROXY: 'loopback, 10.0.0.0/8' } });
+  expect(config.trustProxy).toEqual(['loopback', '10.0.0.0/8']);
+
+  expect(() => loadConfig({ strict: true, env: { ...base, TRUST_PROXY: 'proxy.internal' } })).toThrow(ConfigError);
+});
+
+test('media URLs are stored as paths and resolved against the base URL', () => {
+  loadConfig({ env: { ...initialEnv, BASE_URL: 'https://staging.example.com' } });
+
+  const stored = mediaUrl('cast_images', 'cast_1.jpg');
+  expect(stored).toBe('/backend/media/cast_images/cast_1.jpg');
+  expect(mediaKey(stored, 'cast_images')).toBe('cast_images/cast_1.jpg');
+  expect(resolveMediaUrl(stored)).toBe('https://staging.example.com/backend/media/cast_images/cast_1.jpg');
+  expect(resolveMediaUrl('https://api.brightmindsresearch.com/backend/media/cast_images/old.jpg'))
+    .toBe('https://staging.example.com/backend/media/cast_images/old.jpg');
+  expect(resolveMediaUrl('http://example.com/image.jpg')).toBe('http://example.com/image.jpg');
+
+  const body = JSON.parse(JSON.stringify({ title: '/backend/media/x', castimageurl: stored }, mediaUrlReplacer));
+  expect(body).toEqual({ title: '/backend/media/x', castimageurl: 'https://staging.example.com/backend/media/cast_images/cast_1.jpg' });
+});
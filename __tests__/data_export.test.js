@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Read when backend/data_export.js is loaded.
+process.env.DATA_EXPORT_DIR = path.join(os.tmpdir(), 'brightminds-export-test');
+
+const Cast = require('../models/cast_model.js');
+const User = require('../models/user_model.js');
+const DataExport = require('../models/data_export_model.js');
+const { processDataExport } = require('../backend/data_export.js');
+const { moveToTrash, purgeExpiredTrash } = require('../backend/trash.js');
+const { config } = require('../backend/config.js');
+const { getOutbox, clearOutbox } = require('../backend/mailer.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const createUser = (username) => User.create({
+  email: `${username}@example.com`,
+  password: 'hashed-password',
+  username,
+  role: 'Professor',
+  profilePictureUrl: 'http://example.com/profile.png',
+  preferences: [{ category: 'Physics', weight: 1, count: 2 }]
+});
+
+const requestExport = (user, caller = user) => request(app)
+  .post(`/user/${user._id}/export`)
+  .set('Authorization', `Bearer ${signToken(caller._id)}`);
+
+const binaryParser = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+beforeEach(() => {
+  clearOutbox();
+});
+
+test('a requested export is built, emailed and downloadable until the link expires', async () => {
+  const user = await createUser('exporter');
+  await Cast.create({
+    title: 'Exported cast',
+    department: 'Physics',
+    brightmindid: String(user._id),
+    casturl: 'http://example.com/no-video',
+    university: 'Test University',
+    category: 'Test Category',
+    visibility: 'public',
+    topic: 'Test Topic'
+  });
+
+  const response = await requestExport(user).expect(202);
+  await requestExport(user).expect(409);
+
+  const built = await processDataExport(response.body.exportId);
+  expect(built.status).toBe('ready');
+
+  const [email] = getOutbox();
+  expect(email.to[0].address).toBe('exporter@example.com');
+  const downloadPath = email.text.match(/\/user\/export\/download\/[0-9a-f]+/)[0];
+
+  const download = await request(app)
+    .get(downloadPath)
+    .buffer(true)
+    .parse(binaryParser)
+    .expect(200);
+  expect(download.headers['content-type']).toContain('zip');
+  // Local file header signature of a ZIP archive.
+  expect(download.body.subarray(0, 4)).toEqual(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+
+  await DataExport.updateOne({ _id: built._id }, { expiresAt: new Date(Date.now() - 1000) });
+  await request(app).get(downloadPath).expect(410);
+  await request(app).get('/user/export/download/unknown-token').expect(404);
+});
+
+test('users can only export their own data', async () => {
+  const user = await createUser('owner');
+  const other = await createUser('other');
+
+  await requestExport(user, other).expect(403);
+  expect(await DataExport.countDocuments()).toBe(0);
+});
+
+test('purging a deleted account removes its exports', async () => {
+  const user = await createUser('leaver');
+  const response = await requestExport(user).expect(202);
+  const built = await processDataExport(response.body.exportId);
+  expect(fs.existsSync(built.filePath)).toBe(true);
+
+  const now = new Date();
+  await moveToTrash('user', user, user._id);
+  await User.updateOne({ _id: user._id, deletedAt: { $ne: null } }, { deletedAt: new Date(now - (config.trash.retentionDays + 1) * 24 * 60 * 60 * 1000) });
+  await purgeExpiredTrash(now);
+
+  expect(fs.existsSync(built.filePath)).toBe(false);
+  expect(await DataExport.countDocuments({ userId: user._id })).toBe(0);
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const User = require('../models/user_model.js');
+const VirtualLab = require('../models/virtual_lab_model.js');
+const { NotFoundError, toAppError } = require('../backend/errors.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const expectEnvelope = (response, status, code) => {
+  expect(response.status).toBe(status);
+  expect(response.body).toEqual({
+    error: {
+      code,
+      message: expect.any(String),
+      details: expect.anything(),
+      requestId: response.headers['x-request-id'],
+    },
+  });
+  expect(response.body.error.requestId).toEqual(expect.any(String));
+};
+
+test('controller errors use the envelope and echo the request id', async () => {
+  const malformedId = await request(app).get('/cast/not-an-id');
+  expectEnvelope(malformedId, 400, 'INVALID_ID');
+  expect(malformedId.body.error.details).toEqual({ path: '_id', value: 'not-an-id' });
+
+  const missing = await request(app)
+    .get(`/cast/${new mongoose.Types.ObjectId()}`)
+    .set('X-Request-Id', 'client-trace-42');
+  expect(missing.headers['x-request-id']).toBe('client-trace-42');
+  expect(missing.status).toBe(404);
+  expect(missing.body.error).toMatchObject({ code: 'NOT_FOUND', message: 'Cast not found.', details: null, requestId: 'client-trace-42' });
+});
+
+test('unknown routes, malformed JSON and missing credentials use the envelope', async () => {
+  const unknown = await request(app).get('/no-such-route');
+  expect(unknown.status).toBe(404);
+  expect(unknown.body.error.code).toBe('ROUTE_NOT_FOUND');
+
+  const malformed = await request(app)
+    .post('/user/login')
+    .set('Content-Type', 'application/json')
+    .send('{"email": ');
+  expect(malformed.status).toBe(400);
+  expect(malformed.body.error.code).toBe('INVALID_JSON');
+
+  const unauthenticated = await request(app).get('/cast/trash');
+  expect(unauthenticated.status).toBe(401);
+  expect(unauthenticated.body.error.code).toBe('UNAUTHORIZED');
+});
+
+test('creating a lab or university without an icon is a 400', async () => {
+  const moderator = await User.create({
+    email: 'moderator@example.com',
+    password: 'hashed-password',
+    username: 'moderator',
+    role: 'Professor',
+    platformRole: 'moderator',
+    profilePictureUrl: 'http://example.com/profile.png'
+  });
+  const token = jwt.sign({ userId: String(moderator._id) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+  const lab = await request(app)
+    .post('/virtual/lab')
+    .set('Authorization', `Bearer ${token}`)
+    .field('virtuallab', JSON.stringify({ name: 'Optics Lab', colorcode: '#123456' }));
+  expect(lab.status).toBe(400);
+  expect(lab.body.error).toMatchObject({ code: 'BAD_REQUEST', message: 'An icon is required.' });
+
+  const university = await request(app)
+    .post('/university')
+    .set('Authorization', `Bearer ${token}`)
+    .field('university', JSON.stringify({ name: 'mit', displayedName: 'MIT' }));
+  expect(university.status).toBe(400);
+  expect(university.body.error).toMatchObject({ code: 'BAD_REQUEST', message: 'An icon is required.' });
+});
+
+test('mongoose validation errors map to 422, unique violations to 409', async () => {
+  const invalid = toAppError(await new VirtualLab({}).validate().catch((error) => error));
+  expect(invalid.status).toBe(422);
+  expect(invalid.code).toBe('VALIDATION_FAILED');
+  expect(invalid.details).toEqual(expect.arrayContaining([expect.objectContaining({ path: 'name', kind: 'required' })]));
+
+  const lab = { name: 'Optics Lab', iconurl: 'http://localhost/icon.png', colorcode: '#123456' };
+  await VirtualLab.create(lab);
+  const duplicate = toAppError(await new VirtualLab(lab).validate().catch((error) => error));
+  expect(duplicate.status).toBe(409);
+  expect(duplicate.code).toBe('DUPLICATE');
+
+  expect(toAppError(new NotFoundError('Lab not found.')).status).toBe(404);
+  const unexpected = toAppError(new Error('connection string with secrets'));
+  expect(unexpected.status).toBe(500);
+  expect(unexpected.message).not.toMatch(/secrets/);
+});
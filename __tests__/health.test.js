@@ -0,0 +1,78 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const { observeOpenAICall, recordTopicImpactRun } = require('../backend/metrics.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+test('health and readiness report each dependency', async () => {
+  const { body: health } = await request(app).get('/healthz').expect(200);
+  expect(health.status).toBe('ok');
+  expect(health.checks.mongo.status).toBe('up');
+  // Queues and cron jobs are not started under NODE_ENV=test.
+  expect(health.checks.redis.status).toBe('disabled');
+  expect(health.checks.scheduler.status).toBe('disabled');
+
+  await request(app).get('/readyz').expect(200);
+});
+
+test('metrics expose route latency, OpenAI calls and the topic impact run', async () => {
+  await request(app).get(`/cast/${new mongoose.Types.ObjectId()}`).expect(404);
+  await observeOpenAICall('generateEvaluation', async () => ({ choices: [] }));
+  await expect(observeOpenAICall('generateCastImage', async () => {
+    throw new Error('rate limited');
+  })).rejects.toThrow('rate limited');
+  recordTopicImpactRun(12.5, true);
+
+  const { text, headers } = await request(app).get('/metrics').expect(200);
+  expect(headers['content-type']).toMatch(/^text\/plain/);
+  expect(text).toContain('http_request_duration_seconds_count{method="GET",route="/cast/{id}",status_code="404"} 1');
+  expect(text).toContain('openai_requests_total{operation="generateEvaluation",outcome="success"} 1');
+  expect(text).toContain('openai_requests_total{operation="generateCastImage",outcome="error"} 1');
+  expect(text).toContain('topic_impact_last_run_duration_seconds 12.5');
+  expect(text).toContain('# TYPE bull_queue_jobs_failed_total counter');
+});
+
+test('readiness fails while MongoDB is disconnected', async () => {
+  await mongoose.disconnect();
+
+  const { body: ready } = await request(app).get('/readyz').expect(503);
+  expect(ready.checks.mongo).toMatchObject({ status: 'down', state: 'disconnected' });
+
+  const { body: health } = await request(app).get('/healthz').expect(200);
+  expect(health.status).toBe('degraded');
+});
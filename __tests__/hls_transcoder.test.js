@@ -0,0 +1,105 @@
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const { loadConfig } = require('../backend/config.js');
+const { getStorage } = require('../backend/storage');
+const Cast = require('../models/cast_model.js');
+const { streamPrefix, pendingRenditions, transcodeToHls, transcodeCast } = require('../backend/hls_transcoder.js');
+const mediaRoutes = require('../routes/media_route.js');
+const { errorHandler } = require('../backend/errors.js');
+
+jest.setTimeout(120000);
+
+const initialEnv = { ...process.env };
+const castId = String(new mongoose.Types.ObjectId());
+let mediaRoot;
+
+// Cast.findById(...).select(...).lean() resolving to `cast`.
+const findCast = (cast) => jest.spyOn(Cast, 'findById').mockReturnValue({
+  select: () => ({ lean: async () => cast }),
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+beforeAll(() => {
+  mediaRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'brightminds-hls-'));
+  loadConfig({ env: { ...initialEnv, MEDIA_ROOT: mediaRoot, STORAGE_DRIVER: 'local' } });
+  fs.mkdirSync(path.join(mediaRoot, 'cast_videos'));
+  execFileSync(ffmpegPath, [
+    '-loglevel', 'error',
+    '-f', 'lavfi', '-i', 'testsrc=size=640x400:rate=25',
+    '-f', 'lavfi', '-i', 'sine',
+    '-t', '2', '-pix_fmt', 'yuv420p',
+    path.join(mediaRoot, 'cast_videos', 'cast_1.mp4'),
+  ]);
+});
+
+afterAll(() => {
+  fs.rmSync(mediaRoot, { recursive: true, force: true });
+  loadConfig({ env: initialEnv });
+});
+
+test('new casts start with every rendition pending', () => {
+  expect(pendingRenditions()).toEqual([
+    { name: '360p', height: 360, bandwidth: 896000, status: 'pending' },
+    { name: '720p', height: 720, bandwidth: 2928000, status: 'pending' },
+    { name: '1080p', height: 1080, bandwidth: 5192000, status: 'pending' },
+  ]);
+});
+
+test('a video is transcoded into the renditions up to its height, with a master playlist', async () => {
+  const statuses = [];
+  const prefix = streamPrefix(castId);
+
+  const produced = await transcodeToHls('cast_videos/cast_1.mp4', prefix, async (name, status) => {
+    statuses.push(`${name}:${status}`);
+  });
+
+  expect(produced).toEqual([{ name: '360p', width: 576, height: 360, bandwidth: 896000 }]);
+  expect(statuses).toEqual(['360p:processing', '360p:completed', '720p:skipped', '1080p:skipped']);
+
+  const storage = getStorage();
+  const master = fs.readFileSync(storage.localPath(`${prefix}master.m3u8`), 'utf8');
+  expect(master).toContain('#EXT-X-STREAM-INF:BANDWIDTH=896000,RESOLUTION=576x360\n360p/index.m3u8');
+  const playlist = fs.readFileSync(storage.localPath(`${prefix}360p/index.m3u8`), 'utf8');
+  expect(playlist).toContain('#EXT-X-ENDLIST');
+  expect(await storage.exists(`${prefix}360p/segment_000.ts`)).toBe(true);
+  expect(await storage.exists(`${prefix}720p/index.m3u8`)).toBe(false);
+});
+
+test('the HLS files are served from the media route to the readers of the cast', async () => {
+  const app = express();
+  app.use('/backend/media', mediaRoutes);
+  app.use(errorHandler);
+  const base = `/backend/media/cast_streams/${castId}`;
+
+  findCast({ brightmindid: 'author', status: 'published', visibility: 'public' });
+  const master = await request(app).get(`${base}/master.m3u8`).expect(200);
+  expect(master.headers['content-type']).toContain('application/vnd.apple.mpegurl');
+  await request(app).get(`${base}/360p/segment_000.ts`).expect(200);
+  await request(app).get(`${base}/720p/index.m3u8`).expect(404);
+  await request(app).get(`${base}/..%2F..%2Fcast_videos/cast_1.mp4`).expect(404);
+
+  findCast({ brightmindid: 'author', status: 'published', visibility: 'private' });
+  await request(app).get(`${base}/master.m3u8`).expect(404);
+  findCast(null);
+  await request(app).get(`${base}/360p/segment_000.ts`).expect(404);
+});
+
+test('a job whose video was replaced leaves the cast alone', async () => {
+  findCast({ casturl: '/backend/media/cast_videos/cast_2.mp4' });
+  const update = jest.spyOn(Cast, 'updateOne');
+
+  await expect(transcodeCast(castId, 'cast_videos/cast_1.mp4')).resolves.toBeNull();
+  expect(update).not.toHaveBeenCalled();
+  expect(await getStorage().exists(`${streamPrefix(castId)}master.m3u8`)).toBe(true);
+});
@@ -0,0 +1,65 @@
+process.env.NODE_ENV = 'test';
+process.env.LOG_LEVEL = 'info';
+
+const express = require('express');
+const multer = require('multer');
+const request = require('supertest');
+const { logger, withLogContext, bindLogContext, jobLogFields } = require('../backend/logger.js');
+const { requestId } = require('../backend/request_id.js');
+
+let entries;
+
+beforeEach(() => {
+  entries = [];
+  const capture = (chunk) => {
+    entries.push(JSON.parse(chunk));
+    return true;
+  };
+  jest.spyOn(process.stdout, 'write').mockImplementation(capture);
+  jest.spyOn(process.stderr, 'write').mockImplementation(capture);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('entries are JSON lines with level, context and serialized errors', async () => {
+  logger.debug('Below the configured level');
+  await withLogContext({ requestId: 'req-1' }, async () => {
+    await Promise.resolve();
+    logger.child({ castId: 'cast-1' }).error('Transcription failed', { error: new Error('ffmpeg exited') });
+  });
+  logger.info('Outside any context');
+
+  expect(entries).toHaveLength(2);
+  expect(entries[0]).toMatchObject({
+    level: 'error',
+    msg: 'Transcription failed',
+    requestId: 'req-1',
+    castId: 'cast-1',
+    error: { name: 'Error', message: 'ffmpeg exited' },
+  });
+  expect(entries[0].time).toEqual(expect.any(String));
+  expect(entries[1].requestId).toBeUndefined();
+});
+
+test('the request id reaches handlers placed after multer and queued job data', async () => {
+  const queued = [];
+  const app = express();
+  app.use(requestId);
+  app.post('/upload', bindLogContext(multer({ storage: multer.memoryStorage() }).single('file')), async (req, res) => {
+    await Promise.resolve();
+    logger.info('Upload received', { size: req.file.size });
+    queued.push({ id: 7, queue: { name: 'castQueue' }, data: { castId: 'cast-1', requestId: req.id } });
+    res.status(201).end();
+  });
+
+  await request(app)
+    .post('/upload')
+    .set('X-Request-Id', 'trace-42')
+    .attach('file', Buffer.from('video'), 'cast.mp4')
+    .expect(201);
+
+  expect(entries).toEqual([expect.objectContaining({ msg: 'Upload received', requestId: 'trace-42', size: 5 })]);
+  expect(jobLogFields(queued[0])).toEqual({ queue: 'castQueue', jobId: 7, requestId: 'trace-42' });
+});
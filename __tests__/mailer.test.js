@@ -0,0 +1,44 @@
+process.env.NODE_ENV = 'test';
+delete process.env.MAIL_TRANSPORT;
+
+const { sendTemplatedEmail, getOutbox, clearOutbox } = require('../backend/mailer.js');
+const { renderEmail } = require('../backend/email_templates');
+
+afterEach(() => {
+  clearOutbox();
+});
+
+test('the json transport captures messages instead of sending them', async () => {
+  await sendTemplatedEmail({
+    to: 'student@example.com',
+    template: 'verification',
+    locale: 'en',
+    data: { verificationUrl: 'http://localhost:3000/user/confirmation/abc' },
+  });
+
+  const outbox = getOutbox();
+  expect(outbox).toHaveLength(1);
+  expect(outbox[0].to[0].address).toBe('student@example.com');
+  expect(outbox[0].subject).toBe('Account Verification - BrightMinds Research');
+  expect(outbox[0].html).toContain('http://localhost:3000/user/confirmation/abc');
+  expect(outbox[0].text).toContain('Verify Email: http://localhost:3000/user/confirmation/abc');
+});
+
+test('templates are localized and fall back to English', () => {
+  const data = { username: 'Ada', resetUrl: 'http://localhost:3000/user/reset-password/xyz' };
+
+  expect(renderEmail('passwordReset', 'fr', data).subject).toBe('Réinitialisation du mot de passe - BrightMinds Research');
+  expect(renderEmail('passwordReset', 'de', data).subject).toBe('Password Reset - BrightMinds Research');
+  expect(renderEmail('passwordReset', undefined, data).html).toContain('<html lang="en">');
+});
+
+test('template values are escaped in the html part only', () => {
+  const email = renderEmail('passwordReset', 'en', {
+    username: '<script>alert(1)</script>',
+    resetUrl: 'http://localhost:3000/user/reset-password/xyz',
+  });
+
+  expect(email.html).not.toContain('<script>');
+  expect(email.html).toContain('&lt;script&gt;');
+  expect(email.text).toContain('Hello <script>alert(1)</script>,');
+});
@@ -0,0 +1,131 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Cast = require('../models/cast_model.js');
+const { DEFAULT_LIMIT } = require('../backend/pagination.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const createCasts = (count) => Cast.insertMany(
+  Array.from({ length: count }, (_, index) => ({
+    title: `Cast ${index}`,
+    description: 'Test description',
+    department: 'Physics',
+    brightmindid: new mongoose.Types.ObjectId().toString(),
+    casturl: 'http://example.com/no-video',
+    castimageurl: 'http://example.com/no-image',
+    university: 'Test University',
+    category: 'Test Category',
+    visibility: 'public',
+    topic: 'Test Topic',
+    dateadded: new Date(2024, 0, index + 1),
+  }))
+);
+
+test('lists return their first page without limit, leaving out heavy fields', async () => {
+  await createCasts(DEFAULT_LIMIT + 1);
+
+  const response = await request(app).get('/cast');
+
+  expect(response.status).toBe(200);
+  expect(response.body.items).toHaveLength(DEFAULT_LIMIT);
+  expect(response.body.nextCursor).toEqual(expect.any(String));
+  expect(response.body.items[0]).toHaveProperty('title');
+  expect(response.body.items[0]).not.toHaveProperty('description');
+  expect(response.body.items[0]).not.toHaveProperty('evaluation');
+
+  const withDescription = await request(app).get('/cast?fields=title,description&limit=1');
+  expect(Object.keys(withDescription.body.items[0]).sort()).toEqual(['_id', 'description', 'title']);
+});
+
+test('cursor pagination walks every item once in sort order', async () => {
+  await createCasts(5);
+
+  const first = await request(app).get('/cast?limit=2&sort=-dateadded&fields=title&count=true');
+  expect(first.status).toBe(200);
+  expect(first.body.total).toBe(5);
+  expect(first.body.items.map((cast) => cast.title)).toEqual(['Cast 4', 'Cast 3']);
+  expect(Object.keys(first.body.items[0]).sort()).toEqual(['_id', 'title']);
+
+  const second = await request(app).get(`/cast?limit=2&sort=-dateadded&fields=title&cursor=${first.body.nextCursor}`);
+  const third = await request(app).get(`/cast?limit=2&sort=-dateadded&fields=title&cursor=${second.body.nextCursor}`);
+
+  expect(second.body.items.map((cast) => cast.title)).toEqual(['Cast 2', 'Cast 1']);
+  expect(third.body.items.map((cast) => cast.title)).toEqual(['Cast 0']);
+  expect(third.body.nextCursor).toBeNull();
+});
+
+test('cursor pagination goes through items without a sort value', async () => {
+  const casts = await createCasts(6);
+  await Cast.updateMany({ _id: { $in: casts.slice(0, 3).map((cast) => cast._id) } }, { $unset: { 'trending.score': 1 } });
+  await Cast.updateOne({ _id: casts[3]._id }, { 'trending.score': 2 });
+  await Cast.updateOne({ _id: casts[4]._id }, { 'trending.score': 5 });
+
+  const walk = async (sort) => {
+    const titles = [];
+    let cursor;
+    do {
+      const page = await request(app)
+        .get('/cast')
+        .query({ limit: 2, sort, fields: 'title', ...(cursor ? { cursor } : {}) })
+        .expect(200);
+      titles.push(...page.body.items.map((cast) => cast.title));
+      cursor = page.body.nextCursor;
+    } while (cursor);
+    return titles;
+  };
+
+  // Missing scores sort first, then 0, 2 and 5.
+  expect(await walk('trending.score')).toEqual(['Cast 0', 'Cast 1', 'Cast 2', 'Cast 5', 'Cast 3', 'Cast 4']);
+  expect(await walk('-trending.score')).toEqual(['Cast 4', 'Cast 3', 'Cast 5', 'Cast 2', 'Cast 1', 'Cast 0']);
+});
+
+test('invalid pagination parameters are rejected', async () => {
+  const badSort = await request(app).get('/cast?sort=password');
+  const badFields = await request(app).get('/user?fields=password');
+  const badCursor = await request(app).get('/cast?cursor=not-a-cursor');
+
+  expect(badSort.status).toBe(400);
+  expect(badFields.status).toBe(400);
+  expect(badCursor.status).toBe(400);
+});
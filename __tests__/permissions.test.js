@@ -0,0 +1,136 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const User = require('../models/user_model.js');
+const Topic = require('../models/topic_model.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const createUser = (overrides = {}) => User.create({
+  email: `${new mongoose.Types.ObjectId()}@example.com`,
+  password: 'hashed-password',
+  username: 'testuser',
+  role: 'College Student',
+  profilePictureUrl: 'http://example.com/profile.png',
+  ...overrides
+});
+
+test('updating a topic is restricted to staff', async () => {
+  const reader = await createUser();
+  const moderator = await createUser({ platformRole: 'moderator' });
+  const topic = await Topic.create({ name: 'Quantum Mechanics', departmentName: 'Physics' });
+
+  await request(app)
+    .put(`/topic/${topic._id.toString()}`)
+    .set('Authorization', `Bearer ${signToken(reader._id)}`)
+    .send({ name: 'Renamed' })
+    .expect(403);
+
+  await request(app)
+    .put(`/topic/${topic._id.toString()}`)
+    .set('Authorization', `Bearer ${signToken(moderator._id)}`)
+    .send({ name: 'Renamed' })
+    .expect(200);
+
+  const updatedTopic = await Topic.findById(topic._id).lean();
+  expect(updatedTopic.name).toBe('Renamed');
+});
+
+test('publishing a cast requires an academic publisher role or a publisher grant', async () => {
+  const student = await createUser();
+
+  await request(app)
+    .post('/cast')
+    .set('Authorization', `Bearer ${signToken(student._id)}`)
+    .expect(403);
+});
+
+test('only admins can grant platform roles', async () => {
+  const admin = await createUser({ platformRole: 'admin' });
+  const moderator = await createUser({ platformRole: 'moderator' });
+  const student = await createUser();
+
+  await request(app)
+    .put(`/user/${student._id.toString()}/platform/role`)
+    .set('Authorization', `Bearer ${signToken(moderator._id)}`)
+    .send({ platformRole: 'publisher' })
+    .expect(403);
+
+  await request(app)
+    .put(`/user/${student._id.toString()}/platform/role`)
+    .set('Authorization', `Bearer ${signToken(admin._id)}`)
+    .send({ platformRole: 'publisher' })
+    .expect(200);
+
+  const updatedStudent = await User.findById(student._id).lean();
+  expect(updatedStudent.platformRole).toBe('publisher');
+});
+
+test('users cannot give themselves a publishing academic role', async () => {
+  const admin = await createUser({ platformRole: 'admin' });
+  const student = await createUser();
+
+  await request(app)
+    .put(`/user/${student._id.toString()}`)
+    .set('Authorization', `Bearer ${signToken(student._id)}`)
+    .field('user', JSON.stringify({ username: 'renamed', role: 'Professor', castPublications: [String(admin._id)] }))
+    .expect(200);
+  let updatedStudent = await User.findById(student._id).lean();
+  expect(updatedStudent).toMatchObject({ username: 'renamed', role: 'College Student', castPublications: [] });
+
+  await request(app)
+    .put(`/user/${student._id.toString()}/role`)
+    .set('Authorization', `Bearer ${signToken(student._id)}`)
+    .send({ role: 'Professor' })
+    .expect(403);
+  await request(app)
+    .put(`/user/${student._id.toString()}/role`)
+    .set('Authorization', `Bearer ${signToken(admin._id)}`)
+    .send({ role: 'Professor' })
+    .expect(200);
+  updatedStudent = await User.findById(student._id).lean();
+  expect(updatedStudent.role).toBe('Professor');
+});
@@ -0,0 +1,188 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Article = require('../models/article_model.js');
+const Cast = require('../models/cast_model.js');
+const User = require('../models/user_model.js');
+const { publishDueContent } = require('../backend/publication.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const createUser = (username, platformRole = 'reader') => User.create({
+  email: `${username}@example.com`,
+  password: 'hashed-password',
+  username,
+  role: 'Professor',
+  platformRole,
+  profilePictureUrl: 'http://example.com/profile.png'
+});
+
+const createDraft = (author, extra = {}) => Cast.create({
+  title: 'Draft cast',
+  description: 'Test description',
+  department: 'Physics',
+  brightmindid: String(author._id),
+  casturl: 'http://example.com/no-video',
+  university: 'Test University',
+  category: 'Test Category',
+  visibility: 'public',
+  topic: 'Test Topic',
+  status: 'draft',
+  ...extra
+});
+
+const post = (path, user, body = {}) => request(app)
+  .post(path)
+  .set('Authorization', `Bearer ${signToken(user._id)}`)
+  .send(body);
+
+test('a draft goes live only after processing, review and approval', async () => {
+  const author = await createUser('author');
+  const moderator = await createUser('moderator', 'moderator');
+  const cast = await createDraft(author, { processing: 'pending' });
+
+  const tooEarly = await post(`/cast/${cast._id}/submit`, author);
+  expect(tooEarly.status).toBe(409);
+
+  await Cast.updateOne({ _id: cast._id }, { processing: 'completed' });
+  const submitted = await post(`/cast/${cast._id}/submit`, author);
+  expect(submitted.status).toBe(200);
+  expect(submitted.body.status).toBe('in_review');
+
+  const hidden = await request(app).get('/cast');
+  expect(hidden.body.items).toHaveLength(0);
+
+  const byAuthor = await post(`/cast/${cast._id}/approve`, author);
+  expect(byAuthor.status).toBe(403);
+
+  const approved = await post(`/cast/${cast._id}/approve`, moderator);
+  expect(approved.status).toBe(200);
+  expect(approved.body.status).toBe('published');
+
+  const visible = await request(app).get('/cast');
+  expect(visible.body.items.map((item) => item.title)).toEqual(['Draft cast']);
+});
+
+test('rejected items return to draft with the review note', async () => {
+  const author = await createUser('author');
+  const moderator = await createUser('moderator', 'moderator');
+  const cast = await createDraft(author);
+
+  await post(`/cast/${cast._id}/submit`, author);
+  const rejected = await post(`/cast/${cast._id}/reject`, moderator, { reason: 'Missing sources.' });
+
+  expect(rejected.status).toBe(200);
+  const stored = await Cast.findById(cast._id).lean();
+  expect(stored.status).toBe('draft');
+  expect(stored.review.note).toBe('Missing sources.');
+});
+
+test('approved items with a future publishAt are published by the scheduler', async () => {
+  const author = await createUser('author');
+  const moderator = await createUser('moderator', 'moderator');
+  const cast = await createDraft(author);
+  const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+
+  await post(`/cast/${cast._id}/submit`, author, { publishAt: publishAt.toISOString() });
+  const approved = await post(`/cast/${cast._id}/approve`, moderator);
+  expect(approved.body.status).toBe('scheduled');
+
+  await publishDueContent(new Date());
+  expect((await Cast.findById(cast._id).lean()).status).toBe('scheduled');
+
+  await publishDueContent(new Date(publishAt.getTime() + 1000));
+  const published = await Cast.findById(cast._id).lean();
+  expect(published.status).toBe('published');
+  expect(published.publishedAt).toEqual(publishAt);
+});
+
+test('editing the content of a published item sends it back to draft', async () => {
+  const author = await createUser('author');
+  const cast = await createDraft(author, { status: 'published', department: 'PhysicsandAstronomy' });
+  const castFields = {
+    title: cast.title,
+    description: cast.description,
+    department: cast.department,
+    university: cast.university,
+    category: cast.category,
+    visibility: 'public',
+    topic: cast.topic
+  };
+  const putCast = (fields) => request(app)
+    .put(`/cast/${cast._id}`)
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .field('cast', JSON.stringify({ ...castFields, ...fields }));
+
+  const audience = await putCast({ visibility: 'private' });
+  expect(audience.status).toBe(200);
+  expect(audience.body.status).toBe('published');
+
+  const edited = await putCast({ title: 'Edited cast' });
+  expect(edited.status).toBe(200);
+  expect(edited.body.status).toBe('draft');
+  expect((await request(app).get('/cast')).body.items).toHaveLength(0);
+
+  const article = await Article.create({
+    title: 'Published article',
+    department: 'PhysicsandAstronomy',
+    brightmindid: String(author._id),
+    description: 'Test description',
+    articleimageurl: 'http://example.com/article.png',
+    university: 'Test University',
+    category: 'Test Category',
+    visibility: 'public',
+    topic: 'Test Topic',
+    status: 'scheduled',
+    publishAt: new Date(Date.now() + 60 * 60 * 1000)
+  });
+  const editedArticle = await request(app)
+    .put(`/article/${article._id}`)
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .send({ department: 'PhysicsandAstronomy', description: 'Rewritten' });
+  expect(editedArticle.status).toBe(201);
+  expect(editedArticle.body.status).toBe('draft');
+  expect((await Article.findById(article._id).lean()).status).toBe('draft');
+});
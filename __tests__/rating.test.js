@@ -0,0 +1,136 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Cast = require('../models/cast_model.js');
+const RatingVote = require('../models/rating_vote_model.js');
+const { foldLegacyRatings } = require('../backend/rating.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const createCast = () => Cast.create({
+  title: 'Rated cast',
+  description: 'Test description',
+  department: 'Physics',
+  brightmindid: new mongoose.Types.ObjectId().toString(),
+  casturl: 'http://example.com/no-video',
+  university: 'Test University',
+  category: 'Test Category',
+  visibility: 'public',
+  topic: 'Test Topic'
+});
+
+const vote = (castId, userId, action) => request(app)
+  .post(`/cast/${castId}/rating`)
+  .set('Authorization', `Bearer ${signToken(userId)}`)
+  .send({ action });
+
+test('each user has a single vote that can be changed and withdrawn', async () => {
+  const cast = await createCast();
+  const alice = new mongoose.Types.ObjectId();
+  const bob = new mongoose.Types.ObjectId();
+
+  await vote(cast._id, alice, '+');
+  await vote(cast._id, alice, '+');
+  const afterBob = await vote(cast._id, bob, '-');
+
+  expect(afterBob.status).toBe(200);
+  expect(afterBob.body.rating.count).toBe(2);
+  expect(afterBob.body.rating.value).toBe(5);
+
+  const changed = await vote(cast._id, bob, '+');
+  expect(changed.body.rating).toEqual({ value: 10, count: 2, bayesian: (5 * 5 + 20) / 7 });
+
+  const withdrawn = await request(app)
+    .delete(`/cast/${cast._id}/rating`)
+    .set('Authorization', `Bearer ${signToken(alice)}`);
+  expect(withdrawn.status).toBe(200);
+  expect(withdrawn.body.rating.count).toBe(1);
+
+  const history = await RatingVote.findOne({ contentId: cast._id, userId: bob }).lean();
+  expect(history.history.map((entry) => entry.action)).toEqual(['-', '+']);
+});
+
+test('ratings counted before per-user votes are folded in once', async () => {
+  const cast = await createCast();
+  // As stored by the anonymous +/- endpoint: a running average that started as one vote of 5.
+  await Cast.collection.updateOne({ _id: cast._id }, {
+    $set: { 'rating.value': 7.5, 'rating.count': 4 },
+    $unset: { 'rating.bayesian': '', 'rating.legacyVotes': '', 'rating.legacyTotal': '' }
+  });
+
+  await expect(foldLegacyRatings()).resolves.toBe(1);
+  const folded = await Cast.findById(cast._id).lean();
+  expect(folded.rating).toEqual({ value: 25 / 3, count: 3, bayesian: (5 * 5 + 25) / 8, legacyVotes: 3, legacyTotal: 25 });
+
+  const voted = await vote(cast._id, new mongoose.Types.ObjectId(), '+');
+  expect(voted.body.rating).toEqual({ value: 35 / 4, count: 4, bayesian: (5 * 5 + 35) / 9 });
+  await expect(foldLegacyRatings()).resolves.toBe(0);
+});
+
+test('rating lookup includes the caller vote', async () => {
+  const cast = await createCast();
+  const alice = new mongoose.Types.ObjectId();
+  await vote(cast._id, alice, '-');
+
+  const anonymous = await request(app).get(`/cast/${cast._id}/rating`);
+  const own = await request(app)
+    .get(`/cast/${cast._id}/rating`)
+    .set('Authorization', `Bearer ${signToken(alice)}`);
+
+  expect(anonymous.body.userVote).toBeNull();
+  expect(own.body.userVote).toBe('-');
+  expect(own.body.rating.value).toBe(0);
+});
+
+test('voting requires authentication and a valid action', async () => {
+  const cast = await createCast();
+
+  const anonymous = await request(app).post(`/cast/${cast._id}/rating`).send({ action: '+' });
+  const invalid = await vote(cast._id, new mongoose.Types.ObjectId(), 'up');
+
+  expect(anonymous.status).toBe(401);
+  expect(invalid.status).toBe(400);
+});
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+// Read when app.js loads the configuration.
+process.env.MEDIA_ROOT = fs.mkdtempSync(path.join(os.tmpdir(), 'brightminds-upload-test-'));
+
+const User = require('../models/user_model.js');
+const UploadSession = require('../models/upload_session_model.js');
+const { assembleUpload, purgeExpiredUploads } = require('../backend/resumable_upload.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+  fs.rmSync(process.env.MEDIA_ROOT, { recursive: true, force: true });
+});
+
+const createUser = (username, role = 'Professor') => User.create({
+  email: `${username}@example.com`,
+  password: 'hashed-password',
+  username,
+  role,
+  profilePictureUrl: 'http://example.com/profile.png',
+  preferences: [{ category: 'Physics', weight: 1, count: 2 }]
+});
+
+// An MP4 signature (read from the first chunk) followed by filler bytes.
+const VIDEO = Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypmp42'), Buffer.alloc(20, 1)]);
+
+const openUpload = (user, body = {}) => request(app)
+  .post('/cast/uploads')
+  .set('Authorization', `Bearer ${signToken(user._id)}`)
+  .send({
+    filename: 'lecture.mp4',
+    mimeType: 'video/mp4',
+    size: VIDEO.length,
+    checksum: crypto.createHash('sha256').update(VIDEO).digest('hex'),
+    ...body,
+  });
+
+const sendChunk = (user, uploadId, offset, chunk, checksum = crypto.createHash('sha256').update(chunk).digest('base64')) => request(app)
+  .patch(`/cast/uploads/${uploadId}`)
+  .set('Authorization', `Bearer ${signToken(user._id)}`)
+  .set('Content-Type', 'application/offset+octet-stream')
+  .set('Upload-Offset', String(offset))
+  .set('Upload-Checksum', `sha256 ${checksum}`)
+  .send(chunk);
+
+test('a video sent in chunks can be resumed and is assembled once complete', async () => {
+  const user = await createUser('uploader');
+  const opened = await openUpload(user).expect(201);
+  const { uploadId } = opened.body;
+  expect(opened.body).toMatchObject({ offset: 0, size: VIDEO.length, status: 'uploading' });
+
+  const first = VIDEO.subarray(0, 16);
+  const rest = VIDEO.subarray(16);
+  const corrupted = await sendChunk(user, uploadId, 0, first, crypto.createHash('sha256').update('other').digest('base64')).expect(400);
+  expect(corrupted.body.error.code).toBe('CHECKSUM_MISMATCH');
+  const skipped = await sendChunk(user, uploadId, 16, rest).expect(409);
+  expect(skipped.body.error.details).toEqual({ offset: 0 });
+
+  const stored = await sendChunk(user, uploadId, 0, first).expect(200);
+  expect(stored.headers['upload-offset']).toBe('16');
+  await sendChunk(user, uploadId, 0, first).expect(409);
+
+  const status = await request(app)
+    .get(`/cast/uploads/${uploadId}`)
+    .set('Authorization', `Bearer ${signToken(user._id)}`)
+    .expect(200);
+  expect(status.headers['upload-offset']).toBe('16');
+
+  const incomplete = await request(app)
+    .post(`/cast/uploads/${uploadId}/complete`)
+    .set('Authorization', `Bearer ${signToken(user._id)}`)
+    .send({ cast: { title: 'Chunked lecture' } })
+    .expect(400);
+  expect(incomplete.body.error.code).toBe('UPLOAD_INCOMPLETE');
+
+  await sendChunk(user, uploadId, 16, rest).expect(200);
+  const videoKey = await assembleUpload(await UploadSession.findById(uploadId));
+  expect(fs.readFileSync(path.join(process.env.MEDIA_ROOT, videoKey))).toEqual(VIDEO);
+  expect(fs.existsSync(path.join(process.env.MEDIA_ROOT, 'upload_chunks', uploadId))).toBe(false);
+});
+
+test('sessions belong to their user, accept only videos and expire', async () => {
+  const user = await createUser('uploader');
+  const other = await createUser('other');
+
+  await openUpload(user, { mimeType: 'application/pdf' }).expect(415);
+  const tooLarge = await openUpload(user, { size: 1024 * 1024 * 1024 * 1024 }).expect(413);
+  expect(tooLarge.body.error.code).toBe('FILE_TOO_LARGE');
+  const { body } = await openUpload(user).expect(201);
+
+  await request(app)
+    .get(`/cast/uploads/${body.uploadId}`)
+    .set('Authorization', `Bearer ${signToken(other._id)}`)
+    .expect(404);
+  await request(app)
+    .patch(`/cast/uploads/${body.uploadId}`)
+    .set('Authorization', `Bearer ${signToken(user._id)}`)
+    .send({ chunk: 'json' })
+    .expect(415);
+
+  const notVideo = await sendChunk(user, body.uploadId, 0, Buffer.from('%PDF-1.7 pretending to be a video')).expect(415);
+  expect(notVideo.body.error.code).toBe('UNSUPPORTED_FILE_TYPE');
+
+  await sendChunk(user, body.uploadId, 0, VIDEO.subarray(0, 16)).expect(200);
+  await UploadSession.updateOne({ _id: body.uploadId }, { expiresAt: new Date(Date.now() - 1000) });
+  expect(await purgeExpiredUploads()).toBe(1);
+  expect(fs.existsSync(path.join(process.env.MEDIA_ROOT, 'upload_chunks', body.uploadId))).toBe(false);
+  expect(await UploadSession.countDocuments()).toBe(0);
+});
@@ -0,0 +1,127 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Cast = require('../models/cast_model.js');
+const Article = require('../models/article_model.js');
+const Topic = require('../models/topic_model.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+beforeEach(async () => {
+  // dropDatabase() in afterEach also drops the text indexes.
+  await Promise.all([Cast.createIndexes(), Article.createIndexes(), Topic.createIndexes()]);
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const castDefaults = {
+  department: 'Physics',
+  brightmindid: new mongoose.Types.ObjectId().toString(),
+  casturl: 'http://example.com/no-video',
+  university: 'Test University',
+  category: 'Test Category',
+  visibility: 'public',
+  topic: 'Test Topic'
+};
+
+const articleDefaults = {
+  department: 'Physics',
+  brightmindid: new mongoose.Types.ObjectId().toString(),
+  articleimageurl: 'http://example.com/no-image',
+  university: 'Other University',
+  category: 'Test Category',
+  visibility: 'public',
+  duration: 5,
+  topic: 'Test Topic'
+};
+
+test('search requires a query', async () => {
+  const response = await request(app).get('/search');
+
+  expect(response.status).toBe(400);
+});
+
+test('search ranks title matches first and highlights snippets', async () => {
+  await Cast.create({
+    ...castDefaults,
+    title: 'Introduction to quantum computing',
+    description: 'A short walk through qubits.'
+  });
+  await Article.create({
+    ...articleDefaults,
+    title: 'Lab notes',
+    description: 'We briefly mention quantum effects in <b>semiconductors</b>.'
+  });
+  await Topic.create({ name: 'Quantum mechanics', departmentName: 'Physics' });
+  await Cast.create({ ...castDefaults, title: 'Unrelated cast', description: 'Nothing to see.' });
+
+  const response = await request(app).get('/search?q=quantum');
+
+  expect(response.status).toBe(200);
+  expect(response.body.count).toBe(3);
+  expect(response.body.results[0].type).toBe('cast');
+  const article = response.body.results.find((result) => result.type === 'article');
+  expect(article.highlights.description).toContain('<mark>quantum</mark>');
+  expect(article.highlights.description).toContain('&lt;b&gt;');
+});
+
+test('search filters by type, university and date range', async () => {
+  await Cast.create({
+    ...castDefaults,
+    title: 'Old neutrino talk',
+    dateadded: new Date('2020-01-01')
+  });
+  await Cast.create({
+    ...castDefaults,
+    title: 'Recent neutrino talk',
+    dateadded: new Date('2024-06-01')
+  });
+  await Article.create({ ...articleDefaults, title: 'Neutrino paper', description: 'Neutrino oscillations.' });
+  await Topic.create({ name: 'Neutrino physics', departmentName: 'Physics' });
+
+  const byType = await request(app).get('/search?q=neutrino&type=topic');
+  const byUniversity = await request(app).get('/search?q=neutrino&university=Other%20University');
+  const byDate = await request(app).get('/search?q=neutrino&type=cast&from=2024-01-01');
+
+  expect(byType.body.results.map((result) => result.title)).toEqual(['Neutrino physics']);
+  expect(byUniversity.body.results.map((result) => result.title)).toEqual(['Neutrino paper']);
+  expect(byDate.body.results.map((result) => result.title)).toEqual(['Recent neutrino talk']);
+});
@@ -0,0 +1,247 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const User = require('../models/user_model.js');
+const Session = require('../models/session_model.js');
+const loginGuard = require('../backend/login_guard.js');
+const { getOutbox, clearOutbox } = require('../backend/mailer.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  loginGuard.resetAllAttempts();
+  clearOutbox();
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const PASSWORD = 'correct horse battery staple';
+
+const createVerifiedUser = async () => User.create({
+  email: 'session.user@example.com',
+  password: await bcrypt.hash(PASSWORD, 10),
+  username: 'sessionuser',
+  role: 'College Student',
+  profilePictureUrl: 'http://example.com/profile.png',
+  isVerified: true
+});
+
+const login = (deviceId) => request(app)
+  .post('/user/login')
+  .send({ email: 'session.user@example.com', password: PASSWORD, deviceId })
+  .expect(200);
+
+test('refresh tokens rotate and a reused token revokes the session', async () => {
+  await createVerifiedUser();
+  const { body: loginBody } = await login('phone');
+  expect(loginBody.token).toBeDefined();
+  expect(loginBody.refreshToken).toBeDefined();
+
+  const { body: refreshed } = await request(app)
+    .post('/user/token/refresh')
+    .send({ refreshToken: loginBody.refreshToken })
+    .expect(200);
+  expect(refreshed.refreshToken).not.toBe(loginBody.refreshToken);
+
+  await request(app)
+    .post('/user/token/refresh')
+    .send({ refreshToken: loginBody.refreshToken })
+    .expect(401);
+
+  // Reusing the rotated token revoked the session, so the latest token is dead too.
+  await request(app)
+    .post('/user/token/refresh')
+    .send({ refreshToken: refreshed.refreshToken })
+    .expect(401);
+});
+
+test('logout revokes one device and logout-all revokes every device', async () => {
+  const user = await createVerifiedUser();
+  const { body: phone } = await login('phone');
+  const { body: laptop } = await login('laptop');
+  const { body: tablet } = await login('tablet');
+  expect(await Session.countDocuments({ userId: user._id })).toBe(3);
+
+  await request(app)
+    .post('/user/logout')
+    .set('Authorization', `Bearer ${phone.token}`)
+    .send({ refreshToken: phone.refreshToken })
+    .expect(200);
+
+  await request(app)
+    .post('/user/token/refresh')
+    .send({ refreshToken: phone.refreshToken })
+    .expect(401);
+  expect(await Session.countDocuments({ userId: user._id })).toBe(2);
+
+  await request(app)
+    .post('/user/logout-all')
+    .set('Authorization', `Bearer ${laptop.token}`)
+    .expect(200);
+
+  await request(app)
+    .post('/user/token/refresh')
+    .send({ refreshToken: tablet.refreshToken })
+    .expect(401);
+  expect(await Session.countDocuments({ userId: user._id })).toBe(0);
+});
+
+test('login is refused until the email is verified', async () => {
+  const user = await createVerifiedUser();
+  user.isVerified = false;
+  await user.save();
+
+  const { body } = await request(app)
+    .post('/user/login')
+    .send({ email: 'session.user@example.com', password: PASSWORD })
+    .expect(403);
+
+  expect(body.error.code).toBe('EMAIL_NOT_VERIFIED');
+  expect(await Session.countDocuments({ userId: user._id })).toBe(0);
+});
+
+test('resending verification does not reveal whether an account exists', async () => {
+  const { body } = await request(app)
+    .post('/user/verification/resend')
+    .send({ email: 'nobody@example.com' })
+    .expect(200);
+
+  expect(body.message).toMatch(/If an unverified account exists/);
+});
+
+test('login failures use one generic message and are throttled progressively', async () => {
+  await createVerifiedUser();
+
+  const { body: unknownEmail } = await request(app)
+    .post('/user/login')
+    .send({ email: 'nobody@example.com', password: PASSWORD })
+    .expect(401);
+  loginGuard.resetAllAttempts();
+
+  const { body: wrongPassword } = await request(app)
+    .post('/user/login')
+    .send({ email: 'session.user@example.com', password: 'wrong password' })
+    .expect(401);
+  expect(wrongPassword.error.message).toBe(unknownEmail.error.message);
+
+  for (let attempt = 2; attempt <= 6; attempt += 1) {
+    await request(app)
+      .post('/user/login')
+      .send({ email: 'session.user@example.com', password: 'wrong password' })
+      .expect(401);
+  }
+
+  const throttled = await request(app)
+    .post('/user/login')
+    .send({ email: 'session.user@example.com', password: PASSWORD })
+    .expect(429);
+  expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+
+  const user = await User.findOne({ email: 'session.user@example.com' }).lean();
+  expect(user.failedLoginAttempts).toBe(6);
+});
+
+test('reset requests for an email do not throttle logins to that account', async () => {
+  await createVerifiedUser();
+
+  for (let attempt = 1; attempt <= 6; attempt += 1) {
+    await request(app)
+      .post('/user/reset-password-request')
+      .send({ email: 'session.user@example.com' });
+  }
+  const throttled = await request(app)
+    .post('/user/reset-password-request')
+    .send({ email: 'session.user@example.com' })
+    .expect(429);
+  expect(Number(throttled.headers['retry-after'])).toBeGreaterThan(0);
+
+  await request(app)
+    .post('/user/login')
+    .send({ email: 'session.user@example.com', password: PASSWORD })
+    .expect(200);
+});
+
+test('resending verification emails a fresh link in the user locale', async () => {
+  const user = await createVerifiedUser();
+  user.isVerified = false;
+  user.locale = 'fr';
+  await user.save();
+
+  await request(app)
+    .post('/user/verification/resend')
+    .send({ email: 'session.user@example.com' })
+    .expect(200);
+
+  const updatedUser = await User.findById(user._id).lean();
+  expect(updatedUser.verificationTokenExpires.getTime()).toBeGreaterThan(Date.now());
+
+  const [email] = getOutbox();
+  expect(email.subject).toBe('Vérification du compte - BrightMinds Research');
+  expect(email.text).toContain(`/user/confirmation/${updatedUser.verificationToken}`);
+
+  // During the cooldown the answer stays the same but nothing is sent.
+  await request(app)
+    .post('/user/verification/resend')
+    .send({ email: 'session.user@example.com' })
+    .expect(200);
+  expect(getOutbox()).toHaveLength(1);
+});
+
+test('changing the email address requires verifying it again', async () => {
+  const user = await createVerifiedUser();
+  const token = (await login('phone')).body.token;
+
+  const { body } = await request(app)
+    .put(`/user/${user._id}`)
+    .set('Authorization', `Bearer ${token}`)
+    .field('user', JSON.stringify({ email: 'new.address@example.com' }))
+    .expect(200);
+  expect(body.user.verificationToken).toBeUndefined();
+
+  const updatedUser = await User.findById(user._id).lean();
+  expect(updatedUser).toMatchObject({ email: 'new.address@example.com', isVerified: false });
+  const [email] = getOutbox();
+  expect(email.to[0].address).toBe('new.address@example.com');
+  expect(email.text).toContain(`/user/confirmation/${updatedUser.verificationToken}`);
+
+  await request(app)
+    .post('/user/login')
+    .send({ email: 'new.address@example.com', password: PASSWORD })
+    .expect(403);
+});
@@ -0,0 +1,104 @@
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const express = require('express');
+const multer = require('multer');
+const request = require('supertest');
+const { config, loadConfig } = require('../backend/config.js');
+const { getStorage, mediaSource, multerStorage } = require('../backend/storage');
+const { createS3Storage } = require('../backend/storage/s3.js');
+const { deleteFile } = require('../controllers/fileHelper.js');
+const media_controller = require('../controllers/media_controller.js');
+const { errorHandler } = require('../backend/errors.js');
+
+const initialEnv = { ...process.env };
+let mediaRoot;
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString();
+};
+
+beforeEach(() => {
+  mediaRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'brightminds-media-'));
+  loadConfig({ env: { ...initialEnv, MEDIA_ROOT: mediaRoot, STORAGE_DRIVER: 'local' } });
+});
+
+afterEach(() => {
+  fs.rmSync(mediaRoot, { recursive: true, force: true });
+  loadConfig({ env: initialEnv });
+});
+
+test('the local storage uploads, streams, signs and removes files under the media root', async () => {
+  const storage = getStorage();
+
+  await expect(storage.upload('cast_subtitles/cast-1.srt', '1\n00:00:00,000 --> 00:00:01,000\nHello\n')).resolves
+    .toEqual({ key: 'cast_subtitles/cast-1.srt', size: 38 });
+  await storage.upload('cast_images/cast-1.jpg', Readable.from([Buffer.from('jp'), Buffer.from('eg')]));
+
+  expect(await storage.exists('cast_images/cast-1.jpg')).toBe(true);
+  expect(await readAll(await storage.stream('cast_images/cast-1.jpg'))).toBe('jpeg');
+  expect(await mediaSource('cast_images/cast-1.jpg')).toBe(path.join(mediaRoot, 'cast_images/cast-1.jpg'));
+  expect(await storage.signedUrl('cast_images/cast-1.jpg')).toBe(`${config.baseUrl}/backend/media/cast_images/cast-1.jpg`);
+
+  await deleteFile('cast_images/cast-1.jpg');
+  await deleteFile('cast_images/cast-1.jpg');
+  expect(await storage.exists('cast_images/cast-1.jpg')).toBe(false);
+  await expect(storage.stream('cast_images/cast-1.jpg')).rejects.toMatchObject({ code: 'ENOENT' });
+  expect(() => storage.localPath('../outside.txt')).toThrow('Invalid storage key');
+});
+
+test('uploads are streamed to the storage and served from the media route', async () => {
+  const app = express();
+  const upload = multer({ storage: multerStorage('profile_pictures', (req, file) => `avatar_${file.originalname}`) }).single('image');
+  app.post('/upload', upload, (req, res) => res.status(201).json({ key: req.file.key, filename: req.file.filename }));
+  app.get('/backend/media/:folder/:filename', media_controller.serveMedia);
+  app.use(errorHandler);
+
+  const uploaded = await request(app)
+    .post('/upload')
+    .attach('image', Buffer.from('png bytes'), 'me.png')
+    .expect(201);
+  expect(uploaded.body).toEqual({ key: 'profile_pictures/avatar_me.png', filename: 'avatar_me.png' });
+
+  const served = await request(app).get('/backend/media/profile_pictures/avatar_me.png').expect(200);
+  expect(served.body.toString()).toBe('png bytes');
+  await request(app).get('/backend/media/profile_pictures/missing.png').expect(404);
+  await request(app).get('/backend/media/secrets/avatar_me.png').expect(404);
+});
+
+// Runs against a local MinIO, e.g. S3_TEST_ENDPOINT=http://localhost:9000 S3_TEST_BUCKET=brightminds-test
+// with the credentials in S3_TEST_ACCESS_KEY_ID and S3_TEST_SECRET_ACCESS_KEY.
+const describeS3 = process.env.S3_TEST_ENDPOINT ? describe : describe.skip;
+
+describeS3('S3 storage', () => {
+  const storage = createS3Storage({
+    bucket: process.env.S3_TEST_BUCKET || 'brightminds-test',
+    region: 'us-east-1',
+    endpoint: process.env.S3_TEST_ENDPOINT,
+    forcePathStyle: true,
+    accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID || 'minioadmin',
+    secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY || 'minioadmin',
+    signedUrlTtlSeconds: 60,
+  });
+
+  test('uploads, streams, signs and removes objects', async () => {
+    const key = `cast_subtitles/test-${Date.now()}.srt`;
+    await expect(storage.upload(key, Readable.from([Buffer.from('sub'), Buffer.from('titles')]), { contentType: 'application/x-subrip' }))
+      .resolves.toEqual({ key, size: 9 });
+
+    expect(await storage.exists(key)).toBe(true);
+    expect(await readAll(await storage.stream(key))).toBe('subtitles');
+    expect(await storage.signedUrl(key)).toContain('X-Amz-Signature=');
+
+    await storage.remove(key);
+    expect(await storage.exists(key)).toBe(false);
+    await expect(storage.stream(key)).rejects.toMatchObject({ code: 'ENOENT' });
+  });
+});
@@ -0,0 +1,63 @@
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const sharp = require('sharp');
+const ffmpegPath = require('@ffmpeg-installer/ffmpeg').path;
+const { loadConfig } = require('../backend/config.js');
+const { getStorage } = require('../backend/storage');
+const { mediaKey } = require('../controllers/fileHelper.js');
+const { spriteLayout, extractThumbnails } = require('../backend/thumbnails.js');
+
+jest.setTimeout(120000);
+
+const initialEnv = { ...process.env };
+let mediaRoot;
+
+beforeAll(() => {
+  mediaRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'brightminds-thumbnails-'));
+  loadConfig({ env: { ...initialEnv, MEDIA_ROOT: mediaRoot, STORAGE_DRIVER: 'local' } });
+  fs.mkdirSync(path.join(mediaRoot, 'cast_videos'));
+  // 5 s of black, then 5 s of test pattern.
+  execFileSync(ffmpegPath, [
+    '-loglevel', 'error',
+    '-f', 'lavfi', '-i', 'color=black:size=640x360:rate=25:duration=5',
+    '-f', 'lavfi', '-i', 'testsrc=size=640x360:rate=25:duration=5',
+    '-filter_complex', '[0][1]concat=n=2:v=1:a=0',
+    '-pix_fmt', 'yuv420p',
+    path.join(mediaRoot, 'cast_videos', 'cast_1.mp4'),
+  ]);
+});
+
+afterAll(() => {
+  fs.rmSync(mediaRoot, { recursive: true, force: true });
+  loadConfig({ env: initialEnv });
+});
+
+const storedFile = (url) => getStorage().localPath(mediaKey(url, 'cast_thumbnails'));
+
+test('sprites take a tile every 2 seconds or more, at most 100 tiles', () => {
+  expect(spriteLayout(10)).toEqual({ interval: 2, count: 5, columns: 5, rows: 1, width: 160, height: 90 });
+  expect(spriteLayout(45 * 60)).toMatchObject({ interval: 27, count: 100, columns: 10, rows: 10 });
+});
+
+test('thumbnails come from a frame that is not blank, with a sprite of the whole video', async () => {
+  const thumbnails = await extractThumbnails('cast_videos/cast_1.mp4', 10, 'cast-1');
+
+  expect(thumbnails.seconds).toBeGreaterThanOrEqual(5);
+  expect(thumbnails.frameurl).toMatch(/^\/backend\/media\/cast_thumbnails\/cast-1_frame_\d+\.jpg$/);
+  const frame = sharp(storedFile(thumbnails.frameurl));
+  expect(await frame.metadata()).toMatchObject({ format: 'jpeg', width: 980, height: 560 });
+  const { channels: [grey] } = await frame.greyscale().stats();
+  expect(grey.mean).toBeGreaterThan(20);
+
+  expect(await sharp(storedFile(thumbnails.posterurl)).metadata()).toMatchObject({ width: 640, height: 360 });
+
+  expect(thumbnails.sprite).toMatchObject({ interval: 2, count: 5, columns: 5, rows: 1 });
+  expect(await sharp(storedFile(thumbnails.sprite.spriteurl)).metadata()).toMatchObject({ format: 'jpeg', width: 800, height: 90 });
+
+  // Nothing left but the three stored images.
+  expect(fs.readdirSync(path.join(mediaRoot, 'cast_thumbnails'))).toHaveLength(3);
+});
@@ -0,0 +1,212 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Cast = require('../models/cast_model.js');
+const User = require('../models/user_model.js');
+const RatingVote = require('../models/rating_vote_model.js');
+const Session = require('../models/session_model.js');
+const { purgeExpiredTrash } = require('../backend/trash.js');
+const { config } = require('../backend/config.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createUser = (username) => User.create({
+  email: `${username}@example.com`,
+  password: 'hashed-password',
+  username,
+  role: 'Professor',
+  profilePictureUrl: 'http://example.com/profile.png'
+});
+
+const createCast = (author, title = 'Trashed cast') => Cast.create({
+  title,
+  description: 'Test description',
+  department: 'Physics',
+  brightmindid: String(author._id),
+  casturl: 'http://example.com/no-video',
+  university: 'Test University',
+  category: 'Test Category',
+  visibility: 'public',
+  topic: 'Test Topic'
+});
+
+test('a deleted cast is hidden until its author restores it with its user entries', async () => {
+  const author = await createUser('author');
+  const reader = await createUser('reader');
+  const cast = await createCast(author);
+  const castId = String(cast._id);
+
+  reader.bookmarkedcontent.push({ contentid: castId, type: 'cast' });
+  reader.evaluation_list.push({ contentid: castId, type: 'cast', watched: true, answered: false });
+  await reader.save();
+
+  const deleted = await request(app)
+    .delete(`/cast/${castId}`)
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .expect(200);
+  expect(new Date(deleted.body.purgeAt) - new Date(deleted.body.deletedAt)).toBe(config.trash.retentionDays * DAY_MS);
+
+  await request(app).get(`/cast/${castId}`).expect(404);
+  expect((await User.findById(reader._id).lean()).bookmarkedcontent).toHaveLength(0);
+
+  const trash = await request(app)
+    .get('/cast/trash')
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .expect(200);
+  expect(trash.body.items.map((item) => item._id)).toEqual([castId]);
+  expect(trash.body.items[0].deletedReferences).toBeUndefined();
+
+  await request(app)
+    .post(`/cast/${castId}/restore`)
+    .set('Authorization', `Bearer ${signToken(reader._id)}`)
+    .expect(403);
+
+  await request(app)
+    .post(`/cast/${castId}/restore`)
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .expect(200);
+
+  await request(app).get(`/cast/${castId}`).expect(200);
+  const restoredReader = await User.findById(reader._id).lean();
+  expect(restoredReader.bookmarkedcontent.map((entry) => entry.contentid)).toEqual([castId]);
+  expect(restoredReader.evaluation_list.map((entry) => entry.contentid)).toEqual([castId]);
+});
+
+test('the trash can be read page by page', async () => {
+  const author = await createUser('author');
+  const casts = [await createCast(author, 'First cast'), await createCast(author, 'Second cast'), await createCast(author, 'Third cast')];
+  for (const cast of casts) {
+    await request(app)
+      .delete(`/cast/${cast._id}`)
+      .set('Authorization', `Bearer ${signToken(author._id)}`)
+      .expect(200);
+  }
+
+  const ids = [];
+  let cursor;
+  do {
+    const page = await request(app)
+      .get('/cast/trash')
+      .query(cursor ? { limit: 2, cursor } : { limit: 2 })
+      .set('Authorization', `Bearer ${signToken(author._id)}`)
+      .expect(200);
+    ids.push(...page.body.items.map((item) => item._id));
+    cursor = page.body.nextCursor;
+  } while (cursor);
+
+  expect(ids.sort()).toEqual(casts.map((cast) => String(cast._id)).sort());
+});
+
+test('items past the retention period are purged with their rating votes', async () => {
+  const author = await createUser('author');
+  const expired = await createCast(author, 'Expired cast');
+  const recent = await createCast(author, 'Recent cast');
+  await RatingVote.create({ contentType: 'cast', contentId: expired._id, userId: author._id, action: '+' });
+
+  const now = new Date();
+  await Cast.updateOne({ _id: expired._id }, { deletedAt: new Date(now - (config.trash.retentionDays + 1) * DAY_MS) });
+  await Cast.updateOne({ _id: recent._id }, { deletedAt: new Date(now - DAY_MS) });
+
+  const purged = await purgeExpiredTrash(now);
+
+  expect(purged.cast).toBe(1);
+  expect(await Cast.countDocuments({ deletedAt: { $ne: null } })).toBe(1);
+  expect(await Cast.findOne({ _id: recent._id, deletedAt: { $ne: null } })).not.toBeNull();
+  expect(await RatingVote.countDocuments({ contentId: expired._id })).toBe(0);
+});
+
+test('a deleted user frees their email and is purged with their votes and sessions', async () => {
+  const author = await createUser('author');
+  const voter = await createUser('voter');
+  const admin = await User.create({
+    email: 'admin@example.com',
+    password: 'hashed-password',
+    username: 'admin',
+    role: 'Professor',
+    platformRole: 'admin',
+    profilePictureUrl: 'http://example.com/profile.png'
+  });
+  const cast = await createCast(author);
+  await request(app)
+    .post(`/cast/${cast._id}/rating`)
+    .set('Authorization', `Bearer ${signToken(voter._id)}`)
+    .send({ action: '+' })
+    .expect(200);
+
+  await request(app)
+    .delete(`/user/${voter._id}`)
+    .set('Authorization', `Bearer ${signToken(voter._id)}`)
+    .expect(200);
+
+  const trashed = await User.findOne({ _id: voter._id, deletedAt: { $ne: null } }).select('+deletedEmail').lean();
+  expect(trashed.email).toBe(`${voter._id}@deleted.invalid`);
+  expect(trashed.deletedEmail).toBe('voter@example.com');
+
+  await createUser('voter');
+  await request(app)
+    .post(`/user/${voter._id}/restore`)
+    .set('Authorization', `Bearer ${signToken(admin._id)}`)
+    .expect(409);
+
+  await Session.create({
+    userId: voter._id,
+    deviceId: 'device',
+    tokenHash: 'hash',
+    expiresAt: new Date(Date.now() + DAY_MS)
+  });
+  const now = new Date();
+  await User.updateOne({ _id: voter._id, deletedAt: { $ne: null } }, { deletedAt: new Date(now - (config.trash.retentionDays + 1) * DAY_MS) });
+
+  const purged = await purgeExpiredTrash(now);
+
+  expect(purged.user).toBe(1);
+  expect(await RatingVote.countDocuments({ userId: voter._id })).toBe(0);
+  expect(await Session.countDocuments({ userId: voter._id })).toBe(0);
+  const rescored = await Cast.findById(cast._id).lean();
+  expect(rescored.rating.count).toBe(0);
+});
@@ -0,0 +1,136 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Cast = require('../models/cast_model.js');
+const User = require('../models/user_model.js');
+const { computeTrendingScores } = require('../backend/trending_computor.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createCast = (title, department = 'Physics') => Cast.create({
+  title,
+  description: 'Test description',
+  department,
+  brightmindid: new mongoose.Types.ObjectId().toString(),
+  casturl: 'http://example.com/no-video',
+  university: 'Test University',
+  category: 'Test Category',
+  visibility: 'public',
+  topic: 'Test Topic'
+});
+
+const createViewer = (index, evaluations, bookmarks = []) => User.create({
+  email: `viewer${index}@example.com`,
+  password: 'hashed-password',
+  username: `viewer${index}`,
+  role: 'College Student',
+  profilePictureUrl: 'http://example.com/profile.png',
+  evaluation_list: evaluations,
+  bookmarkedcontent: bookmarks
+});
+
+test('recent engagement outranks old engagement', async () => {
+  const now = new Date();
+  const oldFavourite = await createCast('Old favourite');
+  const risingCast = await createCast('Rising cast');
+  const otherDepartment = await createCast('Chemistry cast', 'Chemistry');
+
+  for (let index = 0; index < 5; index += 1) {
+    await createViewer(index, [
+      { contentid: String(oldFavourite._id), type: 'cast', watched: true, watchedAt: new Date(now - 30 * DAY_MS) }
+    ]);
+  }
+  await createViewer(10, [
+    { contentid: String(risingCast._id), type: 'cast', watched: true, watchedAt: now, answered: true, answeredAt: now },
+    { contentid: String(otherDepartment._id), type: 'cast', watched: true, watchedAt: now }
+  ], [
+    { contentid: String(risingCast._id), type: 'cast', bookmarkedAt: now }
+  ]);
+
+  await computeTrendingScores(now);
+
+  const rising = await Cast.findById(risingCast._id).lean();
+  expect(rising.trending.score).toBeCloseTo(8);
+
+  const response = await request(app).get('/cast/trending/right/now');
+  expect(response.status).toBe(200);
+  expect(response.body.items.map((cast) => cast.title)).toEqual(['Rising cast', 'Chemistry cast', 'Old favourite']);
+
+  const byDepartment = await request(app).get('/cast/trending/right/now?department=Physics&limit=1');
+  expect(byDepartment.body.items.map((cast) => cast.title)).toEqual(['Rising cast']);
+});
+
+test('each user counts once per item', async () => {
+  const now = new Date();
+  const spammed = await createCast('Spammed cast');
+  const watched = await createCast('Watched cast');
+
+  const repeats = Array.from({ length: 50 }, (value, index) => (
+    { contentid: String(spammed._id), type: 'cast', watched: true, watchedAt: new Date(now - index * 1000) }
+  ));
+  await createViewer(1, repeats);
+  await createViewer(2, [{ contentid: String(watched._id), type: 'cast', watched: true, watchedAt: now }]);
+  await createViewer(3, [{ contentid: String(watched._id), type: 'cast', watched: true, watchedAt: now }]);
+
+  await computeTrendingScores(now);
+
+  expect((await Cast.findById(spammed._id).lean()).trending.score).toBeCloseTo(1);
+  expect((await Cast.findById(watched._id).lean()).trending.score).toBeCloseTo(2);
+});
+
+test('new rating votes add decaying momentum', async () => {
+  const cast = await createCast('Rated cast');
+  const firstRun = new Date();
+  await computeTrendingScores(firstRun);
+
+  await Cast.updateOne({ _id: cast._id }, { $set: { 'rating.value': 7, 'rating.count': 4 } });
+  await computeTrendingScores(new Date(firstRun.getTime() + 60 * 1000));
+  const afterVotes = await Cast.findById(cast._id).lean();
+  expect(afterVotes.trending.score).toBeGreaterThan(0);
+
+  await computeTrendingScores(new Date(firstRun.getTime() + 4 * DAY_MS));
+  const later = await Cast.findById(cast._id).lean();
+  expect(later.trending.score).toBeLessThan(afterVotes.trending.score);
+});
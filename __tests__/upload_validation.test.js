@@ -0,0 +1,80 @@
+process.env.NODE_ENV = 'test';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const sharp = require('sharp');
+const { loadConfig } = require('../backend/config.js');
+const { sniffMimeType, safeFilename, mediaUpload } = require('../backend/upload_validation.js');
+const { errorHandler } = require('../backend/errors.js');
+
+const initialEnv = { ...process.env };
+let mediaRoot;
+
+beforeEach(() => {
+  mediaRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'brightminds-upload-'));
+  loadConfig({ env: { ...initialEnv, MEDIA_ROOT: mediaRoot, UPLOAD_MAX_PROFILE_PICTURE_BYTES: String(200 * 1024) } });
+});
+
+afterEach(() => {
+  fs.rmSync(mediaRoot, { recursive: true, force: true });
+  loadConfig({ env: initialEnv });
+});
+
+const uploadApp = () => {
+  const app = express();
+  app.post('/upload', mediaUpload('profilePicture', 'image'), (req, res) => res.status(201).json({ key: req.file.key }));
+  app.use(errorHandler);
+  return app;
+};
+
+test('file types are read from their first bytes', () => {
+  expect(sniffMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]))).toBe('image/jpeg');
+  expect(sniffMimeType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))).toBe('image/png');
+  expect(sniffMimeType(Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypisom')]))).toBe('video/mp4');
+  expect(sniffMimeType(Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from('ftypheic')]))).toBeNull();
+  expect(sniffMimeType(Buffer.from([0x1a, 0x45, 0xdf, 0xa3, 0x9f]))).toBe('video/webm');
+  expect(sniffMimeType(Buffer.from('%PDF-1.7'))).toBeNull();
+});
+
+test('stored file names keep only safe characters of the client name', () => {
+  expect(safeFilename('../../Résumé vidéo (final).MP4', 'mp4')).toMatch(/^Resume_video_final_\d+_[0-9a-f]{8}\.mp4$/);
+  expect(safeFilename('..', 'png')).toMatch(/^file_\d+_[0-9a-f]{8}\.png$/);
+});
+
+test('images are stored re-encoded, within their size limit, whatever their declared type', async () => {
+  const photo = await sharp({ create: { width: 2000, height: 1000, channels: 3, background: '#3366cc' } })
+    .jpeg()
+    .withMetadata({ exif: { IFD0: { Copyright: 'someone' } } })
+    .toBuffer();
+
+  const stored = await request(uploadApp())
+    .post('/upload')
+    .attach('image', photo, { filename: 'holiday photo.png', contentType: 'image/png' })
+    .expect(201);
+  expect(stored.body.key).toMatch(/^profile_pictures\/holiday_photo_\d+_[0-9a-f]{8}\.jpg$/);
+  const metadata = await sharp(path.join(mediaRoot, stored.body.key)).metadata();
+  expect(metadata).toMatchObject({ format: 'jpeg', width: 1024, height: 512 });
+  expect(metadata.exif).toBeUndefined();
+
+  const renamed = await request(uploadApp())
+    .post('/upload')
+    .attach('image', Buffer.from('%PDF-1.7 not an image'), { filename: 'cv.jpg', contentType: 'image/jpeg' })
+    .expect(415);
+  expect(renamed.body.error.code).toBe('UNSUPPORTED_FILE_TYPE');
+
+  const broken = await request(uploadApp())
+    .post('/upload')
+    .attach('image', Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(64)]), 'broken.png')
+    .expect(415);
+  expect(broken.body.error.code).toBe('INVALID_MEDIA');
+
+  const large = await request(uploadApp())
+    .post('/upload')
+    .attach('image', Buffer.concat([photo.subarray(0, 16), Buffer.alloc(300 * 1024)]), 'large.jpg')
+    .expect(413);
+  expect(large.body.error).toMatchObject({ code: 'FILE_TOO_LARGE', details: { maxBytes: 200 * 1024 } });
+  expect(fs.readdirSync(path.join(mediaRoot, 'profile_pictures'))).toHaveLength(1);
+});
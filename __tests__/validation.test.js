@@ -0,0 +1,161 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Article = require('../models/article_model.js');
+const Topic = require('../models/topic_model.js');
+const User = require('../models/user_model.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const createUser = (username, platformRole = 'reader') => User.create({
+  email: `${username}@example.com`,
+  password: 'hashed-password',
+  username,
+  role: 'Professor',
+  platformRole,
+  profilePictureUrl: 'http://example.com/profile.png'
+});
+
+const expectValidationError = (response, detail) => {
+  expect(response.status).toBe(400);
+  expect(response.body.error).toMatchObject({ code: 'INVALID_REQUEST', message: 'Request validation failed.' });
+  expect(response.body.error.details).toEqual(expect.arrayContaining([expect.objectContaining(detail)]));
+};
+
+test('query, path and body values that do not match openapi.yaml get one 400 format', async () => {
+  expectValidationError(await request(app).get('/search'), { in: 'query', path: 'q' });
+  expectValidationError(await request(app).get('/cast?limit=0'), { in: 'query', path: 'limit' });
+  expectValidationError(await request(app).get('/cast?count=maybe'), { in: 'query', path: 'count' });
+  expectValidationError(
+    await request(app).post('/user/login').send({ email: 'not-an-email' }),
+    { in: 'body', path: 'password' }
+  );
+  expectValidationError(await request(app).post('/user/login'), { in: 'body', path: '' });
+
+  const paginated = await request(app).get('/cast?limit=5&count=true');
+  expect(paginated.status).toBe(200);
+});
+
+test('multipart JSON fields are parsed before reaching the controller', async () => {
+  const author = await createUser('author', 'publisher');
+
+  const invalid = await request(app)
+    .post('/cast')
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .field('cast', '{"title": ');
+  expectValidationError(invalid, { in: 'body', path: 'cast', message: 'must be a JSON string' });
+
+  const missing = await request(app)
+    .post('/cast')
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .field('title', 'No cast field');
+  expectValidationError(missing, { in: 'body', path: 'cast', message: 'is required' });
+});
+
+test('multipart JSON fields are validated against their schema', async () => {
+  const author = await createUser('author', 'publisher');
+
+  const incomplete = await request(app)
+    .post('/cast')
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .field('cast', JSON.stringify({ title: 'No category', university: 'Test University', visibility: 'public' }));
+  expectValidationError(incomplete, { in: 'body', path: 'cast.category', message: "must have required property 'category'" });
+
+  const invalid = await request(app)
+    .put(`/user/${author._id}`)
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .field('user', JSON.stringify({ preferences: 'physics' }));
+  expectValidationError(invalid, { in: 'body', path: 'user.preferences', message: 'must be array' });
+});
+
+test('topic updates only accept editable fields and responses match the spec', async () => {
+  const moderator = await createUser('moderator', 'moderator');
+  const topic = await Topic.create({ name: 'Quantum Mechanics', departmentName: 'Physics', castCount: 3 });
+  const put = (body) => request(app)
+    .put(`/topic/${topic._id}`)
+    .set('Authorization', `Bearer ${signToken(moderator._id)}`)
+    .send(body);
+
+  expectValidationError(await put({ name: 'Optics', castCount: 0 }), { in: 'body', path: 'castCount' });
+  expectValidationError(await put('name=Optics&castCount=0'), { in: 'body', path: 'castCount' });
+  expectValidationError(await put('name='), { in: 'body', path: 'name' });
+
+  const updated = await put({ name: 'Optics' });
+  expect(updated.status).toBe(200);
+  expect(updated.body.name).toBe('Optics');
+  expect(updated.body.castCount).toBe(3);
+
+  const fetched = await request(app).get(`/topic/${topic._id}`);
+  expect(fetched.status).toBe(200);
+  expect(fetched.body.metrics.lastComputedAt).toBeNull();
+});
+
+test('article updates only accept fields authors write', async () => {
+  const author = await createUser('author', 'publisher');
+  const article = await Article.create({
+    title: 'Test Article',
+    department: 'Physics',
+    brightmindid: author._id.toString(),
+    description: 'Test description',
+    articleimageurl: 'http://example.com/article.png',
+    university: 'Test University',
+    category: 'Test Category',
+    visibility: 'public',
+    duration: 120,
+    topic: 'Test Topic'
+  });
+  const put = (body) => request(app)
+    .put(`/article/${article._id}`)
+    .set('Authorization', `Bearer ${signToken(author._id)}`)
+    .send(body);
+
+  expectValidationError(await put({ department: 'PhysicsandAstronomy', rating: 5 }), { in: 'body', path: 'rating' });
+  expectValidationError(await put({ department: 'PhysicsandAstronomy', deletedAt: null }), { in: 'body', path: 'deletedAt' });
+
+  expect((await put({ department: 'PhysicsandAstronomy', title: 'Renamed' })).status).toBe(201);
+  const stored = await Article.findById(article._id).lean();
+  expect(stored).toMatchObject({ title: 'Renamed', topic: 'Test Topic', rating: article.rating });
+});
@@ -0,0 +1,140 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Cast = require('../models/cast_model.js');
+const User = require('../models/user_model.js');
+const VirtualLab = require('../models/virtual_lab_model.js');
+
+jest.setTimeout(30000);
+
+let mongoServer;
+let app;
+
+const signToken = (userId) => jwt.sign({ userId: String(userId) }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+const waitForMongooseConnection = () => {
+  if (mongoose.connection.readyState === 1) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    mongoose.connection.once('open', resolve);
+    mongoose.connection.once('error', reject);
+  });
+};
+
+beforeAll(async () => {
+  process.env.NODE_ENV = 'test';
+  process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+  if (!process.env.MONGODB_URI) {
+    mongoServer = await MongoMemoryServer.create();
+    process.env.MONGODB_URI = mongoServer.getUri();
+  }
+
+  app = require('../app');
+  await waitForMongooseConnection();
+});
+
+afterEach(async () => {
+  if (mongoose.connection.readyState === 1) {
+    await mongoose.connection.db.dropDatabase();
+  }
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+const createUser = (username, university) => User.create({
+  email: `${username}@example.com`,
+  password: 'hashed-password',
+  username,
+  role: 'College Student',
+  university,
+  profilePictureUrl: 'http://example.com/profile.png'
+});
+
+const createCast = (title, author, visibility, extra = {}) => Cast.create({
+  title,
+  description: 'Test description',
+  department: 'Physics',
+  brightmindid: String(author._id),
+  casturl: 'http://example.com/no-video',
+  university: 'MIT',
+  category: 'Test Category',
+  visibility,
+  topic: 'Test Topic',
+  ...extra
+});
+
+const listTitles = async (token) => {
+  const req = request(app).get('/cast?sort=title');
+  if (token) {
+    req.set('Authorization', `Bearer ${token}`);
+  }
+  const response = await req;
+  expect(response.status).toBe(200);
+  return response.body.items.map((cast) => cast.title);
+};
+
+test('lists only return the casts the caller may read', async () => {
+  const author = await createUser('author', 'MIT');
+  const colleague = await createUser('colleague', 'MIT');
+  const labMember = await createUser('member', 'Stanford');
+  const lab = await VirtualLab.create({
+    name: 'Quantum lab',
+    members: [{ userID: String(labMember._id) }],
+    iconurl: 'http://example.com/icon.png',
+    colorcode: '#000000'
+  });
+
+  await createCast('A public', author, 'public');
+  await createCast('B university', author, 'university');
+  await createCast('C lab', author, 'virtual-lab', { virtualLab: lab._id });
+  await createCast('D private', author, 'private');
+
+  expect(await listTitles()).toEqual(['A public']);
+  expect(await listTitles(signToken(colleague._id))).toEqual(['A public', 'B university']);
+  expect(await listTitles(signToken(labMember._id))).toEqual(['A public', 'C lab']);
+  expect(await listTitles(signToken(author._id))).toEqual(['A public', 'B university', 'C lab', 'D private']);
+});
+
+test('hidden casts are not found on detail endpoints', async () => {
+  const author = await createUser('author', 'MIT');
+  const outsider = await createUser('outsider', 'Stanford');
+  const cast = await createCast('Private cast', author, 'private');
+
+  const anonymous = await request(app).get(`/cast/${cast._id}`);
+  const outsiderResponse = await request(app)
+    .get(`/cast/${cast._id}`)
+    .set('Authorization', `Bearer ${signToken(outsider._id)}`);
+  const authorResponse = await request(app)
+    .get(`/cast/${cast._id}`)
+    .set('Authorization', `Bearer ${signToken(author._id)}`);
+
+  expect(anonymous.status).toBe(404);
+  expect(outsiderResponse.status).toBe(404);
+  expect(authorResponse.status).toBe(200);
+  expect(authorResponse.body.title).toBe('Private cast');
+});
+
+test('users cannot open university casts by changing their own university', async () => {
+  const author = await createUser('author', 'MIT');
+  const outsider = await createUser('outsider', 'Stanford');
+  await createCast('A public', author, 'public');
+  await createCast('B university', author, 'university');
+
+  await request(app)
+    .put(`/user/${outsider._id}`)
+    .set('Authorization', `Bearer ${signToken(outsider._id)}`)
+    .field('user', JSON.stringify({ university: 'MIT' }))
+    .expect(200);
+
+  expect((await User.findById(outsider._id).lean()).university).toBe('Stanford');
+  expect(await listTitles(signToken(outsider._id))).toEqual(['A public']);
+});
@@ -3,6 +3,10 @@
 //totodu30
 
 require('dotenv').config();
+// Validated before anything else is loaded: a bad environment stops the server with every problem listed.
+const { config, loadConfig } = require('./backend/config.js');
+loadConfig({ strict: true });
+
 const express = require('express');
 const bodyParser = require('body-parser');
 const mongoose = require('mongoose');
@@ -12,32 +16,60 @@ const userRoutes = require('./routes/user_route.js');
 const virtualLabRoutes = require('./routes/virtual_lab_route.js');
 const universityRoutes = require('./routes/university_route.js');
 const topicRoutes = require('./routes/topic_route.js');
+const searchRoutes = require('./routes/search_route.js');
+const healthRoutes = require('./routes/health_route.js');
+const mediaRoutes = require('./routes/media_route.js');
 const { scheduleWeeklyImpactUpdate } = require('./backend/topic_indicator_computor.js');
+const { scheduleTrendingUpdate } = require('./backend/trending_computor.js');
+const { foldLegacyRatings } = require('./backend/rating.js');
+const { schedulePublication } = require('./backend/publication.js');
+const { scheduleTrashPurge } = require('./backend/trash.js');
+const { scheduleExportCleanup } = require('./backend/data_export.js');
+const { scheduleUploadCleanup } = require('./backend/resumable_upload.js');
+const { validateRequests } = require('./backend/openapi_validator.js');
+const { requestId, logRequests } = require('./backend/request_id.js');
+const { logger } = require('./backend/logger.js');
+const { recordHttpMetrics } = require('./backend/metrics.js');
+const { errorHandler, notFoundHandler } = require('./backend/errors.js');
+const { mediaUrlReplacer } = require('./controllers/fileHelper.js');
 const app = express();
 const path = require('path');
 
-const mongoUri = process.env.MONGODB_URI;
-if (!mongoUri) {
-  throw new Error('MONGODB_URI is not set');
-}
-
-mongoose.connect(mongoUri)
+mongoose.connect(config.mongodb.uri)
   .then(() => {
-    console.log('Succesully Connected to MongoDB Atlas!');
+    logger.info('Succesully Connected to MongoDB Atlas!');
     scheduleWeeklyImpactUpdate();
+    scheduleTrendingUpdate();
+    schedulePublication();
+    scheduleTrashPurge();
+    scheduleExportCleanup();
+    scheduleUploadCleanup();
+    foldLegacyRatings()
+      .then((folded) => folded && logger.info('Legacy ratings folded', { items: folded }))
+      .catch((error) => logger.error('Unable to fold the legacy ratings', { error }));
   })
   .catch((error) => {
-    console.log('Unable to connect to MongoDB Atlas');
-    console.error(error);
+    logger.error('Unable to connect to MongoDB Atlas', { error });
   });
 
+// Behind a reverse proxy req.ip comes from X-Forwarded-For (TRUST_PROXY)
+app.set('trust proxy', config.trustProxy);
+
+// Tag each request with an id (X-Request-Id), quoted in error responses and logs
+app.use(requestId);
+app.use(logRequests);
+
+// Latency histograms exposed on /metrics
+app.use(recordHttpMetrics);
+
 // CORS config
 app.use((req, res, next) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader(
     'Access-Control-Allow-Headers',
-    'Origin, X-Requested-With, Content, Accept, Content-Type, Authorization'
+    'Origin, X-Requested-With, Content, Accept, Content-Type, Authorization, X-Request-Id, Upload-Offset, Upload-Checksum'
   );
+  res.setHeader('Access-Control-Expose-Headers', 'X-Request-Id, Retry-After, Upload-Offset');
   res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
   next();
 });
@@ -48,22 +80,28 @@ app.use(bodyParser.json());
 // Enable URL-encoded form data parsing
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Static routes
-app.use('/backend/media/cast_videos', express.static(path.join(__dirname,'/backend/media/cast_videos')));
-app.use('/backend/media/cast_images', express.static(path.join(__dirname,'/backend/media/cast_images')));
-app.use('/backend/media/article_images', express.static(path.join(__dirname,'/backend/media/article_images')));
-app.use('/backend/media/profile_pictures', express.static(path.join(__dirname,'/backend/media/profile_pictures')));
-app.use('/backend/media/university_icon', express.static(path.join(__dirname,'/backend/media/university_icon')));
-app.use('/backend/media/virtuallab_icon', express.static(path.join(__dirname,'/backend/media/virtuallab_icon')));
+// Media URLs are stored as paths and made absolute (config.baseUrl) when responses are serialized
+app.set('json replacer', mediaUrlReplacer);
+
+// Static routes: email assets ship with the code rather than living in the media storage
 app.use('/backend/media/verification_email', express.static(path.join(__dirname,'/backend/media/verification_email')));
-app.use('/backend/media/cast_subtitles', express.static(path.join(__dirname, 'backend/media/cast_subtitles')));
+
+// Validate params, query and JSON bodies against openapi.yaml
+app.use(validateRequests({ validateResponses: config.openapi.validateResponses }));
 
 // Route definitions
+app.use('/', healthRoutes);
+app.use(config.media.urlPath, mediaRoutes);
 app.use('/cast', castRoutes);
 app.use('/article', articleRoutes);
 app.use('/user', userRoutes);
 app.use('/university', universityRoutes);
 app.use('/virtual/lab', virtualLabRoutes);
 app.use('/topic', topicRoutes);
+app.use('/search', searchRoutes);
+
+// Errors: every failure is answered with { error: { code, message, details, requestId } }
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 module.exports = app;
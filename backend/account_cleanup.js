@@ -0,0 +1,258 @@
+const mongoose = require('mongoose');
+const Cast = require('../models/cast_model.js');
+const Article = require('../models/article_model.js');
+const User = require('../models/user_model.js');
+const VirtualLab = require('../models/virtual_lab_model.js');
+const { createTopicIfNotExist, removeExistingTopic } = require('../controllers/topic_controller.js');
+const { canPublish } = require('./permissions.js');
+const { moveToTrash, findInTrash, restoreFromTrash } = require('./trash.js');
+const { AppError } = require('./errors.js');
+const { contentTransferRoles } = require('../lists/permissions.js');
+
+const CONTENT_ACTIONS = ['transfer', 'remove'];
+
+const CONTENT_TYPES = [
+    { type: 'cast', model: Cast, publicationField: 'castPublications' },
+    { type: 'article', model: Article, publicationField: 'articlePublications' },
+];
+
+const LAB_LISTS = ['followers', 'members'];
+
+class AccountCleanupError extends AppError {
+    constructor(status, message) {
+        super(status, message);
+        this.name = 'AccountCleanupError';
+    }
+}
+
+/**
+ * Validates the ?content= and ?transferTo= options of a user deletion.
+ * Only contentTransferRoles may transfer content: users deleting their own
+ * account cannot hand it to a publisher who did not agree to it.
+ * @param {Object} user - The deleted user.
+ * @param {Object} options - The request query.
+ * @param {{ platformRole?: string }} caller - The caller's roles (req.user).
+ * @returns {Promise<{ content: 'transfer'|'remove', recipient: Object|null }>}
+ * @throws {AccountCleanupError}
+ */
+const parseCleanupOptions = async (user, { content = 'remove', transferTo } = {}, caller = {}) => {
+    if (!CONTENT_ACTIONS.includes(content)) {
+        throw new AccountCleanupError(400, `content must be one of ${CONTENT_ACTIONS.join(', ')}.`);
+    }
+    if (content === 'remove') {
+        return { content, recipient: null };
+    }
+    if (!contentTransferRoles.includes(caller.platformRole)) {
+        throw new AccountCleanupError(403, 'Only an admin can transfer the content of a deleted account.');
+    }
+
+    if (!transferTo || !mongoose.Types.ObjectId.isValid(transferTo)) {
+        throw new AccountCleanupError(400, 'transferTo must be a valid user id when content is transfer.');
+    }
+    if (String(transferTo) === String(user._id)) {
+        throw new AccountCleanupError(400, 'Content cannot be transferred to the deleted user.');
+    }
+    const recipient = await User.findById(transferTo).select('role platformRole').lean();
+    if (!recipient) {
+        throw new AccountCleanupError(404, 'transferTo user not found.');
+    }
+    if (!canPublish(recipient)) {
+        throw new AccountCleanupError(400, 'transferTo user is not allowed to publish content.');
+    }
+    return { content, recipient };
+};
+
+const transferContent = async ({ type, model, publicationField }, user, recipient) => {
+    const userId = String(user._id);
+    const items = await model.find({ brightmindid: userId }).select('_id').lean();
+    const ids = items.map((item) => item._id);
+
+    await model.updateMany({ _id: { $in: ids } }, { $set: { brightmindid: String(recipient._id) } });
+    await User.updateOne({ _id: recipient._id }, { $addToSet: { [publicationField]: { $each: ids } } });
+    await User.updateOne({ _id: user._id }, { $set: { [publicationField]: [] } });
+
+    return { type, ids };
+};
+
+const removeContent = async ({ type, model }, user, deletedBy) => {
+    const items = await model.find({ brightmindid: String(user._id) }).select('_id topic department').lean();
+    let topicsUpdated = 0;
+
+    for (const item of items) {
+        await moveToTrash(type, item, deletedBy);
+        try {
+            const topicResult = await removeExistingTopic({
+                name: item.topic,
+                departmentName: item.department,
+                contentId: item._id,
+                contentType: type,
+            });
+            if (topicResult.status === 200) {
+                topicsUpdated += 1;
+            }
+        } catch (error) {
+            // Already logged by removeExistingTopic; the item stays removed.
+        }
+    }
+
+    return { type, ids: items.map((item) => item._id), topicsUpdated };
+};
+
+// Drops the user from lab and lab topic followers/members, and returns the
+// memberships it removed so that a restore can put them back.
+const leaveVirtualLabs = async (userId) => {
+    const id = String(userId);
+    const filter = {
+        $or: [
+            { 'followers.userID': id },
+            { 'members.userID': id },
+            { 'topics.followers.userID': id },
+            { 'topics.members.userID': id },
+        ],
+    };
+    const labs = await VirtualLab.find(filter).select('followers members topics._id topics.followers topics.members').lean();
+    const isListed = (list) => (list || []).some((entry) => entry.userID === id);
+    const memberships = [];
+    for (const lab of labs) {
+        for (const field of LAB_LISTS) {
+            if (isListed(lab[field])) {
+                memberships.push({ labId: lab._id, field });
+            }
+            for (const topic of lab.topics || []) {
+                if (isListed(topic[field])) {
+                    memberships.push({ labId: lab._id, topicId: topic._id, field });
+                }
+            }
+        }
+    }
+
+    const result = await VirtualLab.updateMany(filter, {
+        $pull: {
+            followers: { userID: id },
+            members: { userID: id },
+            'topics.$[].followers': { userID: id },
+            'topics.$[].members': { userID: id },
+        },
+    });
+    return { left: result.modifiedCount, memberships };
+};
+
+const restoreContent = async ({ type }, ids) => {
+    const restored = [];
+    let topicsUpdated = 0;
+
+    for (const id of ids) {
+        const item = await findInTrash(type, id);
+        // Restored or purged since the account was deleted.
+        if (!item || !await restoreFromTrash(type, item)) {
+            continue;
+        }
+        restored.push(item._id);
+        try {
+            await createTopicIfNotExist({
+                name: item.topic,
+                departmentName: item.department,
+                contentId: item._id,
+                contentType: type,
+            });
+            topicsUpdated += 1;
+        } catch (error) {
+            // Already logged by createTopicIfNotExist; the item stays restored.
+        }
+    }
+
+    return { restored: restored.length, ids: restored, topicsUpdated };
+};
+
+// Puts the memberships returned by leaveVirtualLabs back, in the labs and topics that still exist.
+const rejoinVirtualLabs = async (userId, memberships) => {
+    const id = String(userId);
+    const labs = new Set();
+
+    for (const { labId, topicId, field } of memberships) {
+        const result = topicId
+            ? await VirtualLab.updateOne(
+                { _id: labId, topics: { $elemMatch: { _id: topicId, [`${field}.userID`]: { $ne: id } } } },
+                { $push: { [`topics.$.${field}`]: { userID: id } } }
+            )
+            : await VirtualLab.updateOne(
+                { _id: labId, [`${field}.userID`]: { $ne: id } },
+                { $push: { [field]: { userID: id } } }
+            );
+        if (result.modifiedCount) {
+            labs.add(String(labId));
+        }
+    }
+    return labs.size;
+};
+
+/**
+ * Cleans up what a deleted user leaves behind: their casts and articles are
+ * either transferred to `recipient` or moved to the trash (their topics are
+ * updated through removeExistingTopic, their media is purged with them), and
+ * they are removed from virtual lab followers/members. What was removed is
+ * kept on the user for restoreUserAccount.
+ *
+ * @param {Object} params
+ * @param {Object} params.user - The user being deleted.
+ * @param {'transfer'|'remove'} params.content
+ * @param {Object|null} params.recipient - From parseCleanupOptions.
+ * @param {string} [params.deletedBy] - Id of the caller.
+ * @returns {Promise<Object>} Report of what was transferred or removed.
+ */
+const cleanUpUserAccount = async ({ user, content, recipient, deletedBy }) => {
+    const report = { content };
+
+    for (const contentType of CONTENT_TYPES) {
+        const key = `${contentType.type}s`;
+        if (content === 'transfer') {
+            const { ids } = await transferContent(contentType, user, recipient);
+            report[key] = { transferred: ids.length, ids, to: String(recipient._id) };
+        } else {
+            const { ids, topicsUpdated } = await removeContent(contentType, user, deletedBy);
+            report[key] = { removed: ids.length, ids, topicsUpdated };
+        }
+    }
+
+    const { left, memberships } = await leaveVirtualLabs(user._id);
+    report.virtualLabs = { left };
+
+    const removedIds = (key) => (report[key].removed ? report[key].ids : []);
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { accountCleanup: { casts: removedIds('casts'), articles: removedIds('articles'), virtualLabs: memberships } } }
+    );
+    return report;
+};
+
+/**
+ * Puts back what cleanUpUserAccount removed, once the user is restored from
+ * the trash: their casts and articles that are still in the trash (with their
+ * topics) and their virtual lab memberships. Content transferred to another
+ * user stays with them.
+ *
+ * @param {string} userId - The restored user.
+ * @returns {Promise<Object>} Report of what was restored.
+ */
+const restoreUserAccount = async (userId) => {
+    const user = await User.findById(userId).select('+accountCleanup').lean();
+    const removed = (user && user.accountCleanup) || {};
+    const report = {};
+
+    for (const contentType of CONTENT_TYPES) {
+        const key = `${contentType.type}s`;
+        report[key] = await restoreContent(contentType, removed[key] || []);
+    }
+    report.virtualLabs = { rejoined: await rejoinVirtualLabs(userId, removed.virtualLabs || []) };
+
+    await User.updateOne({ _id: userId }, { $unset: { accountCleanup: 1 } });
+    return report;
+};
+
+module.exports = {
+    CONTENT_ACTIONS,
+    AccountCleanupError,
+    parseCleanupOptions,
+    cleanUpUserAccount,
+    restoreUserAccount,
+};
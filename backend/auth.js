@@ -1,17 +1,45 @@
-const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('./tokens.js');
+const { UnauthorizedError } = require('./errors.js');
 
-module.exports = (req, res, newt) => {
-    try{
-        const token = req.headers.authorization.split(" ")[1];
-        const token_decoded = jwt.verify(token,'RANDOM_TOKEN_SECRET');
-        const email = token_decoded.email;
-        if (req.body.email && req.body.email == email){
-            next();
+const readBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return scheme === 'Bearer' && token ? token : null;
+};
+
+const authenticate = (token, req, res, next) => {
+    try {
+        const tokenDecoded = verifyAccessToken(token);
+        if (!tokenDecoded.userId) {
+            return next(new UnauthorizedError('Invalid or expired token.'));
         }
+        req.user = { userId: String(tokenDecoded.userId) };
+        next();
+    } catch (error) {
+        return next(new UnauthorizedError('Invalid or expired token.'));
+    }
+};
+
+/**
+ * Verifies the bearer token issued by user_controller.login and exposes
+ * the authenticated caller as req.user ({ userId }).
+ */
+module.exports = (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+        return next(new UnauthorizedError('Authentication required.'));
     }
-    catch{
-        res.status(401).json({
-            error: new Error('Invalid Request')
-        });
+    authenticate(token, req, res, next);
+};
+
+/**
+ * Same as above for public routes: anonymous requests go through without
+ * req.user, an invalid token is still rejected.
+ */
+module.exports.optional = (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+        return next();
     }
-}
\ No newline at end of file
+    authenticate(token, req, res, next);
+};
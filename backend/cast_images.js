@@ -0,0 +1,53 @@
+// cast_images.js
+
+const Cast = require('../models/cast_model.js');
+const { castImageSources } = require('../lists/media_types.js');
+
+const imageField = (source) => `$images.${source}url`;
+
+const hasImage = (source) => ({ $gt: [{ $ifNull: [imageField(source), ''] }, ''] });
+
+// Update pipeline stage setting castimageurl: the image of imageSource when it
+// exists, else the first existing one in castImageSources order. Casts
+// without any image keep their castimageurl.
+const SELECT_CAST_IMAGE = {
+    $set: {
+        castimageurl: {
+            $switch: {
+                branches: [
+                    ...castImageSources.map((source) => ({
+                        case: { $and: [{ $eq: ['$imageSource', source] }, hasImage(source)] },
+                        then: imageField(source),
+                    })),
+                    ...castImageSources.map((source) => ({ case: hasImage(source), then: imageField(source) })),
+                ],
+                default: '$castimageurl',
+            },
+        },
+    },
+};
+
+/**
+ * Stores one of the images of a cast (frame, AI or uploaded) and selects its
+ * castimageurl again, in a single update.
+ * @param {string} castId
+ * @param {string} source - One of lists/media_types.js castImageSources.
+ * @param {string} url - Media URL of the image.
+ */
+const setCastImage = (castId, source, url) => Cast.updateOne({ _id: castId }, [
+    { $set: { [`images.${source}url`]: { $literal: url } } },
+    SELECT_CAST_IMAGE,
+]);
+
+/**
+ * Makes the image of `source` the castimageurl of a cast, now and whenever
+ * that image is replaced.
+ * @param {string} castId
+ * @param {string} source - One of lists/media_types.js castImageSources.
+ */
+const chooseCastImage = (castId, source) => Cast.updateOne({ _id: castId }, [
+    { $set: { imageSource: source } },
+    SELECT_CAST_IMAGE,
+]);
+
+module.exports = { setCastImage, chooseCastImage };
@@ -0,0 +1,298 @@
+// config.js
+
+const net = require('net');
+const path = require('path');
+const cron = require('node-cron');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const MAIL_TRANSPORTS = ['smtp', 'json', 'file'];
+const STORAGE_DRIVERS = ['local', 's3'];
+
+// Defaults of each environment (NODE_ENV); every value can be overridden by its variable.
+const PROFILES = {
+    production: {
+        baseUrl: 'https://api.brightmindsresearch.com',
+        logLevel: 'info',
+        mailTransport: 'smtp',
+        cronEnabled: true,
+    },
+    // No default base URL: staging must say where it is served from.
+    staging: {
+        baseUrl: null,
+        logLevel: 'info',
+        mailTransport: 'smtp',
+        cronEnabled: true,
+    },
+    development: {
+        baseUrl: 'http://localhost:3000',
+        logLevel: 'debug',
+        mailTransport: 'file',
+        cronEnabled: true,
+    },
+    test: {
+        baseUrl: 'http://localhost:3000',
+        logLevel: 'silent',
+        mailTransport: 'json',
+        cronEnabled: false,
+        jwtSecret: 'test-jwt-secret',
+        // Every suite checks the responses against openapi.yaml.
+        validateResponses: true,
+    },
+};
+
+// Schedules of the cron jobs (node-cron syntax) and the variables overriding them.
+const CRON_SCHEDULES = {
+    publication: ['CRON_PUBLICATION', '* * * * *'],
+    trending: ['CRON_TRENDING', '15 * * * *'],
+    topicImpact: ['CRON_TOPIC_IMPACT', '0 0 * * 1'],
+    trashPurge: ['CRON_TRASH_PURGE', '30 3 * * *'],
+    exportCleanup: ['CRON_EXPORT_CLEANUP', '45 * * * *'],
+    uploadCleanup: ['CRON_UPLOAD_CLEANUP', '50 * * * *'],
+};
+
+class ConfigError extends Error {
+    /**
+     * @param {string[]} problems - One line per invalid or missing variable.
+     */
+    constructor(problems) {
+        super(`Invalid configuration:\n- ${problems.join('\n- ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+/**
+ * Reads the configuration from environment variables.
+ * @param {Object} env - Usually process.env.
+ * @returns {{ config: Object, problems: string[] }}
+ */
+const readConfig = (env) => {
+    const problems = [];
+
+    const string = (name, fallback) => (env[name] !== undefined && env[name] !== '' ? env[name] : fallback);
+
+    const required = (name, fallback) => {
+        const value = string(name, fallback);
+        if (!value) {
+            problems.push(`${name} is not set.`);
+        }
+        return value;
+    };
+
+    const number = (name, fallback, { min = 0 } = {}) => {
+        if (env[name] === undefined || env[name] === '') {
+            return fallback;
+        }
+        const value = Number(env[name]);
+        if (!Number.isFinite(value) || value < min) {
+            problems.push(`${name} must be a number >= ${min}, got "${env[name]}".`);
+            return fallback;
+        }
+        return value;
+    };
+
+    const boolean = (name, fallback) => {
+        if (env[name] === undefined || env[name] === '') {
+            return fallback;
+        }
+        if (env[name] !== 'true' && env[name] !== 'false') {
+            problems.push(`${name} must be true or false, got "${env[name]}".`);
+            return fallback;
+        }
+        return env[name] === 'true';
+    };
+
+    const oneOf = (name, values, fallback) => {
+        const value = string(name, fallback);
+        if (!values.includes(value)) {
+            problems.push(`${name} must be one of ${values.join(', ')}, got "${value}".`);
+            return fallback;
+        }
+        return value;
+    };
+
+    // Absolute http(s) URL without trailing slash.
+    const url = (name, fallback) => {
+        const value = required(name, fallback);
+        if (!value) {
+            return value;
+        }
+        try {
+            const parsed = new URL(value);
+            if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+                throw new Error('not http');
+            }
+        } catch (error) {
+            problems.push(`${name} must be an http(s) URL, got "${value}".`);
+            return fallback;
+        }
+        return value.replace(/\/+$/, '');
+    };
+
+    // Express "trust proxy": true/false, a number of hops, or a comma-separated list of
+    // addresses, subnets and the names loopback, linklocal and uniquelocal.
+    const trustProxy = (name) => {
+        const value = string(name, 'false');
+        if (value === 'true' || value === 'false') {
+            return value === 'true';
+        }
+        if (/^\d+$/.test(value)) {
+            return Number(value);
+        }
+        const entries = value.split(',').map((entry) => entry.trim()).filter(Boolean);
+        const invalid = entries.filter((entry) => {
+            const [address, bits, extra] = entry.split('/');
+            return !['loopback', 'linklocal', 'uniquelocal'].includes(entry)
+                && (extra !== undefined || !net.isIP(address) || (bits !== undefined && !/^\d+$/.test(bits)));
+        });
+        if (!entries.length || invalid.length) {
+            problems.push(`${name} must be true, false, a number of proxies or addresses/subnets, got "${value}".`);
+            return false;
+        }
+        return entries;
+    };
+
+    const schedule = (name, fallback) => {
+        const value = string(name, fallback);
+        if (!cron.validate(value)) {
+            problems.push(`${name} is not a valid cron expression: "${value}".`);
+            return fallback;
+        }
+        return value;
+    };
+
+    // NODE_ENV defaults to production, as the server behaved before profiles existed.
+    const environment = string('NODE_ENV', 'production');
+    if (!PROFILES[environment]) {
+        problems.push(`NODE_ENV must be one of ${Object.keys(PROFILES).join(', ')}, got "${environment}".`);
+    }
+    const profile = PROFILES[environment] || PROFILES.production;
+    const mailTransport = oneOf('MAIL_TRANSPORT', MAIL_TRANSPORTS, profile.mailTransport);
+    const smtpHost = string('SMTP_HOST');
+    // SMTP services (SMTP_SERVICE, Gmail by default) need credentials; a host of our own may relay without.
+    const smtpCredential = (name, fallback) => (mailTransport === 'smtp' && !smtpHost
+        ? required(name, fallback)
+        : string(name, fallback));
+    const smtpUser = smtpCredential('SMTP_USER');
+    const storageDriver = oneOf('STORAGE_DRIVER', STORAGE_DRIVERS, 'local');
+    // The bucket is only required by the S3 driver.
+    const s3Bucket = storageDriver === 's3' ? required('S3_BUCKET') : string('S3_BUCKET');
+
+    const config = {
+        env: environment,
+        port: number('PORT', 3000, { min: 1 }),
+        baseUrl: url('BASE_URL', profile.baseUrl),
+        siteUrl: url('SITE_URL', 'https://www.brightmindsresearch.com'),
+        logLevel: oneOf('LOG_LEVEL', LOG_LEVELS, profile.logLevel),
+        // Proxies whose X-Forwarded-For is trusted, so req.ip is the client address (rate limits, logs).
+        trustProxy: trustProxy('TRUST_PROXY'),
+        media: {
+            root: path.resolve(string('MEDIA_ROOT', path.join(__dirname, 'media'))),
+            urlPath: '/backend/media',
+        },
+        storage: {
+            driver: storageDriver,
+            signedUrlTtlSeconds: number('STORAGE_SIGNED_URL_TTL_SECONDS', 15 * 60, { min: 1 }),
+            s3: {
+                bucket: s3Bucket,
+                region: string('S3_REGION', 'us-east-1'),
+                endpoint: string('S3_ENDPOINT'),
+                forcePathStyle: boolean('S3_FORCE_PATH_STYLE', false),
+                accessKeyId: string('S3_ACCESS_KEY_ID'),
+                secretAccessKey: string('S3_SECRET_ACCESS_KEY'),
+            },
+        },
+        mongodb: {
+            uri: required('MONGODB_URI'),
+        },
+        jwt: {
+            secret: required('JWT_SECRET', profile.jwtSecret),
+            accessTokenTtl: string('ACCESS_TOKEN_TTL', '15m'),
+            refreshTokenTtlDays: number('REFRESH_TOKEN_TTL_DAYS', 30, { min: 1 }),
+        },
+        mail: {
+            transport: mailTransport,
+            from: string('MAIL_FROM', smtpUser || 'no-reply@brightmindsresearch.com'),
+            outputDir: path.resolve(string('MAIL_OUTPUT_DIR', path.join(__dirname, '../tmp/mail'))),
+            smtp: {
+                host: smtpHost,
+                port: number('SMTP_PORT', 587, { min: 1 }),
+                secure: boolean('SMTP_SECURE', false),
+                service: string('SMTP_SERVICE', 'Gmail'),
+                user: smtpUser,
+                pass: smtpCredential('SMTP_PASS', string('EMAIL_PWD')),
+            },
+            alertTo: string('OPENAI_ALERT_EMAIL_TO', string('ALERT_EMAIL_TO')),
+            alertLocale: string('ALERT_EMAIL_LOCALE'),
+        },
+        openai: {
+            apiKey: string('OPENAI_API_KEY'),
+            chatModel: string('OPENAI_CHAT_MODEL', 'gpt-4'),
+            imageModel: string('OPENAI_IMAGE_MODEL', 'dall-e-3'),
+            transcriptionModel: string('OPENAI_TRANSCRIPTION_MODEL', 'whisper-1'),
+            alertThrottleMs: number('OPENAI_ALERT_THROTTLE_MS', 60 * 60 * 1000),
+        },
+        cron: {
+            enabled: boolean('CRON_ENABLED', profile.cronEnabled),
+            schedules: Object.fromEntries(Object.entries(CRON_SCHEDULES)
+                .map(([job, [name, fallback]]) => [job, schedule(name, fallback)])),
+        },
+        trash: {
+            retentionDays: number('TRASH_RETENTION_DAYS', 30, { min: 1 }),
+        },
+        dataExport: {
+            dir: path.resolve(string('DATA_EXPORT_DIR', path.join(__dirname, '../tmp/exports'))),
+            ttlHours: number('DATA_EXPORT_TTL_HOURS', 48, { min: 1 }),
+        },
+        uploads: {
+            chunkSizeBytes: number('UPLOAD_CHUNK_SIZE_BYTES', 8 * 1024 * 1024, { min: 1 }),
+            sessionTtlHours: number('UPLOAD_SESSION_TTL_HOURS', 24, { min: 1 }),
+            maxBytes: {
+                video: number('UPLOAD_MAX_VIDEO_BYTES', 2 * 1024 * 1024 * 1024, { min: 1 }),
+                profilePicture: number('UPLOAD_MAX_PROFILE_PICTURE_BYTES', 5 * 1024 * 1024, { min: 1 }),
+                universityIcon: number('UPLOAD_MAX_UNIVERSITY_ICON_BYTES', 2 * 1024 * 1024, { min: 1 }),
+                virtualLabIcon: number('UPLOAD_MAX_VIRTUAL_LAB_ICON_BYTES', 2 * 1024 * 1024, { min: 1 }),
+                castImage: number('UPLOAD_MAX_CAST_IMAGE_BYTES', 5 * 1024 * 1024, { min: 1 }),
+            },
+            maxVideoDurationSeconds: number('UPLOAD_MAX_VIDEO_DURATION_SECONDS', 4 * 60 * 60, { min: 1 }),
+        },
+        monitoring: {
+            metricsToken: string('METRICS_TOKEN'),
+            healthCheckTimeoutMs: number('HEALTH_CHECK_TIMEOUT_MS', 2000, { min: 1 }),
+        },
+        openapi: {
+            validateResponses: boolean('OPENAPI_VALIDATE_RESPONSES', Boolean(profile.validateResponses)),
+        },
+    };
+    return { config, problems };
+};
+
+// Shared by every module; loadConfig() refreshes it in place.
+const config = {};
+
+/**
+ * Reads the environment into `config`. It runs when this module is first
+ * required, leniently so scripts and tests can load modules before setting
+ * every variable; app.js calls it again at startup with `strict`.
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Throw a ConfigError listing every problem.
+ * @param {Object} [options.env]
+ * @returns {Object} config
+ */
+const loadConfig = ({ strict = false, env = process.env } = {}) => {
+    const { config: loaded, problems } = readConfig(env);
+    if (strict && problems.length) {
+        throw new ConfigError(problems);
+    }
+    Object.keys(config).forEach((key) => delete config[key]);
+    return Object.assign(config, loaded);
+};
+
+loadConfig();
+
+module.exports = {
+    PROFILES,
+    ConfigError,
+    config,
+    loadConfig,
+};
@@ -0,0 +1,331 @@
+// data_export.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const cron = require('node-cron');
+const DataExport = require('../models/data_export_model.js');
+const User = require('../models/user_model.js');
+const Cast = require('../models/cast_model.js');
+const Article = require('../models/article_model.js');
+const RatingVote = require('../models/rating_vote_model.js');
+const VirtualLab = require('../models/virtual_lab_model.js');
+const { mediaKeys, resolveMediaUrl, mediaUrlReplacer } = require('../controllers/fileHelper.js');
+const { getStorage } = require('./storage');
+const { sendTemplatedEmail } = require('./mailer.js');
+const { logger } = require('./logger.js');
+const { config } = require('./config.js');
+
+const PROFILE_FIELDS = ['_id', 'email', 'username', 'role', 'platformRole', 'locale', 'university', 'profilePictureUrl', 'isVerified'];
+
+// [field (or dotted path) holding the URL, media folder].
+const CAST_MEDIA = [
+    ['casturl', 'cast_videos'],
+    ['castimageurl', 'cast_images'],
+    ['images.aiurl', 'cast_images'],
+    ['images.uploadurl', 'cast_images'],
+    ['images.frameurl', 'cast_thumbnails'],
+    ['posterurl', 'cast_thumbnails'],
+    ['subtitleurl', 'cast_subtitles'],
+];
+const ARTICLE_MEDIA = [['articleimageurl', 'article_images']];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const csvValue = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Renders rows as CSV.
+ * @param {Object[]} rows
+ * @param {Array<[string, function(Object): *]>} columns - Header and value getter.
+ * @returns {string}
+ */
+const toCsv = (rows, columns) => [
+    columns.map(([header]) => csvValue(header)).join(','),
+    ...rows.map((row) => columns.map(([, get]) => csvValue(get(row))).join(',')),
+].join('\r\n') + '\r\n';
+
+// Archives live on the local disk (config.dataExport.dir), not in the media storage.
+const removeArchive = (filePath) => fs.promises.rm(filePath, { force: true });
+
+const column = (field) => [field, (row) => row[field]];
+
+const isMember = (list, userId) => (list || []).some((entry) => entry.userID === userId);
+
+const mediaEntries = (items, media, prefix) => items.flatMap((item) => mediaKeys(item, media)
+    .map((key) => ({ key, name: `media/${prefix}/${item._id}/${path.basename(key)}` })));
+
+/**
+ * Gathers the personal data of a user, one section per file of the archive.
+ * @param {Object} user - Lean user document.
+ * @returns {Promise<{ sections: Object[], media: Object[] }>} sections: { name, data, rows, columns };
+ *   media: { key, name } storage files copied into the archive.
+ */
+const collectUserData = async (user) => {
+    const userId = String(user._id);
+    const [ratings, casts, articles, labs] = await Promise.all([
+        RatingVote.find({ userId: user._id }).lean(),
+        Cast.find({ brightmindid: userId }).lean(),
+        Article.find({ brightmindid: userId }).lean(),
+        VirtualLab.find({
+            $or: [
+                { 'followers.userID': userId },
+                { 'members.userID': userId },
+                { 'topics.followers.userID': userId },
+                { 'topics.members.userID': userId },
+            ],
+        }).lean(),
+    ]);
+
+    const profile = Object.fromEntries(PROFILE_FIELDS.map((field) => [field, user[field] ?? null]));
+    profile.profilePictureUrl = resolveMediaUrl(profile.profilePictureUrl);
+    const tracking = user.tracking || {};
+    const labMemberships = labs.map((lab) => ({
+        labId: lab._id,
+        name: lab.name,
+        follower: isMember(lab.followers, userId),
+        member: isMember(lab.members, userId),
+        topics: (lab.topics || [])
+            .filter((topic) => isMember(topic.followers, userId) || isMember(topic.members, userId))
+            .map((topic) => ({
+                name: topic.name,
+                follower: isMember(topic.followers, userId),
+                member: isMember(topic.members, userId),
+            })),
+    }));
+    const contentColumns = ['_id', 'title', 'department', 'topic', 'category', 'university', 'status', 'visibility', 'dateadded', 'publishedAt'].map(column);
+
+    const sections = [
+        {
+            name: 'profile',
+            data: profile,
+            rows: Object.entries(profile).map(([field, value]) => ({ field, value })),
+            columns: [column('field'), column('value')],
+        },
+        {
+            name: 'preferences',
+            data: user.preferences || [],
+            columns: ['category', 'weight', 'count'].map(column),
+        },
+        {
+            name: 'tracking',
+            data: tracking,
+            rows: tracking.history || [],
+            columns: ['category', 'count'].map(column),
+        },
+        {
+            name: 'evaluations',
+            data: user.evaluation_list || [],
+            columns: ['contentid', 'type', 'watched', 'answered', 'watchedAt', 'answeredAt'].map(column),
+        },
+        {
+            name: 'bookmarks',
+            data: user.bookmarkedcontent || [],
+            columns: ['contentid', 'type', 'bookmarkedAt'].map(column),
+        },
+        {
+            name: 'ratings',
+            data: ratings.map(({ contentType, contentId, action, history, createdAt, updatedAt }) => ({ contentType, contentId, action, history, createdAt, updatedAt })),
+            columns: ['contentType', 'contentId', 'action', 'createdAt', 'updatedAt'].map(column),
+        },
+        { name: 'casts', data: casts, columns: [...contentColumns, ['casturl', (row) => resolveMediaUrl(row.casturl)], ['subtitleurl', (row) => resolveMediaUrl(row.subtitleurl)]] },
+        { name: 'articles', data: articles, columns: contentColumns },
+        {
+            name: 'virtual_labs',
+            data: labMemberships,
+            columns: [
+                column('labId'),
+                column('name'),
+                column('follower'),
+                column('member'),
+                ['topics', (row) => row.topics.map((topic) => topic.name).join('; ')],
+            ],
+        },
+    ];
+
+    const media = [
+        ...mediaEntries([user], [['profilePictureUrl', 'profile_pictures']], 'profile'),
+        ...mediaEntries(casts, CAST_MEDIA, 'casts'),
+        ...mediaEntries(articles, ARTICLE_MEDIA, 'articles'),
+    ];
+    return { sections, media };
+};
+
+const README = (generatedAt, missing) => [
+    'BrightMinds Research - personal data export',
+    `Generated on ${generatedAt.toISOString()}.`,
+    '',
+    'json/  every section as JSON, as stored by the platform',
+    'csv/   the same sections as spreadsheets',
+    'media/ your profile picture and the videos, images and subtitles of your casts and articles',
+    ...(missing.length ? ['', 'Media files that could not be found:', ...missing] : []),
+    '',
+].join('\r\n');
+
+/**
+ * Writes the export ZIP of a user to `filePath`.
+ * @returns {Promise<number>} Size of the archive in bytes.
+ */
+const writeExportArchive = async (user, filePath) => {
+    const { sections, media } = await collectUserData(user);
+    const storage = getStorage();
+    const available = [];
+    const missing = [];
+    for (const entry of media) {
+        (await storage.exists(entry.key) ? available : missing).push(entry);
+    }
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    const written = new Promise((resolve, reject) => {
+        output.on('close', resolve);
+        output.on('error', reject);
+        archive.on('error', reject);
+    });
+    archive.pipe(output);
+
+    archive.append(README(new Date(), missing.map((entry) => entry.name)), { name: 'README.txt' });
+    for (const { name, data, rows, columns } of sections) {
+        archive.append(JSON.stringify(data, mediaUrlReplacer, 2), { name: `json/${name}.json` });
+        archive.append(toCsv(rows || data, columns), { name: `csv/${name}.csv` });
+    }
+    for (const { key, name } of available) {
+        archive.append(await storage.stream(key), { name });
+    }
+
+    await archive.finalize();
+    await written;
+    return archive.pointer();
+};
+
+/**
+ * Builds a pending export (run by queues/exportQueue.js): writes the ZIP,
+ * issues a download token valid config.dataExport.ttlHours hours and emails the
+ * link to the user.
+ * @param {string} exportId
+ * @returns {Promise<Object|null>} The updated export, null when it is not pending.
+ */
+async function processDataExport(exportId) {
+    const dataExport = await DataExport.findOne({ _id: exportId, status: 'pending' });
+    if (!dataExport) {
+        return null;
+    }
+
+    const filePath = path.join(config.dataExport.dir, `${dataExport._id}.zip`);
+    try {
+        const user = await User.findById(dataExport.userId).lean();
+        if (!user) {
+            throw new Error('User not found.');
+        }
+
+        const size = await writeExportArchive(user, filePath);
+        const token = crypto.randomBytes(32).toString('hex');
+        const completedAt = new Date();
+        Object.assign(dataExport, {
+            status: 'ready',
+            tokenHash: hashToken(token),
+            filePath,
+            size,
+            completedAt,
+            expiresAt: new Date(completedAt.getTime() + config.dataExport.ttlHours * 60 * 60 * 1000),
+        });
+        // Saved before the email, so the link it carries always works.
+        await dataExport.save();
+
+        await sendTemplatedEmail({
+            to: user.email,
+            template: 'dataExportReady',
+            locale: user.locale,
+            data: {
+                username: user.username,
+                downloadUrl: `${config.baseUrl}/user/export/download/${token}`,
+                expiresInHours: config.dataExport.ttlHours,
+            },
+        });
+        return dataExport;
+    } catch (error) {
+        await removeArchive(filePath).catch(() => {});
+        dataExport.status = 'failed';
+        dataExport.tokenHash = undefined;
+        dataExport.error = error.message;
+        await dataExport.save();
+        throw error;
+    }
+}
+
+/**
+ * Finds the ready export matching a download token.
+ * @returns {Promise<Object|null>} null when unknown; check expiresAt before serving it.
+ */
+const findExportByToken = (token) => DataExport.findOne({ tokenHash: hashToken(String(token)), status: 'ready' });
+
+/**
+ * Deletes the archives and records of exports whose link has expired.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of exports removed.
+ */
+async function purgeExpiredExports(now = new Date()) {
+    const expired = await DataExport.find({ expiresAt: { $lte: now } }).lean();
+    for (const dataExport of expired) {
+        if (dataExport.filePath) {
+            await removeArchive(dataExport.filePath);
+        }
+        await DataExport.deleteOne({ _id: dataExport._id });
+    }
+    return expired.length;
+}
+
+/**
+ * Deletes the archives and records of all the exports of a user.
+ * @param {string} userId
+ * @returns {Promise<number>} Number of exports removed.
+ */
+async function removeUserExports(userId) {
+    const userExports = await DataExport.find({ userId }).lean();
+    for (const dataExport of userExports) {
+        if (dataExport.filePath) {
+            await removeArchive(dataExport.filePath);
+        }
+    }
+    await DataExport.deleteMany({ userId });
+    return userExports.length;
+}
+
+/**
+ * Schedules the removal of expired exports (config.cron.schedules.exportCleanup,
+ * every hour on minute 45 by default).
+ */
+function scheduleExportCleanup() {
+    if (!config.cron.enabled) {
+        return;
+    }
+    cron.schedule(config.cron.schedules.exportCleanup, async () => {
+        try {
+            const removed = await purgeExpiredExports();
+            if (removed) {
+                logger.info('Removed expired data exports', { removed });
+            }
+        } catch (error) {
+            logger.error('Error removing expired data exports', { error: error.message });
+        }
+    });
+    logger.info('Data export cleanup scheduled', { schedule: config.cron.schedules.exportCleanup });
+}
+
+module.exports = {
+    toCsv,
+    collectUserData,
+    processDataExport,
+    findExportByToken,
+    purgeExpiredExports,
+    removeUserExports,
+    scheduleExportCleanup,
+};
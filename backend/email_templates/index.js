@@ -0,0 +1,153 @@
+const { resolveLocale } = require('../../lists/locales.js');
+const { config } = require('../config.js');
+
+const locales = {
+    en: require('./locales/en.js'),
+    fr: require('./locales/fr.js'),
+};
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const renderHtml = ({ subject, heading, paragraphs, action, footnote }, locale) => `
+<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(subject)}</title>
+    <style>
+        @import url('https://fonts.googleapis.com/css2?family=Montserrat:wght@400;700&display=swap');
+
+        body {
+            margin: 0;
+            padding: 0;
+            font-family: 'Montserrat', sans-serif;
+            background-color: #1c1c1c;
+            color: #f1f1f1;
+        }
+
+        .email-container {
+            max-width: 600px;
+            margin: 0 auto;
+            background-color: #1c1c1c;
+            border: 1px solid #1c1c1c;
+            border-radius: 8px;
+            padding: 20px;
+        }
+
+        .email-container .logo {
+            text-align: center;
+            margin-bottom: 20px;
+        }
+
+        .email-container .logo img {
+            max-width: 230px;
+        }
+
+        .email-container h2 {
+            text-align: center;
+            color: #00407A;
+            font-family: 'MontserratBold', sans-serif;
+        }
+
+        .email-container p {
+            font-size: 16px;
+            line-height: 1.5;
+            text-align: center;
+            color: #f1f1f1;
+        }
+
+        .email-container .button-container {
+            text-align: center;
+            margin: 30px 0;
+        }
+
+        .email-container .button-container a {
+            background-color: #00407A;
+            color: #f1f1f1;
+            padding: 12px 24px;
+            text-decoration: none;
+            border-radius: 5px;
+            font-size: 16px;
+            font-family: 'MontserratBold', sans-serif;
+        }
+
+        .email-container .footer {
+            text-align: center;
+            margin-top: 20px;
+            margin-bottom: 20px;
+        }
+
+        .email-container .footer img {
+            max-width: 100px;
+        }
+
+        .email-container .footer p {
+            font-size: 12px;
+            line-height: 1.5;
+            text-align: center;
+            color: #f1f1f1;
+        }
+    </style>
+</head>
+<body>
+    <div class="email-container">
+        <div class="logo">
+            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+        </div>
+        <h2>${escapeHtml(heading)}</h2>
+        ${paragraphs.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`).join('\n        ')}
+        ${action ? `<div class="button-container">
+            <a href="${escapeHtml(action.url)}">${escapeHtml(action.label)}</a>
+        </div>` : ''}
+        ${footnote ? `<p>${escapeHtml(footnote)}</p>` : ''}
+        <div class="footer">
+            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
+            <p>&copy; ${new Date().getFullYear()} BrightMinds Research LLC. All rights reserved.</p>
+        </div>
+    </div>
+</body>
+</html>
+`;
+
+const renderText = ({ heading, paragraphs, action, footnote }) => {
+    const lines = [heading, '', ...paragraphs];
+    if (action) {
+        lines.push('', `${action.label}: ${action.url}`);
+    }
+    if (footnote) {
+        lines.push('', footnote);
+    }
+    lines.push('', '© BrightMinds Research LLC');
+    return lines.join('\n');
+};
+
+/**
+ * Renders an email template in the requested locale (falls back to English).
+ *
+ * @param {string} name - Template name (verification, passwordReset, accountUnlock, dataExportReady, alert).
+ * @param {string} [locale] - Preferred locale, usually User.locale.
+ * @param {Object} [data] - Values interpolated into the template.
+ * @returns {{ subject: string, html: string, text: string }}
+ */
+const renderEmail = (name, locale, data = {}) => {
+    const resolvedLocale = resolveLocale(locale);
+    const template = locales[resolvedLocale][name];
+    if (!template) {
+        throw new Error(`Unknown email template "${name}"`);
+    }
+
+    const content = template(data);
+    return {
+        subject: content.subject,
+        html: renderHtml(content, resolvedLocale),
+        text: renderText(content),
+    };
+};
+
+module.exports = { renderEmail };
@@ -0,0 +1,51 @@
+// English email copy. Every template returns the pieces assembled by email_templates/index.js.
+module.exports = {
+    verification: ({ verificationUrl }) => ({
+        subject: 'Account Verification - BrightMinds Research',
+        heading: 'Welcome!',
+        paragraphs: [
+            'Thank you for signing up with us. To complete your registration, please confirm your email address by clicking the button below.',
+        ],
+        action: { label: 'Verify Email', url: verificationUrl },
+        footnote: 'If you did not create an account with us, please ignore this email.',
+    }),
+
+    passwordReset: ({ username, resetUrl }) => ({
+        subject: 'Password Reset - BrightMinds Research',
+        heading: `Hello ${username},`,
+        paragraphs: [
+            'You requested a password reset for your BrightMinds Research account.',
+            'Please click the button below to set a new password (valid for 1 hour).',
+        ],
+        action: { label: 'Reset Your Password', url: resetUrl },
+        footnote: 'If you did not request this, please ignore this email.',
+    }),
+
+    accountUnlock: ({ username, unlockUrl, lockMinutes }) => ({
+        subject: 'Account Locked - BrightMinds Research',
+        heading: `Hello ${username},`,
+        paragraphs: [
+            'Your BrightMinds Research account was temporarily locked after too many failed login attempts.',
+            `If this was you, click the button below to unlock it now, or wait ${lockMinutes} minutes.`,
+        ],
+        action: { label: 'Unlock Your Account', url: unlockUrl },
+        footnote: 'If this was not you, we recommend resetting your password.',
+    }),
+
+    dataExportReady: ({ username, downloadUrl, expiresInHours }) => ({
+        subject: 'Your Data Export - BrightMinds Research',
+        heading: `Hello ${username},`,
+        paragraphs: [
+            'The export of your BrightMinds Research data is ready.',
+            `Click the button below to download it. The link expires in ${expiresInHours} hours.`,
+        ],
+        action: { label: 'Download My Data', url: downloadUrl },
+        footnote: 'If you did not request this export, please reset your password.',
+    }),
+
+    alert: ({ subject, lines }) => ({
+        subject,
+        heading: subject,
+        paragraphs: lines,
+    }),
+};
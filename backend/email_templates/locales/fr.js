@@ -0,0 +1,51 @@
+// French email copy. Keys and returned pieces mirror locales/en.js.
+module.exports = {
+    verification: ({ verificationUrl }) => ({
+        subject: 'Vérification du compte - BrightMinds Research',
+        heading: 'Bienvenue !',
+        paragraphs: [
+            'Merci de votre inscription. Pour finaliser votre inscription, veuillez confirmer votre adresse email en cliquant sur le bouton ci-dessous.',
+        ],
+        action: { label: 'Vérifier mon email', url: verificationUrl },
+        footnote: "Si vous n'avez pas créé de compte, vous pouvez ignorer cet email.",
+    }),
+
+    passwordReset: ({ username, resetUrl }) => ({
+        subject: 'Réinitialisation du mot de passe - BrightMinds Research',
+        heading: `Bonjour ${username},`,
+        paragraphs: [
+            'Vous avez demandé la réinitialisation du mot de passe de votre compte BrightMinds Research.',
+            'Cliquez sur le bouton ci-dessous pour choisir un nouveau mot de passe (valable 1 heure).',
+        ],
+        action: { label: 'Réinitialiser mon mot de passe', url: resetUrl },
+        footnote: "Si vous n'êtes pas à l'origine de cette demande, vous pouvez ignorer cet email.",
+    }),
+
+    accountUnlock: ({ username, unlockUrl, lockMinutes }) => ({
+        subject: 'Compte verrouillé - BrightMinds Research',
+        heading: `Bonjour ${username},`,
+        paragraphs: [
+            'Votre compte BrightMinds Research a été temporairement verrouillé après trop de tentatives de connexion échouées.',
+            `Si c'était vous, cliquez sur le bouton ci-dessous pour le déverrouiller maintenant, ou patientez ${lockMinutes} minutes.`,
+        ],
+        action: { label: 'Déverrouiller mon compte', url: unlockUrl },
+        footnote: "Si ce n'était pas vous, nous vous recommandons de réinitialiser votre mot de passe.",
+    }),
+
+    dataExportReady: ({ username, downloadUrl, expiresInHours }) => ({
+        subject: 'Export de vos données - BrightMinds Research',
+        heading: `Bonjour ${username},`,
+        paragraphs: [
+            "L'export de vos données BrightMinds Research est prêt.",
+            `Cliquez sur le bouton ci-dessous pour le télécharger. Le lien expire dans ${expiresInHours} heures.`,
+        ],
+        action: { label: 'Télécharger mes données', url: downloadUrl },
+        footnote: "Si vous n'avez pas demandé cet export, nous vous recommandons de réinitialiser votre mot de passe.",
+    }),
+
+    alert: ({ subject, lines }) => ({
+        subject,
+        heading: subject,
+        paragraphs: lines,
+    }),
+};
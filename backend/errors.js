@@ -0,0 +1,164 @@
+// errors.js
+
+const mongoose = require('mongoose');
+const { logger } = require('./logger.js');
+
+const STATUS_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    409: 'CONFLICT',
+    410: 'GONE',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    422: 'VALIDATION_FAILED',
+    429: 'TOO_MANY_REQUESTS',
+    502: 'BAD_GATEWAY',
+    500: 'INTERNAL_ERROR',
+};
+
+const INTERNAL_ERROR_MESSAGE = 'An unexpected error occurred.';
+
+/**
+ * Error carrying the HTTP status and the code sent in the error envelope.
+ * Pass it to next() (or throw it from an async helper) and errorHandler
+ * turns it into { error: { code, message, details, requestId } }.
+ */
+class AppError extends Error {
+    /**
+     * @param {number} status
+     * @param {string} message - Safe to show to clients.
+     * @param {Object} [options]
+     * @param {string} [options.code] - Defaults to the code of the status (e.g. NOT_FOUND).
+     * @param {*} [options.details]
+     */
+    constructor(status, message, { code, details } = {}) {
+        super(message);
+        this.name = 'AppError';
+        this.status = status;
+        this.code = code || STATUS_CODES[status] || 'ERROR';
+        this.details = details;
+    }
+}
+
+const typedError = (name, status) => class extends AppError {
+    constructor(message, options) {
+        super(status, message, options);
+        this.name = name;
+    }
+};
+
+const BadRequestError = typedError('BadRequestError', 400);
+const UnauthorizedError = typedError('UnauthorizedError', 401);
+const ForbiddenError = typedError('ForbiddenError', 403);
+const NotFoundError = typedError('NotFoundError', 404);
+const ConflictError = typedError('ConflictError', 409);
+const GoneError = typedError('GoneError', 410);
+const PayloadTooLargeError = typedError('PayloadTooLargeError', 413);
+const UnsupportedMediaTypeError = typedError('UnsupportedMediaTypeError', 415);
+const UnprocessableEntityError = typedError('UnprocessableEntityError', 422);
+const TooManyRequestsError = typedError('TooManyRequestsError', 429);
+
+const fieldErrors = (error) => Object.values(error.errors).map((fieldError) => ({
+    path: fieldError.path,
+    message: fieldError.message,
+    kind: fieldError.kind,
+}));
+
+/**
+ * Maps any error reaching the error handler to an AppError: Mongoose
+ * CastError (400), ValidationError (422, 409 for unique fields), duplicate
+ * keys (409), body parser and multer errors. Anything else is a 500 whose
+ * message is not exposed.
+ * @returns {AppError}
+ */
+const toAppError = (error) => {
+    if (error instanceof AppError) {
+        return error;
+    }
+    if (error instanceof mongoose.Error.CastError) {
+        return new AppError(400, `Invalid ${error.path}.`, {
+            code: error.path === '_id' ? 'INVALID_ID' : 'INVALID_VALUE',
+            details: { path: error.path, value: error.value },
+        });
+    }
+    if (error instanceof mongoose.Error.ValidationError) {
+        const details = fieldErrors(error);
+        if (details.every((detail) => detail.kind === 'unique')) {
+            return new ConflictError('A record with these values already exists.', { code: 'DUPLICATE', details });
+        }
+        return new UnprocessableEntityError('Validation failed.', { details });
+    }
+    if (error && error.code === 11000) {
+        return new ConflictError('A record with these values already exists.', {
+            code: 'DUPLICATE',
+            details: { fields: Object.keys(error.keyValue || error.keyPattern || {}) },
+        });
+    }
+    if (error && error.type === 'entity.parse.failed') {
+        return new BadRequestError('Malformed JSON body.', { code: 'INVALID_JSON' });
+    }
+    if (error && error.name === 'MulterError') {
+        const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+        return new AppError(status, error.message, { code: 'INVALID_UPLOAD', details: { field: error.field } });
+    }
+    // Errors from express and its body parsers carry a 4xx status.
+    const status = error && (error.status || error.statusCode);
+    if (status >= 400 && status < 500) {
+        return new AppError(status, error.message);
+    }
+    return new AppError(500, INTERNAL_ERROR_MESSAGE);
+};
+
+/**
+ * The error envelope sent to clients.
+ * @returns {{ error: { code: string, message: string, details: *, requestId: string|null } }}
+ */
+const errorBody = (appError, req) => ({
+    error: {
+        code: appError.code,
+        message: appError.message,
+        details: appError.details === undefined ? null : appError.details,
+        requestId: req.id || null,
+    },
+});
+
+/**
+ * Final Express middleware: logs unexpected errors and sends the envelope.
+ */
+const errorHandler = (error, req, res, next) => {
+    const appError = toAppError(error);
+    if (appError.status >= 500) {
+        logger.error('Unexpected error handling request', { requestId: req.id, method: req.method, path: req.originalUrl, error });
+    }
+    if (res.headersSent) {
+        return next(error);
+    }
+    res.status(appError.status).json(errorBody(appError, req));
+};
+
+/**
+ * Answers requests no route matched.
+ */
+const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError(`Cannot ${req.method} ${req.path}.`, { code: 'ROUTE_NOT_FOUND' }));
+};
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    GoneError,
+    PayloadTooLargeError,
+    UnsupportedMediaTypeError,
+    UnprocessableEntityError,
+    TooManyRequestsError,
+    toAppError,
+    errorBody,
+    errorHandler,
+    notFoundHandler,
+};
@@ -1,84 +1,80 @@
-const fs = require('fs');
-const path = require('path');
 const axios = require('axios');
 const sharp = require('sharp');
 
-const isTestEnv = process.env.NODE_ENV === 'test';
-const openaiApiKey = process.env.OPENAI_API_KEY;
 const { reportOpenAIAuthError, reportOpenAIMissingApiKey } = require('./openai_alerts');
+const { logger } = require('./logger');
+const { observeOpenAICall } = require('./metrics');
+const { config } = require('./config');
+const { mediaUrl } = require('../controllers/fileHelper');
+const { getStorage } = require('./storage');
+
+const isTestEnv = config.env === 'test';
 
 let client = null;
 if (!isTestEnv) {
   const OpenAI = require('openai');
-  client = new OpenAI({ apiKey: openaiApiKey });
+  client = new OpenAI({ apiKey: config.openai.apiKey });
 }
 
-async function downloadImage(url, filepath) {
-    const writer = fs.createWriteStream(filepath);
-
+async function downloadImage(url) {
     const response = await axios({
         url,
         method: 'GET',
-        responseType: 'stream'
-    });
-
-    response.data.pipe(writer);
-
-    return new Promise((resolve, reject) => {
-        writer.on('finish', resolve);
-        writer.on('error', reject);
+        responseType: 'arraybuffer'
     });
+    return Buffer.from(response.data);
 }
 
-async function resizeImage(inputPath, outputPath, width, height) {
-    try {
-        await sharp(inputPath)
-            .resize(width, height)
-            .toFile(outputPath);
-        console.log('Image resized successfully');
-        fs.unlinkSync(inputPath); // Delete the original file after resizing
-    } catch (error) {
-        console.error('Error resizing image:', error);
-    }
+async function resizeImage(image, width, height) {
+    const resized = await sharp(image)
+        .resize(width, height)
+        .jpeg()
+        .toBuffer();
+    logger.debug('Image resized', { width, height });
+    return resized;
 }
 
+/**
+ * Generates an illustration of the description and stores it in the media storage.
+ * @returns {Promise<string|null>} Media URL of the image, null when generation failed.
+ */
 async function generateArticleImage(description) {
     if (isTestEnv) {
-        return path.join(__dirname, '/media/article_images/', 'article_test.jpg');
+        return mediaUrl('article_images', 'article_test.jpg');
     }
 
     const modifiedDescription = `Create a simple, realistic academic illustration with no text. The image should be clean and minimal, focusing only on the most essential elements to illustrate the main idea. Use neutral or light-colored backgrounds that do not distract from the subject. The overall style should be realistic and clear, suitable for an educational or academic context. Do not include any additional text or decorative elements. The illustration should effectively convey the following concept: ${description}.`;
     try {
-        if (!openaiApiKey) {
+        if (!config.openai.apiKey) {
             await reportOpenAIMissingApiKey({ operation: 'generateArticleImage' });
-            console.error('OpenAI API key not configured. Set OPENAI_API_KEY.');
+            logger.error('OpenAI API key not configured. Set OPENAI_API_KEY.', { operation: 'generateArticleImage' });
             return null;
         }
 
-        const response = await client.images.generate({
-            model: "dall-e-3",
+        const response = await observeOpenAICall('generateArticleImage', () => client.images.generate({
+            model: config.openai.imageModel,
             prompt: modifiedDescription,
             n: 1,
             size: "1024x1024"
-        });
+        }));
 
         if (!response.data || response.data.length === 0) {
-            console.error("Unexpected response structure:", response);
+            logger.error('Unexpected image generation response', { response });
             return null;
         }
 
         const imageUrl = response.data[0].url;
-        const originalImagePath = path.join(__dirname, '/media/article_images/', 'original_' + Date.now() + '.jpg');
-        const resizedImagePath = path.join(__dirname, '/media/article_images/', 'article_' + Date.now() + '.jpg');
-
-        await downloadImage(imageUrl, originalImagePath);
+        const filename = 'article_' + Date.now() + '.jpg';
 
-        await resizeImage(originalImagePath, resizedImagePath, 980, 560);
+        const original = await downloadImage(imageUrl);
+        const resized = await resizeImage(original, 980, 560);
+        await getStorage().upload(`article_images/${filename}`, resized, { contentType: 'image/jpeg' });
 
-        return resizedImagePath;
+        logger.info('Article image generated', { filename });
+        return mediaUrl('article_images', filename);
     } catch (error) {
         await reportOpenAIAuthError(error, { operation: 'generateArticleImage' });
-        console.error('Error generating article image:', error);
+        logger.error('Error generating article image', { error });
         return null;
     }
 }
@@ -1,12 +1,14 @@
-const isTestEnv = process.env.NODE_ENV === 'test';
-const openaiApiKey = process.env.OPENAI_API_KEY;
-
 const { reportOpenAIAuthError, reportOpenAIMissingApiKey } = require('./openai_alerts');
+const { logger } = require('./logger');
+const { observeOpenAICall } = require('./metrics');
+const { config } = require('./config');
+
+const isTestEnv = config.env === 'test';
 
 let client = null;
 if (!isTestEnv) {
   const OpenAI = require('openai');
-  client = new OpenAI({ apiKey: openaiApiKey });
+  client = new OpenAI({ apiKey: config.openai.apiKey });
 }
 
 function cleanAnswerChoice(choice) {
@@ -30,14 +32,14 @@ const generateEvaluation = async (description) => {
   }
 
   try {
-    if (!openaiApiKey) {
+    if (!config.openai.apiKey) {
       await reportOpenAIMissingApiKey({ operation: 'generateEvaluation' });
-      console.error('OpenAI API key not configured. Set OPENAI_API_KEY.');
+      logger.error('OpenAI API key not configured. Set OPENAI_API_KEY.', { operation: 'generateEvaluation' });
       return null;
     }
 
-    const response = await client.chat.completions.create({
-    model: 'gpt-4',
+    const response = await observeOpenAICall('generateEvaluation', () => client.chat.completions.create({
+    model: config.openai.chatModel,
     messages: [
         { role: 'system', content: 'You are a helpful assistant.' },
         { role: 'user', content: `Generate a multiple-choice question based on the following description (place the correct answer first). The question should aim to see if the user understood what was described. The user will answer the question after seeing many different description, so the question should not expect the user to know what description it refers to. Here is the description: ${description}\nQuestion:` },
@@ -45,9 +47,9 @@ const generateEvaluation = async (description) => {
       max_tokens: 500,
       temperature: 0.7, // Adjust temperature for response randomness
       n : 4,
-    });
+    }));
 
-    console.log( response.choices[0].message.content);
+    logger.debug('Evaluation generated', { content: response.choices[0].message.content });
 
     // Extract the generated message content
     const generatedMessage = response.choices[0].message.content;
@@ -79,14 +81,10 @@ const generateEvaluation = async (description) => {
       correct: correctAnswer,
     };
 
-    console.log(evaluation.question);
-    console.log(evaluation.responses);
-    console.log(evaluation.correct);
-
     return evaluation;
   } catch (error) {
     await reportOpenAIAuthError(error, { operation: 'generateEvaluation' });
-    console.error('Error generating question:', error);
+    logger.error('Error generating question', { error });
     return null;
   }
 };
@@ -1,15 +1,17 @@
 const axios = require('axios');
 const { departmentNames, departmentIdByName } = require('../lists/departments');
 const { reportOpenAIAuthError, reportOpenAIMissingApiKey } = require('./openai_alerts');
+const { logger } = require('./logger');
+const { observeOpenAICall } = require('./metrics');
+const { config } = require('./config');
 
-const isTestEnv = process.env.NODE_ENV === 'test';
-const openaiApiKey = process.env.OPENAI_API_KEY;
+const isTestEnv = config.env === 'test';
 
 let client = null;
 if (!isTestEnv) {
   const openai = require('openai');
   client = new openai({
-    apiKey: openaiApiKey,
+    apiKey: config.openai.apiKey,
   });
 }
  
@@ -45,7 +47,7 @@ async function determineBestTopic(description, topics, contentType) {
     return topics.length ? topics[0].display_name : null;
   }
 
-  if (!openaiApiKey) {
+  if (!config.openai.apiKey) {
     await reportOpenAIMissingApiKey({ operation: 'determineBestTopic' });
     throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY.');
   }
@@ -55,15 +57,15 @@ async function determineBestTopic(description, topics, contentType) {
   const prompt = `I have a ${contentText} with the following description:\n\n"${description}"\n\nHere is a list of topics from the field (one per line). Based on the description, which one of these topics best matches the ${contentText}? Respond with only the topic name exactly as it appears in the list, without any numbering or extra characters.\n\nTopics:\n${topicsText}`;
 
   try {
-    const response = await client.chat.completions.create({
-      model: 'gpt-4',
+    const response = await observeOpenAICall('determineBestTopic', () => client.chat.completions.create({
+      model: config.openai.chatModel,
       messages: [
         { role: 'system', content: 'You are an expert in categorizing research topics.' },
         { role: 'user', content: prompt }
       ],
       max_tokens: 50,
       temperature: 0.3,
-    });
+    }));
    
     const bestTopicNameRaw = response.choices[0].message.content.trim();
     const bestTopicName = bestTopicNameRaw.replace(/^\d+\.\s*/, '');
@@ -90,7 +92,7 @@ async function generateTopicForContent(content, contentType) {
       const bestDepartment = await determineDepartmentForContent(content.description);
       content.department = bestDepartment;
       await content.save();
-      console.log(`Department for ${contentType} "${content.title}" updated to: ${bestDepartment}`);
+      logger.info('Department generated', { contentType, contentId: String(content._id), department: bestDepartment });
     }
 
     // Now use the updated department to get the field id.
@@ -101,29 +103,29 @@ async function generateTopicForContent(content, contentType) {
 
     // ... Continue with fetching topics and generating the best topic ...
     const openAlexTopics = await fetchAllOpenAlexTopics(fieldId);
-    console.log(`Fetched ${openAlexTopics.length} topics from OpenAlex.`);
+    logger.debug('Fetched OpenAlex topics', { count: openAlexTopics.length, fieldId });
 
     if (openAlexTopics.length === 0) {
       throw new Error('No topics returned from OpenAlex.');
     }
 
     const bestTopicName = await determineBestTopic(content.description, openAlexTopics, contentType);
-    console.log(`For ${contentType} "${content.title}" the best matching topic is: ${bestTopicName}`);
+    logger.debug('Best matching topic found', { contentType, contentId: String(content._id), topic: bestTopicName });
 
     // Find matching topic to extract openalexID, etc.
     const matchedTopic = openAlexTopics.find(topic => topic.display_name === bestTopicName);
     let openalexID = null;
     if (matchedTopic && matchedTopic.id) {
       openalexID = matchedTopic.id.replace('https://openalex.org/', '');
-      console.log(`Extracted openalexID: ${openalexID}`);
+      logger.debug('Extracted openalexID', { openalexID });
     } else {
-      console.warn(`No matching OpenAlex topic found for ${bestTopicName}`);
+      logger.warn('No matching OpenAlex topic found', { topic: bestTopicName });
     }
 
     // Update the content object with the new topic.
     content.topic = bestTopicName;
     await content.save();
-    console.log(`${contentType} "${content.title}" updated with topic: ${bestTopicName}`);
+    logger.info('Topic generated', { contentType, contentId: String(content._id), topic: bestTopicName });
 
     // Ensure the Topic document exists.
     const topicController = require('../controllers/topic_controller.js');
@@ -134,11 +136,11 @@ async function generateTopicForContent(content, contentType) {
       contentId: content._id,
       contentType: contentType
     });
-    console.log(topicResult.message);
+    logger.debug(topicResult.message, { topic: bestTopicName });
 
     return bestTopicName;
   } catch (error) {
-    console.error(`Error generating topic for ${contentType}:`, error);
+    logger.error('Error generating topic', { contentType, contentId: String(content._id), error });
     return null;
   }
 }
@@ -148,7 +150,7 @@ async function determineDepartmentForContent(description) {
     return departmentNames[0];
   }
 
-  if (!openaiApiKey) {
+  if (!config.openai.apiKey) {
     await reportOpenAIMissingApiKey({ operation: 'determineDepartmentForContent' });
     throw new Error('OpenAI API key not configured. Set OPENAI_API_KEY.');
   }
@@ -164,15 +166,15 @@ ${departmentNames.join('\n')}
 `;
 
   try {
-    const response = await client.chat.completions.create({
-      model: 'gpt-4',
+    const response = await observeOpenAICall('determineDepartmentForContent', () => client.chat.completions.create({
+      model: config.openai.chatModel,
       messages: [
         { role: 'system', content: 'You are an expert in categorizing academic content by department.' },
         { role: 'user', content: prompt }
       ],
       max_tokens: 50,
       temperature: 0.3,
-    });
+    }));
 
     const bestDepartment = response.choices[0].message.content.trim();
     return bestDepartment;
@@ -0,0 +1,79 @@
+// health.js
+
+const mongoose = require('mongoose');
+const cron = require('node-cron');
+const { withTimeout, getTrackedQueues } = require('./metrics.js');
+const { config } = require('./config.js');
+
+const MONGO_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+const checkMongo = async () => {
+    const { readyState } = mongoose.connection;
+    if (readyState !== 1) {
+        return { status: 'down', state: MONGO_STATES[readyState] || 'unknown' };
+    }
+    await withTimeout(mongoose.connection.db.admin().ping(), config.monitoring.healthCheckTimeoutMs, 'MongoDB ping');
+    return { status: 'up' };
+};
+
+// Bull keeps one Redis client per queue; the queues are stubbed under NODE_ENV=test.
+const checkRedis = async () => {
+    const queues = getTrackedQueues();
+    if (!queues.length) {
+        return { status: 'disabled' };
+    }
+    const results = await Promise.all(queues.map(async (queue) => {
+        try {
+            await withTimeout(queue.client.ping(), config.monitoring.healthCheckTimeoutMs, `Redis ping for ${queue.name}`);
+            return [queue.name, 'up'];
+        } catch (error) {
+            return [queue.name, 'down'];
+        }
+    }));
+    return {
+        status: results.every(([, status]) => status === 'up') ? 'up' : 'down',
+        queues: Object.fromEntries(results),
+    };
+};
+
+// The cron jobs are scheduled once MongoDB is connected, unless config.cron.enabled is off.
+const checkScheduler = async () => {
+    if (!config.cron.enabled) {
+        return { status: 'disabled' };
+    }
+    const tasks = cron.getTasks().size;
+    return { status: tasks > 0 ? 'up' : 'down', tasks };
+};
+
+const CHECKS = { mongo: checkMongo, redis: checkRedis, scheduler: checkScheduler };
+
+const runCheck = async (check) => {
+    const startedAt = Date.now();
+    try {
+        const result = await check();
+        return { ...result, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        return { status: 'down', error: error.message, latencyMs: Date.now() - startedAt };
+    }
+};
+
+/**
+ * Checks MongoDB, the Redis connection of the Bull queues and the cron
+ * scheduler. Each check is `up`, `down` or `disabled` (not used in this
+ * environment).
+ * @returns {Promise<{ status: 'ok'|'degraded', uptimeSeconds: number, checks: Object }>}
+ *   status is `ok` when no check is down.
+ */
+const checkHealth = async () => {
+    const entries = await Promise.all(Object.entries(CHECKS).map(async ([name, check]) => [name, await runCheck(check)]));
+    const checks = Object.fromEntries(entries);
+    return {
+        status: Object.values(checks).some((check) => check.status === 'down') ? 'degraded' : 'ok',
+        uptimeSeconds: Math.round(process.uptime()),
+        checks,
+    };
+};
+
+module.exports = {
+    checkHealth,
+};
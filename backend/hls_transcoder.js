@@ -0,0 +1,209 @@
+// hls_transcoder.js
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+ffmpeg.setFfmpegPath(require('@ffmpeg-installer/ffmpeg').path);
+
+const Cast = require('../models/cast_model.js');
+const { getStorage, mediaSource } = require('./storage');
+const { mediaUrl, mediaKey } = require('../controllers/fileHelper.js');
+const { logger } = require('./logger.js');
+
+// Smallest first: the first rendition is always produced, at most at the height of the upload.
+const RENDITIONS = [
+    { name: '360p', height: 360, videoKbps: 800, audioKbps: 96 },
+    { name: '720p', height: 720, videoKbps: 2800, audioKbps: 128 },
+    { name: '1080p', height: 1080, videoKbps: 5000, audioKbps: 192 },
+];
+const SEGMENT_SECONDS = 6;
+
+const CONTENT_TYPES = {
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.ts': 'video/mp2t',
+};
+
+/**
+ * Storage prefix holding the HLS files of a cast: master.m3u8 and one folder per rendition.
+ * @param {string|Object} castId
+ */
+const streamPrefix = (castId) => `cast_streams/${castId}/`;
+
+/**
+ * Renditions of a cast whose transcoding is queued.
+ * @returns {Object[]} { name, height, bandwidth, status: 'pending' }
+ */
+const pendingRenditions = () => RENDITIONS.map(({ name, height, videoKbps, audioKbps }) => ({
+    name,
+    height,
+    bandwidth: (videoKbps + audioKbps) * 1000,
+    status: 'pending',
+}));
+
+/**
+ * Reads the frame size of a video with the bundled ffmpeg (ffprobe is not bundled).
+ * @param {string} source - Path or URL (storage.mediaSource).
+ * @returns {Promise<{ width: number, height: number }>}
+ */
+const probeVideoSize = (source) => new Promise((resolve, reject) => {
+    let size = null;
+    ffmpeg(source)
+        .outputOptions(['-frames:v', '1', '-f', 'null'])
+        .output('-')
+        .on('codecData', (data) => {
+            const match = /(\d{2,5})x(\d{2,5})/.exec(data.video_details ? data.video_details.join(' ') : '');
+            if (match) {
+                size = { width: Number(match[1]), height: Number(match[2]) };
+            }
+        })
+        .on('error', reject)
+        .on('end', () => (size ? resolve(size) : reject(new Error('No video stream found.'))))
+        .run();
+});
+
+// Keyframes every SEGMENT_SECONDS so every rendition is cut at the same times.
+const transcodeRendition = (source, { height, videoKbps, audioKbps }, outputDir) => new Promise((resolve, reject) => {
+    ffmpeg(source)
+        .outputOptions([
+            '-vf', `scale=-2:${height}`,
+            '-c:v', 'libx264',
+            '-preset', 'veryfast',
+            '-profile:v', 'main',
+            '-pix_fmt', 'yuv420p',
+            '-b:v', `${videoKbps}k`,
+            '-maxrate', `${Math.round(videoKbps * 1.07)}k`,
+            '-bufsize', `${videoKbps * 2}k`,
+            '-force_key_frames', `expr:gte(t,n_forced*${SEGMENT_SECONDS})`,
+            '-c:a', 'aac',
+            '-b:a', `${audioKbps}k`,
+            '-ac', '2',
+            '-f', 'hls',
+            '-hls_time', String(SEGMENT_SECONDS),
+            '-hls_playlist_type', 'vod',
+            '-hls_segment_filename', path.join(outputDir, 'segment_%03d.ts'),
+        ])
+        .output(path.join(outputDir, 'index.m3u8'))
+        .on('error', reject)
+        .on('end', () => resolve())
+        .run();
+});
+
+const uploadDirectory = async (dir, prefix) => {
+    const storage = getStorage();
+    for (const file of await fs.readdir(dir)) {
+        await storage.upload(`${prefix}${file}`, await fs.readFile(path.join(dir, file)), {
+            contentType: CONTENT_TYPES[path.extname(file)],
+        });
+    }
+};
+
+const masterPlaylist = (renditions) => [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    ...renditions.flatMap(({ name, bandwidth, width, height }) => [
+        `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${width}x${height}`,
+        `${name}/index.m3u8`,
+    ]),
+    '',
+].join('\n');
+
+/**
+ * Transcodes a stored video into the HLS renditions and writes them, with
+ * their master playlist, under `prefix` in the media storage.
+ * @param {string} videoKey - Storage key of the uploaded video.
+ * @param {string} prefix - e.g. streamPrefix(castId).
+ * @param {function(string, string, string=): Promise} [onStatus] - (rendition, status, error) on each change.
+ * @returns {Promise<Object[]>} The produced renditions ({ name, width, height, bandwidth }).
+ */
+const transcodeToHls = async (videoKey, prefix, onStatus = async () => {}) => {
+    const source = await mediaSource(videoKey);
+    const size = await probeVideoSize(source);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hls-'));
+    const produced = [];
+
+    try {
+        for (const [index, rendition] of RENDITIONS.entries()) {
+            if (index > 0 && rendition.height > size.height) {
+                await onStatus(rendition.name, 'skipped');
+                continue;
+            }
+            const height = Math.min(rendition.height, size.height - (size.height % 2));
+            const outputDir = path.join(workDir, rendition.name);
+            await fs.mkdir(outputDir);
+            await onStatus(rendition.name, 'processing');
+            try {
+                await transcodeRendition(source, { ...rendition, height }, outputDir);
+                await uploadDirectory(outputDir, `${prefix}${rendition.name}/`);
+                produced.push({
+                    name: rendition.name,
+                    width: Math.round((size.width * height) / size.height / 2) * 2,
+                    height,
+                    bandwidth: (rendition.videoKbps + rendition.audioKbps) * 1000,
+                });
+                await onStatus(rendition.name, 'completed');
+            } catch (error) {
+                logger.error('Error transcoding rendition', { rendition: rendition.name, error: error.message });
+                await onStatus(rendition.name, 'failed', error.message);
+            }
+        }
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+
+    if (!produced.length) {
+        throw new Error('No HLS rendition could be produced.');
+    }
+    await getStorage().upload(`${prefix}master.m3u8`, masterPlaylist(produced), { contentType: CONTENT_TYPES['.m3u8'] });
+    return produced;
+};
+
+// Whether videoKey is still the video of the cast; a replaced video leaves its queued job stale.
+const isCurrentVideo = async (castId, videoKey) => {
+    const cast = await Cast.findById(castId).select('casturl').lean();
+    return Boolean(cast) && mediaKey(cast.casturl, 'cast_videos') === videoKey;
+};
+
+/**
+ * Builds the HLS renditions of a cast (run by queues/transcodeQueue.js),
+ * replacing any previous ones. Cast.renditions reports the status of each
+ * rendition; Cast.streamUrl is set once the master playlist is written.
+ * Jobs whose video was replaced in the meantime stop without touching the
+ * cast, so that they cannot undo the job of the new video.
+ * @param {string} castId
+ * @param {string} videoKey - Storage key of the uploaded video.
+ * @returns {Promise<Object[]|null>} The produced renditions, null when the job is stale.
+ */
+const transcodeCast = async (castId, videoKey) => {
+    if (!await isCurrentVideo(castId, videoKey)) {
+        logger.info('Video replaced or cast removed, transcoding skipped', { videoKey });
+        return null;
+    }
+    const prefix = streamPrefix(castId);
+    await getStorage().removePrefix(prefix);
+    await Cast.updateOne({ _id: castId }, { $set: { renditions: pendingRenditions() }, $unset: { streamUrl: 1 } });
+
+    const setStatus = (name, status, error) => Cast.updateOne(
+        { _id: castId, 'renditions.name': name },
+        { $set: { 'renditions.$.status': status, 'renditions.$.error': error } }
+    );
+    const produced = await transcodeToHls(videoKey, prefix, setStatus);
+
+    // The job of the new video rebuilds the renditions after this one.
+    if (!await isCurrentVideo(castId, videoKey)) {
+        logger.info('Video replaced during transcoding, renditions discarded', { videoKey });
+        return null;
+    }
+    await Cast.updateOne({ _id: castId }, { streamUrl: mediaUrl('cast_streams', `${castId}/master.m3u8`) });
+    logger.info('HLS renditions ready', { renditions: produced.map((rendition) => rendition.name) });
+    return produced;
+};
+
+module.exports = {
+    RENDITIONS,
+    streamPrefix,
+    pendingRenditions,
+    probeVideoSize,
+    transcodeToHls,
+    transcodeCast,
+};
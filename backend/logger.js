@@ -0,0 +1,102 @@
+// logger.js
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const { config } = require('./config.js');
+
+// config.logLevel; the test profile stays quiet unless LOG_LEVEL is set.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Fields (requestId, queue, jobId...) added to every entry logged inside withLogContext().
+const logContext = new AsyncLocalStorage();
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack,
+});
+
+// JSON.stringify that survives circular structures and serializes nested errors.
+const stringify = (entry) => {
+    const seen = new WeakSet();
+    return JSON.stringify(entry, (key, value) => {
+        if (value instanceof Error) {
+            return serializeError(value);
+        }
+        if (value && typeof value === 'object') {
+            if (seen.has(value)) {
+                return '[Circular]';
+            }
+            seen.add(value);
+        }
+        return value;
+    });
+};
+
+const write = (level, bindings, message, fields) => {
+    if (LEVELS[level] < LEVELS[config.logLevel]) {
+        return;
+    }
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: message,
+        ...logContext.getStore(),
+        ...bindings,
+        ...fields,
+    };
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${stringify(entry)}\n`);
+};
+
+/**
+ * Creates a logger writing one JSON object per line: time, level, msg, the
+ * fields of the current log context, the bindings and the fields of the call.
+ * warn and error go to stderr, debug and info to stdout.
+ * @param {Object} [bindings] - Fields added to every entry.
+ */
+const createLogger = (bindings = {}) => {
+    const log = (level) => (message, fields) => write(level, bindings, message, fields);
+    return {
+        debug: log('debug'),
+        info: log('info'),
+        warn: log('warn'),
+        error: log('error'),
+        child: (fields) => createLogger({ ...bindings, ...fields }),
+    };
+};
+
+const logger = createLogger();
+
+/**
+ * Runs fn with fields added to the log context of everything it calls.
+ * @param {Object} fields
+ * @param {Function} fn
+ * @returns {*} What fn returns.
+ */
+const withLogContext = (fields, fn) => logContext.run({ ...logContext.getStore(), ...fields }, fn);
+
+/**
+ * Wraps a middleware whose callback loses the log context (multer resumes in
+ * the context of the upload stream) so the next handlers keep the request id.
+ * @param {Function} middleware
+ */
+const bindLogContext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
+/**
+ * Log context of a Bull job: its queue and id, and the request id of the
+ * request that added it (job.data.requestId).
+ */
+const jobLogFields = (job) => ({
+    queue: job.queue && job.queue.name,
+    jobId: job.id,
+    requestId: job.data && job.data.requestId,
+});
+
+module.exports = {
+    logger,
+    createLogger,
+    withLogContext,
+    bindLogContext,
+    jobLogFields,
+};
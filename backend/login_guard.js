@@ -0,0 +1,93 @@
+const { createAttemptLimiter } = require('./rate_limiter.js');
+const { TooManyRequestsError } = require('./errors.js');
+
+// Failed logins allowed per account before it is locked and an unlock email is sent.
+const MAX_FAILED_LOGINS = 10;
+const ACCOUNT_LOCK_DURATION_MS = 30 * 60 * 1000; // 30 minutes
+
+const TOO_MANY_ATTEMPTS_MESSAGE = 'Too many attempts. Please try again later.';
+
+const ATTEMPT_LIMITS = {
+    freeAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 15 * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+};
+
+// Counters per IP and per email. Reset requests need no password, so they get
+// their own counters: requests sent for someone else's email must not delay
+// that person's logins.
+const loginAttempts = createAttemptLimiter(ATTEMPT_LIMITS);
+const resetRequests = createAttemptLimiter(ATTEMPT_LIMITS);
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+const accountKey = (email) => `account:${normalizeEmail(email)}`;
+
+const keysFor = (req) => {
+    const keys = [`ip:${req.ip}`];
+    if (normalizeEmail(req.body.email)) {
+        keys.push(accountKey(req.body.email));
+    }
+    return keys;
+};
+
+// Rejects the request with 429 while the caller's IP or targeted account is
+// inside its progressive delay.
+const throttleWith = (attempts) => (req, res, next) => {
+    const retryAfterMs = Math.max(...keysFor(req).map((key) => attempts.getRetryAfterMs(key)));
+    if (retryAfterMs > 0) {
+        res.setHeader('Retry-After', Math.ceil(retryAfterMs / 1000));
+        return next(new TooManyRequestsError(TOO_MANY_ATTEMPTS_MESSAGE));
+    }
+    next();
+};
+
+/**
+ * Route middleware throttling logins after failed attempts.
+ */
+const throttle = throttleWith(loginAttempts);
+
+/**
+ * Route middleware throttling reset-password-request, on counters separate from logins.
+ */
+const throttleResetRequests = throttleWith(resetRequests);
+
+/**
+ * Records a failed login for the caller's IP and targeted account.
+ */
+const recordFailedAttempt = (req) => {
+    keysFor(req).forEach((key) => loginAttempts.recordFailure(key));
+};
+
+/**
+ * Route middleware counting every reset-password-request as an attempt.
+ */
+const countResetRequest = (req, res, next) => {
+    keysFor(req).forEach((key) => resetRequests.recordFailure(key));
+    next();
+};
+
+/**
+ * Clears the in-memory login counter of an account after a successful login or an unlock.
+ */
+const clearAccountAttempts = (email) => {
+    loginAttempts.reset(accountKey(email));
+};
+
+const resetAllAttempts = () => {
+    loginAttempts.resetAll();
+    resetRequests.resetAll();
+};
+
+module.exports = {
+    MAX_FAILED_LOGINS,
+    ACCOUNT_LOCK_DURATION_MS,
+    TOO_MANY_ATTEMPTS_MESSAGE,
+    throttle,
+    throttleResetRequests,
+    countResetRequest,
+    recordFailedAttempt,
+    clearAccountAttempts,
+    resetAllAttempts,
+};
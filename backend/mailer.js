@@ -0,0 +1,114 @@
+const fs = require('fs').promises;
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { renderEmail } = require('./email_templates');
+const { config } = require('./config.js');
+
+// config.mail.transport - smtp: real delivery, json: nothing is sent (messages
+// kept in the outbox), file: every message is written as an .eml file to
+// config.mail.outputDir.
+
+const OUTBOX_LIMIT = 50;
+const outbox = [];
+
+let transporter = null;
+let transporterType = null;
+
+const buildSmtpOptions = () => {
+    const { host, port, secure, service, user, pass } = config.mail.smtp;
+    const auth = user ? { user, pass } : undefined;
+    if (host) {
+        return { host, port, secure, auth };
+    }
+    return { service, auth };
+};
+
+const getTransporter = () => {
+    if (transporter && transporterType === config.mail.transport) {
+        return transporter;
+    }
+    transporterType = config.mail.transport;
+    switch (transporterType) {
+        case 'json':
+            transporter = nodemailer.createTransport({ jsonTransport: true });
+            break;
+        case 'file':
+            transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+            break;
+        case 'smtp':
+            transporter = nodemailer.createTransport(buildSmtpOptions());
+            break;
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT "${transporterType}"`);
+    }
+    return transporter;
+};
+
+/**
+ * Whether the configured transport is able to deliver mail.
+ * SMTP needs either an SMTP_HOST or SMTP_USER/SMTP_PASS credentials.
+ * @returns {boolean}
+ */
+const isMailerConfigured = () => {
+    if (config.mail.transport !== 'smtp') {
+        return true;
+    }
+    const { host, user, pass } = config.mail.smtp;
+    return Boolean(host || (user && pass));
+};
+
+const writeMessageToFile = async (to, message) => {
+    await fs.mkdir(config.mail.outputDir, { recursive: true });
+    const recipient = String(to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filePath = path.join(config.mail.outputDir, `${Date.now()}-${recipient}.eml`);
+    await fs.writeFile(filePath, message);
+    return filePath;
+};
+
+/**
+ * Sends a message through the configured transport.
+ * @param {Object} message
+ * @param {string} message.to
+ * @param {string} message.subject
+ * @param {string} [message.html]
+ * @param {string} [message.text]
+ * @returns {Promise<Object>} The nodemailer info object.
+ */
+const sendMail = async ({ to, subject, html, text }) => {
+    const info = await getTransporter().sendMail({ from: config.mail.from, to, subject, html, text });
+
+    if (transporterType === 'file') {
+        info.filePath = await writeMessageToFile(to, info.message);
+    } else if (transporterType === 'json') {
+        outbox.push(JSON.parse(info.message));
+        if (outbox.length > OUTBOX_LIMIT) {
+            outbox.shift();
+        }
+    }
+    return info;
+};
+
+/**
+ * Renders a template from backend/email_templates and sends it.
+ * @param {Object} params
+ * @param {string} params.to
+ * @param {string} params.template - Template name.
+ * @param {string} [params.locale] - Recipient locale (User.locale).
+ * @param {Object} [params.data] - Template values.
+ * @returns {Promise<Object>}
+ */
+const sendTemplatedEmail = ({ to, template, locale, data }) => {
+    const { subject, html, text } = renderEmail(template, locale, data);
+    return sendMail({ to, subject, html, text });
+};
+
+module.exports = {
+    sendMail,
+    sendTemplatedEmail,
+    isMailerConfigured,
+    // Messages captured by the json transport, newest last (tests and local dev).
+    getOutbox: () => outbox,
+    clearOutbox: () => {
+        outbox.length = 0;
+    },
+};
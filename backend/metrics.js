@@ -0,0 +1,175 @@
+// metrics.js
+
+const client = require('prom-client');
+const { logger } = require('./logger.js');
+
+// Queue gauges are read from Redis when /metrics is scraped; a slow Redis must not hang the scrape.
+const QUEUE_COUNTS_TIMEOUT_MS = 2000;
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const trackedQueues = new Map();
+
+/**
+ * Rejects when the promise does not settle within `ms` milliseconds.
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} label - Named in the timeout error.
+ */
+const withTimeout = (promise, ms, label) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms} ms.`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const httpRequestDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Duration of HTTP requests, by method, route template and status code.',
+    labelNames: ['method', 'route', 'status_code'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [register],
+});
+
+new client.Gauge({
+    name: 'bull_queue_jobs',
+    help: 'Jobs of each Bull queue by state (waiting, active, delayed, failed...).',
+    labelNames: ['queue', 'state'],
+    registers: [register],
+    async collect() {
+        await Promise.all([...trackedQueues.values()].map(async (queue) => {
+            try {
+                const counts = await withTimeout(queue.getJobCounts(), QUEUE_COUNTS_TIMEOUT_MS, `${queue.name} job counts`);
+                Object.entries(counts).forEach(([state, count]) => this.set({ queue: queue.name, state }, count));
+            } catch (error) {
+                logger.warn('Unable to read queue job counts', { queue: queue.name, error: error.message });
+            }
+        }));
+    },
+});
+
+const queueJobsCompleted = new client.Counter({
+    name: 'bull_queue_jobs_completed_total',
+    help: 'Jobs completed by this process, by queue.',
+    labelNames: ['queue'],
+    registers: [register],
+});
+
+const queueJobsFailed = new client.Counter({
+    name: 'bull_queue_jobs_failed_total',
+    help: 'Jobs that failed in this process, by queue.',
+    labelNames: ['queue'],
+    registers: [register],
+});
+
+const openaiRequests = new client.Counter({
+    name: 'openai_requests_total',
+    help: 'OpenAI API calls, by operation and outcome (success or error).',
+    labelNames: ['operation', 'outcome'],
+    registers: [register],
+});
+
+const openaiRequestDuration = new client.Histogram({
+    name: 'openai_request_duration_seconds',
+    help: 'Duration of OpenAI API calls, by operation.',
+    labelNames: ['operation'],
+    buckets: [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120],
+    registers: [register],
+});
+
+const topicImpactDuration = new client.Gauge({
+    name: 'topic_impact_last_run_duration_seconds',
+    help: 'Duration of the last computeImpactForAllTopics run.',
+    registers: [register],
+});
+
+const topicImpactTimestamp = new client.Gauge({
+    name: 'topic_impact_last_run_timestamp_seconds',
+    help: 'Unix time at which the last computeImpactForAllTopics run ended.',
+    registers: [register],
+});
+
+const topicImpactSuccess = new client.Gauge({
+    name: 'topic_impact_last_run_success',
+    help: '1 when the last computeImpactForAllTopics run succeeded, 0 otherwise.',
+    registers: [register],
+});
+
+// Route templates keep the label cardinality bounded: the openapi.yaml path
+// set by validateRequests, else the Express route, else "unmatched".
+const routeLabel = (req) => {
+    if (req.openapiPath) {
+        return req.openapiPath;
+    }
+    return req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+};
+
+/**
+ * Express middleware observing the duration of every request.
+ */
+const recordHttpMetrics = (req, res, next) => {
+    const end = httpRequestDuration.startTimer();
+    res.on('finish', () => end({ method: req.method, route: routeLabel(req), status_code: res.statusCode }));
+    next();
+};
+
+/**
+ * Reports a Bull queue in /metrics (job counts, completed and failed jobs)
+ * and in the Redis check of /readyz.
+ * @param {Object} queue - Bull queue.
+ * @returns {Object} The queue.
+ */
+const trackQueue = (queue) => {
+    trackedQueues.set(queue.name, queue);
+    queue.on('completed', () => queueJobsCompleted.inc({ queue: queue.name }));
+    queue.on('failed', () => queueJobsFailed.inc({ queue: queue.name }));
+    return queue;
+};
+
+/**
+ * @returns {Object[]} The queues passed to trackQueue.
+ */
+const getTrackedQueues = () => [...trackedQueues.values()];
+
+/**
+ * Runs an OpenAI API call, counting it and observing its duration.
+ * @param {string} operation - e.g. generateEvaluation, transcribeVideo.
+ * @param {function(): Promise} call
+ * @returns {Promise} What the call resolves to.
+ */
+const observeOpenAICall = async (operation, call) => {
+    const end = openaiRequestDuration.startTimer({ operation });
+    try {
+        const result = await call();
+        openaiRequests.inc({ operation, outcome: 'success' });
+        return result;
+    } catch (error) {
+        openaiRequests.inc({ operation, outcome: 'error' });
+        throw error;
+    } finally {
+        end();
+    }
+};
+
+/**
+ * Records a computeImpactForAllTopics run.
+ * @param {number} durationSeconds
+ * @param {boolean} success
+ */
+const recordTopicImpactRun = (durationSeconds, success) => {
+    topicImpactDuration.set(durationSeconds);
+    topicImpactTimestamp.setToCurrentTime();
+    topicImpactSuccess.set(success ? 1 : 0);
+};
+
+module.exports = {
+    register,
+    withTimeout,
+    recordHttpMetrics,
+    trackQueue,
+    getTrackedQueues,
+    observeOpenAICall,
+    recordTopicImpactRun,
+};
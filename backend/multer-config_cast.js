@@ -1,20 +1,5 @@
-const multer = require('multer');
+const { bindLogContext } = require('./logger.js');
+const { mediaUpload, validateVideoUpload } = require('./upload_validation.js');
 
-const MIME_TYPES = {
-    'video/mp4': 'mp4',
-    'video/mpeg': 'mpeg',
-    'video/webm': 'webm'
-};
-
-const storage = multer.diskStorage({
-    destination: (req, file, callback) => {
-        callback(null, './backend/media/cast_videos');
-    },
-    filename: (req, file, callback) => {
-        const name = file.originalname.split(" ").join("_");
-        const extension = MIME_TYPES[file.mimetype];
-        callback(null, name + Date.now() + '.' + extension);
-    }
-})
-
-module.exports = multer({storage: storage}).single('video');
\ No newline at end of file
+// Streamed to the media storage (local disk or S3) under cast_videos/, then checked with ffprobe
+module.exports = [bindLogContext(mediaUpload('video', 'video')), validateVideoUpload];
@@ -0,0 +1,4 @@
+const { bindLogContext } = require('./logger.js');
+const { mediaUpload } = require('./upload_validation.js');
+
+module.exports = bindLogContext(mediaUpload('castImage', 'image'));
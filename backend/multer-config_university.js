@@ -1,20 +1,4 @@
-const multer = require('multer');
+const { bindLogContext } = require('./logger.js');
+const { mediaUpload } = require('./upload_validation.js');
 
-const MIME_TYPES = {
-    'image/jpg':'jpg',
-    'image/jpeg':'jpg',
-    'image/png':'png'
-};
-
-const storage = multer.diskStorage({
-    destination: (req, file, callback) => {
-        callback(null, './backend/media/university_icon');
-    },
-    filename: (req, file, callback) => {
-        const name = file.originalname.split(" ").join("_");
-        const extension = MIME_TYPES[file.mimetype];
-        callback(null, name + Date.now() + '.' + extension);
-    }
-})
-
-module.exports = multer({storage: storage}).single('icon');
\ No newline at end of file
+module.exports = bindLogContext(mediaUpload('universityIcon', 'icon'));
@@ -1,19 +1,7 @@
-const nodemailer = require('nodemailer');
+const { sendTemplatedEmail, isMailerConfigured } = require('./mailer');
+const { logger } = require('./logger');
+const { config } = require('./config');
 
-const DEFAULT_THROTTLE_MS = 60 * 60 * 1000;
-
-const ALERT_EMAIL_TO = process.env.OPENAI_ALERT_EMAIL_TO || process.env.ALERT_EMAIL_TO;
-const ALERT_EMAIL_FROM =
-  process.env.OPENAI_ALERT_EMAIL_FROM ||
-  process.env.ALERT_EMAIL_FROM ||
-  'clement.carnus@brightmindsresearch.com';
-const ALERT_EMAIL_PWD =
-  process.env.OPENAI_ALERT_EMAIL_PWD ||
-  process.env.ALERT_EMAIL_PWD ||
-  process.env.EMAIL_PWD;
-const ALERT_THROTTLE_MS = Number(process.env.OPENAI_ALERT_THROTTLE_MS) || DEFAULT_THROTTLE_MS;
-
-let transporter = null;
 let lastAlertAt = 0;
 let lastAlertKey = '';
 
@@ -61,7 +49,7 @@ const isAuthError = (info) => {
 
 const shouldAlert = (key) => {
   const now = Date.now();
-  if (lastAlertKey === key && now - lastAlertAt < ALERT_THROTTLE_MS) {
+  if (lastAlertKey === key && now - lastAlertAt < config.openai.alertThrottleMs) {
     return false;
   }
   lastAlertKey = key;
@@ -69,32 +57,15 @@ const shouldAlert = (key) => {
   return true;
 };
 
-const getTransporter = () => {
-  if (!ALERT_EMAIL_TO || !ALERT_EMAIL_PWD || !ALERT_EMAIL_FROM) {
-    return null;
-  }
-  if (!transporter) {
-    transporter = nodemailer.createTransport({
-      service: 'Gmail',
-      auth: {
-        user: ALERT_EMAIL_FROM,
-        pass: ALERT_EMAIL_PWD,
-      },
-    });
-  }
-  return transporter;
-};
-
 const sendAlertEmail = async (subject, text) => {
-  const mailer = getTransporter();
-  if (!mailer) {
+  if (!config.mail.alertTo || !isMailerConfigured()) {
     return false;
   }
-  await mailer.sendMail({
-    from: ALERT_EMAIL_FROM,
-    to: ALERT_EMAIL_TO,
-    subject,
-    text,
+  await sendTemplatedEmail({
+    to: config.mail.alertTo,
+    template: 'alert',
+    locale: config.mail.alertLocale,
+    data: { subject, lines: text.split('\n') },
   });
   return true;
 };
@@ -104,7 +75,7 @@ const buildAlertText = (title, context, info) => {
     title,
     `Time: ${new Date().toISOString()}`,
     `Operation: ${context?.operation || 'unknown'}`,
-    `Node env: ${process.env.NODE_ENV || 'unknown'}`,
+    `Node env: ${config.env}`,
   ];
 
   if (info) {
@@ -129,11 +100,11 @@ const reportOpenAIAuthError = async (error, context = {}) => {
   }
 
   const text = buildAlertText('OpenAI authentication error detected.', context, info);
-  console.error(text);
+  logger.error('OpenAI authentication error detected.', { ...context, openai: info });
   try {
     await sendAlertEmail('OpenAI auth error (token expired?)', text);
   } catch (sendError) {
-    console.error('Failed to send OpenAI alert email:', sendError.message);
+    logger.error('Failed to send OpenAI alert email', { error: sendError });
   }
   return true;
 };
@@ -145,11 +116,11 @@ const reportOpenAIMissingApiKey = async (context = {}) => {
   }
 
   const text = buildAlertText('OpenAI API key is missing.', context);
-  console.error(text);
+  logger.error('OpenAI API key is missing.', context);
   try {
     await sendAlertEmail('OpenAI API key missing', text);
   } catch (sendError) {
-    console.error('Failed to send OpenAI alert email:', sendError.message);
+    logger.error('Failed to send OpenAI alert email', { error: sendError });
   }
   return true;
 };
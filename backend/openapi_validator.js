@@ -0,0 +1,315 @@
+// openapi_validator.js
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { AppError, BadRequestError, errorBody } = require('./errors.js');
+const { logger } = require('./logger.js');
+
+const SPEC_PATH = path.join(__dirname, '../openapi.yaml');
+const SPEC_ID = 'openapi.yaml';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const VALIDATION_FAILED = 'Request validation failed.';
+
+const spec = yaml.load(fs.readFileSync(SPEC_PATH, 'utf8'));
+
+// The whole spec is registered once; operations reference their schemas by
+// JSON pointer so `#/components/...` refs resolve against the spec root.
+const createAjv = (options) => {
+    const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+    addFormats(ajv);
+    ajv.addFormat('binary', true);
+    ajv.addSchema(spec, SPEC_ID);
+    return ajv;
+};
+
+// Parameters and urlencoded form fields arrive as strings and are coerced to their declared type.
+const coercingAjv = createAjv({ coerceTypes: true });
+const bodyAjv = createAjv();
+
+const pointer = (...tokens) => `${SPEC_ID}#/${tokens
+    .map((token) => encodeURIComponent(String(token).replace(/~/g, '~0').replace(/\//g, '~1')))
+    .join('/')}`;
+
+const componentName = (ref) => ref.split('/').pop();
+
+/**
+ * Error (400 INVALID_REQUEST) for any request that does not match the spec.
+ * @param {Array<{ in: string, path: string, message: string }>} details
+ */
+const invalidRequest = (details) => new BadRequestError(VALIDATION_FAILED, { code: 'INVALID_REQUEST', details });
+
+const toDetails = (location, errors) => errors.map((error) => {
+    const missing = error.keyword === 'required' ? `/${error.params.missingProperty}` : '';
+    const extra = error.keyword === 'additionalProperties' ? `/${error.params.additionalProperty}` : '';
+    return {
+        in: location,
+        path: `${error.instancePath}${missing}${extra}`.replace(/^\//, '').replace(/\//g, '.'),
+        message: error.message,
+    };
+});
+
+// Parameters of an operation with the pointer of their schema (operation level wins).
+const operationParameters = (pathKey, method) => {
+    const item = spec.paths[pathKey];
+    const collect = (list, base) => (list || []).map((param, index) => {
+        if (param.$ref) {
+            const name = componentName(param.$ref);
+            return { ...spec.components.parameters[name], schemaRef: pointer('components', 'parameters', name, 'schema') };
+        }
+        return { ...param, schemaRef: pointer(...base, index, 'schema') };
+    });
+    const byKey = new Map();
+    [
+        ...collect(item.parameters, ['paths', pathKey, 'parameters']),
+        ...collect(item[method].parameters, ['paths', pathKey, method, 'parameters']),
+    ].forEach((param) => byKey.set(`${param.in}:${param.name}`, param));
+    return [...byKey.values()];
+};
+
+const compileParameters = (ajv, params) => {
+    if (!params.length) {
+        return null;
+    }
+    return ajv.compile({
+        type: 'object',
+        properties: Object.fromEntries(params.map((param) => [param.name, { $ref: param.schemaRef }])),
+        required: params.filter((param) => param.required).map((param) => param.name),
+    });
+};
+
+// Multipart fields declared with the application/json encoding, checked by jsonField() once multer parsed them.
+const compileJsonFields = (pathKey, method, multipart) => {
+    if (!multipart || !multipart.schema || !multipart.schema.properties) {
+        return {};
+    }
+    const encoding = multipart.encoding || {};
+    return Object.fromEntries(Object.keys(multipart.schema.properties)
+        .filter((field) => encoding[field] && encoding[field].contentType === 'application/json')
+        .map((field) => [field, bodyAjv.compile({
+            $ref: pointer('paths', pathKey, method, 'requestBody', 'content', 'multipart/form-data', 'schema', 'properties', field),
+        })]));
+};
+
+// The JSON schema also applies to urlencoded bodies, which body-parser accepts for every route.
+const compileBody = (pathKey, method) => {
+    const requestBody = spec.paths[pathKey][method].requestBody;
+    if (!requestBody || !requestBody.content) {
+        return { json: null, form: null, jsonOnly: false, required: false, jsonFields: {} };
+    }
+    const types = Object.keys(requestBody.content);
+    const json = requestBody.content['application/json'];
+    const jsonRef = pointer('paths', pathKey, method, 'requestBody', 'content', 'application/json', 'schema');
+    return {
+        json: json && json.schema ? bodyAjv.compile({ $ref: jsonRef }) : null,
+        form: json && json.schema ? coercingAjv.compile({ $ref: jsonRef }) : null,
+        jsonOnly: types.length === 1 && Boolean(json),
+        required: Boolean(requestBody.required),
+        jsonFields: compileJsonFields(pathKey, method, requestBody.content['multipart/form-data']),
+    };
+};
+
+// Literal segments sort before {param} segments so /cast/trash wins over /cast/{id}.
+const specificity = (pathKey) => pathKey.split('/').map((segment) => (segment.startsWith('{') ? '1' : '0')).join('');
+
+const operations = Object.keys(spec.paths)
+    .sort((a, b) => specificity(a).localeCompare(specificity(b)))
+    .flatMap((pathKey) => {
+        const names = [];
+        const source = pathKey.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+            names.push(name);
+            return '([^/]+)';
+        });
+        const regex = new RegExp(`^${source}/?$`);
+
+        return METHODS.filter((method) => spec.paths[pathKey][method]).map((method) => {
+            const params = operationParameters(pathKey, method);
+            return {
+                pathKey,
+                method,
+                regex,
+                names,
+                path: compileParameters(coercingAjv, params.filter((param) => param.in === 'path')),
+                query: compileParameters(coercingAjv, params.filter((param) => param.in === 'query')),
+                body: compileBody(pathKey, method),
+                responses: {},
+            };
+        });
+    });
+
+/**
+ * Finds the documented operation serving a request.
+ * @returns {{ operation: Object, pathParams: Object }|null} null for undocumented routes.
+ */
+const findOperation = (method, requestPath) => {
+    const verb = method.toLowerCase();
+    for (const operation of operations) {
+        if (operation.method !== verb) {
+            continue;
+        }
+        const match = operation.regex.exec(requestPath);
+        if (match) {
+            let pathParams;
+            try {
+                pathParams = Object.fromEntries(operation.names.map((name, index) => [name, decodeURIComponent(match[index + 1])]));
+            } catch (error) {
+                pathParams = Object.fromEntries(operation.names.map((name, index) => [name, match[index + 1]]));
+            }
+            return { operation, pathParams };
+        }
+    }
+    return null;
+};
+
+// Validates a copy so coercion never changes what the controllers read.
+const checkParameters = (validate, values, location) => {
+    if (!validate) {
+        return [];
+    }
+    const copy = JSON.parse(JSON.stringify(values || {}));
+    return validate(copy) ? [] : toDetails(location, validate.errors);
+};
+
+const hasBody = (req) => req.headers['transfer-encoding'] !== undefined
+    || (req.headers['content-length'] !== undefined && req.headers['content-length'] !== '0');
+
+const checkBody = (req, body) => {
+    if (req.is('application/json')) {
+        if (body.json && !body.json(req.body)) {
+            return toDetails('body', body.json.errors);
+        }
+        return [];
+    }
+    if (req.is('application/x-www-form-urlencoded') && hasBody(req)) {
+        return checkParameters(body.form, req.body, 'body');
+    }
+    // Multipart bodies are parsed by multer later on and checked by jsonField().
+    if (body.jsonOnly && body.required && !hasBody(req)) {
+        return [{ in: 'body', path: '', message: 'is required' }];
+    }
+    return [];
+};
+
+const responseValidator = (operation, status) => {
+    const key = String(status);
+    if (operation.responses[key] !== undefined) {
+        return operation.responses[key];
+    }
+    const documented = spec.paths[operation.pathKey][operation.method].responses || {};
+    const responseKey = [key, `${key[0]}XX`, 'default'].find((candidate) => documented[candidate]);
+    let validate = null;
+    if (responseKey) {
+        let response = documented[responseKey];
+        let base = ['paths', operation.pathKey, operation.method, 'responses', responseKey];
+        if (response.$ref) {
+            const name = componentName(response.$ref);
+            response = spec.components.responses[name];
+            base = ['components', 'responses', name];
+        }
+        const json = response.content && response.content['application/json'];
+        if (json && json.schema) {
+            validate = bodyAjv.compile({ $ref: pointer(...base, 'content', 'application/json', 'schema') });
+        }
+    }
+    operation.responses[key] = validate;
+    return validate;
+};
+
+// Replaces a JSON response that does not match the documented schema by a 500
+// INVALID_RESPONSE error.
+const wrapJson = (req, res, operation) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        const validate = responseValidator(operation, res.statusCode);
+        if (validate && !validate(JSON.parse(JSON.stringify(body === undefined ? null : body)))) {
+            const details = toDetails('response', validate.errors);
+            logger.error('Response does not match openapi.yaml', { method: req.method, path: req.originalUrl, status: res.statusCode, details });
+            res.status(500);
+            return json(errorBody(new AppError(500, 'Response validation failed.', { code: 'INVALID_RESPONSE', details }), req));
+        }
+        return json(body);
+    };
+};
+
+/**
+ * Express middleware validating the path parameters, query string and JSON
+ * (or urlencoded) body of every documented operation against openapi.yaml. Invalid requests
+ * are passed to the error handler as 400 INVALID_REQUEST errors whose details
+ * are [{ in, path, message }]; routes missing from the spec are let through.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.validateResponses] - Also check JSON responses
+ *   against their documented schema (used by the test suite).
+ */
+const validateRequests = ({ validateResponses = false } = {}) => (req, res, next) => {
+    if (req.method === 'OPTIONS') {
+        return next();
+    }
+    const found = findOperation(req.method, req.path);
+    if (!found) {
+        return next();
+    }
+    const { operation, pathParams } = found;
+    // Route template, used by jsonField() and as the route label of the HTTP metrics.
+    req.openapiPath = operation.pathKey;
+
+    const details = [
+        ...checkParameters(operation.path, pathParams, 'path'),
+        ...checkParameters(operation.query, req.query, 'query'),
+        ...checkBody(req, operation.body),
+    ];
+    if (details.length) {
+        return next(invalidRequest(details));
+    }
+
+    if (validateResponses) {
+        wrapJson(req, res, operation);
+    }
+    next();
+};
+
+/**
+ * Route middleware, placed after multer, parsing a multipart field that holds
+ * a JSON object (e.g. `cast` in POST /cast) in place. When openapi.yaml gives
+ * the field the application/json encoding, the object is validated against
+ * its schema (e.g. CastCreate) like JSON bodies are.
+ * @param {string} field
+ * @param {Object} [options]
+ * @param {boolean} [options.required] - Reject requests without the field.
+ */
+const jsonField = (field, { required = false } = {}) => (req, res, next) => {
+    const value = req.body ? req.body[field] : undefined;
+    if (value === undefined || value === '') {
+        return required
+            ? next(invalidRequest([{ in: 'body', path: field, message: 'is required' }]))
+            : next();
+    }
+    if (typeof value === 'string') {
+        try {
+            req.body[field] = JSON.parse(value);
+        } catch (error) {
+            return next(invalidRequest([{ in: 'body', path: field, message: 'must be a JSON string' }]));
+        }
+    }
+    const parsed = req.body[field];
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        return next(invalidRequest([{ in: 'body', path: field, message: 'must be a JSON object' }]));
+    }
+    const operation = req.openapiPath
+        && operations.find((candidate) => candidate.pathKey === req.openapiPath && candidate.method === req.method.toLowerCase());
+    const validate = operation && operation.body.jsonFields[field];
+    if (validate && !validate(parsed)) {
+        return next(invalidRequest(toDetails('body', validate.errors)
+            .map((detail) => ({ ...detail, path: detail.path ? `${field}.${detail.path}` : field }))));
+    }
+    next();
+};
+
+module.exports = {
+    VALIDATION_FAILED,
+    validateRequests,
+    jsonField,
+};
@@ -0,0 +1,31 @@
+const { ForbiddenError } = require('./errors.js');
+
+/**
+ * Ownership helpers used once backend/auth.js has set req.user.
+ */
+
+/**
+ * Checks whether the authenticated caller owns a resource.
+ * @param {Object} req - Express request carrying req.user.
+ * @param {string|Object} ownerId - The owner id stored on the resource (e.g. brightmindid).
+ * @returns {boolean}
+ */
+const isOwner = (req, ownerId) => {
+    if (!req.user || !ownerId) {
+        return false;
+    }
+    return String(ownerId) === req.user.userId;
+};
+
+/**
+ * Route middleware rejecting callers whose id does not match the given route param.
+ * @param {string} [paramName='id'] - Route param holding the user id.
+ */
+const requireSelf = (paramName = 'id') => (req, res, next) => {
+    if (!isOwner(req, req.params[paramName])) {
+        return next(new ForbiddenError('You are not allowed to modify this user.'));
+    }
+    next();
+};
+
+module.exports = { isOwner, requireSelf };
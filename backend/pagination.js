@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { AppError } = require('./errors.js');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationError extends AppError {
+    constructor(message) {
+        super(400, message, { code: 'INVALID_PAGINATION' });
+        this.name = 'PaginationError';
+    }
+}
+
+const isTruthy = (value) => ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), doc);
+
+/**
+ * Top-level field names of a schema, usable as the selectableFields option.
+ * Paths declared with select: false are left out.
+ * @param {Object} model - Mongoose model.
+ * @returns {string[]}
+ */
+const schemaFields = (model) => [
+    ...new Set(
+        Object.entries(model.schema.paths)
+            .filter(([, schemaType]) => schemaType.options.select !== false)
+            .map(([path]) => path.split('.')[0])
+    )
+].filter((field) => field !== '__v');
+
+// Missing sort values are stored as null, which JSON keeps.
+const encodeCursor = (doc, sortField) => {
+    const value = getPath(doc, sortField);
+    const payload = {
+        id: String(doc._id),
+        v: value instanceof Date ? { date: value.toISOString() } : (value === undefined ? null : value),
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (!mongoose.Types.ObjectId.isValid(payload.id)) {
+            throw new Error('invalid id');
+        }
+        const value = payload.v && typeof payload.v === 'object' && payload.v.date
+            ? new Date(payload.v.date)
+            : (payload.v === undefined ? null : payload.v);
+        return { id: new mongoose.Types.ObjectId(payload.id), value };
+    } catch (error) {
+        throw new PaginationError('Invalid cursor.');
+    }
+};
+
+/**
+ * Condition matching the items after the cursor. MongoDB sorts null and
+ * missing values before every other value, and range operators never match
+ * them, so they get their own branches.
+ */
+const afterCursor = (sortField, direction, cursor) => {
+    const operator = direction === 1 ? '$gt' : '$lt';
+    if (sortField === '_id') {
+        return { _id: { [operator]: cursor.id } };
+    }
+    const sameValue = { [sortField]: cursor.value, _id: { [operator]: cursor.id } };
+    if (cursor.value === null) {
+        return direction === 1 ? { $or: [sameValue, { [sortField]: { $ne: null } }] } : sameValue;
+    }
+    const after = [{ [sortField]: { [operator]: cursor.value } }, sameValue];
+    if (direction === -1) {
+        after.push({ [sortField]: null });
+    }
+    return { $or: after };
+};
+
+const parseSort = (sort, { sortFields, defaultSort }) => {
+    const raw = sort ? String(sort) : defaultSort;
+    const direction = raw.startsWith('-') ? -1 : 1;
+    const field = raw.replace(/^[-+]/, '');
+    if (field !== '_id' && !sortFields.includes(field)) {
+        throw new PaginationError(`Invalid sort field. Must be one of _id, ${sortFields.join(', ')}.`);
+    }
+    return { field, direction };
+};
+
+const parseFields = (fields, { selectableFields, defaultFields }) => {
+    if (!fields) {
+        return defaultFields || null;
+    }
+    const requested = String(fields).split(',').map((field) => field.trim()).filter(Boolean);
+    const invalid = requested.filter((field) => !selectableFields.includes(field));
+    if (invalid.length) {
+        throw new PaginationError(`Invalid fields: ${invalid.join(', ')}.`);
+    }
+    return requested;
+};
+
+const parseLimit = (limit) => {
+    if (limit === undefined) {
+        return DEFAULT_LIMIT;
+    }
+    const parsed = Number(limit);
+    if (!Number.isInteger(parsed) || parsed < 1) {
+        throw new PaginationError('limit must be a positive integer.');
+    }
+    return Math.min(parsed, MAX_LIMIT);
+};
+
+/**
+ * Runs a list query honouring ?limit=&cursor=&sort=&fields=&count=.
+ *
+ * The response is a page of at most limit items (DEFAULT_LIMIT without it):
+ * { items, nextCursor } (nextCursor is null on the last page), plus total when
+ * count=true.
+ *
+ * @param {Object} model - Mongoose model.
+ * @param {Object} filter - Base query filter of the endpoint.
+ * @param {Object} query - req.query.
+ * @param {Object} options
+ * @param {string[]} options.sortFields - Fields allowed in ?sort= (besides _id); prefix with - for descending.
+ * @param {string} [options.defaultSort='_id']
+ * @param {string[]} options.selectableFields - Fields allowed in ?fields=.
+ * @param {string[]} [options.defaultFields] - Projection used when ?fields= is absent.
+ * @param {string[]} [options.excludedFields] - Heavy fields left out when ?fields= and defaultFields are absent.
+ * @returns {Promise<{ items: Object[], nextCursor: string|null, total?: number }>}
+ * @throws {PaginationError} When a query parameter is invalid.
+ */
+const paginate = async (model, filter, query, options) => {
+    const { field: sortField, direction } = parseSort(query.sort, { defaultSort: '_id', ...options });
+    const fields = parseFields(query.fields, options);
+    const limit = parseLimit(query.limit);
+
+    let projection = null;
+    let hiddenSortField = null;
+    if (fields) {
+        projection = fields.reduce((acc, field) => ({ ...acc, [field]: 1 }), { _id: 1 });
+        const sortRoot = sortField.split('.')[0];
+        if (!fields.includes(sortRoot) && sortRoot !== '_id') {
+            // The cursor needs the sort value; it is removed from the items below.
+            projection[sortField] = 1;
+            hiddenSortField = sortRoot;
+        }
+    } else if (options.excludedFields) {
+        projection = options.excludedFields.reduce((acc, field) => ({ ...acc, [field]: 0 }), {});
+    }
+
+    const sort = sortField === '_id' ? { _id: direction } : { [sortField]: direction, _id: direction };
+
+    let pageFilter = filter;
+    if (query.cursor !== undefined) {
+        pageFilter = { $and: [filter, afterCursor(sortField, direction, decodeCursor(query.cursor))] };
+    }
+
+    const docs = await model.find(pageFilter, projection).sort(sort).limit(limit + 1).lean();
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+    const nextCursor = hasMore ? encodeCursor(items[items.length - 1], sortField) : null;
+
+    if (hiddenSortField) {
+        items.forEach((item) => delete item[hiddenSortField]);
+    }
+
+    const result = { items, nextCursor };
+    if (isTruthy(query.count)) {
+        result.total = await model.countDocuments(filter);
+    }
+    return result;
+};
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    PaginationError,
+    paginate,
+    schemaFields,
+};
@@ -0,0 +1,98 @@
+const User = require('../models/user_model.js');
+const { UnauthorizedError, ForbiddenError } = require('./errors.js');
+const { isOwner } = require('./ownership.js');
+const {
+    staffRoles,
+    publishingPlatformRoles,
+    publishingAcademicRoles
+} = require('../lists/permissions.js');
+
+/**
+ * Loads the caller's current roles so that permission changes apply
+ * immediately, without waiting for the token to expire.
+ * Must run after backend/auth.js.
+ */
+const loadCallerRoles = async (req) => {
+    const user = await User.findById(req.user.userId).select('role platformRole').lean();
+    if (!user) {
+        return null;
+    }
+    req.user.role = user.role;
+    req.user.platformRole = user.platformRole || 'reader';
+    return req.user;
+};
+
+/**
+ * Whether a user may publish casts/articles: academic publishers by default,
+ * or anyone an admin granted the publisher role.
+ * @param {{ role: string, platformRole?: string }} user
+ * @returns {boolean}
+ */
+const canPublish = (user) =>
+    publishingAcademicRoles.includes(user.role) ||
+    publishingPlatformRoles.includes(user.platformRole || 'reader');
+
+/**
+ * Route middleware allowing only callers holding one of the given platform roles.
+ * @param {...string} roles - Allowed platform roles (see lists/permissions.js).
+ */
+const requirePlatformRole = (...roles) => async (req, res, next) => {
+    try {
+        const caller = await loadCallerRoles(req);
+        if (!caller) {
+            return next(new UnauthorizedError('User not found.'));
+        }
+        if (!roles.includes(caller.platformRole)) {
+            return next(new ForbiddenError('You do not have permission to perform this action.'));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Route middleware allowing the user named by a route param, or callers
+ * holding one of the given platform roles. req.user carries the caller's roles.
+ * @param {string[]} roles - Allowed platform roles (see lists/permissions.js).
+ * @param {string} [paramName='id'] - Route param holding the user id.
+ */
+const requireSelfOrPlatformRole = (roles, paramName = 'id') => async (req, res, next) => {
+    try {
+        const caller = await loadCallerRoles(req);
+        if (!caller) {
+            return next(new UnauthorizedError('User not found.'));
+        }
+        if (!isOwner(req, req.params[paramName]) && !roles.includes(caller.platformRole)) {
+            return next(new ForbiddenError('You are not allowed to modify this user.'));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Route middleware restricted to platform staff (admins and moderators).
+ */
+const requireStaff = requirePlatformRole(...staffRoles);
+
+/**
+ * Route middleware allowing callers to publish casts/articles (see canPublish).
+ */
+const requirePublisher = async (req, res, next) => {
+    try {
+        const caller = await loadCallerRoles(req);
+        if (!caller) {
+            return next(new UnauthorizedError('User not found.'));
+        }
+        if (!canPublish(caller)) {
+            return next(new ForbiddenError('You are not allowed to publish content.'));
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = { canPublish, requirePlatformRole, requireSelfOrPlatformRole, requireStaff, requirePublisher };
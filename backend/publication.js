@@ -0,0 +1,190 @@
+const cron = require('node-cron');
+const Cast = require('../models/cast_model.js');
+const Article = require('../models/article_model.js');
+const { isOwner } = require('./ownership.js');
+const { AppError, ForbiddenError, NotFoundError } = require('./errors.js');
+const { logger } = require('./logger.js');
+const { config } = require('./config.js');
+
+class PublicationError extends AppError {
+    constructor(status, message) {
+        super(status, message);
+        this.name = 'PublicationError';
+    }
+}
+
+const MAX_REVIEW_NOTE_LENGTH = 1000;
+
+/**
+ * Parses an optional publishAt value from a request body.
+ * @returns {Date|null|undefined} undefined when absent, null to clear it.
+ * @throws {PublicationError}
+ */
+const parsePublishAt = (value) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    if (value === null || value === '') {
+        return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new PublicationError(400, 'publishAt must be a valid date.');
+    }
+    return date;
+};
+
+const requireStatus = (content, statuses, message) => {
+    const status = content.status || 'published';
+    if (!statuses.includes(status)) {
+        throw new PublicationError(409, message);
+    }
+};
+
+const publish = (content, now) => {
+    content.status = 'published';
+    content.publishedAt = now;
+    // dateadded drives the "newest" sorts, so it becomes the publication date.
+    content.dateadded = now;
+};
+
+// Transitions applied to a loaded Cast/Article document.
+const transitions = {
+    submit: (content, req, now) => {
+        requireStatus(content, ['draft'], 'Only drafts can be submitted for review.');
+        if (content.processing && content.processing !== 'completed') {
+            throw new PublicationError(409, content.processing === 'failed'
+                ? 'Background processing failed; the cast cannot be submitted.'
+                : 'Background processing must finish before the cast can be submitted.');
+        }
+        const publishAt = parsePublishAt(req.body.publishAt);
+        if (publishAt !== undefined) {
+            content.publishAt = publishAt;
+        }
+        content.status = 'in_review';
+        content.review = { submittedAt: now };
+        return 'Submitted for review.';
+    },
+    approve: (content, req, now) => {
+        requireStatus(content, ['in_review'], 'Only items in review can be approved.');
+        content.review.reviewedAt = now;
+        content.review.reviewedBy = req.user.userId;
+        if (content.publishAt && content.publishAt > now) {
+            content.status = 'scheduled';
+            return 'Approved and scheduled.';
+        }
+        publish(content, now);
+        return 'Approved and published.';
+    },
+    reject: (content, req, now) => {
+        requireStatus(content, ['in_review'], 'Only items in review can be rejected.');
+        const note = req.body.reason === undefined ? '' : String(req.body.reason).trim();
+        if (note.length > MAX_REVIEW_NOTE_LENGTH) {
+            throw new PublicationError(400, `reason must be at most ${MAX_REVIEW_NOTE_LENGTH} characters.`);
+        }
+        content.status = 'draft';
+        content.review.reviewedAt = now;
+        content.review.reviewedBy = req.user.userId;
+        content.review.note = note;
+        return 'Rejected and returned to draft.';
+    },
+    archive: (content) => {
+        requireStatus(content, ['scheduled', 'published'], 'Only scheduled or published items can be archived.');
+        content.status = 'archived';
+        return 'Archived.';
+    },
+};
+
+// Transitions the author performs; approve/reject are guarded by requireStaff on the routes.
+const authorTransitions = ['submit', 'archive'];
+
+// Statuses whose content a moderator approved or is reviewing.
+const REVIEWED_STATUSES = ['in_review', 'scheduled', 'published'];
+
+/**
+ * Sends an edited cast/article back to draft when it was in review,
+ * scheduled or published, so that readers only get approved content; the
+ * author submits it again. Call it after setting the changes, before save.
+ * @param {Object} content - Cast or Article document.
+ * @param {string[]} fields - Paths holding its content (audience settings do not count).
+ * @returns {boolean} Whether the item went back to draft.
+ */
+const returnEditedToDraft = (content, fields) => {
+    const status = content.status || 'published';
+    if (!REVIEWED_STATUSES.includes(status) || !fields.some((field) => content.isModified(field))) {
+        return false;
+    }
+    content.status = 'draft';
+    return true;
+};
+
+/**
+ * Route handler applying a publication transition to the cast/article :id.
+ * @param {Object} model - Cast or Article model.
+ * @param {string} label - 'Cast' or 'Article', used in messages.
+ * @param {'submit'|'approve'|'reject'|'archive'} action
+ */
+const publicationHandler = (model, label, action) => async (req, res, next) => {
+    try {
+        const content = await model.findById(req.params.id);
+        if (!content) {
+            return next(new NotFoundError(`${label} not found.`));
+        }
+        if (authorTransitions.includes(action) && !isOwner(req, content.brightmindid)) {
+            return next(new ForbiddenError(`You are not allowed to modify this ${label.toLowerCase()}.`));
+        }
+
+        const message = transitions[action](content, req, new Date());
+        await content.save();
+
+        res.status(200).json({ message, status: content.status, publishAt: content.publishAt || null });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Publishes every scheduled cast and article whose publishAt has passed.
+ * @param {Date} [now]
+ * @returns {Promise<{ casts: number, articles: number }>}
+ */
+async function publishDueContent(now = new Date()) {
+    const due = { status: 'scheduled', publishAt: { $lte: now } };
+    const update = [{ $set: { status: 'published', publishedAt: '$publishAt', dateadded: '$publishAt' } }];
+
+    const [casts, articles] = await Promise.all([
+        Cast.updateMany(due, update),
+        Article.updateMany(due, update),
+    ]);
+    return { casts: casts.modifiedCount, articles: articles.modifiedCount };
+}
+
+/**
+ * Schedules the check for scheduled content (config.cron.schedules.publication,
+ * every minute by default).
+ */
+function schedulePublication() {
+    if (!config.cron.enabled) {
+        return;
+    }
+    cron.schedule(config.cron.schedules.publication, async () => {
+        try {
+            const { casts, articles } = await publishDueContent();
+            if (casts || articles) {
+                logger.info('Published scheduled content', { casts, articles });
+            }
+        } catch (error) {
+            logger.error('Error publishing scheduled content', { error: error.message });
+        }
+    });
+    logger.info('Publication check scheduled', { schedule: config.cron.schedules.publication });
+}
+
+module.exports = {
+    PublicationError,
+    parsePublishAt,
+    publicationHandler,
+    publishDueContent,
+    returnEditedToDraft,
+    schedulePublication,
+};
@@ -0,0 +1,125 @@
+const { TooManyRequestsError } = require('./errors.js');
+
+/**
+ * Fixed-window, in-memory rate limiter middleware.
+ *
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length in milliseconds.
+ * @param {number} options.max - Requests allowed per key and window.
+ * @param {Function} [options.keyGenerator] - Builds the counter key from the request (defaults to the IP).
+ * @param {string} [options.message] - Error returned with the 429 response.
+ * @returns {Function} Express middleware.
+ */
+const createRateLimiter = ({
+    windowMs,
+    max,
+    keyGenerator = (req) => req.ip,
+    message = 'Too many requests. Please try again later.'
+}) => {
+    const hits = new Map();
+
+    // Drop expired windows so the map does not grow forever.
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) {
+                hits.delete(key);
+            }
+        }
+    }, windowMs);
+    sweeper.unref();
+
+    const limiter = (req, res, next) => {
+        const key = keyGenerator(req);
+        if (!key) {
+            return next();
+        }
+
+        const now = Date.now();
+        let entry = hits.get(key);
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry);
+        }
+        entry.count += 1;
+
+        if (entry.count > max) {
+            res.setHeader('Retry-After', Math.ceil((entry.resetAt - now) / 1000));
+            return next(new TooManyRequestsError(message));
+        }
+        next();
+    };
+
+    limiter.reset = () => hits.clear();
+    return limiter;
+};
+
+/**
+ * Counts failed attempts per key and imposes a progressively longer wait
+ * once the free attempts are used up (baseDelayMs, then doubling up to maxDelayMs).
+ * Counters are forgotten windowMs after the last failure.
+ *
+ * @param {Object} options
+ * @param {number} options.freeAttempts - Failures allowed before any delay applies.
+ * @param {number} options.baseDelayMs - Delay imposed after the first counted failure.
+ * @param {number} options.maxDelayMs - Upper bound for the delay.
+ * @param {number} options.windowMs - Inactivity period after which a counter is dropped.
+ */
+const createAttemptLimiter = ({ freeAttempts, baseDelayMs, maxDelayMs, windowMs }) => {
+    const entries = new Map();
+
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.lastFailureAt + windowMs <= now) {
+                entries.delete(key);
+            }
+        }
+    }, windowMs);
+    sweeper.unref();
+
+    const getEntry = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.lastFailureAt + windowMs <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    return {
+        /**
+         * @returns {number} Milliseconds to wait before the key may try again (0 when allowed).
+         */
+        getRetryAfterMs(key) {
+            const entry = getEntry(key);
+            if (!entry) {
+                return 0;
+            }
+            return Math.max(0, entry.blockedUntil - Date.now());
+        },
+
+        recordFailure(key) {
+            const now = Date.now();
+            const entry = getEntry(key) || { failures: 0, blockedUntil: 0, lastFailureAt: now };
+            entry.failures += 1;
+            entry.lastFailureAt = now;
+            if (entry.failures > freeAttempts) {
+                const delay = Math.min(baseDelayMs * 2 ** (entry.failures - freeAttempts - 1), maxDelayMs);
+                entry.blockedUntil = now + delay;
+            }
+            entries.set(key, entry);
+            return entry.failures;
+        },
+
+        reset(key) {
+            entries.delete(key);
+        },
+
+        resetAll() {
+            entries.clear();
+        },
+    };
+};
+
+module.exports = { createRateLimiter, createAttemptLimiter };
@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const Cast = require('../models/cast_model.js');
+const Article = require('../models/article_model.js');
+const RatingVote = require('../models/rating_vote_model.js');
+const { withVisibility } = require('./visibility.js');
+
+const RATING_ACTIONS = ['+', '-'];
+// Kept on the 0-10 scale used by Cast/Article.rating.value.
+const VOTE_VALUES = { '+': 10, '-': 0 };
+// Bayesian prior: every item is scored as if it already had PRIOR_VOTES votes averaging PRIOR_MEAN.
+const PRIOR_MEAN = 5;
+const PRIOR_VOTES = 5;
+
+/**
+ * Recomputes the rating of a cast/article from its active votes and the
+ * legacy votes stored on it.
+ * @param {'cast'|'article'} contentType
+ * @param {string} contentId
+ * @param {{ legacyVotes?: number, legacyTotal?: number }} [legacy] - The rating of the item.
+ * @returns {Promise<{ value: number, count: number, bayesian: number }>}
+ */
+const computeRating = async (contentType, contentId, { legacyVotes = 0, legacyTotal = 0 } = {}) => {
+    const [stats] = await RatingVote.aggregate([
+        {
+            $match: {
+                contentType,
+                contentId: new mongoose.Types.ObjectId(String(contentId)),
+                action: { $in: RATING_ACTIONS },
+            },
+        },
+        {
+            $group: {
+                _id: null,
+                count: { $sum: 1 },
+                total: { $sum: { $cond: [{ $eq: ['$action', '+'] }, VOTE_VALUES['+'], VOTE_VALUES['-']] } },
+            },
+        },
+    ]);
+
+    const count = (stats ? stats.count : 0) + legacyVotes;
+    const total = (stats ? stats.total : 0) + legacyTotal;
+    return {
+        value: count ? total / count : PRIOR_MEAN,
+        count,
+        bayesian: (PRIOR_MEAN * PRIOR_VOTES + total) / (PRIOR_VOTES + count),
+    };
+};
+
+/**
+ * Recomputes and stores the rating of a cast/article, trashed ones included.
+ * @param {Object} model - Cast or Article model.
+ * @param {'cast'|'article'} contentType
+ * @param {Object} item - The item, with its rating.
+ * @returns {Promise<{ value: number, count: number, bayesian: number }>}
+ */
+const updateRating = async (model, contentType, item) => {
+    const rating = await computeRating(contentType, item._id, item.rating);
+    await model.updateOne(
+        { _id: item._id },
+        { $set: { 'rating.value': rating.value, 'rating.count': rating.count, 'rating.bayesian': rating.bayesian } }
+    ).setOptions({ withDeleted: true });
+    return rating;
+};
+
+/**
+ * The caller's current vote on an item.
+ * @returns {Promise<'+'|'-'|null>}
+ */
+const getUserVote = async (contentType, contentId, userId) => {
+    const vote = await RatingVote.findOne({ contentType, contentId, userId }).select('action').lean();
+    return vote ? vote.action : null;
+};
+
+/**
+ * Casts, changes (action '+' or '-') or withdraws (action null) the vote of
+ * `userId`, appends it to the vote history and stores the recomputed rating
+ * on the item.
+ *
+ * @param {Object} params
+ * @param {Object} params.model - Cast or Article model.
+ * @param {'cast'|'article'} params.contentType
+ * @param {string} params.contentId
+ * @param {string} params.userId
+ * @param {'+'|'-'|null} params.action
+ * @param {Object|null} params.viewer - From visibility.getViewer; hidden items are treated as missing.
+ * @returns {Promise<{ rating: Object, userVote: string|null, changed: boolean }|null>}
+ *   null when the item does not exist.
+ */
+const setUserVote = async ({ model, contentType, contentId, userId, action, viewer }) => {
+    const content = await model.findOne(withVisibility({ _id: contentId }, viewer)).select('rating').lean();
+    if (!content) {
+        return null;
+    }
+
+    const previousVote = await getUserVote(contentType, content._id, userId);
+    if (previousVote === action) {
+        return { rating: content.rating, userVote: previousVote, changed: false };
+    }
+
+    const now = new Date();
+    await RatingVote.updateOne(
+        { contentType, contentId: content._id, userId },
+        {
+            $set: { action, updatedAt: now },
+            $push: { history: { action, at: now } },
+            $setOnInsert: { createdAt: now },
+        },
+        { upsert: true }
+    );
+
+    const rating = await updateRating(model, contentType, content);
+    return { rating, userVote: action, changed: true };
+};
+
+/**
+ * Deletes every vote of a user (purged account) and recomputes the ratings
+ * they counted in.
+ * @returns {Promise<number>} The number of ratings recomputed.
+ */
+const removeUserVotes = async (userId) => {
+    const votes = await RatingVote.find({ userId, action: { $in: RATING_ACTIONS } }).select('contentType contentId').lean();
+    await RatingVote.deleteMany({ userId });
+
+    for (const { contentType, contentId } of votes) {
+        const model = contentType === 'cast' ? Cast : Article;
+        const item = await model.findById(contentId).setOptions({ withDeleted: true }).select('rating').lean();
+        if (item) {
+            await updateRating(model, contentType, item);
+        }
+    }
+    return votes.length;
+};
+
+/**
+ * One-off migration of the ratings kept before RatingVote existed, run at
+ * startup: their running average over `count` (which started as one vote of
+ * PRIOR_MEAN) becomes legacyVotes/legacyTotal, counted with the active votes.
+ * Items are folded once, trashed ones included.
+ * @returns {Promise<number>} The number of items folded.
+ */
+const foldLegacyRatings = async () => {
+    let folded = 0;
+    for (const [model, contentType] of [[Cast, 'cast'], [Article, 'article']]) {
+        const items = await model.find({ 'rating.legacyVotes': { $exists: false } })
+            .setOptions({ withDeleted: true })
+            .select('rating')
+            .lean();
+        for (const item of items) {
+            const { value = PRIOR_MEAN, count = 1 } = item.rating || {};
+            const legacyVotes = Math.max(Math.round(count) - 1, 0);
+            const legacyTotal = Math.min(Math.max(value * count - PRIOR_MEAN, 0), legacyVotes * VOTE_VALUES['+']);
+            const rating = await computeRating(contentType, item._id, { legacyVotes, legacyTotal });
+            await model.updateOne(
+                { _id: item._id, 'rating.legacyVotes': { $exists: false } },
+                { $set: { rating: { ...rating, legacyVotes, legacyTotal } } }
+            ).setOptions({ withDeleted: true });
+        }
+        folded += items.length;
+    }
+    return folded;
+};
+
+module.exports = {
+    RATING_ACTIONS,
+    computeRating,
+    foldLegacyRatings,
+    getUserVote,
+    setUserVote,
+    removeUserVotes,
+};
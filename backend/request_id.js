@@ -0,0 +1,49 @@
+// request_id.js
+
+const crypto = require('crypto');
+const { logger, withLogContext } = require('./logger.js');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// Ids supplied by a proxy are kept when they look like ids.
+const isValidRequestId = (value) => typeof value === 'string' && /^[\w.:-]{1,128}$/.test(value);
+
+/**
+ * Tags every request with req.id (from the X-Request-Id header or a new
+ * UUID) and echoes it back, so clients can quote it when reporting an error.
+ * The rest of the request runs with the id in the log context; pass it to
+ * queued jobs as `requestId` to keep it in their logs.
+ */
+const requestId = (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    req.id = isValidRequestId(incoming) ? incoming : crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+    withLogContext({ requestId: req.id }, next);
+};
+
+/**
+ * Logs one entry per request once the response is sent: method, path,
+ * status, duration and the authenticated user. 4xx are warnings, 5xx errors.
+ */
+const logRequests = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+        const status = res.statusCode;
+        const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+        logger[level]('Request completed', {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl,
+            status,
+            durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+            userId: req.user ? req.user.userId : undefined,
+        });
+    });
+    next();
+};
+
+module.exports = {
+    REQUEST_ID_HEADER,
+    requestId,
+    logRequests,
+};
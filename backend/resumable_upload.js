@@ -0,0 +1,243 @@
+// resumable_upload.js
+
+const crypto = require('crypto');
+const express = require('express');
+const { Readable } = require('stream');
+const cron = require('node-cron');
+const UploadSession = require('../models/upload_session_model.js');
+const { getStorage } = require('./storage');
+const { BadRequestError, ConflictError } = require('./errors.js');
+const { sniffMimeType, safeFilename, fileTooLarge, unsupportedType } = require('./upload_validation.js');
+const { videoMimeTypes } = require('../lists/media_types.js');
+const { logger } = require('./logger.js');
+const { config } = require('./config.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const chunkPrefix = (sessionId) => `upload_chunks/${sessionId}/`;
+
+const expiryDate = (from = new Date()) => new Date(from.getTime() + config.uploads.sessionTtlHours * HOUR_MS);
+
+/**
+ * Route middleware reading a chunk (application/offset+octet-stream) of at
+ * most config.uploads.chunkSizeBytes into req.body; larger chunks are a 413.
+ */
+const chunkParser = (req, res, next) => express.raw({
+    type: 'application/offset+octet-stream',
+    limit: config.uploads.chunkSizeBytes,
+})(req, res, next);
+
+/**
+ * Upload session returned to clients.
+ */
+const sessionInfo = (session) => ({
+    uploadId: session._id,
+    filename: session.filename,
+    mimeType: session.mimeType,
+    size: session.size,
+    offset: session.offset,
+    chunkSize: config.uploads.chunkSizeBytes,
+    status: session.status,
+    expiresAt: session.expiresAt,
+});
+
+/**
+ * Opens an upload session for a cast video of `size` bytes.
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {string} options.filename - Name of the file on the client.
+ * @param {string} options.mimeType - One of lists/media_types.js videoMimeTypes.
+ * @param {number} options.size
+ * @param {string} [options.checksum] - SHA-256 (hex) of the whole file.
+ * @returns {Promise<Object>} The session.
+ */
+const createUploadSession = async ({ userId, filename, mimeType, size, checksum }) => {
+    if (!videoMimeTypes[mimeType]) {
+        throw unsupportedType('video');
+    }
+    if (size > config.uploads.maxBytes.video) {
+        throw fileTooLarge('video');
+    }
+    return UploadSession.create({
+        userId,
+        filename,
+        mimeType,
+        size,
+        checksum: checksum ? checksum.toLowerCase() : undefined,
+        expiresAt: expiryDate(),
+    });
+};
+
+/**
+ * Finds a session of the caller; sessions of other users are not found.
+ * @returns {Promise<Object|null>}
+ */
+const findUploadSession = (id, userId) => UploadSession.findOne({ _id: id, userId, expiresAt: { $gt: new Date() } });
+
+// Upload-Checksum: "sha256 <base64 digest>" (the header of the tus checksum extension).
+const parseChecksum = (header) => {
+    const match = /^sha256 ([A-Za-z0-9+/]+={0,2})$/.exec(String(header || '').trim());
+    if (!match) {
+        throw new BadRequestError('Upload-Checksum must be "sha256 <base64 digest>".', { code: 'INVALID_CHECKSUM' });
+    }
+    return match[1];
+};
+
+/**
+ * Stores the chunk of a session starting at `offset`. Chunks are sent in
+ * order: an offset other than the session offset is a 409 carrying the
+ * offset to resume from. Each chunk extends the session expiry.
+ * @param {Object} session
+ * @param {number} offset - Upload-Offset header.
+ * @param {Buffer} data
+ * @param {string} checksumHeader - Upload-Checksum header.
+ * @returns {Promise<Object>} The updated session.
+ */
+const appendChunk = async (session, offset, data, checksumHeader) => {
+    const expected = parseChecksum(checksumHeader);
+    if (session.status !== 'uploading') {
+        throw new ConflictError('The upload is already complete.', { details: { offset: session.offset } });
+    }
+    if (offset !== session.offset) {
+        throw new ConflictError('Upload-Offset does not match the session offset.', {
+            code: 'OFFSET_MISMATCH',
+            details: { offset: session.offset },
+        });
+    }
+    if (!data.length || offset + data.length > session.size) {
+        throw new BadRequestError('The chunk is empty or goes past the upload size.', { details: { offset: session.offset, size: session.size } });
+    }
+    if (crypto.createHash('sha256').update(data).digest('base64') !== expected) {
+        throw new BadRequestError('The chunk does not match its checksum.', { code: 'CHECKSUM_MISMATCH', details: { offset } });
+    }
+    // The stored type is the one read from the first bytes of the file.
+    const update = { expiresAt: expiryDate() };
+    if (offset === 0) {
+        update.mimeType = sniffMimeType(data);
+        if (!videoMimeTypes[update.mimeType]) {
+            throw unsupportedType('video');
+        }
+    }
+
+    await getStorage().upload(`${chunkPrefix(session._id)}${offset}`, data);
+    const updated = await UploadSession.findOneAndUpdate(
+        { _id: session._id, offset, status: 'uploading' },
+        {
+            $inc: { offset: data.length },
+            $push: { chunks: { offset, size: data.length } },
+            $set: update,
+        },
+        { new: true }
+    );
+    if (!updated) {
+        throw new ConflictError('Another chunk was stored at this offset.', { code: 'OFFSET_MISMATCH' });
+    }
+    return updated;
+};
+
+// The stored chunks read back in order, through the hash of the whole file.
+const assembledStream = (session, hash) => Readable.from((async function* chunks() {
+    const storage = getStorage();
+    for (const { offset } of session.chunks) {
+        for await (const data of await storage.stream(`${chunkPrefix(session._id)}${offset}`)) {
+            hash.update(data);
+            yield data;
+        }
+    }
+})());
+
+/**
+ * Concatenates the chunks of a complete session into cast_videos/ and removes
+ * them. A file not matching the session checksum ends the session.
+ * Already assembled sessions return their video.
+ * @param {Object} session
+ * @returns {Promise<string>} Storage key of the video.
+ */
+const assembleUpload = async (session) => {
+    if (session.status === 'assembled') {
+        return session.videoKey;
+    }
+    if (session.offset !== session.size) {
+        throw new BadRequestError('The upload is not complete.', { code: 'UPLOAD_INCOMPLETE', details: { offset: session.offset, size: session.size } });
+    }
+
+    const storage = getStorage();
+    const videoKey = `cast_videos/${safeFilename(session.filename, videoMimeTypes[session.mimeType])}`;
+    const hash = crypto.createHash('sha256');
+    await storage.upload(videoKey, assembledStream(session, hash), { contentType: session.mimeType });
+
+    if (session.checksum && hash.digest('hex') !== session.checksum) {
+        await storage.remove(videoKey);
+        await removeUploadSession(session);
+        throw new BadRequestError('The uploaded file does not match its checksum.', { code: 'CHECKSUM_MISMATCH' });
+    }
+
+    await storage.removePrefix(chunkPrefix(session._id));
+    session.status = 'assembled';
+    session.videoKey = videoKey;
+    session.chunks = [];
+    await session.save();
+    return videoKey;
+};
+
+/**
+ * Deletes a session with its chunks and, unless it now belongs to a cast,
+ * its assembled video.
+ * @param {Object} session
+ * @param {Object} [options]
+ * @param {boolean} [options.keepVideo]
+ */
+async function removeUploadSession(session, { keepVideo = false } = {}) {
+    const storage = getStorage();
+    await storage.removePrefix(chunkPrefix(session._id));
+    if (session.videoKey && !keepVideo) {
+        await storage.remove(session.videoKey);
+    }
+    await UploadSession.deleteOne({ _id: session._id });
+}
+
+/**
+ * Removes the sessions that expired before being completed.
+ * @param {Date} [now]
+ * @returns {Promise<number>} Number of sessions removed.
+ */
+async function purgeExpiredUploads(now = new Date()) {
+    const expired = await UploadSession.find({ expiresAt: { $lte: now } });
+    for (const session of expired) {
+        await removeUploadSession(session);
+    }
+    return expired.length;
+}
+
+/**
+ * Schedules the removal of expired upload sessions (config.cron.schedules.uploadCleanup,
+ * every hour on minute 50 by default).
+ */
+function scheduleUploadCleanup() {
+    if (!config.cron.enabled) {
+        return;
+    }
+    cron.schedule(config.cron.schedules.uploadCleanup, async () => {
+        try {
+            const removed = await purgeExpiredUploads();
+            if (removed) {
+                logger.info('Removed expired upload sessions', { removed });
+            }
+        } catch (error) {
+            logger.error('Error removing expired upload sessions', { error: error.message });
+        }
+    });
+    logger.info('Upload session cleanup scheduled', { schedule: config.cron.schedules.uploadCleanup });
+}
+
+module.exports = {
+    chunkParser,
+    sessionInfo,
+    createUploadSession,
+    findUploadSession,
+    appendChunk,
+    assembleUpload,
+    removeUploadSession,
+    purgeExpiredUploads,
+    scheduleUploadCleanup,
+};
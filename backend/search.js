@@ -0,0 +1,82 @@
+const SNIPPET_RADIUS = 80;
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words of a $text search string that should be highlighted: quotes are
+ * dropped and negated terms (-word) are ignored.
+ * @param {string} query
+ * @returns {string[]}
+ */
+const extractTerms = (query) => [
+    ...new Set(
+        String(query)
+            .split(/\s+/)
+            .filter((term) => term && !term.startsWith('-'))
+            .map((term) => term.replace(/[^\p{L}\p{N}]/gu, '').toLowerCase())
+            .filter((term) => term.length > 1)
+    ),
+];
+
+// Text indexes match stemmed words, so "physics" also has to highlight "physical".
+const buildTermPattern = (terms) => new RegExp(
+    `(${terms.map((term) => escapeRegExp(term.length > 4 ? term.slice(0, -1) : term)).join('|')})[\\p{L}\\p{N}]*`,
+    'giu'
+);
+
+const highlight = (text, pattern) => {
+    let result = '';
+    let lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+        result += escapeHtml(text.slice(lastIndex, match.index));
+        result += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return result + escapeHtml(text.slice(lastIndex));
+};
+
+/**
+ * Extract of `text` around the first matched term, HTML-escaped, with every
+ * match wrapped in <mark>. Returns null when nothing matches.
+ * @param {string} text
+ * @param {string[]} terms - From extractTerms.
+ * @param {number} [radius] - Characters kept on each side of the first match.
+ * @returns {string|null}
+ */
+const buildSnippet = (text, terms, radius = SNIPPET_RADIUS) => {
+    if (!text || !terms.length) {
+        return null;
+    }
+    const pattern = buildTermPattern(terms);
+    const first = pattern.exec(text);
+    if (!first) {
+        return null;
+    }
+    pattern.lastIndex = 0;
+
+    let start = Math.max(0, first.index - radius);
+    let end = Math.min(text.length, first.index + first[0].length + radius);
+    // Avoid cutting words in half.
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < first.index ? space + 1 : start;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > first.index + first[0].length ? space : end;
+    }
+
+    return `${start > 0 ? '…' : ''}${highlight(text.slice(start, end), pattern)}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+    extractTerms,
+    buildSnippet,
+};
@@ -0,0 +1,56 @@
+/**
+ * Mongoose plugin adding a `deletedAt` marker (set by backend/trash.js).
+ * Marked documents are left out of every find, count, update and aggregation
+ * unless the filter (or the first $match stage) mentions deletedAt itself,
+ * at the top level or in an $and clause (as paginated filters are wrapped),
+ * which is how the trash, restore and purge code reach them. Queries with the
+ * `withDeleted` option reach documents in both states.
+ */
+
+const QUERY_HOOKS = [
+    'count',
+    'countDocuments',
+    'distinct',
+    'find',
+    'findOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'replaceOne',
+    'updateOne',
+    'updateMany',
+];
+
+const NOT_DELETED = { deletedAt: null };
+
+const mentionsDeletedAt = (filter) => Boolean(filter) && (
+    Object.prototype.hasOwnProperty.call(filter, 'deletedAt')
+    || (Array.isArray(filter.$and) && filter.$and.some(mentionsDeletedAt))
+);
+
+// Stages MongoDB requires to come first in a pipeline.
+const mustStayFirst = (stage) => Boolean(stage.$geoNear || (stage.$match && stage.$match.$text));
+
+const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: { type: Date, default: null },
+        deletedBy: { type: String, default: null },
+    });
+    schema.index({ deletedAt: 1 });
+
+    schema.pre(QUERY_HOOKS, function () {
+        if (!this.getOptions().withDeleted && !mentionsDeletedAt(this.getFilter())) {
+            this.where(NOT_DELETED);
+        }
+    });
+
+    schema.pre('aggregate', function () {
+        const pipeline = this.pipeline();
+        const first = pipeline[0] || {};
+        if (mentionsDeletedAt(first.$match)) {
+            return;
+        }
+        pipeline.splice(mustStayFirst(first) ? 1 : 0, 0, { $match: NOT_DELETED });
+    });
+};
+
+module.exports = { softDeletePlugin };
@@ -0,0 +1,77 @@
+// Media storage: config.storage.driver selects the local disk or an S3-compatible bucket.
+// Both drivers take keys of the form "<folder>/<filename>" (e.g. cast_images/cast_1.jpg) and offer
+// upload(key, body, { contentType }), remove(key), removePrefix(prefix), exists(key), stream(key) and
+// signedUrl(key, { expiresIn }).
+
+const { config } = require('../config.js');
+const { createLocalStorage } = require('./local.js');
+const { createS3Storage } = require('./s3.js');
+
+let storage = null;
+let storageSettings = null;
+
+/**
+ * The storage of the current configuration, created on first use and again
+ * when loadConfig() changed its settings.
+ * @returns {Object}
+ */
+const getStorage = () => {
+    const settings = JSON.stringify([config.storage, config.media.root]);
+    if (storage && settings === storageSettings) {
+        return storage;
+    }
+    storage = config.storage.driver === 's3'
+        ? createS3Storage({ ...config.storage.s3, signedUrlTtlSeconds: config.storage.signedUrlTtlSeconds })
+        : createLocalStorage({
+            root: config.media.root,
+            publicUrl: (key) => `${config.baseUrl}${config.media.urlPath}/${key}`,
+        });
+    storageSettings = settings;
+    return storage;
+};
+
+/**
+ * Where ffmpeg can read a stored file from: its path on the local disk, or a
+ * signed URL for the S3 driver.
+ * @param {string} key
+ * @returns {Promise<string>}
+ */
+const mediaSource = async (key) => {
+    const current = getStorage();
+    return current.localPath ? current.localPath(key) : current.signedUrl(key);
+};
+
+/**
+ * Multer storage engine streaming each upload to the storage under `folder`.
+ * req.file gets `key` and `filename` (plus `size`).
+ * @param {string} folder - e.g. cast_videos.
+ * @param {function(Object, Object): (string|Promise<Object>)} prepare - (req, file) => stored file name, or a
+ *   promise of { filename, body, contentType } to store a checked or converted copy of file.stream.
+ */
+const multerStorage = (folder, prepare) => ({
+    _handleFile(req, file, callback) {
+        Promise.resolve(prepare(req, file))
+            .then((prepared) => (typeof prepared === 'string'
+                ? { filename: prepared, body: file.stream, contentType: file.mimetype }
+                : prepared))
+            .then(async ({ filename, body, contentType }) => {
+                const key = `${folder}/${filename}`;
+                const { size } = await getStorage().upload(key, body, { contentType });
+                return { key, filename, size };
+            })
+            .then((info) => callback(null, info), callback);
+    },
+    _removeFile(req, file, callback) {
+        // Files rejected before reaching the storage have no key.
+        if (!file.key) {
+            return callback(null);
+        }
+        getStorage().remove(file.key).then(() => callback(null), callback);
+    },
+});
+
+module.exports = {
+    getStorage,
+    mediaSource,
+    multerStorage,
+};
@@ -0,0 +1,60 @@
+// local.js
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+
+/**
+ * Storage writing the media files under a directory of the local disk.
+ * @param {Object} options
+ * @param {string} options.root - Directory holding the files (config.media.root).
+ * @param {function(string): string} options.publicUrl - URL serving a key; local files are public,
+ *   so it doubles as their signed URL.
+ */
+const createLocalStorage = ({ root, publicUrl }) => {
+    const resolvedRoot = path.resolve(root);
+
+    // Keys are "<folder>/<filename>"; a key must not leave the root.
+    const localPath = (key) => {
+        const filePath = path.resolve(resolvedRoot, key);
+        if (!filePath.startsWith(`${resolvedRoot}${path.sep}`)) {
+            throw new Error(`Invalid storage key "${key}".`);
+        }
+        return filePath;
+    };
+
+    const upload = async (key, body) => {
+        const filePath = localPath(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        if (body instanceof Readable) {
+            await pipeline(body, fs.createWriteStream(filePath));
+        } else {
+            await fs.promises.writeFile(filePath, body);
+        }
+        const { size } = await fs.promises.stat(filePath);
+        return { key, size };
+    };
+
+    const remove = async (key) => {
+        await fs.promises.rm(localPath(key), { force: true });
+    };
+
+    const removePrefix = async (prefix) => {
+        await fs.promises.rm(localPath(prefix), { recursive: true, force: true });
+    };
+
+    const exists = (key) => fs.promises.access(localPath(key)).then(() => true, () => false);
+
+    const stream = async (key) => {
+        const filePath = localPath(key);
+        await fs.promises.access(filePath);
+        return fs.createReadStream(filePath);
+    };
+
+    const signedUrl = async (key) => publicUrl(key);
+
+    return { driver: 'local', upload, remove, removePrefix, exists, stream, signedUrl, localPath };
+};
+
+module.exports = { createLocalStorage };
@@ -0,0 +1,108 @@
+// s3.js
+
+const { Readable, Transform, pipeline } = require('stream');
+const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    DeleteObjectsCommand,
+    ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const isNotFound = (error) => error.name === 'NoSuchKey' || error.name === 'NotFound'
+    || (error.$metadata && error.$metadata.httpStatusCode === 404);
+
+// Same error code as a missing file of the local storage.
+const notFoundError = (key) => Object.assign(new Error(`No stored object for key "${key}".`), { code: 'ENOENT' });
+
+/**
+ * Storage writing the media files to an S3-compatible bucket (AWS S3, MinIO...).
+ * @param {Object} options - config.storage.s3.
+ * @param {string} options.bucket
+ * @param {string} options.region
+ * @param {string} [options.endpoint] - For S3-compatible services, e.g. http://localhost:9000 for MinIO.
+ * @param {boolean} [options.forcePathStyle] - Needed by MinIO.
+ * @param {string} [options.accessKeyId] - Defaults to the AWS credential chain.
+ * @param {string} [options.secretAccessKey]
+ * @param {number} options.signedUrlTtlSeconds - Default lifetime of signed URLs.
+ */
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, accessKeyId, secretAccessKey, signedUrlTtlSeconds }) => {
+    const client = new S3Client({
+        region,
+        endpoint: endpoint || undefined,
+        forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    // Streams have no known length: lib-storage uploads them in parts.
+    const upload = async (key, body, { contentType } = {}) => {
+        let size = Buffer.isBuffer(body) || typeof body === 'string' ? Buffer.byteLength(body) : 0;
+        let source = body;
+        if (body instanceof Readable) {
+            source = new Transform({
+                transform(chunk, encoding, callback) {
+                    size += chunk.length;
+                    callback(null, chunk);
+                },
+            });
+            // A failing source destroys the counter, which fails the upload.
+            pipeline(body, source, () => {});
+        }
+        await new Upload({
+            client,
+            params: { Bucket: bucket, Key: key, Body: source, ContentType: contentType },
+        }).done();
+        return { key, size };
+    };
+
+    const remove = async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    };
+
+    // Listing pages hold up to 1000 keys, the most DeleteObjects accepts.
+    const removePrefix = async (prefix) => {
+        let ContinuationToken;
+        do {
+            const page = await client.send(new ListObjectsV2Command({ Bucket: bucket, Prefix: prefix, ContinuationToken }));
+            const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+            if (objects.length) {
+                await client.send(new DeleteObjectsCommand({ Bucket: bucket, Delete: { Objects: objects, Quiet: true } }));
+            }
+            ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+        } while (ContinuationToken);
+    };
+
+    const exists = async (key) => {
+        try {
+            await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+            return true;
+        } catch (error) {
+            if (isNotFound(error)) {
+                return false;
+            }
+            throw error;
+        }
+    };
+
+    const stream = async (key) => {
+        try {
+            const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            return Body;
+        } catch (error) {
+            throw isNotFound(error) ? notFoundError(key) : error;
+        }
+    };
+
+    const signedUrl = (key, { expiresIn = signedUrlTtlSeconds } = {}) => getSignedUrl(
+        client,
+        new GetObjectCommand({ Bucket: bucket, Key: key }),
+        { expiresIn }
+    );
+
+    return { driver: 's3', bucket, client, upload, remove, removePrefix, exists, stream, signedUrl };
+};
+
+module.exports = { createS3Storage };
@@ -0,0 +1,180 @@
+// thumbnails.js
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+ffmpeg.setFfmpegPath(require('@ffmpeg-installer/ffmpeg').path);
+const sharp = require('sharp');
+
+const Cast = require('../models/cast_model.js');
+const { getStorage, mediaSource } = require('./storage');
+const { mediaUrl, mediaKeys, deleteFile } = require('../controllers/fileHelper.js');
+const { setCastImage } = require('./cast_images.js');
+const { logger } = require('./logger.js');
+
+// Candidate frames, as fractions of the duration: the very start and end are often black or title cards.
+const CANDIDATE_POSITIONS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+// Greyscale mean and standard deviation (0-255) outside which a frame is blank (black, white or flat).
+const BLANK_FRAME = { minMean: 20, maxMean: 235, minDeviation: 12 };
+// The thumbnail has the size of the AI images (backend/generate_cast_image.js).
+const THUMBNAIL = { width: 980, height: 560 };
+const POSTER = { width: 1280, height: 720 };
+const SPRITE = { tileWidth: 160, tileHeight: 90, columns: 10, maxTiles: 100, minInterval: 2 };
+
+const THUMBNAIL_MEDIA = [['images.frameurl', 'cast_thumbnails'], ['posterurl', 'cast_thumbnails'], ['sprite.spriteurl', 'cast_thumbnails']];
+
+const runFfmpeg = (source, inputOptions, outputOptions, file) => new Promise((resolve, reject) => {
+    ffmpeg(source)
+        .inputOptions(inputOptions)
+        .outputOptions(outputOptions)
+        .output(file)
+        .on('error', reject)
+        .on('end', () => resolve())
+        .run();
+});
+
+/**
+ * Scores a frame by its contrast (greyscale standard deviation).
+ * @param {Buffer} image
+ * @returns {Promise<{ score: number, blank: boolean }>}
+ */
+const frameScore = async (image) => {
+    const { channels: [grey] } = await sharp(image).greyscale().stats();
+    return {
+        score: grey.stdev,
+        blank: grey.mean < BLANK_FRAME.minMean || grey.mean > BLANK_FRAME.maxMean || grey.stdev < BLANK_FRAME.minDeviation,
+    };
+};
+
+/**
+ * Picks the frame with the most contrast among frames taken across the
+ * video, skipping blank ones unless every frame is blank.
+ * @param {string} source - Path or URL (storage.mediaSource).
+ * @param {number} duration - Seconds.
+ * @param {string} workDir
+ * @returns {Promise<{ seconds: number, image: Buffer }>} The frame as PNG.
+ */
+const pickFrame = async (source, duration, workDir) => {
+    const candidates = [];
+    for (const [index, position] of CANDIDATE_POSITIONS.entries()) {
+        const seconds = Math.round(duration * position * 100) / 100;
+        const file = path.join(workDir, `candidate_${index}.png`);
+        try {
+            await runFfmpeg(source, ['-ss', String(seconds)], ['-frames:v', '1'], file);
+            const image = await fs.readFile(file);
+            candidates.push({ seconds, image, ...(await frameScore(image)) });
+        } catch (error) {
+            logger.debug('Frame could not be extracted', { seconds, error: error.message });
+        }
+    }
+    if (!candidates.length) {
+        throw new Error('No frame could be extracted from the video.');
+    }
+    const usable = candidates.some((candidate) => !candidate.blank)
+        ? candidates.filter((candidate) => !candidate.blank)
+        : candidates;
+    const best = usable.reduce((picked, candidate) => (candidate.score > picked.score ? candidate : picked));
+    return { seconds: best.seconds, image: best.image };
+};
+
+/**
+ * Tiles of the preview sprite: one every `interval` seconds (at least
+ * SPRITE.minInterval, at most SPRITE.maxTiles tiles), SPRITE.columns per row.
+ * @param {number} duration - Seconds.
+ * @returns {{ interval: number, count: number, columns: number, rows: number, width: number, height: number }}
+ *   width and height are those of a tile.
+ */
+const spriteLayout = (duration) => {
+    const interval = Math.max(SPRITE.minInterval, Math.ceil(duration / SPRITE.maxTiles));
+    const count = Math.max(1, Math.min(SPRITE.maxTiles, Math.ceil(duration / interval)));
+    const columns = Math.min(SPRITE.columns, count);
+    return { interval, count, columns, rows: Math.ceil(count / columns), width: SPRITE.tileWidth, height: SPRITE.tileHeight };
+};
+
+// Frames scaled into the tile size (letterboxed), laid out by the tile filter into one image.
+const extractSprite = (source, layout, file) => runFfmpeg(source, [], [
+    '-vf', [
+        `fps=1/${layout.interval}`,
+        `scale=${layout.width}:${layout.height}:force_original_aspect_ratio=decrease`,
+        `pad=${layout.width}:${layout.height}:(ow-iw)/2:(oh-ih)/2`,
+        `tile=${layout.columns}x${layout.rows}`,
+    ].join(','),
+    '-frames:v', '1',
+    '-q:v', '4',
+], file);
+
+/**
+ * Extracts from a stored video a thumbnail and a poster frame (from the frame
+ * picked by pickFrame) and a preview sprite, and stores them in cast_thumbnails/.
+ * @param {string} videoKey - Storage key of the video.
+ * @param {number} duration - Seconds.
+ * @param {string} name - Prefix of the stored file names (e.g. the cast id).
+ * @returns {Promise<Object>} { frameurl, posterurl, sprite: { spriteurl, ...spriteLayout }, seconds } where
+ *   seconds is the time of the picked frame.
+ */
+const extractThumbnails = async (videoKey, duration, name) => {
+    const source = await mediaSource(videoKey);
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'thumbnails-'));
+    const storage = getStorage();
+    const stamp = Date.now();
+    const store = async (kind, image) => {
+        const filename = `${name}_${kind}_${stamp}.jpg`;
+        await storage.upload(`cast_thumbnails/${filename}`, image, { contentType: 'image/jpeg' });
+        return mediaUrl('cast_thumbnails', filename);
+    };
+
+    try {
+        const { seconds, image } = await pickFrame(source, duration, workDir);
+        const frameurl = await store('frame', await sharp(image)
+            .resize(THUMBNAIL.width, THUMBNAIL.height)
+            .jpeg({ quality: 85 })
+            .toBuffer());
+        const posterurl = await store('poster', await sharp(image)
+            .resize({ width: POSTER.width, height: POSTER.height, fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 85 })
+            .toBuffer());
+
+        const layout = spriteLayout(duration);
+        const spriteFile = path.join(workDir, 'sprite.jpg');
+        await extractSprite(source, layout, spriteFile);
+        const spriteurl = await store('sprite', await fs.readFile(spriteFile));
+
+        return { frameurl, posterurl, sprite: { spriteurl, ...layout }, seconds };
+    } finally {
+        await fs.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+/**
+ * Builds the thumbnail, poster frame and preview sprite of a cast (run by
+ * queues/thumbnailQueue.js) and removes those of its previous video. The
+ * thumbnail becomes images.frameurl, used as castimageurl when chosen or when
+ * the cast has no other image.
+ * @param {string} castId
+ * @param {string} videoKey - Storage key of the uploaded video.
+ * @param {number} duration - Seconds.
+ * @returns {Promise<Object|null>} See extractThumbnails; null when the cast no longer exists.
+ */
+const generateCastThumbnails = async (castId, videoKey, duration) => {
+    const previous = await Cast.findById(castId).select('images.frameurl posterurl sprite.spriteurl').lean();
+    if (!previous) {
+        return null;
+    }
+
+    const thumbnails = await extractThumbnails(videoKey, duration, castId);
+    await Cast.updateOne({ _id: castId }, { posterurl: thumbnails.posterurl, sprite: thumbnails.sprite });
+    await setCastImage(castId, 'frame', thumbnails.frameurl);
+
+    for (const key of mediaKeys(previous, THUMBNAIL_MEDIA)) {
+        await deleteFile(key).catch(() => {});
+    }
+    logger.info('Cast thumbnails ready', { seconds: thumbnails.seconds, tiles: thumbnails.sprite.count });
+    return thumbnails;
+};
+
+module.exports = {
+    spriteLayout,
+    extractThumbnails,
+    generateCastThumbnails,
+};
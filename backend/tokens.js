@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/session_model.js');
+const { logger } = require('./logger.js');
+const { config } = require('./config.js');
+
+const getJwtSecret = () => {
+    const { secret } = config.jwt;
+    if (!secret) {
+        throw new Error('JWT_SECRET is not set');
+    }
+    return secret;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString('hex')}`;
+
+const refreshTokenExpiry = () => new Date(Date.now() + config.jwt.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Signs a short-lived access token for the given user.
+ * @param {string|Object} userId
+ * @returns {string}
+ */
+const signAccessToken = (userId) => jwt.sign(
+    { userId: String(userId) },
+    getJwtSecret(),
+    { expiresIn: config.jwt.accessTokenTtl }
+);
+
+/**
+ * Verifies an access token and returns its payload. Throws when invalid or expired.
+ * @param {string} token
+ * @returns {Object}
+ */
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+/**
+ * Opens (or replaces) the refresh-token session of a user on one device.
+ * @param {Object} params
+ * @param {string|Object} params.userId
+ * @param {string} [params.deviceId] - Client-provided device identifier; generated when missing.
+ * @param {string} [params.userAgent]
+ * @returns {Promise<{ accessToken: string, refreshToken: string, deviceId: string }>}
+ */
+const createSession = async ({ userId, deviceId, userAgent }) => {
+    const resolvedDeviceId = deviceId ? String(deviceId) : crypto.randomUUID();
+    const sessionId = new mongoose.Types.ObjectId();
+    const refreshToken = buildRefreshToken(sessionId);
+
+    // Logging in again on a device replaces its previous session.
+    await Session.deleteMany({ userId, deviceId: resolvedDeviceId });
+    await Session.create({
+        _id: sessionId,
+        userId,
+        deviceId: resolvedDeviceId,
+        userAgent,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: refreshTokenExpiry(),
+    });
+
+    return {
+        accessToken: signAccessToken(userId),
+        refreshToken,
+        deviceId: resolvedDeviceId,
+    };
+};
+
+const findSessionForToken = async (refreshToken) => {
+    if (typeof refreshToken !== 'string') {
+        return null;
+    }
+    const [sessionId] = refreshToken.split('.');
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+        return null;
+    }
+    return Session.findById(sessionId);
+};
+
+/**
+ * Exchanges a refresh token for a new access token and a new refresh token.
+ * Presenting an already rotated token revokes the whole session.
+ * @param {string} refreshToken
+ * @returns {Promise<{ accessToken: string, refreshToken: string, userId: string }|null>}
+ *          null when the token is invalid, expired or revoked.
+ */
+const rotateSession = async (refreshToken) => {
+    const session = await findSessionForToken(refreshToken);
+    if (!session || session.expiresAt <= new Date()) {
+        return null;
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (presentedHash !== session.tokenHash) {
+        if (presentedHash === session.previousTokenHash) {
+            logger.warn('Refresh token reuse detected; revoking the session', { sessionId: String(session._id), userId: String(session.userId) });
+            await Session.deleteOne({ _id: session._id });
+        }
+        return null;
+    }
+
+    const nextRefreshToken = buildRefreshToken(session._id);
+    session.previousTokenHash = session.tokenHash;
+    session.tokenHash = hashToken(nextRefreshToken);
+    session.lastUsedAt = new Date();
+    session.expiresAt = refreshTokenExpiry();
+    await session.save();
+
+    return {
+        accessToken: signAccessToken(session.userId),
+        refreshToken: nextRefreshToken,
+        userId: String(session.userId),
+    };
+};
+
+/**
+ * Revokes the session a refresh token belongs to, if it belongs to the given user.
+ * @returns {Promise<boolean>} true when a session was revoked.
+ */
+const revokeSession = async (refreshToken, userId) => {
+    const session = await findSessionForToken(refreshToken);
+    if (!session || String(session.userId) !== String(userId)) {
+        return false;
+    }
+    if (hashToken(refreshToken) !== session.tokenHash) {
+        return false;
+    }
+    await Session.deleteOne({ _id: session._id });
+    return true;
+};
+
+/**
+ * Revokes every session of a user (logout everywhere, password reset).
+ * @returns {Promise<number>} Number of revoked sessions.
+ */
+const revokeAllSessions = async (userId) => {
+    const result = await Session.deleteMany({ userId });
+    return result.deletedCount;
+};
+
+module.exports = {
+    signAccessToken,
+    verifyAccessToken,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+};
@@ -3,8 +3,11 @@
 const axios = require('axios');
 const cron = require('node-cron');
 const Topic = require('../models/topic_model.js');
+const { logger } = require('./logger.js');
+const { recordTopicImpactRun } = require('./metrics.js');
+const { config } = require('./config.js');
 
-const isTestEnv = process.env.NODE_ENV === 'test';
+const isTestEnv = config.env === 'test';
 
 const OPENALEX_BASE_URL = 'https://api.openalex.org';
 const WIKIPEDIA_SEARCH_URL = 'https://en.wikipedia.org/w/api.php';
@@ -178,7 +181,7 @@ const computeRawIndicatorsForTopic = async (topic, runCache = createRunCache())
         metrics.lastError = null;
         runCache.openalex.set(openalexCacheKey, openAlexMetrics);
       } catch (error) {
-        console.error(`Error fetching OpenAlex metrics for "${topic.name}":`, error.message);
+        logger.error('Error fetching OpenAlex metrics', { topic: topic.name, error: error.message });
         setBackoff(metrics, `openalex: ${error.message}`, now);
       }
     }
@@ -201,12 +204,12 @@ const computeRawIndicatorsForTopic = async (topic, runCache = createRunCache())
         metrics.lastError = null;
         runCache.openalexWorks12m.set(worksCacheKey, worksLast12Months);
       } catch (error) {
-        console.error(`Error fetching OpenAlex 12-month works for "${topic.name}":`, error.message);
+        logger.error('Error fetching OpenAlex 12-month works', { topic: topic.name, error: error.message });
         setBackoff(metrics, `openalex-works: ${error.message}`, now);
       }
     }
   } else if (!topic.openalexID) {
-    console.warn(`No openalexID for topic "${topic.name}". Falling back to Wikipedia only.`);
+    logger.warn('No openalexID for topic, falling back to Wikipedia only', { topic: topic.name });
   }
 
   if (!isTestEnv && !backoffActive) {
@@ -222,7 +225,7 @@ const computeRawIndicatorsForTopic = async (topic, runCache = createRunCache())
           runCache.wikiTitle.set(topic.name, wikiTitle);
           metrics.lastError = null;
         } catch (error) {
-          console.warn(`Wikipedia lookup failed for "${topic.name}": ${error.message}`);
+          logger.warn('Wikipedia lookup failed', { topic: topic.name, error: error.message });
           setBackoff(metrics, `wikipedia-search: ${error.message}`, now);
         }
       }
@@ -250,7 +253,7 @@ const computeRawIndicatorsForTopic = async (topic, runCache = createRunCache())
           metrics.lastError = null;
           runCache.wikiViews.set(wikiTitle, wikiViews12Months);
         } catch (error) {
-          console.warn(`Wikipedia pageviews not available for "${wikiTitle}": ${error.message}`);
+          logger.warn('Wikipedia pageviews not available', { wikiTitle, error: error.message });
           setBackoff(metrics, `wikipedia-views: ${error.message}`, now);
         }
       }
@@ -318,23 +321,25 @@ async function computeImpactForTopic(topic) {
     }
     await topic.save();
 
-    console.log(`Updated topic "${topic.name}": impact = ${topic.impact}, activity = ${topic.activity}`);
+    logger.info('Topic impact updated', { topic: topic.name, impact: topic.impact, activity: topic.activity });
     return topic;
   } catch (error) {
-    console.error(`Error computing impact for topic "${topic.name}":`, error.message);
+    logger.error('Error computing topic impact', { topic: topic.name, error: error.message });
     return null;
   }
 }
 
 /**
- * Finds all topics and computes their impact value.
+ * Finds all topics and computes their impact value; the run duration is exported on /metrics.
  *
  * @returns {Promise<void>}
  */
 async function computeImpactForAllTopics() {
+  const startedAt = process.hrtime.bigint();
+  const elapsedSeconds = () => Number(process.hrtime.bigint() - startedAt) / 1e9;
   try {
     const topics = await Topic.find();
-    console.log(`Found ${topics.length} topic(s) for impact update.`);
+    logger.info('Topic impact update started', { topics: topics.length });
 
     const rawResults = [];
     const runCache = createRunCache();
@@ -362,25 +367,27 @@ async function computeImpactForAllTopics() {
       await entry.topic.save();
     }
 
-    console.log("Completed updating impact for all topics.");
+    recordTopicImpactRun(elapsedSeconds(), true);
+    logger.info('Completed updating impact for all topics.');
   } catch (error) {
-    console.error("Error computing impact for all topics:", error.message);
+    recordTopicImpactRun(elapsedSeconds(), false);
+    logger.error('Error computing impact for all topics', { error: error.message });
   }
 }
 
 /**
- * Schedules a job to update the impact value for all topics every Monday at midnight.
- * The cron pattern "0 0 * * 1" corresponds to "At 00:00 on Monday."
+ * Schedules a job to update the impact value for all topics
+ * (config.cron.schedules.topicImpact, every Monday at midnight by default).
  */
 function scheduleWeeklyImpactUpdate() {
-  if (isTestEnv) {
+  if (!config.cron.enabled) {
     return;
   }
-  cron.schedule('0 0 * * 1', () => {
-    console.log("Scheduled weekly impact update started...");
+  cron.schedule(config.cron.schedules.topicImpact, () => {
+    logger.info('Scheduled weekly impact update started');
     computeImpactForAllTopics();
   });
-  console.log("Weekly impact update scheduled for every Monday at midnight.");
+  logger.info('Impact update scheduled', { schedule: config.cron.schedules.topicImpact });
 }
 
 module.exports = {
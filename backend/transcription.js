@@ -1,13 +1,16 @@
 // transcription.js
 const fs = require('fs').promises;
+const { AsyncResource } = require('async_hooks');
 const FormData = require('form-data');
 const axios = require('axios');
 const ffmpeg = require('fluent-ffmpeg');
 ffmpeg.setFfmpegPath(require('@ffmpeg-installer/ffmpeg').path);
 
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const OPENAI_API_URL = 'https://api.openai.com/v1/audio/transcriptions';
 const { reportOpenAIAuthError, reportOpenAIMissingApiKey } = require('./openai_alerts');
+const { logger } = require('./logger');
+const { observeOpenAICall } = require('./metrics');
+const { config } = require('./config');
 
 function buildSRTFromSegments(segments) {
   return segments
@@ -39,15 +42,16 @@ function toSRTTimestamp(seconds) {
  * Extracts audio from the video, calls Whisper once, and returns both
  * the full transcript and the SRT string.
  *
- * @param {string} videoPath - Path to the video file
+ * @param {string} videoPath - Path or URL of the video file
  * @returns {Promise<{ text: string, srt: string }>}
  */
 const transcribeVideo = (videoPath) => {
-  if (!OPENAI_API_KEY) {
+  if (!config.openai.apiKey) {
     reportOpenAIMissingApiKey({ operation: 'transcribeVideo' });
     return Promise.reject('OpenAI API key not configured. Set OPENAI_API_KEY.');
   }
 
+  logger.info('Extracting audio for transcription', { videoPath });
   return new Promise((resolve, reject) => {
     const { PassThrough } = require('stream');
     const audioStream = new PassThrough();
@@ -58,7 +62,8 @@ const transcribeVideo = (videoPath) => {
       .format('mp3')
       .audioCodec('libmp3lame')
       .on('error', (err) => reject(`Error extracting audio: ${err.message}`))
-      .on('end', async () => {
+      // Bound so the logs of the Whisper call keep the job's log context.
+      .on('end', AsyncResource.bind(async () => {
         try {
           // Once ffmpeg finishes, we have all audio data in `chunks`.
           const audioBuffer = Buffer.concat(chunks);
@@ -68,29 +73,30 @@ const transcribeVideo = (videoPath) => {
             filename: 'audio.mp3',
             contentType: 'audio/mpeg',
           });
-          formData.append('model', 'whisper-1');
+          formData.append('model', config.openai.transcriptionModel);
 
           // Single request in verbose_json
           formData.append('response_format', 'verbose_json');
 
-          const response = await axios.post(OPENAI_API_URL, formData, {
+          const response = await observeOpenAICall('transcribeVideo', () => axios.post(OPENAI_API_URL, formData, {
             headers: {
-              Authorization: `Bearer ${OPENAI_API_KEY}`,
+              Authorization: `Bearer ${config.openai.apiKey}`,
               ...formData.getHeaders(),
             },
-          });
+          }));
 
           const data = response.data;  // This is the entire JSON
           const fullTranscript = data.text;  // plain text
           const srtContent = buildSRTFromSegments(data.segments); // build SRT
 
+          logger.info('Transcription completed', { segments: (data.segments || []).length });
           // Return both the plain text and the SRT
           resolve({ text: fullTranscript, srt: srtContent });
         } catch (err) {
           await reportOpenAIAuthError(err, { operation: 'transcribeVideo' });
           reject(`Error transcribing audio: ${err.message}`);
         }
-      })
+      }))
       .pipe(audioStream);
 
     audioStream.on('data', (chunk) => {
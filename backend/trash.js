@@ -0,0 +1,274 @@
+// trash.js
+
+const cron = require('node-cron');
+const Cast = require('../models/cast_model.js');
+const Article = require('../models/article_model.js');
+const User = require('../models/user_model.js');
+const University = require('../models/university_model.js');
+const RatingVote = require('../models/rating_vote_model.js');
+const { deleteFile, mediaKeys } = require('../controllers/fileHelper.js');
+const { removeUserVotes } = require('./rating.js');
+const { revokeAllSessions } = require('./tokens.js');
+const { removeUserExports } = require('./data_export.js');
+const { getStorage } = require('./storage');
+const { streamPrefix } = require('./hls_transcoder.js');
+const { logger } = require('./logger.js');
+const { config } = require('./config.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// What other collections keep about a user, removed with the account.
+const purgeUserData = async (doc) => {
+    await removeUserVotes(doc._id);
+    await revokeAllSessions(doc._id);
+    await removeUserExports(doc._id);
+};
+
+// Media fields of each trashable type: [field (or dotted path) holding the URL, media folder].
+// mediaPrefix gives the storage prefix of the files that are not referenced by a field;
+// purgeRelated removes the data kept about the item in other collections.
+const TRASHABLE = {
+    cast: {
+        model: Cast,
+        media: [
+            ['casturl', 'cast_videos'],
+            ['castimageurl', 'cast_images'],
+            ['images.aiurl', 'cast_images'],
+            ['images.uploadurl', 'cast_images'],
+            ['images.frameurl', 'cast_thumbnails'],
+            ['posterurl', 'cast_thumbnails'],
+            ['sprite.spriteurl', 'cast_thumbnails'],
+            ['subtitleurl', 'cast_subtitles'],
+        ],
+        mediaPrefix: (doc) => streamPrefix(doc._id),
+        publicationField: 'castPublications',
+    },
+    article: {
+        model: Article,
+        media: [['articleimageurl', 'article_images']],
+        publicationField: 'articlePublications',
+    },
+    user: { model: User, media: [['profilePictureUrl', 'profile_pictures']], purgeRelated: purgeUserData },
+    university: { model: University, media: [['iconurl', 'university_icon']] },
+};
+
+const purgeDate = (deletedAt) => new Date(new Date(deletedAt).getTime() + config.trash.retentionDays * DAY_MS);
+
+/**
+ * Trash metadata returned to clients.
+ * @returns {{ deletedAt: Date, purgeAt: Date }}
+ */
+const trashInfo = (doc) => ({ deletedAt: doc.deletedAt, purgeAt: purgeDate(doc.deletedAt) });
+
+const sameContent = (contentId) => (entry) => entry && String(entry.contentid) === String(contentId);
+
+// Users with an evaluation_list/bookmarkedcontent entry or a publication link pointing to the item.
+const referenceFilter = (type, contentId) => {
+    const matches = [contentId, String(contentId)];
+    const { publicationField } = TRASHABLE[type];
+    return {
+        $or: [
+            { 'evaluation_list.contentid': { $in: matches } },
+            { 'bookmarkedcontent.contentid': { $in: matches } },
+            { [publicationField]: { $in: matches } },
+        ],
+    };
+};
+
+// A trashed account gives its email address back for new signups: it is kept in
+// deletedEmail and replaced by a placeholder, unique like the address.
+const releaseEmail = (doc) => ({ email: `${doc._id}@deleted.invalid`, deletedEmail: doc.email });
+
+const detachReferences = async (type, contentId) => {
+    const { publicationField } = TRASHABLE[type];
+    const users = await User.find(referenceFilter(type, contentId))
+        .select(`evaluation_list bookmarkedcontent ${publicationField}`)
+        .lean();
+
+    return users.map((user) => ({
+        userId: user._id,
+        evaluation_list: (user.evaluation_list || []).filter(sameContent(contentId)),
+        bookmarkedcontent: (user.bookmarkedcontent || []).filter(sameContent(contentId)),
+        publication: (user[publicationField] || []).some((id) => String(id) === String(contentId)),
+    }));
+};
+
+const pullReferences = (type, contentId) => {
+    const matches = [contentId, String(contentId)];
+    return User.updateMany(referenceFilter(type, contentId), {
+        $pull: {
+            evaluation_list: { contentid: { $in: matches } },
+            bookmarkedcontent: { contentid: { $in: matches } },
+            [TRASHABLE[type].publicationField]: { $in: matches },
+        },
+    });
+};
+
+/**
+ * Marks a cast, article, user or university as deleted. For casts and articles
+ * the user entries pointing to the item (evaluation_list, bookmarkedcontent,
+ * publications) are detached and kept on the item so a restore can put them back.
+ * Users release their email address (see releaseEmail).
+ *
+ * @param {'cast'|'article'|'user'|'university'} type
+ * @param {Object} doc - The document to delete.
+ * @param {string} [deletedBy] - Id of the caller.
+ * @returns {Promise<{ deletedAt: Date, purgeAt: Date }>}
+ */
+const moveToTrash = async (type, doc, deletedBy) => {
+    const { model, publicationField } = TRASHABLE[type];
+    const deletedAt = new Date();
+    const update = { deletedAt, deletedBy: deletedBy ? String(deletedBy) : null };
+    if (type === 'user') {
+        Object.assign(update, releaseEmail(doc));
+    }
+
+    let references = null;
+    if (publicationField) {
+        references = await detachReferences(type, doc._id);
+        update.deletedReferences = references;
+    }
+
+    await model.updateOne({ _id: doc._id }, { $set: update });
+    if (references && references.length) {
+        await pullReferences(type, doc._id);
+    }
+    return trashInfo(update);
+};
+
+const hiddenTrashFields = (type) => {
+    if (TRASHABLE[type].publicationField) {
+        return '+deletedReferences';
+    }
+    return type === 'user' ? '+deletedEmail' : '';
+};
+
+/**
+ * Finds a deleted document, including the detached references (or, for
+ * users, the released email address in deletedEmail).
+ * @returns {Promise<Object|null>}
+ */
+const findInTrash = (type, id) => TRASHABLE[type].model
+    .findOne({ _id: id, deletedAt: { $ne: null } })
+    .select(hiddenTrashFields(type));
+
+/**
+ * Clears the deleted marker of a document returned by findInTrash and
+ * reattaches its detached references to the users that still exist. Users
+ * get their email address back; check first that no account took it.
+ * @returns {Promise<boolean>} false when the item was restored or purged meanwhile.
+ */
+const restoreFromTrash = async (type, doc) => {
+    const { model, publicationField } = TRASHABLE[type];
+    const set = { deletedAt: null, deletedBy: null };
+    if (type === 'user' && doc.deletedEmail) {
+        set.email = doc.deletedEmail;
+    }
+    const result = await model.updateOne(
+        { _id: doc._id, deletedAt: { $ne: null } },
+        { $set: set, $unset: { deletedReferences: 1, deletedEmail: 1 } }
+    );
+    if (!result.modifiedCount) {
+        return false;
+    }
+
+    if (publicationField && doc.deletedReferences && doc.deletedReferences.length) {
+        await User.bulkWrite(doc.deletedReferences.map((reference) => {
+            const update = {
+                $push: {
+                    evaluation_list: { $each: reference.evaluation_list || [] },
+                    bookmarkedcontent: { $each: reference.bookmarkedcontent || [] },
+                },
+            };
+            if (reference.publication) {
+                update.$addToSet = { [publicationField]: doc._id };
+            }
+            // bulkWrite skips query middleware, so deleted users are excluded here.
+            return { updateOne: { filter: { _id: reference.userId, deletedAt: null }, update } };
+        }), { ordered: false });
+    }
+    return true;
+};
+
+/**
+ * Permanently removes a deleted document: its media files through
+ * fileHelper.deleteFile (and, for casts, the HLS renditions), then for casts and articles the rating votes and any
+ * user entry still pointing to it, for users their votes (the ratings are recomputed), sessions and data exports, then the
+ * document itself.
+ * A media file that cannot be removed keeps the document for the next run.
+ * @returns {Promise<boolean>} true when the document was removed.
+ */
+const purgeItem = async (type, doc) => {
+    const { model, media, mediaPrefix, publicationField, purgeRelated } = TRASHABLE[type];
+    try {
+        for (const key of mediaKeys(doc, media)) {
+            await deleteFile(key);
+        }
+        if (mediaPrefix) {
+            await getStorage().removePrefix(mediaPrefix(doc));
+        }
+    } catch (error) {
+        logger.error('Error purging media', { type, id: String(doc._id), error: error.message });
+        return false;
+    }
+
+    if (publicationField) {
+        await RatingVote.deleteMany({ contentType: type, contentId: doc._id });
+        await pullReferences(type, doc._id);
+    }
+    if (purgeRelated) {
+        await purgeRelated(doc);
+    }
+    const result = await model.deleteOne({ _id: doc._id, deletedAt: { $ne: null } });
+    return result.deletedCount > 0;
+};
+
+/**
+ * Purges every item deleted more than config.trash.retentionDays days ago.
+ * @param {Date} [now]
+ * @returns {Promise<Object>} Number of purged items per type.
+ */
+async function purgeExpiredTrash(now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.trash.retentionDays * DAY_MS);
+    const purged = {};
+
+    for (const [type, { model }] of Object.entries(TRASHABLE)) {
+        const expired = await model.find({ deletedAt: { $lte: cutoff } }).lean();
+        purged[type] = 0;
+        for (const doc of expired) {
+            if (await purgeItem(type, doc)) {
+                purged[type] += 1;
+            }
+        }
+    }
+    return purged;
+}
+
+/**
+ * Schedules the trash purge (config.cron.schedules.trashPurge, every day at
+ * 03:30 by default).
+ */
+function scheduleTrashPurge() {
+    if (!config.cron.enabled) {
+        return;
+    }
+    cron.schedule(config.cron.schedules.trashPurge, async () => {
+        try {
+            const purged = await purgeExpiredTrash();
+            logger.info('Trash purged', { purged });
+        } catch (error) {
+            logger.error('Error purging trash', { error: error.message });
+        }
+    });
+    logger.info('Trash purge scheduled', { schedule: config.cron.schedules.trashPurge, retentionDays: config.trash.retentionDays });
+}
+
+module.exports = {
+    trashInfo,
+    moveToTrash,
+    findInTrash,
+    restoreFromTrash,
+    purgeItem,
+    purgeExpiredTrash,
+    scheduleTrashPurge,
+};
@@ -0,0 +1,157 @@
+// trending_computor.js
+
+const cron = require('node-cron');
+const Cast = require('../models/cast_model.js');
+const Article = require('../models/article_model.js');
+const User = require('../models/user_model.js');
+const { logger } = require('./logger.js');
+const { config } = require('./config.js');
+
+const TRENDING_WINDOW_DAYS = 14;
+const TRENDING_HALF_LIFE_HOURS = 48;
+
+const TRENDING_WEIGHTS = {
+  view: 1,
+  bookmark: 3,
+  evaluation: 4,
+  rating: 2,
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const HALF_LIFE_MS = TRENDING_HALF_LIFE_HOURS * HOUR_MS;
+
+const decayFactor = (elapsedMs) => Math.pow(0.5, Math.max(0, elapsedMs) / HALF_LIFE_MS);
+
+/**
+ * Sums 0.5^(age / half-life) per content item for the user sub-documents of
+ * `arrayField` whose `dateField` falls in the trending window. Each user
+ * counts once per item, with their most recent date.
+ * @returns {Promise<Map<string, number>>} keyed by "<type>:<contentid>".
+ */
+const aggregateDecayedSignals = async (arrayField, dateField, now, extraMatch = {}) => {
+  const since = new Date(now.getTime() - TRENDING_WINDOW_DAYS * 24 * HOUR_MS);
+  const datePath = `${arrayField}.${dateField}`;
+  const rows = await User.aggregate([
+    { $match: { [datePath]: { $gte: since } } },
+    { $unwind: `$${arrayField}` },
+    { $match: { [datePath]: { $gte: since, $lte: now }, ...extraMatch } },
+    {
+      $group: {
+        _id: { user: '$_id', type: `$${arrayField}.type`, contentid: `$${arrayField}.contentid` },
+        latest: { $max: `$${datePath}` },
+      },
+    },
+    {
+      $group: {
+        _id: { type: '$_id.type', contentid: '$_id.contentid' },
+        signal: {
+          $sum: { $pow: [0.5, { $divide: [{ $subtract: [now, '$latest'] }, HALF_LIFE_MS] }] },
+        },
+      },
+    },
+  ]);
+
+  return new Map(rows.map((row) => [`${row._id.type}:${row._id.contentid}`, row.signal]));
+};
+
+/**
+ * Rating momentum carries the previous value decayed by the time elapsed since
+ * the last run, plus the votes received since then weighted by the rating change.
+ */
+const computeRatingMomentum = (item, now) => {
+  const trending = item.trending || {};
+  const rating = item.rating || {};
+  const previousCount = trending.ratingCount ?? rating.count ?? 0;
+  const previousValue = trending.ratingValue ?? rating.value ?? 0;
+  const elapsed = trending.computedAt ? now - new Date(trending.computedAt) : 0;
+
+  const newVotes = Math.max(0, (rating.count || 0) - previousCount);
+  // Votes that raise the average count fully, votes that lower it count less.
+  const change = (rating.value || 0) - previousValue;
+  const fresh = newVotes * Math.max(0, 1 + change / 2);
+
+  return (trending.ratingMomentum || 0) * decayFactor(elapsed) + fresh;
+};
+
+const computeTrendingForModel = async (model, type, signals, now) => {
+  const items = await model.find({}, { rating: 1, trending: 1 }).lean();
+  if (!items.length) {
+    return 0;
+  }
+
+  const operations = items.map((item) => {
+    const key = `${type}:${item._id}`;
+    const ratingMomentum = computeRatingMomentum(item, now);
+    const score =
+      TRENDING_WEIGHTS.view * (signals.views.get(key) || 0) +
+      TRENDING_WEIGHTS.bookmark * (signals.bookmarks.get(key) || 0) +
+      TRENDING_WEIGHTS.evaluation * (signals.evaluations.get(key) || 0) +
+      TRENDING_WEIGHTS.rating * ratingMomentum;
+
+    return {
+      updateOne: {
+        filter: { _id: item._id },
+        update: {
+          $set: {
+            'trending.score': Number(score.toFixed(4)),
+            'trending.ratingMomentum': ratingMomentum,
+            'trending.ratingValue': item.rating ? item.rating.value : 0,
+            'trending.ratingCount': item.rating ? item.rating.count : 0,
+            'trending.computedAt': now,
+          },
+        },
+      },
+    };
+  });
+
+  await model.bulkWrite(operations, { ordered: false });
+  return operations.length;
+};
+
+/**
+ * Recomputes and stores `trending.score` on every cast and article:
+ *   score = 1 * views + 3 * bookmarks + 4 * evaluation completions + 2 * rating momentum
+ * where views (evaluation_list.watchedAt), bookmarks (bookmarkedcontent.bookmarkedAt)
+ * and completions (evaluation_list.answeredAt) from the last 14 days each count
+ * 0.5^(age / 48h).
+ *
+ * @param {Date} [now]
+ * @returns {Promise<{ casts: number, articles: number }>} Number of items updated.
+ */
+async function computeTrendingScores(now = new Date()) {
+  const [views, bookmarks, evaluations] = await Promise.all([
+    aggregateDecayedSignals('evaluation_list', 'watchedAt', now),
+    aggregateDecayedSignals('bookmarkedcontent', 'bookmarkedAt', now),
+    aggregateDecayedSignals('evaluation_list', 'answeredAt', now, { 'evaluation_list.answered': true }),
+  ]);
+  const signals = { views, bookmarks, evaluations };
+
+  const casts = await computeTrendingForModel(Cast, 'cast', signals, now);
+  const articles = await computeTrendingForModel(Article, 'article', signals, now);
+  return { casts, articles };
+}
+
+/**
+ * Schedules the trending score update (config.cron.schedules.trending): every
+ * hour by default, on minute 15 to stay clear of the weekly impact update.
+ */
+function scheduleTrendingUpdate() {
+  if (!config.cron.enabled) {
+    return;
+  }
+  cron.schedule(config.cron.schedules.trending, async () => {
+    try {
+      const { casts, articles } = await computeTrendingScores();
+      logger.info('Trending scores updated', { casts, articles });
+    } catch (error) {
+      logger.error('Error computing trending scores', { error: error.message });
+    }
+  });
+  logger.info('Trending update scheduled', { schedule: config.cron.schedules.trending });
+}
+
+module.exports = {
+  TRENDING_WEIGHTS,
+  computeTrendingScores,
+  scheduleTrendingUpdate,
+};
@@ -0,0 +1,259 @@
+// upload_validation.js
+
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const multer = require('multer');
+const sharp = require('sharp');
+const { getStorage, mediaSource, multerStorage } = require('./storage');
+const { probeVideo } = require('./videoUtils.js');
+const { PayloadTooLargeError, UnsupportedMediaTypeError, UnprocessableEntityError } = require('./errors.js');
+const { videoMimeTypes, imageMimeTypes, videoCodecs, audioCodecs } = require('../lists/media_types.js');
+const { config } = require('./config.js');
+
+// Upload types: media folder, accepted types, label used in errors and, for
+// images, the largest side kept when re-encoding. Size limits are
+// config.uploads.maxBytes[type].
+const UPLOAD_TYPES = {
+    video: { folder: 'cast_videos', types: videoMimeTypes, label: 'Videos' },
+    profilePicture: { folder: 'profile_pictures', types: imageMimeTypes, label: 'Profile pictures', maxDimension: 1024 },
+    universityIcon: { folder: 'university_icon', types: imageMimeTypes, label: 'University icons', maxDimension: 512 },
+    virtualLabIcon: { folder: 'virtuallab_icon', types: imageMimeTypes, label: 'Virtual lab icons', maxDimension: 512 },
+    castImage: { folder: 'cast_images', types: imageMimeTypes, label: 'Cast images', maxDimension: 1280 },
+};
+
+// ISO base media brands of still images (HEIF/AVIF), which also start with "ftyp".
+const IMAGE_BRANDS = ['heic', 'heix', 'heim', 'heis', 'mif1', 'msf1', 'avif', 'avis'];
+
+const SIGNATURES = [
+    ['image/jpeg', (head) => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff],
+    ['image/png', (head) => head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))],
+    ['video/mp4', (head) => head.toString('latin1', 4, 8) === 'ftyp' && !IMAGE_BRANDS.includes(head.toString('latin1', 8, 12))],
+    ['video/webm', (head) => head.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3]))],
+    ['video/mpeg', (head) => head[0] === 0x00 && head[1] === 0x00 && head[2] === 0x01 && (head[3] === 0xba || head[3] === 0xb3)],
+];
+const SNIFF_BYTES = 16;
+
+/**
+ * Type of a file from its first bytes (magic numbers).
+ * @param {Buffer} head - At least the first 16 bytes of the file.
+ * @returns {string|null} A MIME type of lists/media_types.js, null when unknown.
+ */
+const sniffMimeType = (head) => {
+    const match = SIGNATURES.find(([, matches]) => head.length >= 4 && matches(head));
+    return match ? match[0] : null;
+};
+
+/**
+ * Stored file name: the client name reduced to letters, digits, "_" and "-",
+ * made unique, with the extension of the detected type.
+ * @param {string} originalname
+ * @param {string} extension
+ * @returns {string}
+ */
+const safeFilename = (originalname, extension) => {
+    const base = path.parse(String(originalname || '')).name
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9_-]+/g, '_')
+        .replace(/^[_-]+|[_-]+$/g, '')
+        .slice(0, 50);
+    return `${base || 'file'}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}.${extension}`;
+};
+
+const formatBytes = (bytes) => (bytes >= 1024 * 1024
+    ? `${Math.round((bytes / (1024 * 1024)) * 10) / 10} MB`
+    : `${Math.round((bytes / 1024) * 10) / 10} KB`);
+
+/**
+ * 413 for an upload over the limit of its type.
+ * @param {string} type - Key of UPLOAD_TYPES.
+ */
+const fileTooLarge = (type) => {
+    const maxBytes = config.uploads.maxBytes[type];
+    return new PayloadTooLargeError(`${UPLOAD_TYPES[type].label} must be at most ${formatBytes(maxBytes)}.`, {
+        code: 'FILE_TOO_LARGE',
+        details: { maxBytes },
+    });
+};
+
+/**
+ * 415 for a file whose content is not one of the accepted types.
+ * @param {string} type - Key of UPLOAD_TYPES.
+ */
+const unsupportedType = (type) => new UnsupportedMediaTypeError(
+    `${UPLOAD_TYPES[type].label} must be ${Object.values(UPLOAD_TYPES[type].types).join(', ')} files.`,
+    { code: 'UNSUPPORTED_FILE_TYPE', details: { accepted: Object.keys(UPLOAD_TYPES[type].types) } }
+);
+
+// The first bytes of a stream, and a stream replaying the whole content.
+const peekStream = async (stream, length) => {
+    const iterator = stream[Symbol.asyncIterator]();
+    const chunks = [];
+    let size = 0;
+    let done = false;
+    while (size < length && !done) {
+        const next = await iterator.next();
+        done = next.done;
+        if (!done) {
+            chunks.push(next.value);
+            size += next.value.length;
+        }
+    }
+    const head = Buffer.concat(chunks);
+    const replay = Readable.from((async function* replayed() {
+        yield head;
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+            yield next.value;
+        }
+    })());
+    return { head, stream: replay };
+};
+
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Decodes an image and encodes it again in its own format, at most
+ * `maxDimension` pixels wide and high, oriented and without its metadata.
+ * @param {Buffer} buffer
+ * @param {string} mimeType - image/jpeg or image/png.
+ * @param {number} maxDimension
+ * @returns {Promise<Buffer>}
+ */
+const reencodeImage = async (buffer, mimeType, maxDimension) => {
+    const image = sharp(buffer)
+        .rotate()
+        .resize({ width: maxDimension, height: maxDimension, fit: 'inside', withoutEnlargement: true });
+    try {
+        return await (mimeType === 'image/png' ? image.png() : image.jpeg({ quality: 85 })).toBuffer();
+    } catch (error) {
+        throw new UnsupportedMediaTypeError('The file is not a readable image.', { code: 'INVALID_MEDIA' });
+    }
+};
+
+// Checks the type of an upload from its content; images are stored re-encoded.
+const prepareUpload = (type) => async (req, file) => {
+    const { types, maxDimension } = UPLOAD_TYPES[type];
+    const { head, stream } = await peekStream(file.stream, SNIFF_BYTES);
+    const mimeType = sniffMimeType(head);
+    if (!types[mimeType]) {
+        throw unsupportedType(type);
+    }
+    const filename = safeFilename(file.originalname, types[mimeType]);
+    if (!maxDimension) {
+        return { filename, body: stream, contentType: mimeType };
+    }
+    const image = await readAll(stream);
+    // Cut at the size limit: multer answers with LIMIT_FILE_SIZE.
+    if (file.stream.truncated) {
+        return { filename, body: image, contentType: mimeType };
+    }
+    return { filename, body: await reencodeImage(image, mimeType, maxDimension), contentType: mimeType };
+};
+
+/**
+ * Multer middleware storing the single file of `field` as an upload of
+ * `type`, within config.uploads.maxBytes[type]. Files over the limit are a
+ * 413, files whose content is not an accepted type a 415.
+ * @param {string} type - Key of UPLOAD_TYPES.
+ * @param {string} field - Multipart field of the file.
+ */
+const mediaUpload = (type, field) => (req, res, next) => {
+    const upload = multer({
+        storage: multerStorage(UPLOAD_TYPES[type].folder, prepareUpload(type)),
+        limits: { fileSize: config.uploads.maxBytes[type], files: 1 },
+    }).single(field);
+    upload(req, res, (error) => {
+        if (error && error.code === 'LIMIT_FILE_SIZE') {
+            return next(fileTooLarge(type));
+        }
+        next(error);
+    });
+};
+
+/**
+ * Checks a stored cast video with ffprobe: a video stream and any audio
+ * stream in an accepted codec, and a duration within
+ * config.uploads.maxVideoDurationSeconds.
+ * @param {string} key - Storage key of the video.
+ * @returns {Promise<Object>} { duration (seconds), width, height, videoCodec, audioCodec }
+ */
+const validateVideo = async (key) => {
+    let metadata;
+    try {
+        metadata = await probeVideo(await mediaSource(key));
+    } catch (error) {
+        // ffprobe ran but could not read the file.
+        if (/^ffprobe exited/.test(error.message)) {
+            throw new UnsupportedMediaTypeError('The file is not a readable video.', { code: 'INVALID_MEDIA' });
+        }
+        throw error;
+    }
+
+    const video = metadata.streams.find((stream) => stream.codec_type === 'video');
+    const audio = metadata.streams.find((stream) => stream.codec_type === 'audio');
+    if (!video) {
+        throw new UnsupportedMediaTypeError('The file has no video stream.', { code: 'INVALID_MEDIA' });
+    }
+    const unsupported = [video, audio].filter((stream) => stream
+        && !(stream.codec_type === 'video' ? videoCodecs : audioCodecs).includes(stream.codec_name));
+    if (unsupported.length) {
+        throw new UnsupportedMediaTypeError('The video uses an unsupported codec.', {
+            code: 'UNSUPPORTED_CODEC',
+            details: { codecs: unsupported.map((stream) => stream.codec_name), accepted: { video: videoCodecs, audio: audioCodecs } },
+        });
+    }
+
+    const duration = Number(metadata.format.duration);
+    if (!(duration > 0)) {
+        throw new UnsupportedMediaTypeError('The video has no duration.', { code: 'INVALID_MEDIA' });
+    }
+    if (duration > config.uploads.maxVideoDurationSeconds) {
+        throw new UnprocessableEntityError(`Videos must be at most ${Math.round(config.uploads.maxVideoDurationSeconds / 60)} minutes long.`, {
+            code: 'VIDEO_TOO_LONG',
+            details: { duration, maxDurationSeconds: config.uploads.maxVideoDurationSeconds },
+        });
+    }
+    return {
+        duration,
+        width: video.width,
+        height: video.height,
+        videoCodec: video.codec_name,
+        audioCodec: audio ? audio.codec_name : null,
+    };
+};
+
+/**
+ * Route middleware, placed after the video upload: runs validateVideo on
+ * req.file and stores the result in req.file.video. A rejected video is
+ * removed from the storage.
+ */
+const validateVideoUpload = (req, res, next) => {
+    if (!req.file) {
+        return next();
+    }
+    validateVideo(req.file.key).then(
+        (video) => {
+            req.file.video = video;
+            next();
+        },
+        (error) => getStorage().remove(req.file.key).catch(() => {}).then(() => next(error))
+    );
+};
+
+module.exports = {
+    UPLOAD_TYPES,
+    sniffMimeType,
+    safeFilename,
+    fileTooLarge,
+    unsupportedType,
+    mediaUpload,
+    validateVideo,
+    validateVideoUpload,
+};
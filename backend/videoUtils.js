@@ -1,21 +1,20 @@
 const ffmpeg = require('fluent-ffmpeg');
 
 /**
- * Gets the duration of a video file.
- * @param {string} videoFilePath Path to the video file.
- * @returns {Promise<number>} A promise that resolves with the video duration in seconds.
+ * Reads the container and streams of a video with ffprobe.
+ * @param {string} videoFilePath Path or URL of the video file (see storage.mediaSource).
+ * @returns {Promise<Object>} The ffprobe metadata ({ format, streams }).
  */
-const getVideoDurationInSeconds = (videoFilePath) => {
+const probeVideo = (videoFilePath) => {
   return new Promise((resolve, reject) => {
     ffmpeg.ffprobe(videoFilePath, (err, metadata) => {
       if (err) {
         reject(err);
       } else {
-        const durationInMinutes = metadata.format.duration / 60;
-        resolve(durationInMinutes);
+        resolve(metadata);
       }
     });
   });
 };
 
-module.exports = { getVideoDurationInSeconds };
+module.exports = { probeVideo };
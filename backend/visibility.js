@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const User = require('../models/user_model.js');
+const VirtualLab = require('../models/virtual_lab_model.js');
+const { visibilityLevels } = require('../lists/visibility.js');
+
+/**
+ * Loads the reader of the request (null when anonymous): university and
+ * virtual lab memberships. Cached on req.viewer; needs backend/auth.js
+ * (or auth.optional) to have run first.
+ * @returns {Promise<{ userId: string, university: string|null, virtualLabIds: string[] }|null>}
+ */
+const getViewer = async (req) => {
+    if (req.viewer !== undefined) {
+        return req.viewer;
+    }
+    if (!req.user) {
+        req.viewer = null;
+        return null;
+    }
+
+    const [user, labs] = await Promise.all([
+        User.findById(req.user.userId).select('university').lean(),
+        VirtualLab.find({ 'members.userID': req.user.userId }).select('_id').lean(),
+    ]);
+    req.viewer = user
+        ? {
+            userId: req.user.userId,
+            university: user.university || null,
+            virtualLabIds: labs.map((lab) => String(lab._id)),
+        }
+        : null;
+    return req.viewer;
+};
+
+// Documents without a status predate the publication workflow and are live.
+const PUBLISHED_CONDITION = { status: { $in: ['published', null] } };
+
+const isPublished = (content) => !content.status || content.status === 'published';
+
+/**
+ * Query condition matching the casts/articles `viewer` is allowed to read:
+ * their own items in any status, and published items of a visible audience.
+ * @param {Object|null} viewer - From getViewer.
+ * @returns {Object}
+ */
+const visibilityFilter = (viewer) => {
+    const allowed = [{ visibility: 'public' }];
+    if (viewer) {
+        if (viewer.university) {
+            allowed.push({ visibility: 'university', university: viewer.university });
+        }
+        if (viewer.virtualLabIds.length) {
+            allowed.push({
+                visibility: 'virtual-lab',
+                virtualLab: { $in: viewer.virtualLabIds.map((id) => new mongoose.Types.ObjectId(id)) },
+            });
+        }
+    }
+    const published = { ...PUBLISHED_CONDITION, $or: allowed };
+    return viewer ? { $or: [{ brightmindid: viewer.userId }, published] } : published;
+};
+
+/**
+ * Restricts `filter` to what `viewer` may read.
+ * @param {Object} filter
+ * @param {Object|null} viewer
+ * @returns {Object}
+ */
+const withVisibility = (filter, viewer) => {
+    const visibility = visibilityFilter(viewer);
+    // Merged instead of wrapped in $and when possible so that $text stays a top-level operator.
+    const overlaps = Object.keys(visibility).some((key) => key in filter);
+    return overlaps ? { $and: [filter, visibility] } : { ...filter, ...visibility };
+};
+
+/**
+ * Same check as visibilityFilter for a loaded document.
+ * @param {Object|null} viewer
+ * @param {Object} content - Cast or article.
+ * @returns {boolean}
+ */
+const canView = (viewer, content) => {
+    if (viewer && String(content.brightmindid) === viewer.userId) {
+        return true;
+    }
+    if (!isPublished(content)) {
+        return false;
+    }
+    if (content.visibility === 'public') {
+        return true;
+    }
+    if (!viewer) {
+        return false;
+    }
+    if (content.visibility === 'university') {
+        return Boolean(viewer.university) && content.university === viewer.university;
+    }
+    if (content.visibility === 'virtual-lab') {
+        return Boolean(content.virtualLab) && viewer.virtualLabIds.includes(String(content.virtualLab));
+    }
+    return false;
+};
+
+/**
+ * Validates the visibility settings sent by an author.
+ * @param {Object} params
+ * @param {string} params.visibility
+ * @param {string} [params.virtualLab] - Required for the virtual-lab level.
+ * @param {string} params.userId - The author, who must be a member of the lab.
+ * @returns {Promise<string|null>} An error message, or null when valid.
+ */
+const validateVisibility = async ({ visibility, virtualLab, userId }) => {
+    // Stored lowercased by the models.
+    visibility = String(visibility || '').trim().toLowerCase();
+    if (!visibilityLevels.includes(visibility)) {
+        return `Invalid visibility. Must be one of ${visibilityLevels.join(', ')}.`;
+    }
+    if (visibility !== 'virtual-lab') {
+        return null;
+    }
+    if (!virtualLab || !mongoose.Types.ObjectId.isValid(virtualLab)) {
+        return 'A valid virtualLab is required for virtual-lab visibility.';
+    }
+    const isMember = await VirtualLab.exists({ _id: virtualLab, 'members.userID': String(userId) });
+    return isMember ? null : 'You must be a member of the virtual lab.';
+};
+
+module.exports = {
+    PUBLISHED_CONDITION,
+    isPublished,
+    getViewer,
+    visibilityFilter,
+    withVisibility,
+    canView,
+    validateVisibility,
+};
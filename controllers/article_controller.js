@@ -1,25 +1,75 @@
 const Article = require('../models/article_model.js');
 const generateEvaluation = require('../backend/generate_question');
 const generateArticleImage = require('../backend/generate_article_image');
-const fs = require('fs');
 const User = require('../models/user_model.js');
 const { departmentNames } = require('../lists/departments.js');
 const Topic = require('../models/topic_model.js');
 const { createTopicIfNotExist, removeExistingTopic  } = require('../controllers/topic_controller.js');
 const computeDuration = require('../backend/computeDuration');
+const { isOwner } = require('../backend/ownership.js');
+const { paginate, schemaFields } = require('../backend/pagination.js');
+const { RATING_ACTIONS, getUserVote, setUserVote } = require('../backend/rating.js');
+const { getViewer, visibilityFilter, withVisibility, canView, validateVisibility } = require('../backend/visibility.js');
+const { parsePublishAt, publicationHandler, returnEditedToDraft } = require('../backend/publication.js');
+const { moveToTrash, findInTrash, restoreFromTrash } = require('../backend/trash.js');
+const { AppError, BadRequestError, ForbiddenError, NotFoundError } = require('../backend/errors.js');
+const { logger } = require('../backend/logger.js');
 
 const isValidDepartment = (department) => departmentNames.includes(department);
 
+const ARTICLE_LIST_OPTIONS = {
+    sortFields: ['dateadded', 'title', 'rating.value', 'rating.bayesian', 'trending.score'],
+    selectableFields: schemaFields(Article),
+    // The article text and the evaluation answer stay on GET /article/:id unless asked for with ?fields=.
+    excludedFields: ['description', 'evaluation'],
+};
+
+// Fields authors write. Ratings, trending, the workflow and trash fields are
+// maintained by the server; the image and evaluation are generated.
+const ARTICLE_CREATE_FIELDS = ['title', 'description', 'university', 'category', 'visibility', 'virtualLab', 'link'];
+const ARTICLE_UPDATE_FIELDS = [...ARTICLE_CREATE_FIELDS, 'department', 'duration', 'topic'];
+// Fields whose change needs a new review once the article was submitted.
+const ARTICLE_CONTENT_FIELDS = ['title', 'description', 'category', 'link', 'department', 'duration', 'topic'];
+
+const pickFields = (body, fields) => Object.fromEntries(fields
+    .filter((field) => body[field] !== undefined)
+    .map((field) => [field, body[field]]));
+
+const ARTICLE_TRASH_OPTIONS = {
+    ...ARTICLE_LIST_OPTIONS,
+    sortFields: [...ARTICLE_LIST_OPTIONS.sortFields, 'deletedAt'],
+    defaultSort: '-deletedAt',
+};
+
+const ARTICLE_TRENDING_OPTIONS = {
+    ...ARTICLE_LIST_OPTIONS,
+    defaultSort: '-trending.score',
+};
+
+const listArticles = (filter, req, res, next, options = ARTICLE_LIST_OPTIONS) => {
+    getViewer(req).then(
+        (viewer) => paginate(Article, withVisibility(filter, viewer), req.query, options)
+    ).then(
+        (articles) => {
+            res.status(200).json(articles);
+        }
+    ).catch(next);
+};
+
 exports.createArticle = async (req, res, next) => {
     try {
-        const url = "https://api.brightmindsresearch.com";
+        // Articles can only be published under the caller's own account.
+        if (req.body.brightmindid && !isOwner(req, req.body.brightmindid)) {
+            return next(new ForbiddenError('You can only publish articles under your own account.'));
+        }
+        const brightmindid = req.user.userId;
   
         // Determine if department was provided; if not, use a placeholder.
         const departmentProvided = req.body.department && req.body.department.trim().length > 0;
         let departmentValue;
         if (departmentProvided) {
             if (!isValidDepartment(req.body.department)) {
-            return res.status(400).json({ error: 'Invalid department' });
+            return next(new BadRequestError('Invalid department'));
             }
             departmentValue = req.body.department;
         } else {
@@ -28,21 +78,36 @@ exports.createArticle = async (req, res, next) => {
   
         // Check if the title exceeds 85 characters.
         if (req.body.title && req.body.title.length > 85) {
-            return res.status(400).json({ error: 'Title must be 85 characters or less' });
+            return next(new BadRequestError('Title must be 85 characters or less'));
+        }
+
+        const visibilityError = await validateVisibility({
+            visibility: req.body.visibility,
+            virtualLab: req.body.virtualLab,
+            userId: brightmindid,
+        });
+        if (visibilityError) {
+            return next(new BadRequestError(visibilityError));
+        }
+
+        let publishAt;
+        try {
+            publishAt = parsePublishAt(req.body.publishAt);
+        } catch (error) {
+            return next(error);
         }
   
         // Generate the evaluation.
         const evaluation = await generateEvaluation(req.body.description);
         if (!evaluation) {
-            return res.status(400).json({ error: 'Failed to generate evaluation' });
+            return next(new AppError(502, 'Failed to generate evaluation', { code: 'GENERATION_FAILED' }));
         }
   
         // Generate the article image.
-        const imagePath = await generateArticleImage(req.body.description);
-        if (!imagePath) {
-            return res.status(400).json({ error: 'Failed to generate article image' });
+        const articleImageURL = await generateArticleImage(req.body.description);
+        if (!articleImageURL) {
+            return next(new AppError(502, 'Failed to generate article image', { code: 'GENERATION_FAILED' }));
         }
-        const articleImageURL = url + imagePath.replace(/^.*\/backend/, '/backend');
     
         // Compute duration if not provided.
         let durationToUse;
@@ -57,8 +122,12 @@ exports.createArticle = async (req, res, next) => {
         const topicValue = topicProvided ? req.body.topic : "Pending Topic";
     
         // Create the new Article document with the resolved department.
+        // Workflow fields are not taken from the body: articles start as drafts.
         const article = new Article({
-            ...req.body,
+            ...pickFields(req.body, ARTICLE_CREATE_FIELDS),
+            status: 'draft',
+            publishAt: publishAt || undefined,
+            brightmindid,
             department: departmentValue,
             articleimageurl: articleImageURL,
             evaluation,
@@ -66,10 +135,6 @@ exports.createArticle = async (req, res, next) => {
             topic: topicValue
         });
     
-        if (req.body.dateadded) {
-            article.dateadded = new Date(req.body.dateadded);
-        }
-    
         await article.save();
     
         // If a topic was provided, immediately create/update the Topic document.
@@ -80,13 +145,13 @@ exports.createArticle = async (req, res, next) => {
             contentId: article._id,
             contentType: 'article',
             });
-            console.log(topicResult.message);
+            logger.debug(topicResult.message, { articleId: String(article._id), topic: req.body.topic });
         } else {
-            console.log("No topic provided. Topic will be generated asynchronously.");
+            logger.info('No topic provided; it will be generated asynchronously', { articleId: String(article._id) });
         }
     
         // Add article ID to the user's articlePublications.
-        const user = await User.findById(req.body.brightmindid);
+        const user = await User.findById(brightmindid);
         if (user) {
             user.articlePublications.push(article._id);
             await user.save();
@@ -97,302 +162,275 @@ exports.createArticle = async (req, res, next) => {
             const articleQueue = require('../queues/articleQueue.js');
             articleQueue.add({
             articleId: article._id,
-            generateTopic: true
+            generateTopic: true,
+            requestId: req.id
             });
         }
     
-        res.status(201).json({ response: 'Article created and topic updated (or pending generation).' });
+        res.status(201).json({ response: 'Article created as a draft and topic updated (or pending generation).', articleId: article._id });
         } catch (error) {
-        console.error('Error creating article:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        next(error);
         }
   };  
 
 exports.getAllArticle = (req, res, next) => {
-    Article.find().sort({ _id: 1 }).then(
+    listArticles({}, req, res, next);
+};
+
+exports.getArticleReviewQueue = (req, res, next) => {
+    paginate(Article, { status: 'in_review' }, req.query, ARTICLE_LIST_OPTIONS).then(
         (articles) => {
             res.status(200).json(articles);
         }
-    ).catch((error) => {
-        res.status(400).json({
-            error: error
-        });
-    });
+    ).catch(next);
 };
 
-exports.getOneArticle = (req, res, next) => {
-    Article.findOne({
-        _id: req.params.id
-    }).then(
-        (article) => {
-            res.status(200).json(article);
+exports.submitArticle = publicationHandler(Article, 'Article', 'submit');
+exports.approveArticle = publicationHandler(Article, 'Article', 'approve');
+exports.rejectArticle = publicationHandler(Article, 'Article', 'reject');
+exports.archiveArticle = publicationHandler(Article, 'Article', 'archive');
+
+exports.getOneArticle = async (req, res, next) => {
+    try {
+        const article = await Article.findById(req.params.id);
+        const viewer = await getViewer(req);
+        if (!article || !canView(viewer, article)) {
+            return next(new NotFoundError('Article not found.'));
         }
-    ).catch((error) => {
-        res.status(404).json({
-            error: error
-        });
-    });
+        res.status(200).json(article);
+    } catch (error) {
+        next(error);
+    }
 };
 
 exports.updateOneArticle = async (req, res, next) => {
     try {
-        let article = await Article.findById(req.params.id);
+        const article = await Article.findById(req.params.id);
         if (!article) {
-            return res.status(404).json({ message: 'Article not found.' });
+            return next(new NotFoundError('Article not found.'));
+        }
+
+        if (!isOwner(req, article.brightmindid)) {
+            return next(new ForbiddenError('You are not allowed to modify this article.'));
         }
 
         if (!isValidDepartment(req.body.department)) {
-            return res.status(400).json({ error: 'Invalid department' });
+            return next(new BadRequestError('Invalid department'));
+        }
+
+        const visibilityError = await validateVisibility({
+            visibility: req.body.visibility !== undefined ? req.body.visibility : article.visibility,
+            virtualLab: req.body.virtualLab !== undefined ? req.body.virtualLab : article.virtualLab,
+            userId: req.user.userId,
+        });
+        if (visibilityError) {
+            return next(new BadRequestError(visibilityError));
         }
 
         // Handle the old topic if the topic is being changed
-        if (article.topic !== req.body.topic) {
+        if (req.body.topic !== undefined && article.topic !== req.body.topic) {
             await removeExistingTopic({
-                body: {
-                    name: article.topic,
-                    departmentName: article.department,
-                    contentId: article._id,
-                    contentType: 'article',
-                }
-            }, res, next);
+                name: article.topic,
+                departmentName: article.department,
+                contentId: article._id,
+                contentType: 'article',
+            });
         }
 
         // Ensure the new topic exists or create it
         await createTopicIfNotExist({
-            body: {
-                name: req.body.topic,
-                departmentName: req.body.department,
-                contentId: article._id,
-                contentType: 'article',
-            }
-        }, res, next);
+            name: req.body.topic !== undefined ? req.body.topic : article.topic,
+            departmentName: req.body.department,
+            contentId: article._id,
+            contentType: 'article',
+        });
 
-        // Update article details
-        article = Object.assign(article, req.body);
+        // Update article details (ownership, publication state and ratings cannot be changed here)
+        article.set(pickFields(req.body, ARTICLE_UPDATE_FIELDS));
+        returnEditedToDraft(article, ARTICLE_CONTENT_FIELDS);
 
         await article.save();
-        res.status(201).json({ response: 'Article updated and topic adjusted.' });
+        res.status(201).json({ response: 'Article updated and topic adjusted.', status: article.status });
     } catch (error) {
-        console.error('Error updating article:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        next(error);
     }
 };
 
 
-const removeArticleReferences = async (articleId) => {
+exports.deleteOneArticle = async (req, res, next) => {
     try {
-        const articleIdString = articleId.toString();
-        const articleIdMatches = [articleId, articleIdString];
-
-        const updateResult = await User.updateMany(
-            {
-                $or: [
-                    { 'evaluation_list.contentid': { $in: articleIdMatches } },
-                    { 'bookmarkedcontent.contentid': { $in: articleIdMatches } },
-                    { articlePublications: { $in: articleIdMatches } }
-                ]
-            },
-            {
-                $pull: {
-                    evaluation_list: { contentid: { $in: articleIdMatches } },
-                    bookmarkedcontent: { contentid: { $in: articleIdMatches } },
-                    articlePublications: { $in: articleIdMatches }
-                }
-            }
-        );
+        const article = await Article.findById(req.params.id);
+        if (!article) {
+            return next(new NotFoundError('Article not found.'));
+        }
+
+        if (!isOwner(req, article.brightmindid)) {
+            return next(new ForbiddenError('You are not allowed to delete this article.'));
+        }
+
+        // The image, rating votes and the document itself are purged once the retention period ends.
+        const trash = await moveToTrash('article', article, req.user.userId);
+
+        const topicResult = await removeExistingTopic({
+            name: article.topic,
+            departmentName: article.department,
+            contentId: article._id,
+            contentType: 'article',
+        });
 
-        console.log(`Removed article ${articleIdString} references from users.`, updateResult);
+        let responseMessage = 'Article moved to trash.';
+        if (topicResult && topicResult.message) {
+            responseMessage += ` ${topicResult.message}`;
+        }
+
+        res.status(200).json({ response: responseMessage, ...trash });
     } catch (error) {
-        console.error('Error removing article references from users:', error);
+        next(error);
     }
 };
 
-exports.deleteOneArticle = async (req, res, next) => {
+exports.getArticleTrash = (req, res, next) => {
+    paginate(Article, { brightmindid: req.user.userId, deletedAt: { $ne: null } }, req.query, ARTICLE_TRASH_OPTIONS).then(
+        (articles) => {
+            res.status(200).json(articles);
+        }
+    ).catch(next);
+};
+
+exports.restoreArticle = async (req, res, next) => {
     try {
-        const article = await Article.findById(req.params.id);
+        const article = await findInTrash('article', req.params.id);
         if (!article) {
-            return res.status(404).json({ message: 'Article not found.' });
-        }
-
-        let imageDeleteError = false;
-
-        // If there's an associated image, delete it
-        const imagePath = article.articleimageurl.split('/backend/media/article_images/')[1];
-        if (imagePath) {
-            fs.unlink(`./backend/media/article_images/${imagePath}`, async (err) => {
-                if (err) {
-                    console.error('Error deleting article image:', err);
-                    imageDeleteError = true;
-                }
-
-                try {
-                    // Proceed with article cleanup after attempting to delete the image
-                    await performArticleCleanup(article, imageDeleteError, req, res);
-                } catch (error) {
-                    console.error('Error deleting article:', error);
-                    res.status(500).json({ error: 'Error deleting article.' });
-                }
+            return next(new NotFoundError('Article not found in trash.'));
+        }
+
+        if (!isOwner(req, article.brightmindid)) {
+            return next(new ForbiddenError('You are not allowed to restore this article.'));
+        }
+
+        if (!await restoreFromTrash('article', article)) {
+            return next(new NotFoundError('Article not found in trash.'));
+        }
+
+        let responseMessage = 'Article restored.';
+        try {
+            await createTopicIfNotExist({
+                name: article.topic,
+                departmentName: article.department,
+                contentId: article._id,
+                contentType: 'article',
             });
-        } else {
-            // No image path found; just proceed with final cleanup
-            await performArticleCleanup(article, imageDeleteError, req, res);
+        } catch (topicError) {
+            responseMessage += ' However, its topic could not be updated.';
         }
+
+        res.status(200).json({ response: responseMessage });
     } catch (error) {
-        console.error('Error finding article:', error);
-        res.status(500).json({ error: 'Error finding article.' });
+        next(error);
     }
 };
 
-/**
- * This function encapsulates the final "cleanup" steps after
- * the article's image has been handled (or if there was no image).
- */
-async function performArticleCleanup(article, imageDeleteError, req, res) {
-    // 1) Delete the Article document
-    await Article.deleteOne({ _id: article._id });
-
-    // 2) Remove all user references (evaluation_list, bookmarks, publications)
-    await removeArticleReferences(article._id);
-
-    // 3) Remove or decrement the topic
-    const topicResult = await removeExistingTopic({
-        name: article.topic,
-        departmentName: article.department,
-        contentId: article._id,
-        contentType: 'article',
-    });
-
-    // Construct a final response message
-    let responseMessage = 'Article deleted successfully.';
-    if (imageDeleteError) {
-        responseMessage += ' However, there was an error deleting the associated article image.';
-    }
-    if (topicResult && topicResult.message) {
-        responseMessage += ` ${topicResult.message}`;
-    }
-
-    res.status(200).json({ response: responseMessage });
-}
-
 exports.getAllArticleByCategory = (req, res, next) => {
-    Article.find({ category: { $exists: true, $eq: req.params.id } }).sort({ _id: 1 }).then(
-        (articles) => {
-            res.status(200).json(articles);
-        }
-    ).catch(
-        (error) => {
-            res.status(400).json({
-                error: error
-            });
-        }
-    );
+    listArticles({ category: { $exists: true, $eq: req.params.id } }, req, res, next);
 };
 
 exports.getAllArticleByDepartment = (req, res, next) => {
-    Article.find({ department: { $exists: true, $eq: req.params.id } }).sort({ _id: 1 }).then(
-        (articles) => {
-            res.status(200).json(articles);
-        }
-    ).catch(
-        (error) => {
-            res.status(400).json({
-                error: error
-            });
-        }
-    );
+    listArticles({ department: { $exists: true, $eq: req.params.id } }, req, res, next);
 };
 
 exports.getAllArticleByBrightmindid = (req, res, next) => {
-    Article.find({ brightmindid: { $exists: true, $eq: req.params.id } }).sort({ _id: 1 }).then(
-        (articles) => {
-            res.status(200).json(articles);
-        }
-    ).catch(
-        (error) => {
-            res.status(400).json({
-                error: error
-            });
-        }
-    );
+    listArticles({ brightmindid: { $exists: true, $eq: req.params.id } }, req, res, next);
 };
 
 exports.getEvaluationForArticle = (req, res, next) => {
     const articleId = req.params.id;
 
-    Article.findById(articleId)
-        .then((article) => {
-            if (!article) {
-                return res.status(404).json({ message: 'Article not found.' });
+    Promise.all([getViewer(req), Article.findById(articleId)])
+        .then(([viewer, article]) => {
+            if (!article || !canView(viewer, article)) {
+                return next(new NotFoundError('Article not found.'));
             }
 
             const evaluation = article.evaluation || '';
             res.status(200).json({ evaluation });
         })
-        .catch((error) => {
-            res.status(500).json({ error: 'An error occurred.' });
-        });
+        .catch(next);
 };
 
-exports.getArticleRating = (req, res, next) => {
-    Article.findById(req.params.id)
-        .then(article => {
-            if (!article) {
-                return res.status(404).json({ message: 'Article not found.' });
-            }
-            res.status(200).json({ rating: article.rating });
-        })
-        .catch(error => {
-            res.status(500).json({ error: 'An error occurred.' });
-        });
+exports.getArticleRating = async (req, res, next) => {
+    try {
+        const viewer = await getViewer(req);
+        const article = await Article.findOne(withVisibility({ _id: req.params.id }, viewer)).select('rating');
+        if (!article) {
+            return next(new NotFoundError('Article not found.'));
+        }
+        const userVote = req.user ? await getUserVote('article', article._id, req.user.userId) : null;
+        res.status(200).json({ rating: article.rating, userVote });
+    } catch (error) {
+        next(error);
+    }
 };
 
-exports.updateArticleRating = (req, res, next) => {
+exports.updateArticleRating = async (req, res, next) => {
     const action = req.body.action;
 
-    if (action !== '+' && action !== '-') {
-        return res.status(400).json({ message: 'Invalid action.' });
+    if (!RATING_ACTIONS.includes(action)) {
+        return next(new BadRequestError('Invalid action.'));
     }
 
-    Article.findById(req.params.id)
-        .then(article => {
-            if (!article) {
-                return res.status(404).json({ message: 'Article not found.' });
-            }
-
-            if (action === '+') {
-                article.rating.value = ((article.rating.value * article.rating.count) + 10) / (article.rating.count + 1);
-            } else {
-                article.rating.value = ((article.rating.value * article.rating.count)) / (article.rating.count + 1);
-            }
-            article.rating.count += 1;
-
-            article.save()
-                .then(() => res.status(200).json({ message: 'Rating updated.', rating: article.rating }))
-                .catch(error => res.status(400).json({ error: 'Unable to update rating.' }));
+    try {
+        const result = await setUserVote({
+            model: Article,
+            contentType: 'article',
+            contentId: req.params.id,
+            viewer: await getViewer(req),
+            userId: req.user.userId,
+            action,
+        });
+        if (!result) {
+            return next(new NotFoundError('Article not found.'));
+        }
+        res.status(200).json({ message: 'Rating updated.', rating: result.rating, userVote: result.userVote });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        })
-        .catch(error => {
-            res.status(500).json({ error: 'An error occurred.' });
+exports.withdrawArticleRating = async (req, res, next) => {
+    try {
+        const result = await setUserVote({
+            model: Article,
+            contentType: 'article',
+            contentId: req.params.id,
+            viewer: await getViewer(req),
+            userId: req.user.userId,
+            action: null,
         });
+        if (!result) {
+            return next(new NotFoundError('Article not found.'));
+        }
+        if (!result.changed) {
+            return next(new NotFoundError('Vote not found.'));
+        }
+        res.status(200).json({ message: 'Vote withdrawn.', rating: result.rating, userVote: null });
+    } catch (error) {
+        next(error);
+    }
 };
 
 exports.getArticleTrending = (req, res, next) => {
-    const twoWeeksAgo = new Date();
-    twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
-
-    Article.find({ dateadded: { $gte: twoWeeksAgo } })
-        .sort({ 'rating.value': -1 })
-        .then(
-            (articles) => {
-                res.status(200).json(articles);
-            }
-        )
-        .catch(
-            (error) => {
-                res.status(400).json({
-                    error: error
-                });
-            }
-        );
+    // Scores are stored by backend/trending_computor.js.
+    const filter = {};
+    if (req.query.department !== undefined) {
+        if (!isValidDepartment(req.query.department)) {
+            return next(new BadRequestError('Invalid department'));
+        }
+        filter.department = req.query.department;
+    }
+    if (req.query.university !== undefined) {
+        filter.university = String(req.query.university);
+    }
+
+    listArticles(filter, req, res, next, ARTICLE_TRENDING_OPTIONS);
 };
 
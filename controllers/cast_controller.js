@@ -1,25 +1,78 @@
 const Cast = require('../models/cast_model.js');
 const User = require('../models/user_model.js');
-const { getVideoDurationInSeconds } = require('../backend/videoUtils');
-const fs = require('fs').promises;
 const { departmentNames } = require('../lists/departments.js');
 const castQueue = require('../queues/castQueue.js');
+const transcodeQueue = require('../queues/transcodeQueue.js');
+const thumbnailQueue = require('../queues/thumbnailQueue.js');
+const { pendingRenditions } = require('../backend/hls_transcoder.js');
+const { validateVideo } = require('../backend/upload_validation.js');
+const { setCastImage, chooseCastImage } = require('../backend/cast_images.js');
+const { castImageSources } = require('../lists/media_types.js');
+const {
+    sessionInfo,
+    createUploadSession,
+    findUploadSession,
+    appendChunk,
+    assembleUpload,
+    removeUploadSession,
+} = require('../backend/resumable_upload.js');
 const Topic = require('../models/topic_model.js');
 const { createTopicIfNotExist, removeExistingTopic  } = require('../controllers/topic_controller.js');
+const { isOwner } = require('../backend/ownership.js');
+const { paginate, schemaFields } = require('../backend/pagination.js');
+const { RATING_ACTIONS, getUserVote, setUserVote } = require('../backend/rating.js');
+const { getViewer, visibilityFilter, withVisibility, canView, validateVisibility } = require('../backend/visibility.js');
+const { parsePublishAt, publicationHandler, returnEditedToDraft } = require('../backend/publication.js');
+const { moveToTrash, findInTrash, restoreFromTrash } = require('../backend/trash.js');
+const { BadRequestError, ForbiddenError, NotFoundError, ConflictError, UnsupportedMediaTypeError } = require('../backend/errors.js');
+const { logger } = require('../backend/logger.js');
+const { deleteFile, mediaUrl, mediaKey } = require('./fileHelper.js');
 
 const isValidDepartment = (department) => departmentNames.includes(department);
 
+const CAST_LIST_OPTIONS = {
+    sortFields: ['dateadded', 'title', 'rating.value', 'rating.bayesian', 'trending.score'],
+    selectableFields: schemaFields(Cast),
+    // The transcript and the evaluation answer stay on GET /cast/:id unless asked for with ?fields=.
+    excludedFields: ['description', 'evaluation'],
+};
+
+const CAST_TRASH_OPTIONS = {
+    ...CAST_LIST_OPTIONS,
+    sortFields: [...CAST_LIST_OPTIONS.sortFields, 'deletedAt'],
+    defaultSort: '-deletedAt',
+};
+
+const CAST_TRENDING_OPTIONS = {
+    ...CAST_LIST_OPTIONS,
+    defaultSort: '-trending.score',
+};
+
+// Fields whose change needs a new review once the cast was submitted.
+const CAST_CONTENT_FIELDS = ['title', 'description', 'department', 'category', 'link', 'topic', 'casturl'];
+
+const listCasts = (filter, req, res, next, options = CAST_LIST_OPTIONS) => {
+    getViewer(req).then(
+        (viewer) => paginate(Cast, withVisibility(filter, viewer), req.query, options)
+    ).then(
+        (casts) => {
+            res.status(200).json(casts);
+        }
+    ).catch(next);
+};
+
 exports.createCast = async (req, res, next) => {
     try {
-      const url = 'https://api.brightmindsresearch.com';
-      req.body.cast = JSON.parse(req.body.cast);
+      // Casts can only be published under the caller's own account.
+      if (req.body.cast.brightmindid && !isOwner(req, req.body.cast.brightmindid)) {
+        return next(new ForbiddenError('You can only publish casts under your own account.'));
+      }
+      const brightmindid = req.user.userId;
 
       //Check duplicate title
       const existing = await Cast.findOne({ title: req.body.cast.title });
         if (existing) {
-        return res
-            .status(409)
-            .json({ error: 'A cast with this title already exists.' });
+        return next(new ConflictError('A cast with this title already exists.'));
         }
   
       // Determine if department was provided. If not, assign a placeholder.
@@ -27,7 +80,7 @@ exports.createCast = async (req, res, next) => {
       let departmentValue;
       if (departmentProvided) {
         if (!isValidDepartment(req.body.cast.department)) {
-          return res.status(400).json({ error: 'Invalid department' });
+          return next(new BadRequestError('Invalid department'));
         }
         departmentValue = req.body.cast.department;
       } else {
@@ -36,12 +89,27 @@ exports.createCast = async (req, res, next) => {
   
       // Check if the title exceeds 85 characters.
       if (req.body.cast.title && req.body.cast.title.length > 85) {
-        return res.status(400).json({ error: 'Title must be 85 characters or less' });
+        return next(new BadRequestError('Title must be 85 characters or less'));
+      }
+
+      const visibilityError = await validateVisibility({
+        visibility: req.body.cast.visibility,
+        virtualLab: req.body.cast.virtualLab,
+        userId: brightmindid,
+      });
+      if (visibilityError) {
+        return next(new BadRequestError(visibilityError));
+      }
+
+      let publishAt;
+      try {
+        publishAt = parsePublishAt(req.body.cast.publishAt);
+      } catch (error) {
+        return next(error);
       }
   
-      // Get the video duration using your utility function.
-      const videoFilePath = './backend/media/cast_videos/' + req.file.filename;
-      const duration = await getVideoDurationInSeconds(videoFilePath);
+      // Probed when the upload was validated; Cast.duration is in minutes.
+      const duration = req.file.video.duration / 60;
   
       // Check if a topic was provided. If not, use a placeholder.
       const topicProvided = req.body.cast.topic && req.body.cast.topic.trim().length > 0;
@@ -52,22 +120,24 @@ exports.createCast = async (req, res, next) => {
         title: req.body.cast.title,
         description: "", // To be filled after transcription in the background.
         department: departmentValue,
-        brightmindid: req.body.cast.brightmindid,
-        casturl: url + '/backend/media/cast_videos/' + req.file.filename,
-        castimageurl: "", // Placeholder for now.
+        brightmindid: brightmindid,
+        casturl: mediaUrl('cast_videos', req.file.filename),
+        renditions: pendingRenditions(), // streamUrl is set once transcodeQueue has built them.
+        castimageurl: "", // Set by backend/cast_images.js once a frame or AI image exists.
         category: req.body.cast.category,
         university: req.body.cast.university,
         visibility: req.body.cast.visibility,
+        virtualLab: req.body.cast.virtualLab,
         link: req.body.cast.link,
         evaluation: "", // Placeholder for now.
         duration: duration,
         topic: topicValue,
+        // Casts start as drafts and go live through submit/approve (backend/publication.js).
+        status: 'draft',
+        processing: 'pending',
+        publishAt: publishAt || undefined,
       });
   
-      if (req.body.cast.dateadded) {
-        cast.dateadded = new Date(req.body.cast.dateadded);
-      }
-  
       await cast.save();
   
       // If a topic was provided, immediately create/update the topic document.
@@ -78,13 +148,13 @@ exports.createCast = async (req, res, next) => {
           contentId: cast._id,
           contentType: 'cast',
         });
-        console.log(topicResult.message);
+        logger.debug(topicResult.message, { castId: String(cast._id), topic: req.body.cast.topic });
       } else {
-        console.log("No topic provided. Will generate topic asynchronously.");
+        logger.info('No topic provided; it will be generated asynchronously', { castId: String(cast._id) });
       }
   
       // Add cast ID to the user's castPublications.
-      const user = await User.findById(req.body.cast.brightmindid);
+      const user = await User.findById(brightmindid);
       if (user) {
         user.castPublications.push(cast._id);
         await user.save();
@@ -94,66 +164,168 @@ exports.createCast = async (req, res, next) => {
       // The flag generateTopic is set to true if no topic was provided.
       castQueue.add({
         castId: cast._id,
-        videoFilePath: videoFilePath,
-        url: url,
+        videoKey: req.file.key,
         generateTopic: !topicProvided,
+        requestId: req.id,
       });
+      transcodeQueue.add({ castId: cast._id, videoKey: req.file.key, requestId: req.id });
+      thumbnailQueue.add({ castId: cast._id, videoKey: req.file.key, duration: req.file.video.duration, requestId: req.id });
   
       res.status(201).json({
-        response: 'Cast created successfully. Background processing initiated.',
+        response: 'Cast created as a draft. Background processing initiated.',
+        castId: cast._id,
       });
     } catch (error) {
-      console.error('Error creating cast:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      next(error);
     }
   };  
 
+// Resumable uploads (backend/resumable_upload.js): POST /cast/uploads opens a
+// session, PATCH /cast/uploads/:id stores each chunk and
+// POST /cast/uploads/:id/complete creates the cast from the assembled video.
+exports.createUploadSession = async (req, res, next) => {
+    try {
+        const { filename, mimeType, size, checksum } = req.body;
+        const session = await createUploadSession({ userId: req.user.userId, filename, mimeType, size, checksum });
+        res.status(201).json(sessionInfo(session));
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.getUploadSession = async (req, res, next) => {
+    try {
+        const session = await findUploadSession(req.params.id, req.user.userId);
+        if (!session) {
+            return next(new NotFoundError('Upload not found.'));
+        }
+        res.set('Upload-Offset', String(session.offset));
+        res.status(200).json(sessionInfo(session));
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.uploadChunk = async (req, res, next) => {
+    try {
+        if (!Buffer.isBuffer(req.body)) {
+            return next(new UnsupportedMediaTypeError('Chunks must be sent as application/offset+octet-stream.'));
+        }
+        const offset = Number(req.get('Upload-Offset'));
+        if (!req.get('Upload-Offset') || !Number.isInteger(offset) || offset < 0) {
+            return next(new BadRequestError('Upload-Offset must be a number of bytes.'));
+        }
+        const session = await findUploadSession(req.params.id, req.user.userId);
+        if (!session) {
+            return next(new NotFoundError('Upload not found.'));
+        }
+        const updated = await appendChunk(session, offset, req.body, req.get('Upload-Checksum'));
+        res.set('Upload-Offset', String(updated.offset));
+        res.status(200).json(sessionInfo(updated));
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.completeUpload = async (req, res, next) => {
+    try {
+        const session = await findUploadSession(req.params.id, req.user.userId);
+        if (!session) {
+            return next(new NotFoundError('Upload not found.'));
+        }
+        const videoKey = await assembleUpload(session);
+        let video;
+        try {
+            video = await validateVideo(videoKey);
+        } catch (error) {
+            await removeUploadSession(session);
+            return next(error);
+        }
+        req.file = { key: videoKey, filename: videoKey.slice('cast_videos/'.length), video };
+
+        // Until a cast is created the session keeps the video, so a rejected
+        // cast can be completed again with other details.
+        await exports.createCast(req, res, next);
+        if (res.statusCode === 201) {
+            await removeUploadSession(session, { keepVideo: true });
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.cancelUpload = async (req, res, next) => {
+    try {
+        const session = await findUploadSession(req.params.id, req.user.userId);
+        if (!session) {
+            return next(new NotFoundError('Upload not found.'));
+        }
+        await removeUploadSession(session);
+        res.status(200).json({ message: 'Upload cancelled.' });
+    } catch (error) {
+        next(error);
+    }
+};
+
 
 exports.getAllCast = (req, res, next) => {
-    Cast.find().sort({ _id: 1 }).then(
+    listCasts({}, req, res, next);
+}
+
+exports.getCastReviewQueue = (req, res, next) => {
+    paginate(Cast, { status: 'in_review' }, req.query, CAST_LIST_OPTIONS).then(
         (casts) => {
             res.status(200).json(casts);
         }
-    ).catch((error) => {
-        res.status(400).json({
-            error: error
-        });
-    });
-}
+    ).catch(next);
+};
 
-exports.getOneCast = (req, res, next) => {
-    Cast.findOne({
-        _id:req.params.id
-    }).then(
-        (cast) => {
-            res.status(200).json(cast);
+exports.submitCast = publicationHandler(Cast, 'Cast', 'submit');
+exports.approveCast = publicationHandler(Cast, 'Cast', 'approve');
+exports.rejectCast = publicationHandler(Cast, 'Cast', 'reject');
+exports.archiveCast = publicationHandler(Cast, 'Cast', 'archive');
+
+exports.getOneCast = async (req, res, next) => {
+    try {
+        const cast = await Cast.findById(req.params.id);
+        const viewer = await getViewer(req);
+        if (!cast || !canView(viewer, cast)) {
+            return next(new NotFoundError('Cast not found.'));
         }
-    ).catch((error) => {
-        res.status(404).json({
-            error: error
-        });
-    });
-}
+        res.status(200).json(cast);
+    } catch (error) {
+        next(error);
+    }
+};
 
 
 exports.updateOneCast = async (req, res, next) => {
     try {
         let cast = await Cast.findById(req.params.id);
         if (!cast) {
-            return res.status(404).json({ message: 'Cast not found.' });
+            return next(new NotFoundError('Cast not found.'));
         }
 
-        req.body.cast = JSON.parse(req.body.cast);
+        if (!isOwner(req, cast.brightmindid)) {
+            return next(new ForbiddenError('You are not allowed to modify this cast.'));
+        }
 
         // Validate the department
         if (!isValidDepartment(req.body.cast.department)) {
-            return res.status(400).json({
-                error: 'Invalid department'
-            });
+            return next(new BadRequestError('Invalid department'));
         }
 
         const departmentName = req.body.cast.department;
 
+        const visibilityError = await validateVisibility({
+            visibility: req.body.cast.visibility,
+            virtualLab: req.body.cast.virtualLab,
+            userId: req.user.userId,
+        });
+        if (visibilityError) {
+            return next(new BadRequestError(visibilityError));
+        }
+
         // Handle the old topic if the topic is being changed
         if (cast.topic !== req.body.cast.topic) {
             let oldTopic = cast.topic; 
@@ -165,9 +337,9 @@ exports.updateOneCast = async (req, res, next) => {
             });
 
             if (topicRemovalResult.status === 404) {
-                console.warn('Old topic not found; skipping removal.');
+                logger.warn('Old topic not found; skipping removal', { castId: String(cast._id), topic: oldTopic });
             } else {
-                console.log(topicRemovalResult.message);
+                logger.debug(topicRemovalResult.message, { castId: String(cast._id), topic: oldTopic });
             }
         }
 
@@ -179,139 +351,101 @@ exports.updateOneCast = async (req, res, next) => {
             contentType: 'cast',
         });
 
-        console.log(topicCreationResult.message);
+        logger.debug(topicCreationResult.message, { castId: String(cast._id), topic: req.body.cast.topic });
 
         // Update the cast details
         if (req.file) {
-            const url = "https://api.brightmindsresearch.com"
-            const videoFilePath = './backend/media/cast_videos/' + req.file.filename;
-            const duration = await getVideoDurationInSeconds(videoFilePath);
-
-            cast.casturl = url + '/backend/media/cast_videos/' + req.file.filename;
-            cast.duration = duration;
+            cast.casturl = mediaUrl('cast_videos', req.file.filename);
+            cast.duration = req.file.video.duration / 60;
+            // The renditions and thumbnails of the previous video are replaced by transcodeQueue and thumbnailQueue.
+            cast.streamUrl = undefined;
+            cast.renditions = pendingRenditions();
         }
 
         // Update the remaining fields
         cast.title = req.body.cast.title;
         cast.description = req.body.cast.description;
         cast.department = departmentName;  // Store department name directly
-        cast.brightmindid = req.body.cast.brightmindid;
-        cast.castimageurl = req.body.cast.castimageurl;
         cast.category = req.body.cast.category;
         cast.university = req.body.cast.university;
         cast.visibility = req.body.cast.visibility;
+        cast.virtualLab = req.body.cast.virtualLab;
         cast.link = req.body.cast.link;
         cast.topic = req.body.cast.topic;
         dateadded: new Date(req.body.cast.dateadded),
+        returnEditedToDraft(cast, CAST_CONTENT_FIELDS);
         await cast.save();
+        if (req.file) {
+            transcodeQueue.add({ castId: cast._id, videoKey: req.file.key, requestId: req.id });
+            thumbnailQueue.add({ castId: cast._id, videoKey: req.file.key, duration: req.file.video.duration, requestId: req.id });
+        }
 
-        res.status(200).json({ message: 'Cast updated successfully and topic adjusted.' });
+        res.status(200).json({ message: 'Cast updated successfully and topic adjusted.', status: cast.status });
     } catch (error) {
-        console.error('Error updating cast:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        next(error);
     }
 };
 
-const removeCastReferences = async (castId) => {
+// PUT /cast/:id/image: a multipart "image" becomes the uploaded image of the
+// cast, a JSON { source } picks the frame, AI or uploaded image as castimageurl.
+exports.updateCastImage = async (req, res, next) => {
+    // Multer stored the upload before the cast could be checked.
+    let unusedKey = req.file ? req.file.key : null;
+    const fail = async (error) => {
+        if (unusedKey) {
+            await deleteFile(unusedKey).catch(() => {});
+        }
+        next(error);
+    };
+
     try {
-        const castIdString = castId.toString();
-        const castIdMatches = [castId, castIdString];
+        const cast = await Cast.findById(req.params.id);
+        if (!cast) {
+            return fail(new NotFoundError('Cast not found.'));
+        }
 
-        const updateResult = await User.updateMany(
-            {
-                $or: [
-                    { 'evaluation_list.contentid': { $in: castIdMatches } },
-                    { 'bookmarkedcontent.contentid': { $in: castIdMatches } },
-                    { castPublications: { $in: castIdMatches } }
-                ]
-            },
-            {
-                $pull: {
-                    evaluation_list: { contentid: { $in: castIdMatches } },
-                    bookmarkedcontent: { contentid: { $in: castIdMatches } },
-                    castPublications: { $in: castIdMatches }
-                }
+        if (!isOwner(req, cast.brightmindid)) {
+            return fail(new ForbiddenError('You are not allowed to modify this cast.'));
+        }
+
+        const source = req.file ? 'upload' : req.body.source;
+        if (!castImageSources.includes(source)) {
+            return fail(new BadRequestError(`Send an image, or a source among ${castImageSources.join(', ')}.`));
+        }
+
+        if (req.file) {
+            const previousKey = mediaKey(cast.images.uploadurl, 'cast_images');
+            await setCastImage(cast._id, 'upload', mediaUrl('cast_images', req.file.filename));
+            unusedKey = null;
+            if (previousKey) {
+                await deleteFile(previousKey).catch(() => {});
             }
-        );
+        } else if (!cast.images[`${source}url`]) {
+            return fail(new ConflictError(`This cast has no ${source} image yet.`, { code: 'IMAGE_NOT_AVAILABLE' }));
+        }
+        await chooseCastImage(cast._id, source);
 
-        console.log(`Removed cast ${castIdString} references from users.`, updateResult);
+        const updated = await Cast.findById(cast._id).select('castimageurl imageSource images').lean();
+        res.status(200).json(updated);
     } catch (error) {
-        console.error('Error removing cast references from users:', error);
+        fail(error);
     }
 };
+
 exports.deleteOneCast = async (req, res, next) => {
     try {
         const cast = await Cast.findById(req.params.id);
         if (!cast) {
-            return res.status(404).json({ error: 'Cast not found.' });
-        }
-
-        // 1) Delete the associated video file if it exists
-
-        let videoDeleteError = false;
-        if (cast.casturl) {
-            const videoFilename = cast.casturl.split('/media/cast_videos/')[1];
-            if (videoFilename) {
-                try {
-                    await fs.access('./backend/media/cast_videos/' + videoFilename);
-                    await fs.unlink('./backend/media/cast_videos/' + videoFilename);
-                } catch (videoErr) {
-                    if (videoErr.code !== 'ENOENT') {
-                        console.error('Error deleting video file:', videoErr);
-                        videoDeleteError = true;
-                    } else {
-                        console.log('Video file not found, skipping deletion:', videoFilename);
-                    }
-                }
-            }
-        }
-
-        // 2) Delete the associated image file if it exists
-        let imageDeleteError = false;
-        if (cast.castimageurl) {
-            const imageFilename = cast.castimageurl.split('/media/cast_images/')[1];
-            if (imageFilename) {
-                try {
-                    await fs.access('./backend/media/cast_images/' + imageFilename);
-                    await fs.unlink('./backend/media/cast_images/' + imageFilename);
-                } catch (imageErr) {
-                    if (imageErr.code !== 'ENOENT') {
-                        console.error('Error deleting image file:', imageErr);
-                        imageDeleteError = true;
-                    } else {
-                        console.log('Image file not found, skipping deletion:', imageFilename);
-                    }
-                }
-            }
+            return next(new NotFoundError('Cast not found.'));
         }
 
-        // 3) Delete the associated subtitle file if it exists
-        let subtitleDeleteError = false;
-        if (cast.subtitleurl) {
-            // e.g. "https://api.brightmindsresearch.com/backend/media/cast_subtitles/CAST_ID.srt"
-            const subtitleFilename = cast.subtitleurl.split('/media/cast_subtitles/')[1];
-            if (subtitleFilename) {
-                try {
-                    await fs.access('./backend/media/cast_subtitles/' + subtitleFilename);
-                    await fs.unlink('./backend/media/cast_subtitles/' + subtitleFilename);
-                } catch (subtitleErr) {
-                    if (subtitleErr.code !== 'ENOENT') {
-                        console.error('Error deleting subtitle file:', subtitleErr);
-                        subtitleDeleteError = true;
-                    } else {
-                        console.log('Subtitle file not found, skipping deletion:', subtitleFilename);
-                    }
-                }
-            }
+        if (!isOwner(req, cast.brightmindid)) {
+            return next(new ForbiddenError('You are not allowed to delete this cast.'));
         }
 
-        // 4) Delete the Cast document from DB
-        await Cast.deleteOne({ _id: cast._id });
+        // Media files, rating votes and the document itself are purged once the retention period ends.
+        const trash = await moveToTrash('cast', cast, req.user.userId);
 
-        // 5) Remove cast references from users (evaluation_list, bookmarks, publications)
-        await removeCastReferences(cast._id);
-
-        // 6) Remove topic association from DB
         const topicResult = await removeExistingTopic({
             name: cast.topic,
             departmentName: cast.department,
@@ -319,18 +453,52 @@ exports.deleteOneCast = async (req, res, next) => {
             contentType: 'cast',
         });
 
-        let responseMessage = 'Cast deleted successfully.';
-        if (videoDeleteError || imageDeleteError || subtitleDeleteError) {
-            responseMessage += ' However, there was an error removing media files.';
+        res.status(200).json({ message: `Cast moved to trash. ${topicResult.message}`, ...trash });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.getCastTrash = (req, res, next) => {
+    paginate(Cast, { brightmindid: req.user.userId, deletedAt: { $ne: null } }, req.query, CAST_TRASH_OPTIONS).then(
+        (casts) => {
+            res.status(200).json(casts);
+        }
+    ).catch(next);
+};
+
+exports.restoreCast = async (req, res, next) => {
+    try {
+        const cast = await findInTrash('cast', req.params.id);
+        if (!cast) {
+            return next(new NotFoundError('Cast not found in trash.'));
+        }
+
+        if (!isOwner(req, cast.brightmindid)) {
+            return next(new ForbiddenError('You are not allowed to restore this cast.'));
+        }
+
+        if (!await restoreFromTrash('cast', cast)) {
+            return next(new NotFoundError('Cast not found in trash.'));
+        }
+
+        let message = 'Cast restored.';
+        try {
+            await createTopicIfNotExist({
+                name: cast.topic,
+                departmentName: cast.department,
+                contentId: cast._id,
+                contentType: 'cast',
+            });
+        } catch (topicError) {
+            message += ' However, its topic could not be updated.';
         }
-        responseMessage += ` ${topicResult.message}`;
 
-        res.status(200).json({ message: responseMessage });
+        res.status(200).json({ message });
     } catch (error) {
-        console.error('Error deleting cast:', error);
-        res.status(500).json({ error: 'Error deleting cast.' });
+        next(error);
     }
-};  
+};
 
 
 exports.getAllNewCast = (req, res, next) => {
@@ -342,112 +510,104 @@ exports.getAllNewCastByCategory = (req, res, next) => {
 }
 
 exports.getAllCastByCategory = (req, res, next) => {
-    Cast.find({category:{$exists:true, $eq: req.params.id}}).sort({ _id: 1 }).then(
-        (casts) => {
-            res.status(200).json(casts);
-        }
-    ).catch(
-        (error) => {
-            res.status(400).json({
-                error: error
-            });
-        }
-    );
+    listCasts({category:{$exists:true, $eq: req.params.id}}, req, res, next);
 }
 
 exports.getAllCastByBrightmindid = (req, res, next) => {
-    Cast.find({brightmindid:{$exists:true, $eq: req.params.id}}).sort({ _id: 1 }).then(
-        (casts) => {
-            res.status(200).json(casts);
-        }
-    ).catch(
-        (error) => {
-            res.status(400).json({
-                error: error
-            });
-        }
-    );
+    listCasts({brightmindid:{$exists:true, $eq: req.params.id}}, req, res, next);
 }
 
 exports.getEvaluationForCast = (req, res, next) => {
     const castId = req.params.id;
 
-    Cast.findById(castId)
-        .then((cast) => {
-            if (!cast) {
-                return res.status(404).json({ message: 'Cast not found.' });
+    Promise.all([getViewer(req), Cast.findById(castId)])
+        .then(([viewer, cast]) => {
+            if (!cast || !canView(viewer, cast)) {
+                return next(new NotFoundError('Cast not found.'));
             }
 
             const evaluation = cast.evaluation || '';
             res.status(200).json({ evaluation });
         })
-        .catch((error) => {
-            res.status(500).json({ error: 'An error occurred.' });
-        });
+        .catch(next);
 };
 
 
-exports.getCastRating = (req, res, next) => {
-    Cast.findById(req.params.id)
-        .then(cast => {
-            if (!cast) {
-                return res.status(404).json({ message: 'Cast not found.' });
-            }
-            res.status(200).json({ rating: cast.rating });
-        })
-        .catch(error => {
-            res.status(500).json({ error: 'An error occurred.' });
-        });
+exports.getCastRating = async (req, res, next) => {
+    try {
+        const viewer = await getViewer(req);
+        const cast = await Cast.findOne(withVisibility({ _id: req.params.id }, viewer)).select('rating');
+        if (!cast) {
+            return next(new NotFoundError('Cast not found.'));
+        }
+        const userVote = req.user ? await getUserVote('cast', cast._id, req.user.userId) : null;
+        res.status(200).json({ rating: cast.rating, userVote });
+    } catch (error) {
+        next(error);
+    }
 };
 
-exports.updateCastRating = (req, res, next) => {
+exports.updateCastRating = async (req, res, next) => {
     const action = req.body.action;
 
-    if (action !== '+' && action !== '-') {
-        return res.status(400).json({ message: 'Invalid action.' });
+    if (!RATING_ACTIONS.includes(action)) {
+        return next(new BadRequestError('Invalid action.'));
     }
 
-    Cast.findById(req.params.id)
-        .then(cast => {
-            if (!cast) {
-                return res.status(404).json({ message: 'Cast not found.' });
-            }
-
-            // Update logic
-            if (action === '+') {
-                cast.rating.value = ((cast.rating.value * cast.rating.count) + 10) / (cast.rating.count + 1);
-            } else {
-                cast.rating.value = ((cast.rating.value * cast.rating.count)) / (cast.rating.count + 1);
-            }
-            cast.rating.count += 1;
-
-            // Save the updated cast
-            cast.save()
-                .then(() => res.status(200).json({ message: 'Rating updated.', rating: cast.rating }))
-                .catch(error => res.status(400).json({ error: 'Unable to update rating.' }));
+    try {
+        const result = await setUserVote({
+            model: Cast,
+            contentType: 'cast',
+            contentId: req.params.id,
+            viewer: await getViewer(req),
+            userId: req.user.userId,
+            action,
+        });
+        if (!result) {
+            return next(new NotFoundError('Cast not found.'));
+        }
+        res.status(200).json({ message: 'Rating updated.', rating: result.rating, userVote: result.userVote });
+    } catch (error) {
+        next(error);
+    }
+};
 
-        })
-        .catch(error => {
-            res.status(500).json({ error: 'An error occurred.' });
+exports.withdrawCastRating = async (req, res, next) => {
+    try {
+        const result = await setUserVote({
+            model: Cast,
+            contentType: 'cast',
+            contentId: req.params.id,
+            viewer: await getViewer(req),
+            userId: req.user.userId,
+            action: null,
         });
+        if (!result) {
+            return next(new NotFoundError('Cast not found.'));
+        }
+        if (!result.changed) {
+            return next(new NotFoundError('Vote not found.'));
+        }
+        res.status(200).json({ message: 'Vote withdrawn.', rating: result.rating, userVote: null });
+    } catch (error) {
+        next(error);
+    }
 };
 
 exports.getCastTrending = (req, res, next) => {
+    // Scores are stored by backend/trending_computor.js.
+    const filter = {};
+    if (req.query.department !== undefined) {
+        if (!isValidDepartment(req.query.department)) {
+            return next(new BadRequestError('Invalid department'));
+        }
+        filter.department = req.query.department;
+    }
+    if (req.query.university !== undefined) {
+        filter.university = String(req.query.university);
+    }
 
-    Cast.find()
-        .sort({ dateadded: -1 })
-        .then(
-            (casts) => {
-                res.status(200).json(casts);
-            }
-        )
-        .catch(
-            (error) => {
-                res.status(400).json({
-                    error: error
-                });
-            }
-        );
+    listCasts(filter, req, res, next, CAST_TRENDING_OPTIONS);
 };
 
 exports.getAllCastByDepartment = (req, res, next) => {
@@ -460,21 +620,16 @@ exports.getAllCastByDepartment = (req, res, next) => {
         filter.topic = topic;
     }
 
-    Cast.find(filter)
-        .sort({ _id: 1 })
-        .then((casts) => {
-            res.status(200).json(casts);
-        })
-        .catch((error) => {
-            res.status(400).json({
-                error: error
-            });
-        });
+    listCasts(filter, req, res, next);
 };
 
 exports.getPopularDepartment = async (req, res, next) => {
     try {
+        const viewer = await getViewer(req);
         const departments = await Cast.aggregate([
+            {
+                $match: visibilityFilter(viewer)
+            },
             {
                 $group: {
                     _id: "$department",
@@ -487,19 +642,20 @@ exports.getPopularDepartment = async (req, res, next) => {
         ]);
         res.status(200).json(departments);
     } catch (error) {
-        console.error('Error fetching popular departments:', error);
-        res.status(500).json({ error: 'Internal server error' });
+        next(error);
     }
 };
 
 exports.getSimplifiedCast = async (req, res, next) => {
     try {
+      const filter = withVisibility({}, await getViewer(req));
+
       // 1️⃣ get total
-      const total = await Cast.countDocuments();
+      const total = await Cast.countDocuments(filter);
   
       // 2️⃣ get list of { _id, title }
       const casts = await Cast
-        .find({}, '_id title')
+        .find(filter, '_id title')
         .sort({ _id: 1 });
   
       // 3️⃣ return both
@@ -508,8 +664,7 @@ exports.getSimplifiedCast = async (req, res, next) => {
         casts
       });
     } catch (error) {
-      console.error('Error fetching simplified casts:', error);
-      res.status(400).json({ error });
+      next(error);
     }
   };
   
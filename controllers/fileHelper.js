@@ -1,23 +1,82 @@
-const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../backend/logger.js');
+const { config } = require('../backend/config.js');
+const { getStorage } = require('../backend/storage');
+
+// Folders of the media storage, served under config.media.urlPath.
+const MEDIA_FOLDERS = ['cast_videos', 'cast_images', 'article_images', 'profile_pictures', 'university_icon', 'virtuallab_icon', 'cast_subtitles', 'cast_thumbnails'];
+
+// Document fields holding a media URL, resolved against config.baseUrl in responses.
+const MEDIA_URL_FIELDS = new Set([
+    'casturl', 'streamUrl', 'castimageurl', 'subtitleurl', 'articleimageurl', 'profilePictureUrl', 'iconurl',
+    'frameurl', 'aiurl', 'uploadurl', 'posterurl', 'spriteurl',
+]);
 
 /**
- * Deletes a file at the given path.
- * @param {string} filePath - The relative path to the file to be deleted.
+ * Deletes a media file from the storage; a missing file is not an error.
+ * @param {string} key - Storage key of the file (see mediaKey).
  */
-const deleteFile = async (filePath) => {
+const deleteFile = async (key) => {
     try {
-        await fs.unlink(filePath);
-        console.log(`Deleted file: ${filePath}`);
+        await getStorage().remove(key);
+        logger.debug('Deleted file', { key });
     } catch (err) {
-        if (err.code === 'ENOENT') {
-            // File does not exist, no action needed
-            console.log(`File not found, skipping deletion: ${filePath}`);
-        } else {
-            // Other errors should be thrown to be handled by the caller
-            console.error(`Error deleting file ${filePath}:`, err);
-            throw err;
-        }
+        // Errors should be thrown to be handled by the caller
+        logger.error('Error deleting file', { key, error: err });
+        throw err;
     }
 };
 
-module.exports = { deleteFile };
+/**
+ * URL stored on documents for a media file: a path such as
+ * /backend/media/cast_images/x.png, resolved by resolveMediaUrl in responses.
+ */
+const mediaUrl = (folder, filename) => `${config.media.urlPath}/${folder}/${filename}`;
+
+/**
+ * Storage key of a stored media URL (relative, or absolute for older documents).
+ * @param {string} url - The URL stored on the document.
+ * @param {string} folder - Media folder (e.g. cast_images).
+ * @returns {string|null} "<folder>/<filename>", null when the URL does not point to that folder.
+ */
+const mediaKey = (url, folder) => {
+    const filename = typeof url === 'string' ? url.split(`/media/${folder}/`)[1] : null;
+    return filename ? `${folder}/${path.basename(filename)}` : null;
+};
+
+/**
+ * Storage keys of the media files of a document, without duplicates.
+ * @param {Object} doc
+ * @param {Array<[string, string]>} media - [field holding the URL, media folder]; the field may be a
+ *   dotted path (e.g. images.aiurl).
+ * @returns {string[]}
+ */
+const mediaKeys = (doc, media) => [...new Set(media
+    .map(([field, folder]) => mediaKey(field.split('.').reduce((value, part) => (value == null ? value : value[part]), doc), folder))
+    .filter(Boolean))];
+
+/**
+ * Public URL of a stored media URL. Media paths get config.baseUrl; absolute
+ * URLs stored before paths were relative are moved to config.baseUrl too, and
+ * other URLs (external images) are kept.
+ * @param {*} value
+ * @returns {*}
+ */
+const resolveMediaUrl = (value) => {
+    if (typeof value !== 'string' || !value) {
+        return value;
+    }
+    const index = value.indexOf(`${config.media.urlPath}/`);
+    if (index !== -1) {
+        return `${config.baseUrl}${value.slice(index)}`;
+    }
+    return value.startsWith('/') ? `${config.baseUrl}${value}` : value;
+};
+
+/**
+ * JSON.stringify replacer resolving the media URL fields, installed as the
+ * Express "json replacer" so lean and hydrated documents are both covered.
+ */
+const mediaUrlReplacer = (key, value) => (MEDIA_URL_FIELDS.has(key) ? resolveMediaUrl(value) : value);
+
+module.exports = { MEDIA_FOLDERS, deleteFile, mediaUrl, mediaKey, mediaKeys, resolveMediaUrl, mediaUrlReplacer };
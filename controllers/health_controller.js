@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { checkHealth } = require('../backend/health.js');
+const { register } = require('../backend/metrics.js');
+const { UnauthorizedError } = require('../backend/errors.js');
+const { config } = require('../backend/config.js');
+
+const sameToken = (presented, expected) => {
+    const a = Buffer.from(presented);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Liveness: answers 200 while the process serves requests, "degraded" when a dependency is down.
+exports.healthz = async (req, res, next) => {
+    try {
+        res.status(200).json(await checkHealth());
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Readiness: 503 until MongoDB, Redis and the scheduler are all available.
+exports.readyz = async (req, res, next) => {
+    try {
+        const report = await checkHealth();
+        res.status(report.status === 'ok' ? 200 : 503).json(report);
+    } catch (error) {
+        next(error);
+    }
+};
+
+// Prometheus exposition; requires "Authorization: Bearer <METRICS_TOKEN>" when METRICS_TOKEN is set.
+exports.metrics = async (req, res, next) => {
+    try {
+        const { metricsToken } = config.monitoring;
+        if (metricsToken) {
+            const [scheme, token] = (req.get('Authorization') || '').split(' ');
+            if (scheme !== 'Bearer' || !token || !sameToken(token, metricsToken)) {
+                return next(new UnauthorizedError('A valid metrics token is required.'));
+            }
+        }
+        res.set('Content-Type', register.contentType);
+        res.send(await register.metrics());
+    } catch (error) {
+        next(error);
+    }
+};
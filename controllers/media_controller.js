@@ -0,0 +1,65 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Cast = require('../models/cast_model.js');
+const { getStorage } = require('../backend/storage');
+const { getViewer, canView } = require('../backend/visibility.js');
+const { NotFoundError } = require('../backend/errors.js');
+const { MEDIA_FOLDERS } = require('./fileHelper.js');
+
+// Local files are sent with Range support; S3 objects are answered with a redirect to a signed URL.
+exports.serveMedia = async (req, res, next) => {
+    const { folder, filename } = req.params;
+    if (!MEDIA_FOLDERS.includes(folder) || filename !== path.basename(filename)) {
+        return next(new NotFoundError('Media not found.'));
+    }
+    const key = `${folder}/${filename}`;
+    try {
+        const storage = getStorage();
+        if (storage.localPath) {
+            return res.sendFile(storage.localPath(key), (error) => {
+                if (error && !res.headersSent) {
+                    next(error.code === 'ENOENT' ? new NotFoundError('Media not found.') : error);
+                }
+            });
+        }
+        res.redirect(302, await storage.signedUrl(key));
+    } catch (error) {
+        next(error);
+    }
+};
+
+// HLS files of a cast (cast_streams/<castId>/master.m3u8 and <rendition>/...), served to the
+// readers of the cast only. On S3 the playlists are sent by the app so that the players resolve
+// their relative URIs here; segments are redirected.
+exports.serveStream = async (req, res, next) => {
+    const { castId, rendition, filename } = req.params;
+    const segments = rendition ? [castId, rendition, filename] : [castId, filename];
+    if (!mongoose.Types.ObjectId.isValid(castId)
+        || segments.some((segment) => segment !== path.basename(segment) || segment.startsWith('.'))) {
+        return next(new NotFoundError('Media not found.'));
+    }
+    const key = `cast_streams/${segments.join('/')}`;
+    try {
+        const cast = await Cast.findById(castId).select('brightmindid status visibility university virtualLab').lean();
+        if (!cast || !canView(await getViewer(req), cast)) {
+            return next(new NotFoundError('Media not found.'));
+        }
+
+        const storage = getStorage();
+        if (storage.localPath) {
+            return res.sendFile(storage.localPath(key), (error) => {
+                if (error && !res.headersSent) {
+                    next(error.code === 'ENOENT' ? new NotFoundError('Media not found.') : error);
+                }
+            });
+        }
+        if (path.extname(filename) !== '.m3u8') {
+            return res.redirect(302, await storage.signedUrl(key));
+        }
+        const playlist = await storage.stream(key);
+        res.type('application/vnd.apple.mpegurl');
+        playlist.on('error', next).pipe(res);
+    } catch (error) {
+        next(error.code === 'ENOENT' ? new NotFoundError('Media not found.') : error);
+    }
+};
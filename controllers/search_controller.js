@@ -0,0 +1,163 @@
+const Cast = require('../models/cast_model.js');
+const Article = require('../models/article_model.js');
+const Topic = require('../models/topic_model.js');
+const { departmentNames } = require('../lists/departments.js');
+const { extractTerms, buildSnippet } = require('../backend/search.js');
+const { getViewer, withVisibility } = require('../backend/visibility.js');
+const { BadRequestError } = require('../backend/errors.js');
+
+const SEARCH_TYPES = ['cast', 'article', 'topic'];
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+const parseDate = (value, name) => {
+    if (value === undefined) {
+        return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new BadRequestError(`${name} must be a valid date.`);
+    }
+    return date;
+};
+
+const parseSearchQuery = (query) => {
+    const q = typeof query.q === 'string' ? query.q.trim() : '';
+    if (!q) {
+        throw new BadRequestError('q is required.');
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+        throw new BadRequestError(`q must be at most ${MAX_QUERY_LENGTH} characters.`);
+    }
+
+    const types = query.type ? String(query.type).split(',').map((type) => type.trim()) : SEARCH_TYPES;
+    const invalidTypes = types.filter((type) => !SEARCH_TYPES.includes(type));
+    if (invalidTypes.length) {
+        throw new BadRequestError(`Invalid type. Must be one of ${SEARCH_TYPES.join(', ')}.`);
+    }
+
+    if (query.department !== undefined && !departmentNames.includes(query.department)) {
+        throw new BadRequestError('Invalid department');
+    }
+
+    let limit = DEFAULT_SEARCH_LIMIT;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new BadRequestError('limit must be a positive integer.');
+        }
+        limit = Math.min(limit, MAX_SEARCH_LIMIT);
+    }
+
+    return {
+        q,
+        types,
+        department: query.department,
+        university: query.university !== undefined ? String(query.university) : undefined,
+        from: parseDate(query.from, 'from'),
+        to: parseDate(query.to, 'to'),
+        limit,
+    };
+};
+
+const contentFilter = ({ q, department, university, from, to }) => {
+    const filter = { $text: { $search: q } };
+    if (department) {
+        filter.department = department;
+    }
+    if (university) {
+        filter.university = university;
+    }
+    if (from || to) {
+        filter.dateadded = {};
+        if (from) {
+            filter.dateadded.$gte = from;
+        }
+        if (to) {
+            filter.dateadded.$lte = to;
+        }
+    }
+    return filter;
+};
+
+const findScored = (model, filter, projection, limit) => model
+    .find(filter, { ...projection, score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .lean();
+
+const toContentResult = (type, terms) => (doc) => ({
+    type,
+    _id: doc._id,
+    title: doc.title,
+    department: doc.department,
+    university: doc.university,
+    dateadded: doc.dateadded,
+    score: doc.score,
+    highlights: {
+        title: buildSnippet(doc.title, terms, Infinity),
+        description: buildSnippet(doc.description, terms),
+    },
+});
+
+/**
+ * GET /search?q=
+ * Searches cast titles and transcripts, article titles and descriptions and
+ * topic names, ranked by MongoDB text score. Topics have no university or
+ * date, so they are left out when one of those filters is used.
+ */
+exports.search = async (req, res, next) => {
+    let params;
+    try {
+        params = parseSearchQuery(req.query);
+    } catch (error) {
+        return next(error);
+    }
+
+    try {
+        const { types, limit } = params;
+        const terms = extractTerms(params.q);
+        const viewer = await getViewer(req);
+        const searches = [];
+
+        if (types.includes('cast')) {
+            searches.push(
+                findScored(Cast, withVisibility(contentFilter(params), viewer), { title: 1, description: 1, department: 1, university: 1, dateadded: 1 }, limit)
+                    .then((casts) => casts.map(toContentResult('cast', terms)))
+            );
+        }
+        if (types.includes('article')) {
+            searches.push(
+                findScored(Article, withVisibility(contentFilter(params), viewer), { title: 1, description: 1, department: 1, university: 1, dateadded: 1 }, limit)
+                    .then((articles) => articles.map(toContentResult('article', terms)))
+            );
+        }
+        if (types.includes('topic') && !params.university && !params.from && !params.to) {
+            const topicFilter = { $text: { $search: params.q } };
+            if (params.department) {
+                topicFilter.departmentName = params.department;
+            }
+            searches.push(
+                findScored(Topic, topicFilter, { name: 1, departmentName: 1 }, limit)
+                    .then((topics) => topics.map((topic) => ({
+                        type: 'topic',
+                        _id: topic._id,
+                        title: topic.name,
+                        department: topic.departmentName,
+                        score: topic.score,
+                        highlights: { title: buildSnippet(topic.name, terms, Infinity) },
+                    })))
+            );
+        }
+
+        const results = (await Promise.all(searches))
+            .flat()
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+
+        res.status(200).json({ query: params.q, count: results.length, results });
+    } catch (error) {
+        next(error);
+    }
+};
@@ -1,5 +1,14 @@
 const Topic = require('../models/topic_model.js');
 const topicIndicatorComputor = require('../backend/topic_indicator_computor.js');
+const { paginate, schemaFields } = require('../backend/pagination.js');
+const { NotFoundError } = require('../backend/errors.js');
+const { logger } = require('../backend/logger.js');
+
+const TOPIC_LIST_OPTIONS = {
+    sortFields: ['name', 'activity', 'impact', 'articleCount', 'castCount'],
+    selectableFields: schemaFields(Topic),
+    excludedFields: ['articleIDs', 'castIDs'],
+};
 
 exports.createTopicIfNotExist = async ({
     name, 
@@ -59,47 +68,56 @@ exports.createTopicIfNotExist = async ({
       await topic.save();
       return { message: 'Topic updated successfully.', topic, status: 200 };
     } catch (error) {
-      console.error('Error creating or updating topic:', error);
+      logger.error('Error creating or updating topic', { topic: name, error });
       throw new Error('Error creating or updating topic.');
     }
   };
 
 exports.getTopicsByDepartment = async (req, res, next) => {
     try {
-        const topics = await Topic.find({ departmentName: req.params.departmentName });
+        const topics = await paginate(Topic, { departmentName: req.params.departmentName }, req.query, TOPIC_LIST_OPTIONS);
         res.status(200).json(topics);
     } catch (error) {
-        res.status(500).json({ error: 'Error fetching topics.' });
+        next(error);
     }
 };
 
 exports.getAllTopics = async (req, res, next) => {
     try {
-        const topics = await Topic.find();
+        const topics = await paginate(Topic, {}, req.query, TOPIC_LIST_OPTIONS);
         res.status(200).json(topics);
     } catch (error) {
-        console.error('Error fetching topics:', error);
-        res.status(500).json({
-            error: 'Internal server error'
-        });
+        next(error);
     }
 };
 
 exports.getOneTopic = async (req, res, next) => {
     try {
         const topic = await Topic.findById(req.params.id);
+        if (!topic) {
+            return next(new NotFoundError('Topic not found.'));
+        }
         res.status(200).json(topic);
     } catch (error) {
-        res.status(500).json({ error: 'Error fetching topic.' });
+        next(error);
     }
 };
 
+// Counters and indicators are maintained by the platform, not by clients.
+const TOPIC_UPDATE_FIELDS = ['name', 'departmentName', 'openalexID'];
+
 exports.updateTopic = async (req, res, next) => {
     try {
-        const topic = await Topic.findByIdAndUpdate(req.params.id, req.body, { new: true });
+        const update = Object.fromEntries(TOPIC_UPDATE_FIELDS
+            .filter((field) => req.body[field] !== undefined)
+            .map((field) => [field, req.body[field]]));
+        const topic = await Topic.findByIdAndUpdate(req.params.id, update, { new: true });
+        if (!topic) {
+            return next(new NotFoundError('Topic not found.'));
+        }
         res.status(200).json(topic);
     } catch (error) {
-        res.status(500).json({ error: 'Error updating topic.' });
+        next(error);
     }
 };
 
@@ -153,7 +171,7 @@ exports.removeExistingTopic = async ({
         return { status: 200, message: 'Content removed from topic successfully.', topic };
       }
     } catch (error) {
-      console.error('Error removing content from topic:', error);
+      logger.error('Error removing content from topic', { topic: name, error });
       throw new Error('Error removing content from topic.');
     }
   };
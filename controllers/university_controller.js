@@ -1,33 +1,38 @@
 const University = require('../models/university_model.js');
-const fs = require('fs');
+const { paginate, schemaFields } = require('../backend/pagination.js');
+const { moveToTrash, findInTrash, restoreFromTrash } = require('../backend/trash.js');
+const { BadRequestError, NotFoundError } = require('../backend/errors.js');
+const { mediaUrl } = require('./fileHelper.js');
+
+const UNIVERSITY_LIST_OPTIONS = {
+    sortFields: ['name', 'displayedName'],
+    selectableFields: schemaFields(University),
+};
 
 exports.createUniversity = (req, res, next) => {
+    if (!req.file) {
+        return next(new BadRequestError('An icon is required.'));
+    }
 
-        const url = "https://api.brightmindsresearch.com";
-        req.body.university = JSON.parse(req.body.university);
         const university = new University({
             name: req.body.university.name,
             displayedName: req.body.university.displayedName,
-            iconurl: url + '/backend/media/university_icon/' + req.file.filename,
+            iconurl: mediaUrl('university_icon', req.file.filename),
         });
         university.save().then(
             () => {
                 res.status(201).json({response:'University Created.'})
             }
-        ).catch((error) => {
-            res.status(400).json({
-                error: error
-            });
-        });
+        ).catch(next);
 }
 
 exports.getAllUniversity = async (req, res, next) => {
     try {
-      const universities = await University.find();
+      const universities = await paginate(University, {}, req.query, UNIVERSITY_LIST_OPTIONS);
   
       res.status(200).json(universities);
     } catch (error) {
-      res.status(500).json({ error: 'An error occurred.' });
+      next(error);
     }
   };
   
@@ -35,27 +40,20 @@ exports.getAllUniversity = async (req, res, next) => {
     University.findOne({ _id:req.params.id })
         .then((university) => {
             if (!university) {
-                return res.status(404).json({ message: 'University not found.' });
+                return next(new NotFoundError('University not found.'));
             }
             res.status(200).json(university);
         })
-        .catch((error) => {
-            res.status(500).json({
-                error: 'An error occurred.',
-                details: error
-            });
-        });
+        .catch(next);
 };
 
 exports.updateOneUniversity = (req, res, next) => {
     let university = new University({_id: req.params._id});
     if (req.file){
-        const url = "https://api.brightmindsresearch.com";
-        req.body.university = JSON.parse(req.body.university);
         university = {
             _id:req.params.id,
             name:req.body.university.name,
-            iconurl: url + '/backend/media/university_icon/' + req.file.filename,
+            iconurl: mediaUrl('university_icon', req.file.filename),
             displayedName: req.body.university.displayedName
         };
     } else {university = {
@@ -66,37 +64,43 @@ exports.updateOneUniversity = (req, res, next) => {
         };
     }
     University.updateOne({_id:req.params.id}, university)
-    .then(() => {
+    .then((result) => {
+        if (!result.matchedCount) {
+            return next(new NotFoundError('University not found.'));
+        }
         res.status(201).json({
             response: "university updated"
         })})
-    .catch((error) => {
-        res.status(400).json({
-            error: error
-        });
-    });
+    .catch(next);
 }
 
 
-exports.deleteOneUniversity = (req, res, next) => {
-    University.findOne({_id:req.params.id}).then(
-        (university) => {
-            const filename = university.iconurl.split('/media/university_icon/')[1];
-            fs.unlink('./backend/media/university_icon/' + filename, () => {
-                console.log('./backend/media/university_icon/' + filename);
-                University.deleteOne({_id:req.params.id}).then(() => {
-                    res.status(200).json({
-                        response: 'University Deleted'
-                    });
-                }).catch((error) => {
-                    res.status(404).json({
-                        error: error
-                    });
-                });
-            });
+exports.deleteOneUniversity = async (req, res, next) => {
+    try {
+        const university = await University.findById(req.params.id);
+        if (!university) {
+            return next(new NotFoundError('University not found.'));
         }
-    );
-}
+
+        // The icon and the document are purged once the retention period ends.
+        const trash = await moveToTrash('university', university, req.user.userId);
+        res.status(200).json({ response: 'University Deleted', ...trash });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.restoreUniversity = async (req, res, next) => {
+    try {
+        const university = await findInTrash('university', req.params.id);
+        if (!university || !await restoreFromTrash('university', university)) {
+            return next(new NotFoundError('University not found in trash.'));
+        }
+        res.status(200).json({ response: 'University Restored' });
+    } catch (error) {
+        next(error);
+    }
+};
 
 exports.getOneUniversityByName = (req, res, next) => {
     const universityName = req.params.id;
@@ -104,15 +108,10 @@ exports.getOneUniversityByName = (req, res, next) => {
     University.findOne({ name: universityName })
         .then((university) => {
             if (!university) {
-                return res.status(404).json({ message: 'University not found.' });
+                return next(new NotFoundError('University not found.'));
             }
             res.status(200).json(university);
         })
-        .catch((error) => {
-            res.status(500).json({
-                error: 'An error occurred.',
-                details: error
-            });
-        });
+        .catch(next);
 };
 
@@ -2,17 +2,45 @@ const User = require('../models/user_model.js');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const emailVerificator = require('../backend/email_verificator.js');
-const jwt = require('jsonwebtoken');
-const fs = require('fs');
+const {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+} = require('../backend/tokens.js');
 const Cast = require('../models/cast_model.js');
 const Article = require('../models/article_model.js');
+const University = require('../models/university_model.js');
 const { departmentNames } = require('../lists/departments.js');
-const { deleteFile } = require('./fileHelper.js');
+const { platformRoles, academicRoles } = require('../lists/permissions.js');
+const { deleteFile, mediaUrl, mediaKey } = require('./fileHelper.js');
+const loginGuard = require('../backend/login_guard.js');
 const crypto = require('crypto');
-const nodemailer = require('nodemailer');
-
-const EMAIL_PWD = process.env.EMAIL_PWD;
-const API_BASE_URL = 'https://api.brightmindsresearch.com'
+const { sendTemplatedEmail } = require('../backend/mailer.js');
+const { supportedLocales, resolveLocale } = require('../lists/locales.js');
+const { paginate } = require('../backend/pagination.js');
+const { getViewer, withVisibility, canView } = require('../backend/visibility.js');
+const { moveToTrash, findInTrash, restoreFromTrash } = require('../backend/trash.js');
+const { parseCleanupOptions, cleanUpUserAccount, restoreUserAccount } = require('../backend/account_cleanup.js');
+const { findExportByToken } = require('../backend/data_export.js');
+const DataExport = require('../models/data_export_model.js');
+const exportQueue = require('../queues/exportQueue.js');
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, ConflictError, GoneError, TooManyRequestsError } = require('../backend/errors.js');
+const { logger } = require('../backend/logger.js');
+const { config } = require('../backend/config.js');
+
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
+const INVALID_CREDENTIALS_MESSAGE = 'Invalid email or password.';
+const PASSWORD_RESET_REQUESTED_MESSAGE = 'If an account exists for this email, a password reset link has been sent.';
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+const PUBLIC_USER_FIELDS = ['_id', 'email', 'username', 'role', 'platformRole', 'locale', 'profilePictureUrl', 'evaluation_list', 'bookmarkedcontent', 'preferences', 'tracking', 'castPublications', 'articlePublications', 'university', 'isVerified'];
+const USER_LIST_OPTIONS = {
+    sortFields: ['username', 'email'],
+    selectableFields: PUBLIC_USER_FIELDS,
+    // Per-user activity lists are only returned when asked for with ?fields=.
+    defaultFields: PUBLIC_USER_FIELDS.filter((field) => !['evaluation_list', 'bookmarkedcontent', 'preferences', 'tracking'].includes(field)),
+};
 
 const normalizeContentType = (value) => {
     if (!value) {
@@ -75,17 +103,71 @@ const getTargetValue = (objective) => {
     }
 };
 
+/**
+ * Sends the account verification email containing the confirmation link.
+ * @param {string} email - Recipient address.
+ * @param {string} token - The user's verificationToken.
+ * @param {string} [locale] - The user's locale.
+ */
+const sendVerificationEmail = (email, token, locale) => sendTemplatedEmail({
+    to: email,
+    template: 'verification',
+    locale,
+    data: { verificationUrl: `${config.baseUrl}/user/confirmation/${token}` },
+});
+
+/**
+ * Sends the email allowing a locked account to be unlocked before the lock expires.
+ * @param {Object} user - The locked user document.
+ * @param {string} token - The user's unlockToken.
+ */
+const sendAccountUnlockEmail = (user, token) => sendTemplatedEmail({
+    to: user.email,
+    template: 'accountUnlock',
+    locale: user.locale,
+    data: {
+        username: user.username,
+        unlockUrl: `${config.baseUrl}/user/unlock/${token}`,
+        lockMinutes: Math.round(loginGuard.ACCOUNT_LOCK_DURATION_MS / 60000),
+    },
+});
+
+/**
+ * Counts a failed login on the account and locks it once MAX_FAILED_LOGINS is reached.
+ * @param {Object} user - The user document whose password did not match.
+ */
+const registerFailedLogin = async (user) => {
+    user.failedLoginAttempts = (user.failedLoginAttempts || 0) + 1;
+    if (user.failedLoginAttempts < loginGuard.MAX_FAILED_LOGINS) {
+        await user.save();
+        return;
+    }
+
+    const token = crypto.randomBytes(20).toString('hex');
+    user.failedLoginAttempts = 0;
+    user.lockUntil = Date.now() + loginGuard.ACCOUNT_LOCK_DURATION_MS;
+    user.unlockToken = token;
+    user.unlockTokenExpires = user.lockUntil;
+    await user.save();
+
+    try {
+        await sendAccountUnlockEmail(user, token);
+    } catch (error) {
+        logger.error('Error sending account unlock email', { userId: String(user._id), error });
+    }
+};
+
 exports.signup = async (req, res, next) => {
-    req.body.user = JSON.parse(req.body.user);
+    if (typeof req.body.user.email !== 'string') {
+        return next(new BadRequestError('email is required.'));
+    }
 
     // Normalize the email to lowercase
     req.body.user.email = req.body.user.email.toLowerCase();
     
     // Validate email domain
     if (!emailVerificator(req.body.user.email)) {
-        return res.status(400).json({
-            error: "The email domain name is not a valid one."
-        });
+        return next(new BadRequestError("The email domain name is not a valid one."));
     }
 
     try {
@@ -94,7 +176,6 @@ exports.signup = async (req, res, next) => {
 
         // Generate the verification token
         const token = crypto.randomBytes(16).toString('hex');
-        const url = "https://api.brightmindsresearch.com";
 
         // Prepare the user data
         const userData = {
@@ -102,8 +183,11 @@ exports.signup = async (req, res, next) => {
             password: hash,
             username: req.body.user.username,
             role: req.body.user.role,
-            profilePictureUrl: url + '/backend/media/profile_pictures/' + req.file.filename,
+            profilePictureUrl: mediaUrl('profile_pictures', req.file.filename),
+            locale: resolveLocale(req.body.user.locale || req.acceptsLanguages(...supportedLocales)),
             verificationToken: token,
+            verificationTokenExpires: Date.now() + VERIFICATION_TOKEN_TTL_MS,
+            verificationEmailSentAt: Date.now(),
             tracking: {
                 objective: req.body.user.objective || 'Explorer',
                 target: getTargetValue(req.body.user.objective || 'Explorer')
@@ -114,123 +198,7 @@ exports.signup = async (req, res, next) => {
             userData.university = req.body.user.university;
         }
 
-        // Configure nodemailer
-        const transporter = nodemailer.createTransport({
-            service: 'Gmail',
-            auth: {
-                user: 'clement.carnus@brightmindsresearch.com',
-                pass: EMAIL_PWD
-            }
-        });
-
-        const mailOptions = {
-            from: 'clement.carnus@brightmindsresearch.com',
-            to: req.body.user.email,
-            subject: 'Account Verification - BrightMinds Research',
-            html: `
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>BrightMinds Research - Email Confirmation</title>
-                <style>
-                    @import url('https://fonts.googleapis.com/css2?family=Montserrat:wght@400;700&display=swap');
-
-                    body {
-                        margin: 0;
-                        padding: 0;
-                        font-family: 'Montserrat', sans-serif;
-                        background-color: #1c1c1c;
-                        color: #f1f1f1;
-                    }
-
-                    .email-container {
-                        max-width: 600px;
-                        margin: 0 auto;
-                        background-color: #1c1c1c;
-                        border: 1px solid #1c1c1c;
-                        border-radius: 8px;
-                        padding: 20px;
-                    }
-
-                    .email-container .logo {
-                        text-align: center;
-                        margin-bottom: 20px;
-                    }
-
-                    .email-container .logo img {
-                        max-width: 230px;
-                    }
-
-                    .email-container h2 {
-                        text-align: center;
-                        color: #00407A;
-                        font-family: 'MontserratBold', sans-serif;
-                    }
-
-                    .email-container p {
-                        font-size: 16px;
-                        line-height: 1.5;
-                        text-align: center;
-                        color: #f1f1f1;
-                    }
-
-                    .email-container .button-container {
-                        text-align: center;
-                        margin: 30px 0;
-                    }
-
-                    .email-container .button-container a {
-                        background-color: #00407A;
-                        color: #f1f1f1;
-                        padding: 12px 24px;
-                        text-decoration: none;
-                        border-radius: 5px;
-                        font-size: 16px;
-                        font-family: 'MontserratBold', sans-serif;
-                    }
-
-                    .email-container .footer {
-                        text-align: center;
-                        margin-top: 20px;
-                        margin-bottom: 20px;
-                    }
-
-                    .email-container .footer img {
-                        max-width: 100px;
-                    }
-
-                    .email-container .footer p {
-                        font-size: 12px;
-                        line-height: 1.5;
-                        text-align: center;
-                        color: #f1f1f1;
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="email-container">
-                    <div class="logo">
-                        <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
-                    </div>
-                    <h2>Welcome!</h2>
-                    <p>Thank you for signing up with us. To complete your registration, please confirm your email address by clicking the button below.</p>
-                    <div class="button-container">
-                        <a href="${API_BASE_URL}/user/confirmation/${token}">Verify Email</a>
-                    </div>
-                    <p>If you did not create an account with us, please ignore this email.</p>
-                    <div class="footer">
-                        <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
-                        <p>&copy; 2024 BrightMinds Research LLC. All rights reserved.</p>
-                    </div>
-                </div>
-            </body>
-            </html>
-            `
-        };
-
-        await transporter.sendMail(mailOptions);
+        await sendVerificationEmail(req.body.user.email, token, userData.locale);
 
         const user = new User(userData);
         await user.save();
@@ -238,13 +206,8 @@ exports.signup = async (req, res, next) => {
         res.status(201).json({ response: 'User created. Please check your email to verify your account.' });
 
     } catch (error) {
-        // Handle errors in email sending or user creation
-        console.error('Error during signup:', error);
-
-        // Return a meaningful error message
-        res.status(500).json({
-            error: 'An error occurred during signup. Please try again later.'
-        });
+        // Errors in email sending or user creation; a duplicate email maps to 409.
+        next(error);
     }
 };
 
@@ -303,7 +266,7 @@ exports.confirmation = (req, res, next) => {
                 <body>
                     <div class="container">
                         <div class="logo">
-                            <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
                         </div>
                         <h2>Verification Failed</h2>
                         <p>We were unable to find a user for this token.</p>
@@ -371,21 +334,85 @@ exports.confirmation = (req, res, next) => {
             <body>
                 <div class="container">
                     <div class="logo">
-                        <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                        <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
                     </div>
                     <h2>Already Verified</h2>
                     <p>This user has already been verified.</p>
-                    <a href="https://www.brightmindsresearch.com/">Visit our Site</a>
+                    <a href="${config.siteUrl}/">Visit our Site</a>
                 </div>
             </body>
             </html>
             `);
         }
 
+        if (user.verificationTokenExpires && user.verificationTokenExpires < Date.now()) {
+            return res.status(400).send(`
+                <!DOCTYPE html>
+                <html lang="en">
+                <head>
+                    <meta charset="UTF-8">
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                    <title>Link Expired - BrightMinds Research</title>
+                    <style>
+                        @import url('https://fonts.googleapis.com/css2?family=Montserrat:wght@400;700&display=swap');
+
+                        body {
+                            margin: 0;
+                            padding: 0;
+                            font-family: 'Montserrat', sans-serif;
+                            background-color: #1c1c1c;
+                            color: #1c1c1c;
+                        }
+
+                        .container {
+                            max-width: 600px;
+                            margin: 0 auto;
+                            background-color: #1c1c1c;
+                            border: 1px solid #1c1c1c;
+                            border-radius: 8px;
+                            padding: 20px;
+                            text-align: center;
+                        }
+
+                        .container .logo {
+                            margin-bottom: 20px;
+                        }
+
+                        .container .logo img {
+                            max-width: 230px;
+                        }
+
+                        .container h2 {
+                            color: #cc0000;
+                            font-family: 'MontserratBold', sans-serif;
+                        }
+
+                        .container p {
+                            font-size: 16px;
+                            line-height: 1.5;
+                            color: #f1f1f1;
+                        }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="logo">
+                            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                        </div>
+                        <h2>Link Expired</h2>
+                        <p>This verification link has expired.</p>
+                        <p>Please request a new verification email from the app.</p>
+                    </div>
+                </body>
+                </html>
+            `);
+        }
+
         user.isVerified = true;
+        user.verificationTokenExpires = undefined;
 
         user.save((err) => {
-            if (err) { return res.status(500).send({ msg: err.message }); }
+            if (err) { return next(err); }
             res.status(200).send(`
                 <!DOCTYPE html>
             <html lang="en">
@@ -447,11 +474,11 @@ exports.confirmation = (req, res, next) => {
             <body>
                 <div class="container">
                     <div class="logo">
-                        <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                        <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
                     </div>
                     <h2>Verification Successful!</h2>
                     <p>Your account has been verified. You can now log in.</p>
-                    <a href="https://www.brightmindsresearch.com/">Visit our Site</a>
+                    <a href="${config.siteUrl}/">Visit our Site</a>
                 </div>
             </body>
             </html>
@@ -461,66 +488,278 @@ exports.confirmation = (req, res, next) => {
 };
 
 
-exports.login = (req, res, next) => {
-    User.findOne({email: req.body.email}).then(
-        (user) => {
-            if(!user) {
-                return res.status(401).json({
-                    response: 'user not found.'
-                });
+exports.login = async (req, res, next) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    const password = typeof req.body.password === 'string' ? req.body.password : '';
+
+    try {
+        const user = email ? await User.findOne({ email }) : null;
+
+        if (user && user.lockUntil && user.lockUntil > Date.now()) {
+            return next(new TooManyRequestsError(loginGuard.TOO_MANY_ATTEMPTS_MESSAGE));
+        }
+
+        // Compare against a dummy hash for unknown emails so both cases take the same time.
+        const valid = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+
+        if (!user || !valid) {
+            loginGuard.recordFailedAttempt(req);
+            if (user) {
+                await registerFailedLogin(user);
             }
-            bcrypt.compare(req.body.password,user.password).then(
-                (valid) => {
-                    if(!valid) {
-                        return res.status(401).json({
-                            response: 'incorrect password'
-                        });
+            return next(new UnauthorizedError(INVALID_CREDENTIALS_MESSAGE));
+        }
+
+        loginGuard.clearAccountAttempts(email);
+        if (user.failedLoginAttempts || user.lockUntil) {
+            user.failedLoginAttempts = 0;
+            user.lockUntil = undefined;
+            user.unlockToken = undefined;
+            user.unlockTokenExpires = undefined;
+            await user.save();
+        }
+
+        if (!user.isVerified) {
+            return next(new ForbiddenError('email not verified', { code: 'EMAIL_NOT_VERIFIED' }));
+        }
+
+        const session = await createSession({
+            userId: user._id,
+            deviceId: req.body.deviceId,
+            userAgent: req.get('user-agent'),
+        });
+
+        res.status(200).json({
+            userId: user._id,
+            email: user.email,
+            token: session.accessToken,
+            expiresIn: config.jwt.accessTokenTtl,
+            refreshToken: session.refreshToken,
+            deviceId: session.deviceId
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.unlockAccount = async (req, res, next) => {
+    try {
+        const user = await User.findOne({
+            unlockToken: req.params.token,
+            unlockTokenExpires: { $gt: Date.now() },
+        });
+
+        if (!user) {
+            return res.status(400).send(`
+                <!DOCTYPE html>
+                <html lang="en">
+                <head>
+                    <meta charset="UTF-8" />
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+                    <title>Invalid or Expired Link - BrightMinds Research</title>
+                    <style>
+                        @import url('https://fonts.googleapis.com/css2?family=Montserrat:wght@400;700&display=swap');
+                        body {
+                            margin: 0;
+                            padding: 0;
+                            font-family: 'Montserrat', sans-serif;
+                            background-color: #1c1c1c;
+                            color: #f1f1f1;
+                        }
+                        .email-container {
+                            max-width: 600px;
+                            margin: 50px auto;
+                            background-color: #1c1c1c;
+                            border: 1px solid #1c1c1c;
+                            border-radius: 8px;
+                            padding: 20px;
+                            text-align: center;
+                        }
+                        .email-container .logo img {
+                            max-width: 230px;
+                        }
+                        .email-container h2 {
+                            color: #cc0000;
+                            font-family: 'MontserratBold', sans-serif;
+                        }
+                        .email-container p {
+                            font-size: 16px;
+                            line-height: 1.5;
+                            color: #f1f1f1;
+                        }
+                    </style>
+                </head>
+                <body>
+                    <div class="email-container">
+                        <div class="logo">
+                            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                        </div>
+                        <h2>Invalid or Expired Link</h2>
+                        <p>The unlock link is invalid or has expired.</p>
+                    </div>
+                </body>
+                </html>
+            `);
+        }
+
+        user.failedLoginAttempts = 0;
+        user.lockUntil = undefined;
+        user.unlockToken = undefined;
+        user.unlockTokenExpires = undefined;
+        await user.save();
+        loginGuard.clearAccountAttempts(user.email);
+
+        return res.status(200).send(`
+            <!DOCTYPE html>
+            <html lang="en">
+            <head>
+                <meta charset="UTF-8" />
+                <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+                <title>Account Unlocked - BrightMinds Research</title>
+                <style>
+                    @import url('https://fonts.googleapis.com/css2?family=Montserrat:wght@400;700&display=swap');
+                    body {
+                        margin: 0;
+                        padding: 0;
+                        font-family: 'Montserrat', sans-serif;
+                        background-color: #1c1c1c;
+                        color: #f1f1f1;
                     }
-                    const token = jwt.sign(
-                        {userId: user._id},
-                        'RANDOM_TOKEN_SECRET',
-                        {expiresIn: '24h'});
-                    res.status(200).json({
-                        userId: user._id,
-                        email: user.email,
-                        token: token
-                    });
-                }
-            ).catch((error) => {
-                res.status(500).json({
-                    error: error
-                });
-                console.log(error);
-            })
+                    .email-container {
+                        max-width: 600px;
+                        margin: 50px auto;
+                        background-color: #1c1c1c;
+                        border: 1px solid #1c1c1c;
+                        border-radius: 8px;
+                        padding: 20px;
+                        text-align: center;
+                    }
+                    .email-container .logo img {
+                        max-width: 230px;
+                    }
+                    .email-container h2 {
+                        color: #00407A;
+                        font-family: 'MontserratBold', sans-serif;
+                    }
+                    .email-container p {
+                        font-size: 16px;
+                        line-height: 1.5;
+                        color: #f1f1f1;
+                    }
+                </style>
+            </head>
+            <body>
+                <div class="email-container">
+                    <div class="logo">
+                        <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                    </div>
+                    <h2>Account Unlocked</h2>
+                    <p>Your account has been unlocked. You can now log in.</p>
+                </div>
+            </body>
+            </html>
+        `);
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.resendVerificationEmail = async (req, res, next) => {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+    if (!email) {
+        return next(new BadRequestError('email is required.'));
+    }
+
+    // Same answer whether or not the account exists, so emails cannot be probed.
+    const genericResponse = {
+        message: 'If an unverified account exists for this email, a new verification email has been sent.'
+    };
+
+    try {
+        const user = await User.findOne({ email });
+        if (!user || user.isVerified) {
+            return res.status(200).json(genericResponse);
         }
-    ).catch(
-        (error) => {
-            res.status(400).json({
-                error : error
-            });
-            console.log(error);
+
+        // Nothing is sent during the cooldown; resendVerificationLimiter throttles callers.
+        const lastSentAt = user.verificationEmailSentAt ? user.verificationEmailSentAt.getTime() : 0;
+        if (Date.now() - lastSentAt < VERIFICATION_RESEND_COOLDOWN_MS) {
+            return res.status(200).json(genericResponse);
+        }
+
+        const token = crypto.randomBytes(16).toString('hex');
+        user.verificationToken = token;
+        user.verificationTokenExpires = Date.now() + VERIFICATION_TOKEN_TTL_MS;
+        user.verificationEmailSentAt = Date.now();
+        await user.save();
+
+        await sendVerificationEmail(user.email, token, user.locale);
+
+        res.status(200).json(genericResponse);
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.refreshToken = async (req, res, next) => {
+    try {
+        const session = await rotateSession(req.body.refreshToken);
+        if (!session) {
+            return next(new UnauthorizedError('Invalid or expired refresh token.'));
         }
-    );
+
+        res.status(200).json({
+            userId: session.userId,
+            token: session.accessToken,
+            expiresIn: config.jwt.accessTokenTtl,
+            refreshToken: session.refreshToken
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.logout = async (req, res, next) => {
+    if (!req.body.refreshToken) {
+        return next(new BadRequestError('refreshToken is required.'));
+    }
+
+    try {
+        const revoked = await revokeSession(req.body.refreshToken, req.user.userId);
+        if (!revoked) {
+            return next(new NotFoundError('Session not found.'));
+        }
+        res.status(200).json({ message: 'Logged out.' });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.logoutAll = async (req, res, next) => {
+    try {
+        const revokedCount = await revokeAllSessions(req.user.userId);
+        res.status(200).json({ message: 'Logged out from all devices.', revokedSessions: revokedCount });
+    } catch (error) {
+        next(error);
+    }
 };
 
 exports.getAllUser = async (req, res, next) => {
     try {
-      const users = await User.find()
-        .select('_id email username role profilePictureUrl evaluation_list bookmarkedcontent preferences tracking castPublications articlePublications university verificationToken isVerified'); 
+      const users = await paginate(User, {}, req.query, USER_LIST_OPTIONS);
   
       res.status(200).json(users);
     } catch (error) {
-      res.status(500).json({ error: 'An error occurred.' });
+      next(error);
     }
   };
 
   exports.getOneUser = async (req, res, next) => {
     try {
       const user = await User.findById(req.params.id);
-      console.log(user.tracking);
   
       if (!user) {
-        return res.status(404).json({ message: 'User not found.' });
+        return next(new NotFoundError('User not found.'));
       }
   
       const userObject = {
@@ -528,6 +767,8 @@ exports.getAllUser = async (req, res, next) => {
         email: user.email,
         username: user.username,
         role: user.role,
+        platformRole: user.platformRole,
+        locale: user.locale,
         university: user.university,
         profilePictureUrl: user.profilePictureUrl,
         evaluation_list: user.evaluation_list,
@@ -537,12 +778,11 @@ exports.getAllUser = async (req, res, next) => {
         castPublications: user.castPublications,
         articlePublications: user.articlePublications,
         isVerified : user.isVerified,
-        verificationToken: user.verificationToken,
       };
   
       res.status(200).json(userObject);
     } catch (error) {
-      res.status(500).json({ error: 'Internal server error' });
+      next(error);
     }
 };
 
@@ -553,58 +793,50 @@ exports.updateOneUser = async (req, res, next) => {
         // Find the user by ID
         const user = await User.findById(userId);
         if (!user) {
-            return res.status(404).json({ message: 'User not found.' });
+            return next(new NotFoundError('User not found.'));
         }
 
         // Check if there's a new profile picture in the request
         if (req.file) {
-            // Parse the user data from the request body
-            // Assuming the user data is sent as a JSON string under 'user' key
-            req.body.user = req.body.user ? JSON.parse(req.body.user) : {};
-
-            // Extract the old profile picture filename
-            const oldImageUrl = user.profilePictureUrl;
-            const oldImageFilename = oldImageUrl
-                ? oldImageUrl.split('/backend/media/profile_pictures/')[1]
-                : null;
+            // The user fields, sent as a JSON string under the 'user' key, are parsed by jsonField()
+            req.body.user = req.body.user || {};
 
-            // Define the path to the old image
-            const oldImagePath = oldImageFilename
-                ? `./backend/media/profile_pictures/${oldImageFilename}`
-                : null;
+            // Storage key of the old profile picture
+            const oldImageKey = mediaKey(user.profilePictureUrl, 'profile_pictures');
 
             // Delete the old image if it exists
-            if (oldImagePath) {
+            if (oldImageKey) {
                 try {
-                    await deleteFile(oldImagePath);
+                    await deleteFile(oldImageKey);
                 } catch (err) {
                     // If deletion fails, respond with an error
-                    return res.status(500).json({ error: 'Failed to delete old profile picture.' });
+                    return next(err);
                 }
             }
 
             // Update the profilePictureUrl with the new image
-            const url = "https://api.brightmindsresearch.com";
-            user.profilePictureUrl = `${url}/backend/media/profile_pictures/${req.file.filename}`;
+            user.profilePictureUrl = mediaUrl('profile_pictures', req.file.filename);
         } else {
-            // If no new image, ensure req.body.user is parsed if provided
-            req.body.user = req.body.user ? JSON.parse(req.body.user) : {};
+            // If no new image, the user fields may still be provided
+            req.body.user = req.body.user || {};
         }
 
-        // Update other user fields
-        // You can choose to whitelist specific fields to prevent unwanted updates
+        // Update other user fields. The academic role grants publishing rights and
+        // the university opens university-visibility content, so admins change them
+        // (PUT /user/:id/role, PUT /user/:id/university); the publication lists
+        // follow the casts and articles themselves. The evaluation list and tracking
+        // feed trending and are kept by their own endpoints.
         const allowedFields = [
             'email',
             'username',
-            'role',
-            'evaluation_list',
             'preferences',
-            'tracking',
-            'castPublications',
-            'articlePublications',
-            'university',
+            'locale',
         ];
 
+        if (req.body.user.locale !== undefined && !supportedLocales.includes(req.body.user.locale)) {
+            return next(new BadRequestError(`Invalid locale. Must be one of ${supportedLocales.join(', ')}.`));
+        }
+
         allowedFields.forEach(field => {
             if (req.body.user[field] !== undefined) {
                 user[field] = req.body.user[field];
@@ -614,41 +846,133 @@ exports.updateOneUser = async (req, res, next) => {
         // Optional: Validate department if it's being updated
         if (req.body.user.department) {
             if (!departmentNames.includes(req.body.user.department)) {
-                return res.status(400).json({ error: 'Invalid department.' });
+                return next(new BadRequestError('Invalid department.'));
             }
             user.department = req.body.user.department;
         }
 
+        // A new address is verified again before the next login.
+        const emailChanged = user.isModified('email');
+        if (emailChanged) {
+            if (!emailVerificator(user.email)) {
+                return next(new BadRequestError('The email domain name is not a valid one.'));
+            }
+            user.isVerified = false;
+            user.verificationToken = crypto.randomBytes(16).toString('hex');
+            user.verificationTokenExpires = Date.now() + VERIFICATION_TOKEN_TTL_MS;
+            user.verificationEmailSentAt = Date.now();
+        }
+
         // Save the updated user
         await user.save();
 
-        res.status(200).json({ message: 'User updated successfully.', user });
+        if (emailChanged) {
+            await sendVerificationEmail(user.email, user.verificationToken, user.locale);
+        }
+
+        // Tokens and the password hash stay out of the response.
+        const {
+            password, verificationToken, resetPasswordToken, unlockToken, ...updatedUser
+        } = user.toObject();
+        res.status(200).json({ message: 'User updated successfully.', user: updatedUser });
     } catch (error) {
-        console.error('Error updating user:', error);
-        res.status(500).json({ error: 'Internal server error.' });
+        next(error);
     }
 };
 
-exports.deleteOneUser = (req, res, next) => {
-    User.findOne({_id:req.params.id}).then(
-        (user) => {
-            const filename = user.profilePictureUrl.split('/backend/media/profile_pictures/')[1];
-            fs.unlink('./backend/media/profile_pictures/' + filename, () => {
-                User.deleteOne({_id: req.params.id}).then(
-                    () => {
-                        res.status(200).json({
-                            response: "user removed."
-                        });
-                    }
-                ).catch((error) => {
-                    res.status(404).json({
-                        error: error
-                    });
-                });
-            })
+exports.deleteOneUser = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return next(new NotFoundError('User not found.'));
+        }
+
+        const options = await parseCleanupOptions(user, req.query, req.user);
+        const cleanup = await cleanUpUserAccount({ user, ...options, deletedBy: req.user.userId });
+
+        // The profile picture and the account are purged once the retention period ends.
+        const trash = await moveToTrash('user', user, req.user.userId);
+        await revokeAllSessions(user._id);
+
+        res.status(200).json({ response: "user removed.", ...trash, cleanup });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.restoreUser = async (req, res, next) => {
+    try {
+        const user = await findInTrash('user', req.params.id);
+        if (!user) {
+            return next(new NotFoundError('User not found in trash.'));
+        }
+        // The address was released when the account was deleted and may have signed up again.
+        if (user.deletedEmail && await User.exists({ email: user.deletedEmail })) {
+            return next(new ConflictError('Another account uses the email address of this user.'));
+        }
+        if (!await restoreFromTrash('user', user)) {
+            return next(new NotFoundError('User not found in trash.'));
+        }
+        const restored = await restoreUserAccount(user._id);
+
+        res.status(200).json({ response: "user restored.", restored });
+    } catch (error) {
+        next(error);
+    }
+};
+
+// A new export can be requested once the previous one is built, or after this delay if it is stuck.
+const DATA_EXPORT_RETRY_MS = 60 * 60 * 1000; // 1 hour
+
+exports.requestDataExport = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.params.id).select('_id').lean();
+        if (!user) {
+            return next(new NotFoundError('User not found.'));
+        }
+
+        const inProgress = await DataExport.exists({
+            userId: user._id,
+            status: 'pending',
+            createdAt: { $gt: new Date(Date.now() - DATA_EXPORT_RETRY_MS) },
+        });
+        if (inProgress) {
+            return next(new ConflictError('An export is already being prepared.'));
         }
-    )
-}
+
+        const dataExport = await DataExport.create({ userId: user._id });
+        await exportQueue.add({ exportId: String(dataExport._id), requestId: req.id });
+
+        res.status(202).json({
+            message: 'Export started. You will receive an email when it is ready.',
+            exportId: dataExport._id,
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.downloadDataExport = async (req, res, next) => {
+    try {
+        const dataExport = await findExportByToken(req.params.token);
+        if (!dataExport) {
+            return next(new NotFoundError('Export not found.'));
+        }
+        if (dataExport.expiresAt <= new Date()) {
+            return next(new GoneError('This download link has expired.'));
+        }
+
+        const filename = `brightminds-data-${dataExport.completedAt.toISOString().slice(0, 10)}.zip`;
+        res.download(dataExport.filePath, filename, (error) => {
+            if (error && !res.headersSent) {
+                logger.error('Error sending data export', { exportId: String(dataExport._id), error });
+                next(new NotFoundError('Export not found.'));
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
 
 exports.updateUserAddContentToList = async (req, res, next) => {
     const userId = req.params.id;
@@ -658,20 +982,21 @@ exports.updateUserAddContentToList = async (req, res, next) => {
     try {
         // Determine the category of the content
         let category;
+        const viewer = await getViewer(req);
         if (type === 'cast') {
             const cast = await Cast.findById(contentId);
-            if (!cast) {
-                return res.status(404).json({ message: 'Cast not found.' });
+            if (!cast || !canView(viewer, cast)) {
+                return next(new NotFoundError('Cast not found.'));
             }
             category = cast.department;
         } else if (type === 'article') {
             const article = await Article.findById(contentId);
-            if (!article) {
-                return res.status(404).json({ message: 'Article not found.' });
+            if (!article || !canView(viewer, article)) {
+                return next(new NotFoundError('Article not found.'));
             }
             category = article.department;
         } else {
-            return res.status(400).json({ message: 'Invalid content type.' });
+            return next(new BadRequestError('Invalid content type.'));
         }
 
         // Build the evaluation object you want to add.
@@ -679,7 +1004,8 @@ exports.updateUserAddContentToList = async (req, res, next) => {
             contentid: contentId,
             type: type,
             watched: true,
-            answered: false
+            answered: false,
+            watchedAt: new Date()
         };
 
         // If the content already exists, update its status (no duplicates).
@@ -688,7 +1014,8 @@ exports.updateUserAddContentToList = async (req, res, next) => {
             {
                 $set: {
                     "evaluation_list.$.watched": true,
-                    "evaluation_list.$.type": type
+                    "evaluation_list.$.type": type,
+                    "evaluation_list.$.watchedAt": new Date()
                 }
             }
         );
@@ -722,8 +1049,7 @@ exports.updateUserAddContentToList = async (req, res, next) => {
 
         return res.status(200).json({ message: 'Content added to evaluation list and history updated.' });
     } catch (error) {
-        console.error(error);
-        return res.status(500).json({ error: 'An error occurred.' });
+        next(error);
     }
 };
 
@@ -735,7 +1061,7 @@ exports.updateUserRemoveContentFromList = (req, res, next) => {
     User.findById(userId)
         .then((user) => {
             if (!user) {
-                return res.status(404).json({ message: 'User not found.' });
+                return next(new NotFoundError('User not found.'));
             }
 
             // Filter out the evaluation object with the specified castId
@@ -748,9 +1074,7 @@ exports.updateUserRemoveContentFromList = (req, res, next) => {
         .then(() => {
             res.status(200).json({ message: 'Content removed from evaluation list.' });
         })
-        .catch((error) => {
-            res.status(500).json({ error: 'An error occurred.' });
-        });
+        .catch(next);
 };
 
 exports.getUserBookmarks = async (req, res, next) => {
@@ -760,7 +1084,7 @@ exports.getUserBookmarks = async (req, res, next) => {
         const user = await User.findById(userId).lean();
 
         if (!user) {
-            return res.status(404).json({ message: 'User not found.' });
+            return next(new NotFoundError('User not found.'));
         }
 
         const bookmarks = Array.isArray(user.bookmarkedcontent) ? user.bookmarkedcontent : [];
@@ -792,9 +1116,11 @@ exports.getUserBookmarks = async (req, res, next) => {
         const castQueryIds = [...new Set([...castIds, ...unknownIds])].filter(isValidObjectId);
         const articleQueryIds = [...new Set([...articleIds, ...unknownIds])].filter(isValidObjectId);
 
+        // Content the caller is not allowed to read is expanded as null.
+        const viewer = await getViewer(req);
         const [casts, articles] = await Promise.all([
-            castQueryIds.length ? Cast.find({ _id: { $in: castQueryIds } }).lean() : [],
-            articleQueryIds.length ? Article.find({ _id: { $in: articleQueryIds } }).lean() : [],
+            castQueryIds.length ? Cast.find(withVisibility({ _id: { $in: castQueryIds } }, viewer)).lean() : [],
+            articleQueryIds.length ? Article.find(withVisibility({ _id: { $in: articleQueryIds } }, viewer)).lean() : [],
         ]);
 
         const castMap = new Map(casts.map((cast) => [String(cast._id), cast]));
@@ -836,7 +1162,7 @@ exports.getUserBookmarks = async (req, res, next) => {
 
         return res.status(200).json(expandedBookmarks);
     } catch (error) {
-        res.status(500).json({ error: 'An error occurred.' });
+        next(error);
     }
 };
 
@@ -847,57 +1173,58 @@ exports.addUserBookmark = async (req, res, next) => {
 
     try {
         if (rawType && !normalizeContentType(rawType)) {
-            return res.status(400).json({ message: 'Invalid content type.' });
+            return next(new BadRequestError('Invalid content type.'));
         }
 
         if (!contentId) {
-            return res.status(400).json({ message: 'contentId is required.' });
+            return next(new BadRequestError('contentId is required.'));
         }
 
         if (!isValidObjectId(contentId)) {
-            return res.status(400).json({ message: 'Invalid contentId.' });
+            return next(new BadRequestError('Invalid contentId.'));
         }
 
         const userExists = await User.exists({ _id: userId });
         if (!userExists) {
-            return res.status(404).json({ message: 'User not found.' });
+            return next(new NotFoundError('User not found.'));
         }
 
+        const visibleContent = withVisibility({ _id: contentId }, await getViewer(req));
         let resolvedType = normalizeContentType(type);
         let castFound = null;
         let articleFound = null;
         if (!resolvedType) {
             const [cast, article] = await Promise.all([
-                Cast.findById(contentId).select('_id').lean(),
-                Article.findById(contentId).select('_id').lean(),
+                Cast.findOne(visibleContent).select('_id').lean(),
+                Article.findOne(visibleContent).select('_id').lean(),
             ]);
             castFound = !!cast;
             articleFound = !!article;
             if (cast && article) {
-                return res.status(400).json({ message: 'Content type is required.' });
+                return next(new BadRequestError('Content type is required.'));
             }
             if (!cast && !article) {
-                return res.status(404).json({ message: 'Content not found.' });
+                return next(new NotFoundError('Content not found.'));
             }
             resolvedType = cast ? 'cast' : 'article';
         }
 
         if (resolvedType === 'cast') {
             if (castFound === null) {
-                castFound = await Cast.exists({ _id: contentId });
+                castFound = await Cast.exists(visibleContent);
             }
             if (!castFound) {
-                return res.status(404).json({ message: 'Cast not found.' });
+                return next(new NotFoundError('Cast not found.'));
             }
         } else if (resolvedType === 'article') {
             if (articleFound === null) {
-                articleFound = await Article.exists({ _id: contentId });
+                articleFound = await Article.exists(visibleContent);
             }
             if (!articleFound) {
-                return res.status(404).json({ message: 'Article not found.' });
+                return next(new NotFoundError('Article not found.'));
             }
         } else {
-            return res.status(400).json({ message: 'Invalid content type.' });
+            return next(new BadRequestError('Invalid content type.'));
         }
 
         const addBookmarkResult = await User.updateOne(
@@ -928,7 +1255,7 @@ exports.addUserBookmark = async (req, res, next) => {
                 }
             );
 
-            return res.status(400).json({ message: 'Element is already bookmarked.' });
+            return next(new ConflictError('Element is already bookmarked.'));
         }
 
         res.status(201).json({
@@ -939,7 +1266,7 @@ exports.addUserBookmark = async (req, res, next) => {
             },
         });
     } catch (error) {
-        res.status(500).json({ error: 'An error occurred.' });
+        next(error);
     }
 };
 
@@ -953,17 +1280,17 @@ exports.removeUserBookmark = async (req, res, next) => {
 
     try {
         if (!contentId) {
-            return res.status(400).json({ message: 'contentId is required.' });
+            return next(new BadRequestError('contentId is required.'));
         }
 
         const userExists = await User.exists({ _id: userId });
         if (!userExists) {
-            return res.status(404).json({ message: 'User not found.' });
+            return next(new NotFoundError('User not found.'));
         }
 
         const rawType = req.query.type || req.query.contentType || req.body?.type || req.body?.contentType;
         if (rawType && !normalizeContentType(rawType)) {
-            return res.status(400).json({ message: 'Invalid content type.' });
+            return next(new BadRequestError('Invalid content type.'));
         }
         const normalizedType = normalizeContentType(rawType);
 
@@ -977,12 +1304,12 @@ exports.removeUserBookmark = async (req, res, next) => {
         );
 
         if (removeResult.modifiedCount === 0) {
-            return res.status(404).json({ message: 'Bookmark not found.' });
+            return next(new NotFoundError('Bookmark not found.'));
         }
 
         res.status(200).json({ message: 'Element removed from bookmarks.' });
     } catch (error) {
-        res.status(500).json({ error: 'An error occurred.' });
+        next(error);
     }
 };
 
@@ -993,17 +1320,20 @@ exports.markContentAsAnswered = async (req, res, next) => {
     User.findById(userId)
         .then((user) => {
             if (!user) {
-                return res.status(404).json({ message: 'User not found.' });
+                return next(new NotFoundError('User not found.'));
             }
 
             // Find the specific evaluation in the user's "evaluation_list" array
             const evaluation = user.evaluation_list.find(item => item.contentid === contentId);
 
             if (!evaluation) {
-                return res.status(404).json({ message: 'Evaluation not found.' });
+                return next(new NotFoundError('Evaluation not found.'));
             }
 
             // Update the "answered" field to true
+            if (!evaluation.answered) {
+                evaluation.answeredAt = new Date();
+            }
             evaluation.answered = true;
 
             // Save the user object with the updated evaluation
@@ -1012,9 +1342,7 @@ exports.markContentAsAnswered = async (req, res, next) => {
         .then(() => {
             res.status(200).json({ message: 'Content marked as answered.' });
         })
-        .catch((error) => {
-            res.status(500).json({ error: 'An error occurred.' });
-        });
+        .catch(next);
 }
 
 exports.getSuggestedForYou = async (req, res, next) => {
@@ -1022,19 +1350,20 @@ exports.getSuggestedForYou = async (req, res, next) => {
         const user = await User.findById(req.params.id);
 
         if (!user) {
-            return res.status(404).json({ message: 'User not found.' });
+            return next(new NotFoundError('User not found.'));
         }
 
         if (!user.preferences || user.preferences.length === 0) {
-            return res.status(404).json({ message: 'No preferences set for user.' });
+            return next(new NotFoundError('No preferences set for user.'));
         }
 
         // Step 1: Fetch user preferences
         const preferences = user.preferences;
 
-        // Step 2: Fetch casts for each preference category
+        // Step 2: Fetch the casts the caller can see for each preference category
+        const viewer = await getViewer(req);
         const castsByCategory = await Promise.all(preferences.map(async (pref) => {
-            const casts = await Cast.find({ department: pref.category }).sort({ _id: 1 }).lean();
+            const casts = await Cast.find(withVisibility({ department: pref.category }, viewer)).sort({ _id: 1 }).lean();
             return casts.map(cast => ({ ...cast, weight: pref.weight }));
         }));
 
@@ -1058,8 +1387,7 @@ exports.getSuggestedForYou = async (req, res, next) => {
 
         res.status(200).json(finalCasts);
     } catch (error) {
-        console.error('Error fetching suggested casts:', error);
-        res.status(500).json({ error: 'An error occurred.' });
+        next(error);
     }
 };
 
@@ -1067,14 +1395,12 @@ exports.getUserPreferences = (req, res, next) => {
     User.findById(req.params.id)
         .then(user => {
             if (!user) {
-                return res.status(404).json({ message: 'User not found.' });
+                return next(new NotFoundError('User not found.'));
             }
 
             res.status(200).json({ preferences: user.preferences });
         })
-        .catch(error => {
-            res.status(500).json({ error: 'An error occurred while fetching user preferences.' });
-        });
+        .catch(next);
 };
 
 exports.updateUserPreferences = async (req, res, next) => {
@@ -1083,19 +1409,19 @@ exports.updateUserPreferences = async (req, res, next) => {
 
     // Verification for 'modification' field
     if (!modification || (modification !== 'positive' && modification !== 'negative')) {
-        return res.status(400).json({ message: 'Invalid modification type. Must be either "positive" or "negative".' });
+        return next(new BadRequestError('Invalid modification type. Must be either "positive" or "negative".'));
     }
 
     // Verification for 'category' field
     if (!departmentNames.includes(category)) {
-        return res.status(400).json({ message: 'Invalid category. Must be one of the predefined departments.' });
+        return next(new BadRequestError('Invalid category. Must be one of the predefined departments.'));
     }
 
     try {
         const user = await User.findById(userId);
 
         if (!user) {
-            return res.status(404).json({ message: 'User not found.' });
+            return next(new NotFoundError('User not found.'));
         }
 
         // Check if the category already exists in user preferences
@@ -1127,12 +1453,83 @@ exports.updateUserPreferences = async (req, res, next) => {
 
         res.status(200).json({ message: 'User preferences updated.', preferences: user.preferences });
     } catch (error) {
-        res.status(500).json({ error: 'An error occurred.' });
+        next(error);
+    }
+};
+
+
+exports.updateUserPlatformRole = async (req, res, next) => {
+    const { platformRole } = req.body;
+
+    if (!platformRoles.includes(platformRole)) {
+        return next(new BadRequestError(`Invalid platform role. Must be one of ${platformRoles.join(', ')}.`));
+    }
+
+    // Admins cannot demote themselves, so the platform always keeps one admin.
+    if (req.params.id === req.user.userId && platformRole !== 'admin') {
+        return next(new ForbiddenError('Admins cannot change their own platform role.'));
+    }
+
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return next(new NotFoundError('User not found.'));
+        }
+
+        user.platformRole = platformRole;
+        await user.save();
+
+        res.status(200).json({ message: 'Platform role updated.', platformRole: user.platformRole });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.updateUserRole = async (req, res, next) => {
+    const { role } = req.body;
+
+    if (!academicRoles.includes(role)) {
+        return next(new BadRequestError(`Invalid role. Must be one of ${academicRoles.join(', ')}.`));
+    }
+
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return next(new NotFoundError('User not found.'));
+        }
+
+        user.role = role;
+        await user.save();
+
+        res.status(200).json({ message: 'Role updated.', role: user.role });
+    } catch (error) {
+        next(error);
     }
 };
 
+exports.updateUserUniversity = async (req, res, next) => {
+    const { university } = req.body;
+
+    try {
+        if (!await University.exists({ name: university })) {
+            return next(new BadRequestError('Unknown university.'));
+        }
 
-exports.updateUserTracking = async (req, res) => {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return next(new NotFoundError('User not found.'));
+        }
+
+        user.university = university;
+        await user.save();
+
+        res.status(200).json({ message: 'University updated.', university: user.university });
+    } catch (error) {
+        next(error);
+    }
+};
+
+exports.updateUserTracking = async (req, res, next) => {
     const userId = req.params.id;
     const { objective } = req.body;
 
@@ -1142,12 +1539,12 @@ exports.updateUserTracking = async (req, res) => {
     try {
         // Validate the objective value
         if (!validObjectives.includes(objective)) {
-            return res.status(400).json({ message: 'Invalid objective value. Must be one of Follower, Explorer, Deep Learner, Career, or Researcher.' });
+            return next(new BadRequestError('Invalid objective value. Must be one of Follower, Explorer, Deep Learner, Career, or Researcher.'));
         }
 
         const user = await User.findById(userId);
         if (!user) {
-            return res.status(404).json({ message: 'User not found.' });
+            return next(new NotFoundError('User not found.'));
         }
 
         // Set the objective and target fields
@@ -1157,37 +1554,34 @@ exports.updateUserTracking = async (req, res) => {
         await user.save();
         res.status(200).json({ message: 'Tracking updated successfully.', tracking: user.tracking });
     } catch (error) {
-        res.status(500).json({ error: 'An error occurred.' });
+        next(error);
     }
 };
 
 
-exports.getUserTracking = async (req, res) => {
+exports.getUserTracking = async (req, res, next) => {
     const userId = req.params.id;
 
     try {
         const user = await User.findById(userId).select('tracking');
         if (!user) {
-            return res.status(404).json({ message: 'User not found.' });
+            return next(new NotFoundError('User not found.'));
         }
 
         res.status(200).json({ tracking: user.tracking, target: user.tracking.target});
     } catch (error) {
-        res.status(500).json({ error: 'An error occurred.' });
+        next(error);
     }
 };
 
-exports.requestPasswordResetEmail = async (req, res) => {
+exports.requestPasswordResetEmail = async (req, res, next) => {
     try {
-      const { email } = req.body;
-      const user = await User.findOne({ email });
+      const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+      const user = email ? await User.findOne({ email }) : null;
   
-      // If user doesn't exist or is not verified, handle accordingly:
-      if (!user) {
-        return res.status(404).json({ message: 'No user found with that email address.' });
-      }
-      if (!user.isVerified) {
-        return res.status(400).json({ message: 'Your email has not been verified.' });
+      // Same answer for unknown or unverified accounts, so emails cannot be probed.
+      if (!user || !user.isVerified) {
+        return res.status(200).json({ message: PASSWORD_RESET_REQUESTED_MESSAGE });
       }
   
       // Generate reset token
@@ -1199,41 +1593,24 @@ exports.requestPasswordResetEmail = async (req, res) => {
       await user.save();
   
       // Send the reset link via email
-      const transporter = nodemailer.createTransport({
-        service: 'Gmail',
-        auth: {
-          user: 'clement.carnus@brightmindsresearch.com',
-          pass: EMAIL_PWD,
+      await sendTemplatedEmail({
+        to: user.email,
+        template: 'passwordReset',
+        locale: user.locale,
+        data: {
+          username: user.username,
+          resetUrl: `${config.baseUrl}/user/reset-password/${token}`,
         },
       });
   
-      // You can customize your email's text or HTML
-      const mailOptions = {
-        from: 'clement.carnus@brightmindsresearch.com',
-        to: user.email,
-        subject: 'Password Reset - BrightMinds Research',
-        html: `
-          <p>Hello ${user.username},</p>
-          <p>You requested a password reset for your BrightMinds Research account.</p>
-          <p>Please click the link below to set a new password (valid for 1 hour):</p>
-          <p><a href="${API_BASE_URL}/user/reset-password/${token}">
-            Reset Your Password
-          </a></p>
-          <p>If you did not request this, please ignore this email.</p>
-        `,
-      };
-  
-      await transporter.sendMail(mailOptions);
-  
-      res.status(200).json({ message: 'Password reset link sent to your email.' });
+      res.status(200).json({ message: PASSWORD_RESET_REQUESTED_MESSAGE });
     } catch (error) {
-      console.error('Error sending reset email:', error);
-      res.status(500).json({ message: 'Error sending reset email.' });
+      next(error);
     }
   };  
 
 
-  exports.showResetPasswordForm = async (req, res) => {
+  exports.showResetPasswordForm = async (req, res, next) => {
     try {
         const { token } = req.params;
         // Ensure token corresponds to a valid user and is not expired
@@ -1301,7 +1678,7 @@ exports.requestPasswordResetEmail = async (req, res) => {
                         <h2>Invalid or Expired Link</h2>
                         <p>The password reset link is invalid or has expired.</p>
                         <div class="button-container">
-                            <a href="https://www.brightmindsresearch.com/">Visit our Site</a>
+                            <a href="${config.siteUrl}/">Visit our Site</a>
                         </div>
                     </div>
                 </body>
@@ -1445,7 +1822,7 @@ exports.requestPasswordResetEmail = async (req, res) => {
             <body>
                 <div class="email-container">
                     <div class="logo">
-                        <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                        <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
                     </div>
                     <h2>Reset Your Password</h2>
                     <p>Please enter your new password below.</p>
@@ -1461,7 +1838,7 @@ exports.requestPasswordResetEmail = async (req, res) => {
                         <button type="submit">Reset Password</button>
                     </form>
                     <div class="footer">
-                        <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
+                        <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
                         <p>&copy; 2024 BrightMinds Research LLC. All rights reserved.</p>
                     </div>
                 </div>
@@ -1469,7 +1846,7 @@ exports.requestPasswordResetEmail = async (req, res) => {
             </html>
         `);
     } catch (error) {
-        console.error('Error rendering password reset form:', error);
+        logger.error('Error rendering password reset form', { error });
         res.status(500).send(`
             <!DOCTYPE html>
             <html lang="en">
@@ -1529,7 +1906,7 @@ exports.requestPasswordResetEmail = async (req, res) => {
                     <h2>Server Error</h2>
                     <p>Sorry, something went wrong. Please try again later.</p>
                     <div class="button-container">
-                        <a href="https://www.brightmindsresearch.com/">Visit our Site</a>
+                        <a href="${config.siteUrl}/">Visit our Site</a>
                     </div>
                 </div>
             </body>
@@ -1538,7 +1915,7 @@ exports.requestPasswordResetEmail = async (req, res) => {
     }
 };
 
-exports.resetPassword = async (req, res) => {
+exports.resetPassword = async (req, res, next) => {
     try {
         const { token } = req.params;
         const { password, confirmPassword } = req.body;
@@ -1602,7 +1979,7 @@ exports.resetPassword = async (req, res) => {
                 <body>
                     <div class="email-container">
                         <div class="logo">
-                            <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
                         </div>
                         <h2>Invalid Submission</h2>
                         <p>Please provide both password fields.</p>
@@ -1610,7 +1987,7 @@ exports.resetPassword = async (req, res) => {
                             <a href="javascript:history.back()">Go Back</a>
                         </div>
                         <div class="footer">
-                            <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
+                            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
                             <p>&copy; 2024 BrightMinds Research LLC. All rights reserved.</p>
                         </div>
                     </div>
@@ -1678,7 +2055,7 @@ exports.resetPassword = async (req, res) => {
                 <body>
                     <div class="email-container">
                         <div class="logo">
-                            <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
                         </div>
                         <h2>Passwords Do Not Match</h2>
                         <p>The passwords you entered do not match. Please try again.</p>
@@ -1686,7 +2063,7 @@ exports.resetPassword = async (req, res) => {
                             <a href="javascript:history.back()">Go Back</a>
                         </div>
                         <div class="footer">
-                            <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
+                            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
                             <p>&copy; 2024 BrightMinds Research LLC. All rights reserved.</p>
                         </div>
                     </div>
@@ -1775,12 +2152,12 @@ exports.resetPassword = async (req, res) => {
                 <body>
                     <div class="email-container">
                         <div class="logo">
-                            <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
                         </div>
                         <h2>Invalid or Expired Link</h2>
                         <p>The password reset link is invalid or has expired.</p>
                         <div class="footer">
-                            <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
+                            <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
                             <p>&copy; 2024 BrightMinds Research LLC. All rights reserved.</p>
                         </div>
                     </div>
@@ -1796,7 +2173,15 @@ exports.resetPassword = async (req, res) => {
         user.password = hash;
         user.resetPasswordToken = undefined;
         user.resetPasswordExpires = undefined;
+        user.failedLoginAttempts = 0;
+        user.lockUntil = undefined;
+        user.unlockToken = undefined;
+        user.unlockTokenExpires = undefined;
         await user.save();
+        loginGuard.clearAccountAttempts(user.email);
+
+        // A password change signs the user out of every device.
+        await revokeAllSessions(user._id);
 
         // Return a success message (styled similarly to your verification emails)
         return res.status(200).send(`
@@ -1857,12 +2242,12 @@ exports.resetPassword = async (req, res) => {
             <body>
                 <div class="email-container">
                     <div class="logo">
-                        <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
+                        <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_title.png" alt="BrightMinds Research">
                     </div>
                     <h2>Password Updated!</h2>
                     <p>Your password has been successfully updated. You can now log in with your new password.</p>
                     <div class="footer">
-                        <img src="${API_BASE_URL}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
+                        <img src="${config.baseUrl}/backend/media/verification_email/BrightMinds_icon.png" alt="BrightMinds Footer">
                         <p>&copy; 2024 BrightMinds Research LLC. All rights reserved.</p>
                     </div>
                 </div>
@@ -1870,7 +2255,7 @@ exports.resetPassword = async (req, res) => {
             </html>
         `);
     } catch (error) {
-        console.error('Error resetting password:', error);
+        logger.error('Error resetting password', { error });
         return res.status(500).send(`
             <!DOCTYPE html>
             <html lang="en">
@@ -1924,7 +2309,7 @@ exports.resetPassword = async (req, res) => {
                     <h2>Server Error</h2>
                     <p>Sorry, something went wrong. Please try again later.</p>
                     <div class="button-container">
-                        <a href="https://www.brightmindsresearch.com/">Visit our Site</a>
+                        <a href="${config.siteUrl}/">Visit our Site</a>
                     </div>
                 </div>
             </body>
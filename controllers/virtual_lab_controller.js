@@ -1,34 +1,42 @@
 const VirtualLab = require('../models/virtual_lab_model.js');
-const fs = require('fs');
+const { paginate, schemaFields } = require('../backend/pagination.js');
+const { BadRequestError, NotFoundError } = require('../backend/errors.js');
+const { deleteFile, mediaUrl, mediaKey } = require('./fileHelper.js');
+
+const VIRTUAL_LAB_LIST_OPTIONS = {
+    sortFields: ['name'],
+    selectableFields: schemaFields(VirtualLab),
+};
 
 
 exports.createVirtualLab = async (req, res, next) => {
+    if (!req.file) {
+        return next(new BadRequestError('An icon is required.'));
+    }
 
-    const url = req.protocol + "://" + req.get('host');
-    req.body.virtuallab = JSON.parse(req.body.virtuallab);
     const virtualLab = new VirtualLab({
         name: req.body.virtuallab.name,
         followers: req.body.virtuallab.followers,
         members: req.body.virtuallab.members,
         topics: req.body.virtuallab.topics,
         colorcode: req.body.virtuallab.colorcode,
-        iconurl: url + '/backend/media/virtuallab_icon/' + req.file.filename
+        iconurl: mediaUrl('virtuallab_icon', req.file.filename)
     });
 
     try {
         await virtualLab.save();
         res.status(201).json({ message: 'Virtual lab created successfully.' });
     } catch (error) {
-        res.status(500).json({ error });
+        next(error);
     }
 };
 
 exports.getAllVirtualLabs = async (req, res, next) => {
     try {
-        const virtualLabs = await VirtualLab.find();
+        const virtualLabs = await paginate(VirtualLab, {}, req.query, VIRTUAL_LAB_LIST_OPTIONS);
         res.status(200).json(virtualLabs);
     } catch (error) {
-        res.status(500).json({ error });
+        next(error);
     }
 };
 
@@ -36,11 +44,11 @@ exports.getOneVirtualLab = async (req, res, next) => {
     try {
         const virtualLab = await VirtualLab.findById(req.params.id);
         if (!virtualLab) {
-            return res.status(404).json({ message: 'Virtual lab not found.' });
+            return next(new NotFoundError('Virtual lab not found.'));
         }
         res.status(200).json(virtualLab);
     } catch (error) {
-        res.status(500).json({ error });
+        next(error);
     }
 };
 
@@ -55,36 +63,35 @@ exports.updateOneVirtualLab = (req, res, next) => {
     };
 
     if (req.file) {
-        const url = req.protocol + "://" + req.get('host');
-        virtualLabData.iconurl = url + '/backend/media/virtuallab_icon/' + req.file.filename;
+        virtualLabData.iconurl = mediaUrl('virtuallab_icon', req.file.filename);
     } else {
         virtualLabData.iconurl = req.body.iconurl;
     }
 
     VirtualLab.updateOne({ _id: req.params.id }, virtualLabData)
-        .then(() => {
+        .then((result) => {
+            if (!result.matchedCount) {
+                return next(new NotFoundError('Virtual lab not found.'));
+            }
             res.status(200).json({ message: 'Virtual lab updated successfully.' });
         })
-        .catch((error) => {
-            res.status(500).json({ error });
-        });
+        .catch(next);
 };
 
 exports.deleteOneVirtualLab = (req, res, next) => {
     VirtualLab.findOne({ _id: req.params.id }).then(
         (virtualLab) => {
-            const filename = virtualLab.iconurl.split('/backend/media/virtuallab_icon/')[1];
-            fs.unlink('./backend/media/virtuallab_icon/' + filename, () => {
-                VirtualLab.deleteOne({ _id: req.params.id }).then(() => {
+            if (!virtualLab) {
+                return next(new NotFoundError('Virtual lab not found.'));
+            }
+            const iconKey = mediaKey(virtualLab.iconurl, 'virtuallab_icon');
+            return (iconKey ? deleteFile(iconKey) : Promise.resolve())
+                .then(() => VirtualLab.deleteOne({ _id: req.params.id }))
+                .then(() => {
                     res.status(200).json({ message: 'Virtual lab deleted successfully.' });
-                }).catch((error) => {
-                    res.status(500).json({ error });
                 });
-            });
         }
-    ).catch((error) => {
-        res.status(404).json({ error });
-    });
+    ).catch(next);
 };
 
 exports.addTopic = async (req, res, next) => {
@@ -102,7 +109,7 @@ exports.addTopic = async (req, res, next) => {
     try {
         const virtualLab = await VirtualLab.findById(labId);
         if (!virtualLab) {
-            return res.status(404).json({ message: 'Virtual lab not found.' });
+            return next(new NotFoundError('Virtual lab not found.'));
         }
 
         virtualLab.topics.push(newTopic);
@@ -110,7 +117,7 @@ exports.addTopic = async (req, res, next) => {
 
         res.status(200).json({ message: 'Topic added successfully to the virtual lab.' });
     } catch (error) {
-        res.status(500).json({ error });
+        next(error);
     }
 };
 
@@ -121,12 +128,12 @@ exports.updateTopic = async (req, res, next) => {
     try {
         const virtualLab = await VirtualLab.findById(labId);
         if (!virtualLab) {
-            return res.status(404).json({ message: 'Virtual lab not found.' });
+            return next(new NotFoundError('Virtual lab not found.'));
         }
 
         const topicIndex = virtualLab.topics.findIndex(topic => topic._id.toString() === topicId);
         if (topicIndex === -1) {
-            return res.status(404).json({ message: 'Topic not found.' });
+            return next(new NotFoundError('Topic not found.'));
         }
 
         virtualLab.topics[topicIndex] = { ...virtualLab.topics[topicIndex].toObject(), ...updatedTopicData };
@@ -134,7 +141,7 @@ exports.updateTopic = async (req, res, next) => {
 
         res.status(200).json({ message: 'Topic updated successfully.' });
     } catch (error) {
-        res.status(500).json({ error });
+        next(error);
     }
 };
 
@@ -144,12 +151,12 @@ exports.removeTopic = async (req, res, next) => {
     try {
         const virtualLab = await VirtualLab.findById(labId);
         if (!virtualLab) {
-            return res.status(404).json({ message: 'Virtual lab not found.' });
+            return next(new NotFoundError('Virtual lab not found.'));
         }
 
         const topicIndex = virtualLab.topics.findIndex(topic => topic._id.toString() === topicId);
         if (topicIndex === -1) {
-            return res.status(404).json({ message: 'Topic not found.' });
+            return next(new NotFoundError('Topic not found.'));
         }
 
         virtualLab.topics.splice(topicIndex, 1);
@@ -157,7 +164,7 @@ exports.removeTopic = async (req, res, next) => {
 
         res.status(200).json({ message: 'Topic removed successfully.' });
     } catch (error) {
-        res.status(500).json({ error });
+        next(error);
     }
 };
 
@@ -171,7 +178,7 @@ exports.addInstitute = async (req, res, next) => {
     try {
         const virtualLab = await VirtualLab.findById(labId);
         if (!virtualLab) {
-            return res.status(404).json({ message: 'Virtual lab not found.' });
+            return next(new NotFoundError('Virtual lab not found.'));
         }
 
         virtualLab.institute.push(newInstitute);
@@ -179,7 +186,7 @@ exports.addInstitute = async (req, res, next) => {
 
         res.status(200).json({ message: 'Institute added successfully to the virtual lab.' });
     } catch (error) {
-        res.status(500).json({ error });
+        next(error);
     }
 };
 
@@ -191,13 +198,13 @@ exports.updateInstitute = async (req, res, next) => {
     try {
         const virtualLab = await VirtualLab.findById(labId);
         if (!virtualLab) {
-            return res.status(404).json({ message: 'Virtual lab not found.' });
+            return next(new NotFoundError('Virtual lab not found.'));
         }
 
         // Find the institute by instituteID
         const instituteIndex = virtualLab.institute.findIndex(inst => inst.instituteID === instituteIdToUpdate);
         if (instituteIndex === -1) {
-            return res.status(404).json({ message: 'Institute not found.' });
+            return next(new NotFoundError('Institute not found.'));
         }
 
         // Update the institute data
@@ -206,7 +213,7 @@ exports.updateInstitute = async (req, res, next) => {
 
         res.status(200).json({ message: 'Institute updated successfully.' });
     } catch (error) {
-        res.status(500).json({ error });
+        next(error);
     }
 };
 
@@ -217,13 +224,13 @@ exports.removeInstitute = async (req, res, next) => {
     try {
         const virtualLab = await VirtualLab.findById(labId);
         if (!virtualLab) {
-            return res.status(404).json({ message: 'Virtual lab not found.' });
+            return next(new NotFoundError('Virtual lab not found.'));
         }
 
         // Find the institute by instituteID
         const instituteIndex = virtualLab.institute.findIndex(inst => inst.instituteID === instituteIdToRemove);
         if (instituteIndex === -1) {
-            return res.status(404).json({ message: 'Institute not found.' });
+            return next(new NotFoundError('Institute not found.'));
         }
 
         // Remove the institute
@@ -232,7 +239,7 @@ exports.removeInstitute = async (req, res, next) => {
 
         res.status(200).json({ message: 'Institute removed successfully.' });
     } catch (error) {
-        res.status(500).json({ error });
+        next(error);
     }
 };
 
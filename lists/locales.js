@@ -0,0 +1,12 @@
+// Locales available for emails and other user-facing text.
+const supportedLocales = ['en', 'fr'];
+
+const defaultLocale = 'en';
+
+const resolveLocale = (locale) => (supportedLocales.includes(locale) ? locale : defaultLocale);
+
+module.exports = {
+  supportedLocales,
+  defaultLocale,
+  resolveLocale
+};
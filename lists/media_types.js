@@ -0,0 +1,29 @@
+// Accepted upload types and the extension of the stored file. The type is
+// read from the first bytes of the file (backend/upload_validation.js), not
+// from the Content-Type sent by the client.
+const videoMimeTypes = {
+  'video/mp4': 'mp4',
+  'video/mpeg': 'mpeg',
+  'video/webm': 'webm'
+};
+
+const imageMimeTypes = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png'
+};
+
+// Codecs (ffprobe codec_name) accepted in cast videos.
+const videoCodecs = ['h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg1video', 'mpeg2video', 'mpeg4'];
+const audioCodecs = ['aac', 'mp3', 'mp2', 'opus', 'vorbis', 'ac3'];
+
+// Images a cast can show as castimageurl (backend/cast_images.js), in the
+// order used when the uploader has not chosen one.
+const castImageSources = ['upload', 'ai', 'frame'];
+
+module.exports = {
+  videoMimeTypes,
+  imageMimeTypes,
+  videoCodecs,
+  audioCodecs,
+  castImageSources
+};
@@ -0,0 +1,27 @@
+// Platform permissions are independent from User.role, which only describes
+// the user's academic position.
+const platformRoles = ['admin', 'moderator', 'publisher', 'reader'];
+
+// Roles allowed to manage universities, topics and virtual labs.
+const staffRoles = ['admin', 'moderator'];
+
+// Platform roles that may publish casts/articles regardless of academic role.
+const publishingPlatformRoles = ['admin', 'publisher'];
+
+// Roles allowed to delete other accounts and hand their content over to another publisher.
+const contentTransferRoles = ['admin'];
+
+// Academic positions (User.role), changed by admins only.
+const academicRoles = ['College Student', 'Professor', 'Researcher', 'Learning Enthusiast', 'PhD Student'];
+
+// Academic roles that may publish casts/articles by default.
+const publishingAcademicRoles = ['Professor', 'Researcher', 'PhD Student'];
+
+module.exports = {
+  platformRoles,
+  staffRoles,
+  publishingPlatformRoles,
+  contentTransferRoles,
+  academicRoles,
+  publishingAcademicRoles
+};
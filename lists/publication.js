@@ -0,0 +1,18 @@
+// Publication lifecycle of casts/articles (Cast.status / Article.status):
+// draft -> in_review -> scheduled -> published -> archived
+// A rejected review goes back to draft. Documents created before the
+// lifecycle existed have no status and count as published.
+const publicationStatuses = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// Background processing states of a cast (castQueue).
+const processingStatuses = ['pending', 'completed', 'failed'];
+
+// States of each HLS rendition of a cast (transcodeQueue). Renditions taller
+// than the uploaded video are skipped.
+const renditionStatuses = ['pending', 'processing', 'completed', 'failed', 'skipped'];
+
+module.exports = {
+  publicationStatuses,
+  processingStatuses,
+  renditionStatuses
+};
@@ -0,0 +1,10 @@
+// Who can read a cast/article (Cast.visibility / Article.visibility).
+// - public: everyone, including anonymous users
+// - university: users whose User.university matches the content university
+// - virtual-lab: members of the content's virtualLab
+// - private: only the author
+const visibilityLevels = ['public', 'university', 'virtual-lab', 'private'];
+
+module.exports = {
+  visibilityLevels
+};
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { visibilityLevels } = require('../lists/visibility.js');
+const { softDeletePlugin } = require('../backend/soft_delete.js');
+const { publicationStatuses } = require('../lists/publication.js');
 
 const articleSchema = mongoose.Schema({
     title: { type: String, required: true },
@@ -8,13 +11,33 @@ const articleSchema = mongoose.Schema({
     articleimageurl: { type: String, required: true },
     university: { type: String, required: true },
     category: { type: String, required: true },
-    visibility: { type: String, required: true },
+    visibility: { type: String, required: true, enum: visibilityLevels, lowercase: true, trim: true },
+    virtualLab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'VirtualLab',
+        required: function () { return this.visibility === 'virtual-lab'; }
+    },
     link: { type: String, required: false },
+    // Publication workflow, see backend/publication.js. The controllers create drafts.
+    status: { type: String, enum: publicationStatuses, default: 'published' },
+    publishAt: { type: Date, required: false },
+    publishedAt: { type: Date, required: false },
+    review: {
+        submittedAt: { type: Date, required: false },
+        reviewedAt: { type: Date, required: false },
+        reviewedBy: { type: String, required: false },
+        note: { type: String, required: false }
+    },
     duration: { type: Number, required: true },
     dateadded: { type: Date, default: Date.now },
     rating: {
         value: { type: Number, min: 0, max: 10, default: 5 },
-        count: { type: Number, default: 1 }
+        count: { type: Number, default: 0 },
+        // Average pulled towards the prior, see backend/rating.js.
+        bayesian: { type: Number, default: 5 },
+        // Anonymous votes counted before RatingVote existed (backend/rating.js foldLegacyRatings).
+        legacyVotes: { type: Number, default: 0 },
+        legacyTotal: { type: Number, default: 0 }
     },
     evaluation: {
         question: { type: String, required: false },
@@ -26,6 +49,43 @@ const articleSchema = mongoose.Schema({
         correct: { type: String, required: false }
     },
     topic: { type: String, required: true },
+    // Maintained by backend/trending_computor.js.
+    trending: {
+        score: { type: Number, default: 0 },
+        ratingMomentum: { type: Number, default: 0 },
+        ratingValue: { type: Number, required: false },
+        ratingCount: { type: Number, required: false },
+        computedAt: { type: Date, required: false }
+    },
+    // User entries detached by a soft delete, put back by a restore (backend/trash.js).
+    deletedReferences: {
+        type: [{
+            _id: false,
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            evaluation_list: [mongoose.Schema.Types.Mixed],
+            bookmarkedcontent: [mongoose.Schema.Types.Mixed],
+            publication: { type: Boolean, default: false }
+        }],
+        select: false
+    },
 });
 
+// Used by GET /search.
+// The lab is only meaningful for the virtual-lab level.
+articleSchema.pre('validate', function (next) {
+    if (this.visibility !== 'virtual-lab') {
+        this.virtualLab = undefined;
+    }
+    next();
+});
+
+articleSchema.index({ title: 'text', description: 'text' }, { weights: { title: 10, description: 1 }, name: 'article_text' });
+
+articleSchema.index({ status: 1, publishAt: 1 });
+articleSchema.index({ 'trending.score': -1 });
+articleSchema.index({ department: 1, 'trending.score': -1 });
+articleSchema.index({ university: 1, 'trending.score': -1 });
+
+articleSchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('Article', articleSchema);
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { visibilityLevels } = require('../lists/visibility.js');
+const { softDeletePlugin } = require('../backend/soft_delete.js');
+const { publicationStatuses, processingStatuses, renditionStatuses } = require('../lists/publication.js');
+const { castImageSources } = require('../lists/media_types.js');
 
 const castSchema = mongoose.Schema({
     title: { type: String, required: true, unique: true, trim: true },
@@ -6,16 +10,66 @@ const castSchema = mongoose.Schema({
     department: { type: String, required: true },
     brightmindid: { type: String, required: true },
     casturl: { type: String, required: true },
+    // HLS master playlist of the renditions built by transcodeQueue (backend/hls_transcoder.js).
+    streamUrl: { type: String, required: false },
+    renditions: [{
+        _id: false,
+        name: { type: String, required: true },
+        height: { type: Number, required: true },
+        bandwidth: { type: Number, required: false },
+        status: { type: String, enum: renditionStatuses, default: 'pending' },
+        error: { type: String, required: false }
+    }],
+    // One of images, picked by backend/cast_images.js: imageSource when that image exists.
     castimageurl: { type: String, required: false },
+    images: {
+        frameurl: { type: String, required: false },
+        aiurl: { type: String, required: false },
+        uploadurl: { type: String, required: false }
+    },
+    imageSource: { type: String, enum: castImageSources, required: false },
+    // Extracted from the video by thumbnailQueue (backend/thumbnails.js).
+    posterurl: { type: String, required: false },
+    sprite: {
+        spriteurl: { type: String, required: false },
+        interval: { type: Number, required: false },
+        columns: { type: Number, required: false },
+        rows: { type: Number, required: false },
+        count: { type: Number, required: false },
+        width: { type: Number, required: false },
+        height: { type: Number, required: false }
+    },
     university: { type: String, required: true },
     category: { type: String, required: true },
-    visibility: { type: String, required: true },
+    visibility: { type: String, required: true, enum: visibilityLevels, lowercase: true, trim: true },
+    virtualLab: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'VirtualLab',
+        required: function () { return this.visibility === 'virtual-lab'; }
+    },
     link: { type: String, required: false },
+    // Publication workflow, see backend/publication.js. The controllers create drafts.
+    status: { type: String, enum: publicationStatuses, default: 'published' },
+    publishAt: { type: Date, required: false },
+    publishedAt: { type: Date, required: false },
+    review: {
+        submittedAt: { type: Date, required: false },
+        reviewedAt: { type: Date, required: false },
+        reviewedBy: { type: String, required: false },
+        note: { type: String, required: false }
+    },
+    // Set by castQueue; a cast cannot be submitted for review before it completes.
+    processing: { type: String, enum: processingStatuses, default: 'completed' },
     duration: { type: Number, required: false },
     dateadded: { type: Date, default: Date.now },
     rating: {
         value: { type: Number, min: 0, max: 10, default: 5 },
-        count: { type: Number, default: 1 }
+        count: { type: Number, default: 0 },
+        // Average pulled towards the prior, see backend/rating.js.
+        bayesian: { type: Number, default: 5 },
+        // Anonymous votes counted before RatingVote existed (backend/rating.js foldLegacyRatings).
+        legacyVotes: { type: Number, default: 0 },
+        legacyTotal: { type: Number, default: 0 }
     },
     evaluation: {
         question: { type: String, required: false },
@@ -24,8 +78,44 @@ const castSchema = mongoose.Schema({
     },
     topic: { type: String, required: true },
     subtitleurl: { type: String, required: false },
+    // Maintained by backend/trending_computor.js.
+    trending: {
+        score: { type: Number, default: 0 },
+        ratingMomentum: { type: Number, default: 0 },
+        ratingValue: { type: Number, required: false },
+        ratingCount: { type: Number, required: false },
+        computedAt: { type: Date, required: false }
+    },
+    // User entries detached by a soft delete, put back by a restore (backend/trash.js).
+    deletedReferences: {
+        type: [{
+            _id: false,
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+            evaluation_list: [mongoose.Schema.Types.Mixed],
+            bookmarkedcontent: [mongoose.Schema.Types.Mixed],
+            publication: { type: Boolean, default: false }
+        }],
+        select: false
+    },
+});
+
+// The lab is only meaningful for the virtual-lab level.
+castSchema.pre('validate', function (next) {
+    if (this.visibility !== 'virtual-lab') {
+        this.virtualLab = undefined;
+    }
+    next();
 });
 
 castSchema.index({ title: 1 }, { unique: true });
+// Used by GET /search; description holds the transcript once castQueue has processed the video.
+castSchema.index({ title: 'text', description: 'text' }, { weights: { title: 10, description: 1 }, name: 'cast_text' });
+
+castSchema.index({ status: 1, publishAt: 1 });
+castSchema.index({ 'trending.score': -1 });
+castSchema.index({ department: 1, 'trending.score': -1 });
+castSchema.index({ university: 1, 'trending.score': -1 });
+
+castSchema.plugin(softDeletePlugin);
 
 module.exports = mongoose.model('Cast', castSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One personal data export requested through POST /user/:id/export and built
+// by queues/exportQueue.js. Only the hash of the download token is stored.
+const dataExportSchema = mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['pending', 'ready', 'failed'], default: 'pending' },
+    tokenHash: { type: String, required: false },
+    filePath: { type: String, required: false },
+    size: { type: Number, required: false },
+    error: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: { type: Date, required: false },
+    expiresAt: { type: Date, required: false },
+});
+
+dataExportSchema.index({ userId: 1, createdAt: -1 });
+dataExportSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
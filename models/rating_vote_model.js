@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// One rating vote per user and cast/article. A withdrawn vote keeps its
+// document (action: null) so that the history is preserved.
+const ratingVoteSchema = mongoose.Schema({
+    contentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    contentType: { type: String, enum: ['cast', 'article'], required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    action: { type: String, enum: ['+', '-', null], default: null },
+    history: [{
+        action: { type: String, enum: ['+', '-', null], default: null },
+        at: { type: Date, default: Date.now }
+    }],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now },
+});
+
+ratingVoteSchema.index({ contentType: 1, contentId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('RatingVote', ratingVoteSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// One refresh-token session per user device. Only hashes of the refresh
+// tokens are stored; the previous hash is kept to detect token reuse.
+const sessionSchema = mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    deviceId: { type: String, required: true },
+    userAgent: { type: String, required: false },
+    tokenHash: { type: String, required: true },
+    previousTokenHash: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+});
+
+sessionSchema.index({ userId: 1, deviceId: 1 }, { unique: true });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -29,4 +29,7 @@ const topicSchema = mongoose.Schema({
   },
 });
 
+// Used by GET /search.
+topicSchema.index({ name: 'text' }, { name: 'topic_text' });
+
 module.exports = mongoose.model('Topic', topicSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { softDeletePlugin } = require('../backend/soft_delete.js');
 
 const UniversitySchema = mongoose.Schema({
     name: {type:String, required:true},
@@ -6,4 +7,6 @@ const UniversitySchema = mongoose.Schema({
     displayedName: {type:String, required:true}
 });
 
+UniversitySchema.plugin(softDeletePlugin);
+
 module.exports = mongoose.model('university',UniversitySchema);
\ No newline at end of file
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A resumable cast video upload (POST /cast/uploads). Chunks are stored under
+// upload_chunks/<id>/ until the upload is complete, then assembled into
+// cast_videos/ (videoKey) and handed to createCast.
+const uploadSessionSchema = mongoose.Schema({
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    filename: { type: String, required: true },
+    mimeType: { type: String, required: true },
+    size: { type: Number, required: true },
+    // SHA-256 (hex) of the whole file, checked once assembled.
+    checksum: { type: String, required: false },
+    offset: { type: Number, default: 0 },
+    chunks: [{
+        _id: false,
+        offset: { type: Number, required: true },
+        size: { type: Number, required: true },
+    }],
+    status: { type: String, enum: ['uploading', 'assembled'], default: 'uploading' },
+    videoKey: { type: String, required: false },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+});
+
+uploadSessionSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
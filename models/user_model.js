@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const uniqueValidator = require('mongoose-unique-validator');
+const { platformRoles, academicRoles } = require('../lists/permissions.js');
+const { supportedLocales, defaultLocale } = require('../lists/locales.js');
+const { softDeletePlugin } = require('../backend/soft_delete.js');
 
 const userSchema = mongoose.Schema({
     email: { 
@@ -9,24 +12,44 @@ const userSchema = mongoose.Schema({
         lowercase: true,
         trim: true
     },
+    // Address of a trashed account, released for new signups (backend/trash.js).
+    deletedEmail: { type: String, select: false },
     password: { type: String, required: true },
     username: { type: String, required: true },
     role: { 
         type: String, 
         required: true,
-        enum: ['College Student', 'Professor', 'Researcher', 'Learning Enthusiast', 'PhD Student']
+        enum: academicRoles
+    },
+    platformRole: {
+        type: String,
+        enum: platformRoles,
+        default: 'reader'
+    },
+    locale: {
+        type: String,
+        enum: supportedLocales,
+        default: defaultLocale
     },
     university: { type: String, required: false },
     profilePictureUrl: { type: String, required: true },
     isVerified: { type: Boolean, default: false },
     verificationToken: { type: String, required: false },
+    verificationTokenExpires: { type: Date, required: false },
+    verificationEmailSentAt: { type: Date, required: false },
     resetPasswordToken: { type: String, required: false },
     resetPasswordExpires: { type: Date, required: false },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockUntil: { type: Date, required: false },
+    unlockToken: { type: String, required: false },
+    unlockTokenExpires: { type: Date, required: false },
     evaluation_list: [{
         contentid: { type: String, required: false },
         type: { type: String, required: false },
         watched: { type: Boolean, required: false },
-        answered: { type: Boolean, required: false }
+        answered: { type: Boolean, required: false },
+        watchedAt: { type: Date, required: false },
+        answeredAt: { type: Date, required: false }
     }],
     bookmarkedcontent: [{
         contentid: { type: String, required: false },
@@ -52,9 +75,25 @@ const userSchema = mongoose.Schema({
         }],
     articlePublications: [{ 
         type: mongoose.Schema.Types.ObjectId, ref: 'Article' 
-    }]
+    }],
+    // What the cleanup of a deleted account removed, put back by a restore (backend/account_cleanup.js).
+    accountCleanup: {
+        type: {
+            _id: false,
+            casts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Cast' }],
+            articles: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Article' }],
+            virtualLabs: [{
+                _id: false,
+                labId: { type: mongoose.Schema.Types.ObjectId, ref: 'VirtualLab' },
+                topicId: { type: mongoose.Schema.Types.ObjectId, required: false },
+                field: { type: String, enum: ['followers', 'members'] }
+            }]
+        },
+        select: false
+    }
 });
 
 userSchema.plugin(uniqueValidator);
+userSchema.plugin(softDeletePlugin);
 
 module.exports = mongoose.model('User', userSchema);
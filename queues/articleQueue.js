@@ -1,4 +1,6 @@
-const isTestEnv = process.env.NODE_ENV === 'test';
+const { config } = require('../backend/config');
+
+const isTestEnv = config.env === 'test';
 
 if (isTestEnv) {
   module.exports = {
@@ -10,12 +12,14 @@ if (isTestEnv) {
   const Queue = require('bull');
   const { generateTopicForArticle } = require('../backend/generate_topic');
   const Article = require('../models/article_model');
+  const { logger, withLogContext, jobLogFields } = require('../backend/logger');
+  const { trackQueue } = require('../backend/metrics');
 
   // Initialize the article queue.
-  const articleQueue = new Queue('articleQueue');
+  const articleQueue = trackQueue(new Queue('articleQueue'));
 
-  // Process jobs in the article queue.
-  articleQueue.process(async (job, done) => {
+  // Process jobs in the article queue, logging with the request id of the createArticle call.
+  articleQueue.process((job, done) => withLogContext({ ...jobLogFields(job), articleId: String(job.data.articleId) }, async () => {
     const { articleId, generateTopic } = job.data;
     
     try {
@@ -28,10 +32,10 @@ if (isTestEnv) {
       }
       done();
     } catch (error) {
-      console.error('Error processing article topic generation:', error);
+      logger.error('Error processing article topic generation', { error });
       done(error);
     }
-  });
+  }));
 
   module.exports = articleQueue;
 }
@@ -1,4 +1,6 @@
-const isTestEnv = process.env.NODE_ENV === 'test';
+const { config } = require('../backend/config');
+
+const isTestEnv = config.env === 'test';
 
 if (isTestEnv) {
   module.exports = {
@@ -8,36 +10,36 @@ if (isTestEnv) {
   };
 } else {
   const Queue = require('bull');
-  const fs = require('fs').promises;
-  const path = require('path');
 
   const generateEvaluation = require('../backend/generate_question');
   const generateCastImage = require('../backend/generate_cast_image');
   const { generateTopicForCast } = require('../backend/generate_topic');
   const Cast = require('../models/cast_model');
   const transcribeVideo = require('../backend/transcription');
+  const { logger, withLogContext, jobLogFields } = require('../backend/logger');
+  const { trackQueue } = require('../backend/metrics');
+  const { mediaUrl } = require('../controllers/fileHelper');
+  const { getStorage, mediaSource } = require('../backend/storage');
+  const { setCastImage } = require('../backend/cast_images');
 
   // 1. Initialize the queue:
-  const castQueue = new Queue('castQueue');
+  const castQueue = trackQueue(new Queue('castQueue'));
 
-  // 2. Process jobs:
-  castQueue.process(async (job, done) => {
+  // 2. Process jobs, logging with the request id of the createCast call that added them:
+  castQueue.process((job, done) => withLogContext({ ...jobLogFields(job), castId: String(job.data.castId) }, async () => {
     // Extract job data including generateTopic flag.
-    const { castId, videoFilePath, url, generateTopic } = job.data;
+    const { castId, videoKey, generateTopic } = job.data;
 
     try {
       // A. Transcribe the video (one call returns text + srt)
-      const { text: fullTranscript, srt: srtContent } = await transcribeVideo(videoFilePath);
+      const { text: fullTranscript, srt: srtContent } = await transcribeVideo(await mediaSource(videoKey));
 
-      // B. Save the SRT file to your server
-      const subtitlesDir = path.join(__dirname, '../backend/media/cast_subtitles');
-      await fs.mkdir(subtitlesDir, { recursive: true }); // ensure directory exists
+      // B. Save the SRT file to the media storage
       const srtFilename = `${castId}.srt`;
-      const srtFilePath = path.join(subtitlesDir, srtFilename);
-      await fs.writeFile(srtFilePath, srtContent, 'utf8');
+      await getStorage().upload(`cast_subtitles/${srtFilename}`, srtContent, { contentType: 'application/x-subrip' });
 
       // C. Build the subtitle URL for serving
-      const castSubtitleURL = url + '/backend/media/cast_subtitles/' + srtFilename;
+      const castSubtitleURL = mediaUrl('cast_subtitles', srtFilename);
 
       // D. Update the cast's "description" and "subtitleurl"
       let cast = await Cast.findByIdAndUpdate(
@@ -55,26 +57,32 @@ if (isTestEnv) {
       }
 
       // F. Generate evaluation and image using the same transcript
+      logger.info('Generating cast evaluation and image');
       const evaluation = await generateEvaluation(fullTranscript);
-      const imagePath = await generateCastImage(fullTranscript);
-      const castImageURL = url + imagePath.replace(/^.*\/backend/, '/backend');
+      const castImageURL = await generateCastImage(fullTranscript);
 
-      // G. Update the cast with evaluation and image information
+      // G. Update the cast with evaluation and image information; castimageurl
+      //    falls back to the video frame of thumbnailQueue when there is no AI image.
+      if (castImageURL) {
+        await setCastImage(castId, 'ai', castImageURL);
+      }
       cast = await Cast.findByIdAndUpdate(
         castId,
         {
           evaluation,
-          castimageurl: castImageURL
+          processing: 'completed'
         },
         { new: true }
       );
 
+      logger.info('Cast processing completed');
       done();
     } catch (error) {
-      console.error('Error processing cast in queue:', error);
+      logger.error('Error processing cast in queue', { error });
+      await Cast.updateOne({ _id: castId }, { processing: 'failed' }).catch(() => {});
       done(error);
     }
-  });
+  }));
 
   module.exports = castQueue;
 }
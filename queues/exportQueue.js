@@ -0,0 +1,33 @@
+const { config } = require('../backend/config');
+
+const isTestEnv = config.env === 'test';
+
+if (isTestEnv) {
+  module.exports = {
+    add: async () => {},
+    process: () => {},
+    close: async () => {},
+  };
+} else {
+  const Queue = require('bull');
+  const { processDataExport } = require('../backend/data_export');
+  const { logger, withLogContext, jobLogFields } = require('../backend/logger');
+  const { trackQueue } = require('../backend/metrics');
+
+  // Builds the personal data exports requested through POST /user/:id/export.
+  const exportQueue = trackQueue(new Queue('exportQueue'));
+
+  exportQueue.process((job, done) => withLogContext({ ...jobLogFields(job), exportId: job.data.exportId }, async () => {
+    const { exportId } = job.data;
+
+    try {
+      await processDataExport(exportId);
+      done();
+    } catch (error) {
+      logger.error('Error building data export in queue', { error });
+      done(error);
+    }
+  }));
+
+  module.exports = exportQueue;
+}
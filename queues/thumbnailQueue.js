@@ -0,0 +1,34 @@
+const { config } = require('../backend/config');
+
+const isTestEnv = config.env === 'test';
+
+if (isTestEnv) {
+  module.exports = {
+    add: async () => {},
+    process: () => {},
+    close: async () => {},
+  };
+} else {
+  const Queue = require('bull');
+  const { generateCastThumbnails } = require('../backend/thumbnails');
+  const { logger, withLogContext, jobLogFields } = require('../backend/logger');
+  const { trackQueue } = require('../backend/metrics');
+
+  // Extracts the thumbnail, poster frame and preview sprite of uploaded cast
+  // videos, so casts have an image even when the AI image cannot be generated.
+  const thumbnailQueue = trackQueue(new Queue('thumbnailQueue'));
+
+  thumbnailQueue.process((job, done) => withLogContext({ ...jobLogFields(job), castId: String(job.data.castId) }, async () => {
+    const { castId, videoKey, duration } = job.data;
+
+    try {
+      await generateCastThumbnails(castId, videoKey, duration);
+      done();
+    } catch (error) {
+      logger.error('Error generating cast thumbnails in queue', { error });
+      done(error);
+    }
+  }));
+
+  module.exports = thumbnailQueue;
+}
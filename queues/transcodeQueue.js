@@ -0,0 +1,34 @@
+const { config } = require('../backend/config');
+
+const isTestEnv = config.env === 'test';
+
+if (isTestEnv) {
+  module.exports = {
+    add: async () => {},
+    process: () => {},
+    close: async () => {},
+  };
+} else {
+  const Queue = require('bull');
+  const { transcodeCast } = require('../backend/hls_transcoder');
+  const { logger, withLogContext, jobLogFields } = require('../backend/logger');
+  const { trackQueue } = require('../backend/metrics');
+
+  // Builds the HLS renditions of uploaded cast videos, apart from castQueue so
+  // transcription and image generation do not wait for the encoder.
+  const transcodeQueue = trackQueue(new Queue('transcodeQueue'));
+
+  transcodeQueue.process((job, done) => withLogContext({ ...jobLogFields(job), castId: String(job.data.castId) }, async () => {
+    const { castId, videoKey } = job.data;
+
+    try {
+      await transcodeCast(castId, videoKey);
+      done();
+    } catch (error) {
+      logger.error('Error transcoding cast in queue', { error });
+      done(error);
+    }
+  }));
+
+  module.exports = transcodeQueue;
+}
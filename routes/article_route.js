@@ -1,20 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const article_controller = require('../controllers/article_controller.js');
+const auth = require('../backend/auth.js');
+const { requirePublisher, requireStaff } = require('../backend/permissions.js');
 
-router.post("/", article_controller.createArticle);
-router.get("/", article_controller.getAllArticle);
-router.get('/:id', article_controller.getOneArticle);
-router.put('/:id', article_controller.updateOneArticle);
-router.delete('/:id',  article_controller.deleteOneArticle);
-router.get('/category/:id', article_controller.getAllArticleByCategory);
-router.get('/department/:id', article_controller.getAllArticleByDepartment);
-router.get("/brightmindid/:id", article_controller.getAllArticleByBrightmindid);
-router.get("/evaluation/:id",article_controller.getEvaluationForArticle);
+router.post("/", auth, requirePublisher, article_controller.createArticle);
+router.get("/", auth.optional, article_controller.getAllArticle);
+router.get('/trash', auth, article_controller.getArticleTrash);
+router.get('/:id', auth.optional, article_controller.getOneArticle);
+router.put('/:id', auth, article_controller.updateOneArticle);
+router.delete('/:id', auth, article_controller.deleteOneArticle);
+router.post('/:id/restore', auth, article_controller.restoreArticle);
+router.get('/category/:id', auth.optional, article_controller.getAllArticleByCategory);
+router.get('/department/:id', auth.optional, article_controller.getAllArticleByDepartment);
+router.get("/brightmindid/:id", auth.optional, article_controller.getAllArticleByBrightmindid);
+router.get("/evaluation/:id", auth.optional, article_controller.getEvaluationForArticle);
 //grading
-router.get('/:id/rating', article_controller.getArticleRating);
-router.post('/:id/rating', article_controller.updateArticleRating);
+router.get('/:id/rating', auth.optional, article_controller.getArticleRating);
+router.post('/:id/rating', auth, article_controller.updateArticleRating);
+router.delete('/:id/rating', auth, article_controller.withdrawArticleRating);
+//publication workflow
+router.get('/review/queue', auth, requireStaff, article_controller.getArticleReviewQueue);
+router.post('/:id/submit', auth, article_controller.submitArticle);
+router.post('/:id/approve', auth, requireStaff, article_controller.approveArticle);
+router.post('/:id/reject', auth, requireStaff, article_controller.rejectArticle);
+router.post('/:id/archive', auth, article_controller.archiveArticle);
 //trending
-router.get('/trending/right/now', article_controller.getArticleTrending);
+router.get('/trending/right/now', auth.optional, article_controller.getArticleTrending);
 
 module.exports = router;
\ No newline at end of file
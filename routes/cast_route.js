@@ -2,27 +2,47 @@ const express = require('express');
 const router = express.Router();
 const cast_controller = require('../controllers/cast_controller.js');
 const auth = require('../backend/auth.js');
+const { requirePublisher, requireStaff } = require('../backend/permissions.js');
 const multer = require('../backend/multer-config_cast.js');
+const castImageMulter = require('../backend/multer-config_cast_image.js');
+const { jsonField } = require('../backend/openapi_validator.js');
+const { chunkParser } = require('../backend/resumable_upload.js');
 
-router.post("/", multer, cast_controller.createCast);
-router.get("/", cast_controller.getAllCast);
-router.get('/:id', cast_controller.getOneCast);
-router.put('/:id', multer, cast_controller.updateOneCast);
-router.delete('/:id',  cast_controller.deleteOneCast);
-router.get('/category/:id', cast_controller.getAllCastByCategory);
-router.get('/department/:id', cast_controller.getAllCastByDepartment);
-router.get("/brightmindid/:id", cast_controller.getAllCastByBrightmindid);
-router.get("/evaluation/:id",cast_controller.getEvaluationForCast);
-router.get('/all/simplified', cast_controller.getSimplifiedCast);
+router.post("/", auth, requirePublisher, multer, jsonField('cast', { required: true }), cast_controller.createCast);
+router.get("/", auth.optional, cast_controller.getAllCast);
+router.get('/trash', auth, cast_controller.getCastTrash);
+router.get('/:id', auth.optional, cast_controller.getOneCast);
+router.put('/:id', auth, multer, jsonField('cast', { required: true }), cast_controller.updateOneCast);
+router.delete('/:id', auth, cast_controller.deleteOneCast);
+router.post('/:id/restore', auth, cast_controller.restoreCast);
+router.put('/:id/image', auth, castImageMulter, cast_controller.updateCastImage);
+//resumable uploads
+router.post('/uploads', auth, requirePublisher, cast_controller.createUploadSession);
+router.get('/uploads/:id', auth, cast_controller.getUploadSession);
+router.patch('/uploads/:id', auth, chunkParser, cast_controller.uploadChunk);
+router.delete('/uploads/:id', auth, cast_controller.cancelUpload);
+router.post('/uploads/:id/complete', auth, requirePublisher, jsonField('cast', { required: true }), cast_controller.completeUpload);
+router.get('/category/:id', auth.optional, cast_controller.getAllCastByCategory);
+router.get('/department/:id', auth.optional, cast_controller.getAllCastByDepartment);
+router.get("/brightmindid/:id", auth.optional, cast_controller.getAllCastByBrightmindid);
+router.get("/evaluation/:id", auth.optional, cast_controller.getEvaluationForCast);
+router.get('/all/simplified', auth.optional, cast_controller.getSimplifiedCast);
 
 //rating
-router.get('/:id/rating', cast_controller.getCastRating);
-router.post('/:id/rating', cast_controller.updateCastRating);
+router.get('/:id/rating', auth.optional, cast_controller.getCastRating);
+router.post('/:id/rating', auth, cast_controller.updateCastRating);
+router.delete('/:id/rating', auth, cast_controller.withdrawCastRating);
+//publication workflow
+router.get('/review/queue', auth, requireStaff, cast_controller.getCastReviewQueue);
+router.post('/:id/submit', auth, cast_controller.submitCast);
+router.post('/:id/approve', auth, requireStaff, cast_controller.approveCast);
+router.post('/:id/reject', auth, requireStaff, cast_controller.rejectCast);
+router.post('/:id/archive', auth, cast_controller.archiveCast);
 //trending
-router.get('/trending/right/now', cast_controller.getCastTrending);
+router.get('/trending/right/now', auth.optional, cast_controller.getCastTrending);
 //by department
-router.get('/department/:id', cast_controller.getAllCastByDepartment);
+router.get('/department/:id', auth.optional, cast_controller.getAllCastByDepartment);
 //Most popular departments
-router.get('/popular/department', cast_controller.getPopularDepartment);
+router.get('/popular/department', auth.optional, cast_controller.getPopularDepartment);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const health_controller = require('../controllers/health_controller.js');
+
+router.get('/healthz', health_controller.healthz);
+router.get('/readyz', health_controller.readyz);
+router.get('/metrics', health_controller.metrics);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const media_controller = require('../controllers/media_controller.js');
+const auth = require('../backend/auth.js');
+
+router.get('/:folder/:filename', media_controller.serveMedia);
+router.get('/cast_streams/:castId/:filename', auth.optional, media_controller.serveStream);
+router.get('/cast_streams/:castId/:rendition/:filename', auth.optional, media_controller.serveStream);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const search_controller = require('../controllers/search_controller.js');
+const auth = require('../backend/auth.js');
+
+router.get('/', auth.optional, search_controller.search);
+
+module.exports = router;
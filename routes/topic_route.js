@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const topic_controller = require('../controllers/topic_controller.js');
+const auth = require('../backend/auth.js');
+const { requireStaff } = require('../backend/permissions.js');
 
-router.post('/', topic_controller.createTopicIfNotExist);
+router.post('/', auth, requireStaff, topic_controller.createTopicIfNotExist);
 router.get('/department/:departmentName', topic_controller.getTopicsByDepartment);
 router.get('/:id', topic_controller.getOneTopic);
-router.put('/:id', topic_controller.updateTopic);
+router.put('/:id', auth, requireStaff, topic_controller.updateTopic);
 router.get('/', topic_controller.getAllTopics);
 
 module.exports = router;
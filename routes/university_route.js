@@ -2,13 +2,16 @@ const express = require('express');
 const router = express.Router();
 const university_controller = require('../controllers/university_controller.js');
 const auth = require('../backend/auth.js');
+const { requireStaff } = require('../backend/permissions.js');
 const multer = require('../backend/multer-config_university.js');
+const { jsonField } = require('../backend/openapi_validator.js');
 
-router.post("/", multer, university_controller.createUniversity);
+router.post("/", auth, requireStaff, multer, jsonField('university', { required: true }), university_controller.createUniversity);
 router.get("/", university_controller.getAllUniversity);
 router.get("/:id", university_controller.getOneUniversity);
-router.put('/:id', multer, university_controller.updateOneUniversity);
-router.delete('/:id', university_controller.deleteOneUniversity);
+router.put('/:id', auth, requireStaff, multer, jsonField('university'), university_controller.updateOneUniversity);
+router.delete('/:id', auth, requireStaff, university_controller.deleteOneUniversity);
+router.post('/:id/restore', auth, requireStaff, university_controller.restoreUniversity);
 router.get("/by/name/:id",university_controller.getOneUniversityByName);
 
 module.exports = router;
\ No newline at end of file
@@ -2,32 +2,59 @@ const express = require('express');
 const router = express.Router();
 const userCtrl = require('../controllers/user_controller.js');
 const multer = require('../backend/multer-config_user.js');
+const { jsonField } = require('../backend/openapi_validator.js');
+const auth = require('../backend/auth.js');
+const { requireSelf } = require('../backend/ownership.js');
+const { requirePlatformRole, requireSelfOrPlatformRole } = require('../backend/permissions.js');
+const { contentTransferRoles } = require('../lists/permissions.js');
+const { createRateLimiter } = require('../backend/rate_limiter.js');
+const loginGuard = require('../backend/login_guard.js');
 
-router.post('/signup', multer, userCtrl.signup);
+const resendVerificationLimiter = createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: 5,
+    message: 'Too many verification emails requested. Please try again later.'
+});
+
+router.post('/signup', multer, jsonField('user', { required: true }), userCtrl.signup);
 router.get('/confirmation/:token', userCtrl.confirmation);
-router.post('/login', userCtrl.login);
+router.post('/verification/resend', resendVerificationLimiter, userCtrl.resendVerificationEmail);
+router.post('/login', loginGuard.throttle, userCtrl.login);
+router.get('/unlock/:token', userCtrl.unlockAccount);
+//Sessions
+router.post('/token/refresh', userCtrl.refreshToken);
+router.post('/logout', auth, userCtrl.logout);
+router.post('/logout-all', auth, userCtrl.logoutAll);
 router.get('/',userCtrl.getAllUser);
 router.get('/:id',userCtrl.getOneUser);
-router.delete('/:id', userCtrl.deleteOneUser);
-router.put('/:id', multer, userCtrl.updateOneUser);
+router.delete('/:id', auth, requireSelfOrPlatformRole(contentTransferRoles), userCtrl.deleteOneUser);
+router.post('/:id/restore', auth, requirePlatformRole('admin'), userCtrl.restoreUser);
+//Personal data export
+router.post('/:id/export', auth, requireSelf(), userCtrl.requestDataExport);
+router.get('/export/download/:token', userCtrl.downloadDataExport);
+router.put('/:id', auth, requireSelf(), multer, jsonField('user'), userCtrl.updateOneUser);
 //password update
-router.post('/reset-password-request', userCtrl.requestPasswordResetEmail);
+router.post('/reset-password-request', loginGuard.throttleResetRequests, loginGuard.countResetRequest, userCtrl.requestPasswordResetEmail);
 router.get('/reset-password/:token', userCtrl.showResetPasswordForm);
 router.post('/reset-password/:token', userCtrl.resetPassword);
 //add remove content
-router.post('/add/content/:id',userCtrl.updateUserAddContentToList);
-router.post('/remove/content/:id',userCtrl.updateUserRemoveContentFromList);
-router.post('/mark/content/as/answered/:id', userCtrl.markContentAsAnswered);
+router.post('/add/content/:id', auth, requireSelf(), userCtrl.updateUserAddContentToList);
+router.post('/remove/content/:id', auth, requireSelf(), userCtrl.updateUserRemoveContentFromList);
+router.post('/mark/content/as/answered/:id', auth, requireSelf(), userCtrl.markContentAsAnswered);
 //Bookmarks
-router.get('/bookmarks/:id', userCtrl.getUserBookmarks);
-router.post('/add/bookmarks/:id', userCtrl.addUserBookmark);
-router.delete('/remove/bookmarks/:id/:contentId', userCtrl.removeUserBookmark);
+router.get('/bookmarks/:id', auth.optional, userCtrl.getUserBookmarks);
+router.post('/add/bookmarks/:id', auth, requireSelf(), userCtrl.addUserBookmark);
+router.delete('/remove/bookmarks/:id/:contentId', auth, requireSelf(), userCtrl.removeUserBookmark);
 //Preferences
 router.get('/:id/preferences', userCtrl.getUserPreferences);
-router.post('/:id/preferences', userCtrl.updateUserPreferences);
+router.post('/:id/preferences', auth, requireSelf(), userCtrl.updateUserPreferences);
+//Platform permissions
+router.put('/:id/platform/role', auth, requirePlatformRole('admin'), userCtrl.updateUserPlatformRole);
+router.put('/:id/role', auth, requirePlatformRole('admin'), userCtrl.updateUserRole);
+router.put('/:id/university', auth, requirePlatformRole('admin'), userCtrl.updateUserUniversity);
 //Tracking
-router.get('/:id/suggested/for/you',userCtrl.getSuggestedForYou);
-router.put('/:id/update/tracking', userCtrl.updateUserTracking);
+router.get('/:id/suggested/for/you', auth.optional, userCtrl.getSuggestedForYou);
+router.put('/:id/update/tracking', auth, requireSelf(), userCtrl.updateUserTracking);
 router.get('/:id/tracking', userCtrl.getUserTracking);
 
 module.exports = router;
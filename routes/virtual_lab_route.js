@@ -1,20 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const virtualLabCtrl = require('../controllers/virtual_lab_controller.js');
+const auth = require('../backend/auth.js');
+const { requireStaff } = require('../backend/permissions.js');
 const multer = require('../backend/multer-config_virtuallab.js');
+const { jsonField } = require('../backend/openapi_validator.js');
 
-router.post('/', multer, virtualLabCtrl.createVirtualLab);
+router.post('/', auth, requireStaff, multer, jsonField('virtuallab', { required: true }), virtualLabCtrl.createVirtualLab);
 router.get('/',virtualLabCtrl.getAllVirtualLabs);
 router.get('/:id',virtualLabCtrl.getOneVirtualLab);
-router.delete('/:id', virtualLabCtrl.deleteOneVirtualLab);
-router.put('/:id', multer, virtualLabCtrl.updateOneVirtualLab);
+router.delete('/:id', auth, requireStaff, virtualLabCtrl.deleteOneVirtualLab);
+router.put('/:id', auth, requireStaff, multer, virtualLabCtrl.updateOneVirtualLab);
 //Institutes
-router.post('/:labId/add/institute', virtualLabCtrl.addInstitute);
-router.put('/:labId/update/institute/:instituteId', virtualLabCtrl.updateInstitute);
-router.delete('/:labId/remove/institute/:instituteId', virtualLabCtrl.removeInstitute);
+router.post('/:labId/add/institute', auth, requireStaff, virtualLabCtrl.addInstitute);
+router.put('/:labId/update/institute/:instituteId', auth, requireStaff, virtualLabCtrl.updateInstitute);
+router.delete('/:labId/remove/institute/:instituteId', auth, requireStaff, virtualLabCtrl.removeInstitute);
 //Topics
-router.post('/:id/add/topic', virtualLabCtrl.addTopic);
-router.put('/:labId/update/topic/:topicId', virtualLabCtrl.updateTopic);
-router.delete('/:labId/remove/topic/:topicId', virtualLabCtrl.removeTopic);
+router.post('/:id/add/topic', auth, requireStaff, virtualLabCtrl.addTopic);
+router.put('/:labId/update/topic/:topicId', auth, requireStaff, virtualLabCtrl.updateTopic);
+router.delete('/:labId/remove/topic/:topicId', auth, requireStaff, virtualLabCtrl.removeTopic);
 
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,13 @@
 const http = require('http');
 const fs = require('fs');
 const app = require('./app');
+const { config } = require('./backend/config.js');
+const { logger } = require('./backend/logger.js');
 
 // HTTPS configuration
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 const httpServer = http.createServer(app);
 
 httpServer.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
+  logger.info(`Server is running on http://localhost:${PORT}`, { port: PORT, env: config.env, baseUrl: config.baseUrl });
 });
\ No newline at end of file